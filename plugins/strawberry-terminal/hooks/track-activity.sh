@@ -11,6 +11,8 @@ ACTIVITY_FILE="/tmp/strawberry-activity.jsonl"
 STATUS_FILE="/tmp/bat-status.json"
 EVENTS_FILE="/tmp/bat-mcp-events.jsonl"
 HTTP_PORT="7890"
+# Shared event store (rotated by the MCP servers)
+EVENT_STORE_DIR="${STRAWBERRY_EVENTS_DIR:-$HOME/.strawberry/events}"
 
 # Extract session info
 SESSION_ID=$(echo "$INPUT" | jq -r '.session_id // "unknown"' 2>/dev/null)
@@ -123,9 +125,19 @@ esac
 # Write to activity file (async, don't block)
 echo "$PAYLOAD" >> "$ACTIVITY_FILE" 2>/dev/null &
 
-# Also write to MCP events file for sidebar
+# Also write to MCP events file for sidebar (transitional, until the TUI reads the event store)
 echo "$PAYLOAD" >> "$EVENTS_FILE" 2>/dev/null &
 
+# Record in the event store using the shared schema
+EVENT_ID=$(uuidgen 2>/dev/null || cat /proc/sys/kernel/random/uuid 2>/dev/null)
+STORE_EVENT=$(echo "$PAYLOAD" | jq -c --arg id "$EVENT_ID" \
+  '{id: $id, timestamp: .timestamp, source: "hook", type: .event, session_id: .session_id, tool: .tool,
+    data: (del(.timestamp, .event, .session_id, .tool) | if . == {} then null else . end)}
+   | with_entries(select(.value != null))' 2>/dev/null)
+if [ -n "$STORE_EVENT" ]; then
+  mkdir -p "$EVENT_STORE_DIR" 2>/dev/null && echo "$STORE_EVENT" >> "$EVENT_STORE_DIR/events.jsonl" 2>/dev/null &
+fi
+
 # Try HTTP endpoint (non-blocking, ignore errors)
 curl -s -X POST "http://localhost:$HTTP_PORT/activity" \
   -H "Content-Type: application/json" \
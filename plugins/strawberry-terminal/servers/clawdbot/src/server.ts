@@ -8,10 +8,31 @@ import {
   TextContent,
 } from '@modelcontextprotocol/sdk/types.js';
 import { exec, spawn } from 'child_process';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
 import { promisify } from 'util';
+import { ApprovalQueue } from '@strawberry/shared/approval-queue';
 
 const execAsync = promisify(exec);
 const VERSION = '0.1.0';
+const POLICY_FILE = process.env.STRAWBERRY_POLICY_FILE || path.join(os.homedir(), '.strawberry', 'policy.json');
+const DEFAULT_APPROVAL_TOOLS = ['clawdbot_send_message'];
+
+/**
+ * Tools that wait for approval in the Strawberry TUI before running
+ * ("approvalTools" in ~/.strawberry/policy.json)
+ */
+function approvalTools(): string[] {
+  try {
+    const policy = JSON.parse(fs.readFileSync(POLICY_FILE, 'utf8'));
+    if (policy.enabled === false) return [];
+    if (Array.isArray(policy.approvalTools)) return policy.approvalTools;
+  } catch {
+    // No policy file - use defaults
+  }
+  return DEFAULT_APPROVAL_TOOLS;
+}
 
 /**
  * Execute a clawdbot CLI command
@@ -55,6 +76,7 @@ async function runClawdbot(args: string[], timeout = 60000): Promise<{ stdout: s
  */
 class ClawdbotMCPServer {
   private server: Server;
+  private approvals: ApprovalQueue = new ApprovalQueue();
 
   constructor() {
     this.server = new Server(
@@ -91,7 +113,7 @@ class ClawdbotMCPServer {
         },
         {
           name: 'clawdbot_send_message',
-          description: 'Send a message via Clawdbot to WhatsApp, Telegram, Slack, Discord, or other channels',
+          description: 'Send a message via Clawdbot to WhatsApp, Telegram, Slack, Discord, or other channels. Waits for approval in the Strawberry TUI before sending.',
           inputSchema: {
             type: 'object',
             properties: {
@@ -229,6 +251,19 @@ class ClawdbotMCPServer {
       const { name, arguments: args } = request.params;
 
       try {
+        if (approvalTools().includes(name)) {
+          // Throws ApprovalDeniedError if denied or unanswered
+          await this.approvals.request({
+            source: 'clawdbot',
+            action: name === 'clawdbot_send_message'
+              ? `Send ${args?.channel} message to ${args?.target}`
+              : `Run ${name}`,
+            rule: `approvalTools: ${name}`,
+            target: 'tool',
+            details: args,
+          });
+        }
+
         switch (name) {
           case 'clawdbot_status': {
             const cmdArgs = ['status'];
@@ -0,0 +1,8 @@
+/**
+ * Action Policy
+ *
+ * The shared implementation in servers/shared (run `npm install` there to
+ * build it). This directory has no package.json to depend on it by name.
+ */
+export * from '../shared/dist/action-policy.js';
+export { default } from '../shared/dist/action-policy.js';
@@ -0,0 +1,8 @@
+/**
+ * Approval Queue
+ *
+ * The shared implementation in servers/shared (run `npm install` there to
+ * build it). This directory has no package.json to depend on it by name.
+ */
+export * from '../shared/dist/approval-queue.js';
+export { default } from '../shared/dist/approval-queue.js';
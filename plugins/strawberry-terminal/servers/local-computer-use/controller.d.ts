@@ -11,16 +11,18 @@ import type { LocalComputerConfig, LocalComputerAction, LocalScreenshot, ActionR
  * Provides screenshot capture and mouse/keyboard control for the local Mac.
  */
 export declare class LocalComputerController {
-    private config;
-    private tempDir;
+    protected config;
+    protected tempDir;
     private robotjs;
     private robotjsLoadError;
     private hasAccessibilityPermissions;
+    private policy;
+    private approvals;
     constructor(config?: LocalComputerConfig);
     /**
      * Try to load robotjs for mouse/keyboard control
      */
-    private loadRobotjs;
+    protected loadRobotjs(): Promise<void>;
     /**
      * Check if robotjs is available
      */
@@ -84,6 +86,19 @@ export declare class LocalComputerController {
      * Execute a computer action
      */
     executeAction(action: LocalComputerAction): Promise<ActionResult>;
+    /**
+     * Apply the safety policy, then wait for approval in the TUI if an
+     * approval rule matches
+     */
+    private checkAction;
+    /**
+     * Title of the frontmost window
+     */
+    protected getActiveWindowTitle(): Promise<string | undefined>;
+    /**
+     * Reduce an action to what the safety policy checks
+     */
+    private toPolicyAction;
     /**
      * Cleanup temporary files
      */
@@ -91,11 +106,11 @@ export declare class LocalComputerController {
     /**
      * Helper: delay for ms milliseconds
      */
-    private delay;
+    protected delay(ms: number): Promise<void>;
     /**
      * Helper: log message if debug enabled
      */
-    private log;
+    protected log(message: string): void;
 }
 export default LocalComputerController;
 //# sourceMappingURL=controller.d.ts.map
\ No newline at end of file
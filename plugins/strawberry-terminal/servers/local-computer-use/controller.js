@@ -9,6 +9,8 @@ import * as fs from 'fs';
 import * as path from 'path';
 import * as os from 'os';
 import { promisify } from 'util';
+import { ActionPolicy, PolicyViolationError } from './action-policy.js';
+import { ApprovalQueue, ApprovalDeniedError } from './approval-queue.js';
 const execAsync = promisify(exec);
 // Key mapping for special keys
 const KEY_MAP = {
@@ -47,6 +49,8 @@ export class LocalComputerController {
     robotjs = null;
     robotjsLoadError = null;
     hasAccessibilityPermissions = null;
+    policy = new ActionPolicy();
+    approvals = new ApprovalQueue();
     constructor(config = {}) {
         this.config = {
             debug: false,
@@ -555,6 +559,7 @@ Quartz.CGEventPost(Quartz.kCGHIDEventTap, event)
     async executeAction(action) {
         const startTime = Date.now();
         try {
+            await this.checkAction(action);
             switch (action.type) {
                 case 'screenshot': {
                     const screenshot = await this.screenshot();
@@ -700,9 +705,84 @@ Quartz.CGEventPost(Quartz.kCGHIDEventTap, event)
                 action: action.type,
                 timestamp: new Date(),
                 error: error instanceof Error ? error.message : String(error),
+                blockedByPolicy: error instanceof PolicyViolationError
+                    ? { rule: error.rule, reason: error.reason }
+                    : undefined,
+                approvalDenied: error instanceof ApprovalDeniedError
+                    ? { approvalId: error.approvalId, rule: error.rule, approver: error.approver, reason: error.reason }
+                    : undefined,
             };
         }
     }
+    /**
+     * Apply the safety policy, then wait for approval in the TUI if an
+     * approval rule matches
+     */
+    async checkAction(action) {
+        const policyAction = this.toPolicyAction(action);
+        this.policy.enforce(policyAction, { target: 'local' });
+        let windowTitle;
+        const rule = await this.policy.approvalRule(policyAction, { target: 'local' }, async () => {
+            windowTitle = await this.getActiveWindowTitle();
+            return windowTitle;
+        });
+        if (!rule) {
+            return;
+        }
+        await this.approvals.request({
+            source: 'local-computer-use',
+            // Don't show typed text - the rule may be guarding a password
+            action: action.type === 'type'
+                ? `type ${action.text?.length || 0} characters on the local screen`
+                : `${action.type}${policyAction.keys ? ` ${policyAction.keys}` : ''} on the local screen`,
+            rule: rule.name,
+            target: 'local',
+            details: { windowTitle },
+        });
+    }
+    /**
+     * Title of the frontmost window
+     */
+    async getActiveWindowTitle() {
+        try {
+            const { stdout } = await execAsync(`osascript -e 'tell application "System Events" to get name of front window of (first process whose frontmost is true)'`, { timeout: 5000 });
+            return stdout.trim() || undefined;
+        }
+        catch {
+            return undefined;
+        }
+    }
+    /**
+     * Reduce an action to what the safety policy checks
+     */
+    toPolicyAction(action) {
+        const points = [];
+        if (action.startCoordinate) {
+            points.push(action.startCoordinate);
+        }
+        if (action.coordinate) {
+            points.push(action.coordinate);
+        }
+        switch (action.type) {
+            case 'left_click':
+            case 'right_click':
+            case 'double_click':
+            case 'triple_click':
+                return { kind: 'click', points };
+            case 'mouse_move':
+                return { kind: 'move', points };
+            case 'left_click_drag':
+                return { kind: 'drag', points };
+            case 'type':
+                return { kind: 'type', text: action.text };
+            case 'key':
+                return { kind: 'key', keys: [...(action.modifiers || []), action.text || ''].join('+') };
+            case 'scroll':
+                return { kind: 'scroll', points };
+            default:
+                return { kind: 'screenshot' };
+        }
+    }
     /**
      * Cleanup temporary files
      */
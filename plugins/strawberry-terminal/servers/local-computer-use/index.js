@@ -1,14 +1,16 @@
 /**
- * Local Computer Use - Control the LOCAL Mac desktop
+ * Local Computer Use - Control the LOCAL desktop (macOS or Linux/X11)
  *
  * This module provides screenshot capture and mouse/keyboard control
  * for the local machine (not remote VMs). It uses:
  * - macOS screencapture command for screenshots
  * - @jitsi/robotjs for mouse/keyboard control (optional)
  * - AppleScript/Python CGEvent fallbacks for certain operations
+ * - xdotool/ImageMagick/xrandr on Linux (see x11-backend.js)
  *
  * IMPORTANT: Requires Accessibility permissions in System Preferences
  */
 export { LocalComputerController } from './controller.js';
+export { X11ComputerController, createLocalComputerController } from './x11-backend.js';
 export { LocalComputerMCPServer } from './mcp-server.js';
 //# sourceMappingURL=index.js.map
\ No newline at end of file
@@ -8,7 +8,7 @@
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { CallToolRequestSchema, ListToolsRequestSchema, } from '@modelcontextprotocol/sdk/types.js';
-import { LocalComputerController } from './controller.js';
+import { createLocalComputerController } from './x11-backend.js';
 import * as fs from 'fs';
 const VERSION = '0.1.0';
 const LOCAL_SCREENSHOTS_DIR = '/tmp/strawberry-local-screenshots';
@@ -49,7 +49,7 @@ export class LocalComputerMCPServer {
     server;
     controller;
     constructor() {
-        this.controller = new LocalComputerController({
+        this.controller = createLocalComputerController({
             debug: process.env.DEBUG === 'true',
             screenshotFormat: 'png',
             includeCursor: true,
@@ -70,7 +70,7 @@ export class LocalComputerMCPServer {
             const tools = [
                 {
                     name: 'local_screenshot',
-                    description: 'Take a screenshot of the LOCAL Mac screen. Returns the screenshot as a base64 encoded PNG image.',
+                    description: 'Take a screenshot of the LOCAL screen (macOS, or Linux via X11). Returns the screenshot as a base64 encoded PNG image.',
                     inputSchema: {
                         type: 'object',
                         properties: {
@@ -84,7 +84,7 @@ export class LocalComputerMCPServer {
                 },
                 {
                     name: 'local_computer_action',
-                    description: 'Perform a mouse/keyboard action on the LOCAL Mac screen. Actions include: left_click, right_click, double_click, triple_click, mouse_move, left_click_drag, type, key, scroll, cursor_position',
+                    description: 'Perform a mouse/keyboard action on the LOCAL screen (macOS, or Linux via X11). Actions include: left_click, right_click, double_click, triple_click, mouse_move, left_click_drag, type, key, scroll, cursor_position',
                     inputSchema: {
                         type: 'object',
                         properties: {
@@ -143,7 +143,7 @@ export class LocalComputerMCPServer {
                 },
                 {
                     name: 'local_get_display_info',
-                    description: 'Get information about the LOCAL Mac display(s) - resolution, scale factor, etc.',
+                    description: 'Get information about the LOCAL display(s) - resolution, scale factor, etc.',
                     inputSchema: {
                         type: 'object',
                         properties: {},
@@ -208,6 +208,12 @@ export class LocalComputerMCPServer {
                                     action: result.action,
                                     timestamp: result.timestamp.toISOString(),
                                     error: result.error,
+                                    blocked_by_policy: result.blockedByPolicy ? true : undefined,
+                                    rule: result.blockedByPolicy?.rule ?? result.approvalDenied?.rule,
+                                    approval_denied: result.approvalDenied ? true : undefined,
+                                    approval_id: result.approvalDenied?.approvalId,
+                                    approver: result.approvalDenied?.approver,
+                                    reason: result.approvalDenied?.reason,
                                     cursor_position: result.cursorPosition,
                                 }, null, 2),
                             },
@@ -244,7 +250,17 @@ export class LocalComputerMCPServer {
                         const hasPermissions = await this.controller.checkAccessibilityPermissions();
                         const hasRobotjs = this.controller.hasRobotjs();
                         let instructions = '';
-                        if (!hasPermissions) {
+                        if (!hasPermissions && process.platform === 'linux') {
+                            instructions = `
+Could not reach the X server for mouse/keyboard control.
+
+To fix:
+1. Install the X11 tools: sudo apt install xdotool imagemagick x11-xserver-utils
+2. Make sure DISPLAY points to a running X server (e.g. DISPLAY=:0)
+3. Or run headless: install xvfb and set STRAWBERRY_XVFB=1
+`;
+                        }
+                        else if (!hasPermissions) {
                             instructions = `
 Accessibility permissions are required for mouse/keyboard control.
 
@@ -82,6 +82,22 @@ export interface ActionResult {
     timestamp: Date;
     screenshot?: LocalScreenshot;
     error?: string;
+    /**
+     * Set when the action was blocked by the safety policy
+     */
+    blockedByPolicy?: {
+        rule: string;
+        reason: string;
+    };
+    /**
+     * Set when the action needed approval and was denied (or timed out)
+     */
+    approvalDenied?: {
+        approvalId: string;
+        rule: string;
+        approver?: string;
+        reason: string;
+    };
     cursorPosition?: {
         x: number;
         y: number;
@@ -93,5 +109,10 @@ export interface DisplayInfo {
     scale: number;
     isPrimary: boolean;
     id: number;
+    /**
+     * Origin of the display in the virtual screen (X11 multi-monitor)
+     */
+    x?: number;
+    y?: number;
 }
 //# sourceMappingURL=types.d.ts.map
\ No newline at end of file
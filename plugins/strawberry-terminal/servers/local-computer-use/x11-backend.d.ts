@@ -0,0 +1,97 @@
+/**
+ * X11 Computer Controller
+ *
+ * Controls a LOCAL Linux desktop (or a headless Xvfb display) using xdotool
+ * for input, ImageMagick/xwd for screenshots and xrandr for display info.
+ * Used instead of the macOS controller when running on Linux.
+ */
+import { LocalComputerController } from './controller.js';
+import type { LocalComputerConfig, LocalScreenshot, DisplayInfo, MouseButton, ScrollDirection } from './types.js';
+/**
+ * X11 Computer Controller
+ *
+ * Same interface as LocalComputerController, backed by X11 tools.
+ * When no DISPLAY is set (or STRAWBERRY_XVFB=1) an Xvfb display is started.
+ */
+export declare class X11ComputerController extends LocalComputerController {
+    private xvfb;
+    constructor(config?: LocalComputerConfig);
+    /**
+     * robotjs is not used on X11 - xdotool covers everything
+     */
+    protected loadRobotjs(): Promise<void>;
+    /**
+     * Start a headless Xvfb display and point DISPLAY at it
+     */
+    private startXvfb;
+    /**
+     * Run an xdotool command
+     */
+    private xdotool;
+    /**
+     * Check that the X server accepts input from us (the X11 equivalent of
+     * macOS accessibility permissions)
+     */
+    checkAccessibilityPermissions(): Promise<boolean>;
+    /**
+     * Get display information for every connected monitor
+     */
+    getDisplayInfo(): Promise<DisplayInfo[]>;
+    /**
+     * Take a screenshot of one display
+     */
+    screenshot(displayId?: number): Promise<LocalScreenshot>;
+    /**
+     * Title of the focused window
+     */
+    protected getActiveWindowTitle(): Promise<string | undefined>;
+    /**
+     * Get current cursor position
+     */
+    getCursorPosition(): Promise<{
+        x: number;
+        y: number;
+    }>;
+    /**
+     * Move mouse to coordinates
+     */
+    moveMouse(x: number, y: number): Promise<void>;
+    /**
+     * Click at coordinates
+     */
+    click(x: number, y: number, button?: MouseButton): Promise<void>;
+    /**
+     * Double click at coordinates
+     */
+    doubleClick(x: number, y: number): Promise<void>;
+    /**
+     * Triple click at coordinates
+     */
+    tripleClick(x: number, y: number): Promise<void>;
+    /**
+     * Drag from start to end coordinates
+     */
+    drag(startX: number, startY: number, endX: number, endY: number): Promise<void>;
+    /**
+     * Type text
+     */
+    typeText(text: string, delay?: number): Promise<void>;
+    /**
+     * Press a key or key combination (e.g. "Return", or "t" with ["ctrl", "shift"])
+     */
+    pressKey(key: string, modifiers?: string[]): Promise<void>;
+    /**
+     * Scroll in a direction
+     */
+    scroll(direction: ScrollDirection, amount?: number): Promise<void>;
+    /**
+     * Cleanup temporary files and stop Xvfb if we started it
+     */
+    cleanup(): void;
+}
+/**
+ * Create the controller for the current platform
+ * (override with STRAWBERRY_LOCAL_BACKEND=x11|macos)
+ */
+export declare function createLocalComputerController(config?: LocalComputerConfig): LocalComputerController;
+export default X11ComputerController;
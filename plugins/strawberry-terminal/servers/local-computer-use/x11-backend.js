@@ -0,0 +1,333 @@
+/**
+ * X11 Computer Controller
+ *
+ * Controls a LOCAL Linux desktop (or a headless Xvfb display) using xdotool
+ * for input, ImageMagick/xwd for screenshots and xrandr for display info.
+ * Used instead of the macOS controller when running on Linux.
+ */
+import { execFile, spawn } from 'child_process';
+import * as fs from 'fs';
+import * as path from 'path';
+import { promisify } from 'util';
+import { LocalComputerController } from './controller.js';
+const execFileAsync = promisify(execFile);
+// Key mapping to X keysym names
+const KEY_MAP = {
+    'enter': 'Return',
+    'return': 'Return',
+    'tab': 'Tab',
+    'escape': 'Escape',
+    'esc': 'Escape',
+    'space': 'space',
+    'backspace': 'BackSpace',
+    'delete': 'Delete',
+    'up': 'Up',
+    'down': 'Down',
+    'left': 'Left',
+    'right': 'Right',
+    'home': 'Home',
+    'end': 'End',
+    'pageup': 'Page_Up',
+    'pagedown': 'Page_Down',
+    'f1': 'F1', 'f2': 'F2', 'f3': 'F3', 'f4': 'F4',
+    'f5': 'F5', 'f6': 'F6', 'f7': 'F7', 'f8': 'F8',
+    'f9': 'F9', 'f10': 'F10', 'f11': 'F11', 'f12': 'F12',
+    'cmd': 'super', 'command': 'super', 'super': 'super', 'meta': 'super',
+    'ctrl': 'ctrl', 'control': 'ctrl',
+    'alt': 'alt', 'option': 'alt',
+    'shift': 'shift',
+};
+// X mouse buttons
+const BUTTONS = {
+    left: '1',
+    middle: '2',
+    right: '3',
+};
+const SCROLL_BUTTONS = {
+    up: '4',
+    down: '5',
+    left: '6',
+    right: '7',
+};
+const DEFAULT_XVFB_DISPLAY = ':99';
+const DEFAULT_XVFB_SCREEN = '1920x1080x24';
+/**
+ * X11 Computer Controller
+ *
+ * Same interface as LocalComputerController, backed by X11 tools.
+ * When no DISPLAY is set (or STRAWBERRY_XVFB=1) an Xvfb display is started.
+ */
+export class X11ComputerController extends LocalComputerController {
+    xvfb = null;
+    constructor(config = {}) {
+        super(config);
+        if (!process.env.DISPLAY || process.env.STRAWBERRY_XVFB === '1') {
+            this.startXvfb();
+        }
+    }
+    /**
+     * robotjs is not used on X11 - xdotool covers everything
+     */
+    async loadRobotjs() {
+        this.log('Using X11 backend (xdotool)');
+    }
+    /**
+     * Start a headless Xvfb display and point DISPLAY at it
+     */
+    startXvfb() {
+        const display = process.env.STRAWBERRY_XVFB_DISPLAY || DEFAULT_XVFB_DISPLAY;
+        const screen = process.env.STRAWBERRY_XVFB_SCREEN || DEFAULT_XVFB_SCREEN;
+        try {
+            this.xvfb = spawn('Xvfb', [display, '-screen', '0', screen, '-nolisten', 'tcp'], {
+                stdio: 'ignore',
+                detached: false,
+            });
+            this.xvfb.on('error', (error) => {
+                this.log(`Xvfb failed to start: ${error.message}`);
+                this.xvfb = null;
+            });
+            process.env.DISPLAY = display;
+            // Don't leave the display running after we exit
+            process.on('exit', () => this.xvfb?.kill());
+            this.log(`Started Xvfb on ${display} (${screen})`);
+        }
+        catch (error) {
+            this.log(`Xvfb not available: ${error}`);
+        }
+    }
+    /**
+     * Run an xdotool command
+     */
+    async xdotool(args) {
+        const { stdout } = await execFileAsync('xdotool', args);
+        return stdout;
+    }
+    /**
+     * Check that the X server accepts input from us (the X11 equivalent of
+     * macOS accessibility permissions)
+     */
+    async checkAccessibilityPermissions() {
+        try {
+            await this.xdotool(['getdisplaygeometry']);
+            return true;
+        }
+        catch {
+            return false;
+        }
+    }
+    /**
+     * Get display information for every connected monitor
+     */
+    async getDisplayInfo() {
+        try {
+            const { stdout } = await execFileAsync('xrandr', ['--query']);
+            const displays = [];
+            let displayId = 1;
+            // e.g. "HDMI-1 connected primary 2560x1440+1920+0 (normal left ...)"
+            for (const line of stdout.split('\n')) {
+                const match = line.match(/^\S+ connected (primary )?(\d+)x(\d+)\+(\d+)\+(\d+)/);
+                if (match) {
+                    displays.push({
+                        id: displayId++,
+                        width: parseInt(match[2], 10),
+                        height: parseInt(match[3], 10),
+                        scale: 1,
+                        isPrimary: !!match[1],
+                        x: parseInt(match[4], 10),
+                        y: parseInt(match[5], 10),
+                    });
+                }
+            }
+            // Xvfb and some servers report no outputs - fall back to the root window
+            if (displays.length === 0) {
+                const geometry = (await this.xdotool(['getdisplaygeometry'])).trim().split(/\s+/);
+                displays.push({
+                    id: 1,
+                    width: parseInt(geometry[0], 10) || 1920,
+                    height: parseInt(geometry[1], 10) || 1080,
+                    scale: 1,
+                    isPrimary: true,
+                    x: 0,
+                    y: 0,
+                });
+            }
+            else if (!displays.some((display) => display.isPrimary)) {
+                displays[0].isPrimary = true;
+            }
+            return displays;
+        }
+        catch (error) {
+            this.log(`Error getting display info: ${error}`);
+            return [{
+                    id: 1,
+                    width: 1920,
+                    height: 1080,
+                    scale: 1,
+                    isPrimary: true,
+                    x: 0,
+                    y: 0,
+                }];
+        }
+    }
+    /**
+     * Take a screenshot of one display
+     */
+    async screenshot(displayId = 1) {
+        const timestamp = Date.now();
+        const format = this.config.screenshotFormat === 'jpg' ? 'jpg' : 'png';
+        const filepath = path.join(this.tempDir, `screenshot_${timestamp}.${format}`);
+        try {
+            const displays = await this.getDisplayInfo();
+            const display = displays.find((d) => d.id === displayId) || displays[0];
+            const crop = `${display.width}x${display.height}+${display.x || 0}+${display.y || 0}`;
+            try {
+                // ImageMagick can grab the root window directly
+                await execFileAsync('import', ['-silent', '-window', 'root', '-crop', crop, '+repage', filepath]);
+            }
+            catch {
+                // Fall back to xwd piped through convert
+                await execFileAsync('sh', ['-c', `xwd -root -silent | convert xwd:- -crop ${crop} +repage "${filepath}"`]);
+            }
+            const imageB64 = fs.readFileSync(filepath).toString('base64');
+            const cursorPosition = await this.getCursorPosition();
+            try {
+                fs.unlinkSync(filepath);
+            }
+            catch {
+                // Ignore cleanup errors
+            }
+            return {
+                imageB64,
+                format,
+                timestamp: new Date(timestamp),
+                dimensions: {
+                    width: display.width,
+                    height: display.height,
+                },
+                cursorPosition,
+            };
+        }
+        catch (error) {
+            throw new Error(`Screenshot failed: ${error instanceof Error ? error.message : error}`);
+        }
+    }
+    /**
+     * Title of the focused window
+     */
+    async getActiveWindowTitle() {
+        try {
+            return (await this.xdotool(['getactivewindow', 'getwindowname'])).trim() || undefined;
+        }
+        catch {
+            return undefined;
+        }
+    }
+    /**
+     * Get current cursor position
+     */
+    async getCursorPosition() {
+        try {
+            const stdout = await this.xdotool(['getmouselocation', '--shell']);
+            const x = stdout.match(/X=(\d+)/);
+            const y = stdout.match(/Y=(\d+)/);
+            return { x: x ? parseInt(x[1], 10) : 0, y: y ? parseInt(y[1], 10) : 0 };
+        }
+        catch (error) {
+            this.log(`Error getting cursor position: ${error}`);
+            return { x: 0, y: 0 };
+        }
+    }
+    /**
+     * Move mouse to coordinates
+     */
+    async moveMouse(x, y) {
+        await this.xdotool(['mousemove', String(Math.round(x)), String(Math.round(y))]);
+    }
+    /**
+     * Click at coordinates
+     */
+    async click(x, y, button = 'left') {
+        await this.xdotool(['mousemove', String(Math.round(x)), String(Math.round(y)), 'click', BUTTONS[button] || BUTTONS.left]);
+    }
+    /**
+     * Double click at coordinates
+     */
+    async doubleClick(x, y) {
+        await this.xdotool(['mousemove', String(Math.round(x)), String(Math.round(y)), 'click', '--repeat', '2', '--delay', '80', BUTTONS.left]);
+    }
+    /**
+     * Triple click at coordinates
+     */
+    async tripleClick(x, y) {
+        await this.xdotool(['mousemove', String(Math.round(x)), String(Math.round(y)), 'click', '--repeat', '3', '--delay', '80', BUTTONS.left]);
+    }
+    /**
+     * Drag from start to end coordinates
+     */
+    async drag(startX, startY, endX, endY) {
+        await this.xdotool(['mousemove', String(Math.round(startX)), String(Math.round(startY)), 'mousedown', BUTTONS.left]);
+        try {
+            // Move in steps so apps see intermediate motion events
+            const steps = 10;
+            for (let i = 1; i <= steps; i++) {
+                const x = startX + ((endX - startX) * i) / steps;
+                const y = startY + ((endY - startY) * i) / steps;
+                await this.moveMouse(x, y);
+                await this.delay(20);
+            }
+        }
+        finally {
+            await this.xdotool(['mouseup', BUTTONS.left]);
+        }
+    }
+    /**
+     * Type text
+     */
+    async typeText(text, delay = 0) {
+        try {
+            await this.xdotool(['type', '--delay', String(delay || 12), '--', text]);
+        }
+        catch (error) {
+            throw new Error(`Failed to type text: ${error}`);
+        }
+    }
+    /**
+     * Press a key or key combination (e.g. "Return", or "t" with ["ctrl", "shift"])
+     */
+    async pressKey(key, modifiers = []) {
+        // Also accept combos passed as a single string, e.g. "ctrl+c"
+        const parts = [...modifiers, ...key.split('+').filter(Boolean)];
+        const combo = parts.map((part) => KEY_MAP[part.toLowerCase()] || part).join('+');
+        try {
+            await this.xdotool(['key', '--clearmodifiers', combo]);
+        }
+        catch (error) {
+            throw new Error(`Failed to press key: ${error}`);
+        }
+    }
+    /**
+     * Scroll in a direction
+     */
+    async scroll(direction, amount = 3) {
+        await this.xdotool(['click', '--repeat', String(amount), SCROLL_BUTTONS[direction] || SCROLL_BUTTONS.down]);
+    }
+    /**
+     * Cleanup temporary files and stop Xvfb if we started it
+     */
+    cleanup() {
+        super.cleanup();
+        if (this.xvfb) {
+            this.xvfb.kill();
+            this.xvfb = null;
+        }
+    }
+}
+/**
+ * Create the controller for the current platform
+ * (override with STRAWBERRY_LOCAL_BACKEND=x11|macos)
+ */
+export function createLocalComputerController(config = {}) {
+    const backend = process.env.STRAWBERRY_LOCAL_BACKEND || (process.platform === 'linux' ? 'x11' : 'macos');
+    return backend === 'x11' ? new X11ComputerController(config) : new LocalComputerController(config);
+}
+export default X11ComputerController;
@@ -0,0 +1,337 @@
+/**
+ * Master API
+ *
+ * HTTP implementation of the Moltbot Master API used by the trycua and
+ * strawberry-context servers (see moltbot-client.ts in servers/shared):
+ *
+ *   POST /vps/register        POST /vps/heartbeat      GET  /vps
+ *   POST /vps/tasks           GET  /vps/tasks/:id      POST /vps/update
+ *   POST /macbook/register    POST /macbook/heartbeat
+ *   POST /context/event       GET  /context/sync?since=
+ *   GET  /health              (no token needed)
+ *
+ * Every other request is authenticated by auth.ts: an HMAC signature, or
+ * the bearer token for clients that don't sign. /macbook/register answers
+ * with a new device key (deviceKey: { keyId, secret }) that the MacBook
+ * signs its requests with from then on. A device key acts only for its own
+ * node and the VPSes registered with it; a request naming any other node in
+ * its path or body is refused with 403. A POST with an Idempotency-Key header
+ * that the same key already sent gets the first response again (with
+ * Idempotent-Replayed: true) instead of being applied twice. /macbook/register
+ * is never replayed, so a stored response can't hand out a device key again.
+ */
+
+import * as http from 'http';
+import { AuthConfig, authenticate } from './auth.js';
+import {
+  EVENT_SOURCES,
+  EVENT_TYPES,
+  MasterStore,
+  NODE_STATUSES,
+  NodeStatus,
+  TASK_UPDATE_STATUSES,
+  TaskStatus,
+} from './store.js';
+
+export const VERSION = '0.1.0';
+const MAX_BODY_BYTES = 1024 * 1024;
+const DEFAULT_SYNC_WINDOW_MS = 24 * 60 * 60 * 1000;
+const MACBOOK_ID = 'macbook';
+// Responses carrying secrets are not stored for idempotent replay
+const NOT_REPLAYED = ['POST /macbook/register'];
+
+type Body = Record<string, unknown>;
+
+class HttpError extends Error {
+  readonly status: number;
+
+  constructor(status: number, message: string) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Read the raw body; signatures are checked against the exact bytes sent
+ */
+function readRawBody(req: http.IncomingMessage): Promise<Buffer> {
+  return new Promise((resolve, reject) => {
+    const chunks: Buffer[] = [];
+    let size = 0;
+    req.on('data', (chunk: Buffer) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function parseBody(raw: Buffer): Body {
+  const text = raw.toString('utf8').trim();
+  if (!text) return {};
+  let body: unknown;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    throw new HttpError(400, 'Request body is not valid JSON');
+  }
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    throw new HttpError(400, 'Request body must be a JSON object');
+  }
+  return body as Body;
+}
+
+function requireString(body: Body, key: string): string {
+  const value = body[key];
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new HttpError(400, `"${key}" is required`);
+  }
+  return value;
+}
+
+function optionalString(body: Body, key: string): string | undefined {
+  const value = body[key];
+  if (value === undefined || value === null) return undefined;
+  if (typeof value !== 'string') {
+    throw new HttpError(400, `"${key}" must be a string`);
+  }
+  return value;
+}
+
+function optionalNumber(body: Body, key: string): number | undefined {
+  const value = body[key];
+  if (value === undefined || value === null) return undefined;
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new HttpError(400, `"${key}" must be a number`);
+  }
+  return value;
+}
+
+function stringList(body: Body, key: string): string[] {
+  const value = body[key] ?? [];
+  if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+    throw new HttpError(400, `"${key}" must be a list of strings`);
+  }
+  return value as string[];
+}
+
+function oneOf<T extends string>(value: string | undefined, allowed: readonly T[], key: string): T | undefined {
+  if (value === undefined) return undefined;
+  if (!allowed.includes(value as T)) {
+    throw new HttpError(400, `"${key}" must be one of ${allowed.join(', ')}`);
+  }
+  return value as T;
+}
+
+function send(res: http.ServerResponse, status: number, data: unknown, headers: http.OutgoingHttpHeaders = {}): void {
+  const body = JSON.stringify(data);
+  res.writeHead(status, { ...headers, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) });
+  res.end(body);
+}
+
+function routeKey(method: string, url: URL): string {
+  return `${method} ${url.pathname.replace(/\/+$/, '') || '/'}`;
+}
+
+/**
+ * Refuse a request signed with a device key (keyNode is the node it was
+ * issued to) that acts for another node. A VPS the key registered counts as
+ * its own, and so does a new one when registering.
+ */
+function checkNode(store: MasterStore, keyNode: string | undefined, id: string, registering = false): void {
+  if (!keyNode || id === keyNode) return;
+  const node = store.getNode(id);
+  if (node ? node.registeredBy === keyNode : registering) return;
+  throw new HttpError(403, `The key for ${keyNode} can't act for node ${id}`);
+}
+
+/**
+ * Route one request. Returns the response body, or throws an HttpError.
+ * keyNode is the node of the device key that signed it, if any.
+ */
+async function route(store: MasterStore, method: string, url: URL, raw: Buffer, keyNode?: string): Promise<unknown> {
+  switch (routeKey(method, url)) {
+    case 'POST /vps/register': {
+      const body = parseBody(raw);
+      const id = requireString(body, 'id');
+      checkNode(store, keyNode, id, true);
+      return store.registerNode({
+        id,
+        kind: 'vps',
+        name: optionalString(body, 'name') || id,
+        endpoint: optionalString(body, 'endpoint'),
+        capabilities: stringList(body, 'capabilities'),
+        registeredBy: keyNode,
+      });
+    }
+
+    case 'POST /vps/heartbeat': {
+      const body = parseBody(raw);
+      const id = requireString(body, 'id');
+      checkNode(store, keyNode, id);
+      const status = oneOf<NodeStatus>(optionalString(body, 'status'), NODE_STATUSES, 'status');
+      if (!store.heartbeat(id, status, optionalString(body, 'currentTask'))) {
+        throw new HttpError(404, `VPS ${id} is not registered`);
+      }
+      return { ok: true };
+    }
+
+    case 'GET /vps':
+      return { nodes: store.listNodes('vps') };
+
+    case 'POST /vps/tasks': {
+      const body = parseBody(raw);
+      const vpsId = optionalString(body, 'vpsId');
+      if (vpsId && !store.getNode(vpsId)) {
+        throw new HttpError(404, `VPS ${vpsId} is not registered`);
+      }
+      if (vpsId) checkNode(store, keyNode, vpsId);
+      return store.createTask({
+        task: requireString(body, 'task'),
+        vpsId,
+        priority: optionalString(body, 'priority'),
+        from: optionalString(body, 'from'),
+      });
+    }
+
+    case 'POST /vps/update': {
+      const body = parseBody(raw);
+      const taskId = requireString(body, 'taskId');
+      const vpsId = optionalString(body, 'vpsId');
+      const assignedTo = store.getTask(taskId)?.vpsId;
+      if (assignedTo) checkNode(store, keyNode, assignedTo);
+      if (vpsId) checkNode(store, keyNode, vpsId);
+      const task = store.updateTask({
+        taskId,
+        vpsId,
+        status: oneOf<TaskStatus>(requireString(body, 'status'), TASK_UPDATE_STATUSES, 'status')!,
+        exitCode: optionalNumber(body, 'exitCode'),
+        output: optionalString(body, 'output'),
+        durationMs: optionalNumber(body, 'durationMs'),
+        error: optionalString(body, 'error'),
+      });
+      if (!task) {
+        throw new HttpError(404, `Task ${taskId} not found`);
+      }
+      return task;
+    }
+
+    case 'POST /macbook/register': {
+      const body = parseBody(raw);
+      const id = optionalString(body, 'id') || keyNode || MACBOOK_ID;
+      checkNode(store, keyNode, id);
+      const node = store.registerNode({
+        id,
+        kind: 'macbook',
+        name: optionalString(body, 'name') || 'MacBook',
+        capabilities: stringList(body, 'capabilities'),
+        version: optionalString(body, 'strawberryVersion'),
+      });
+      return { ...node, deviceKey: store.issueDeviceKey(id) };
+    }
+
+    case 'POST /macbook/heartbeat': {
+      const body = parseBody(raw);
+      const id = optionalString(body, 'id') || keyNode || MACBOOK_ID;
+      checkNode(store, keyNode, id);
+      if (!store.heartbeat(id)) {
+        throw new HttpError(404, `MacBook ${id} is not registered`);
+      }
+      return { ok: true };
+    }
+
+    case 'POST /context/event': {
+      const body = parseBody(raw);
+      return store.addEvent({
+        type: oneOf(requireString(body, 'type'), EVENT_TYPES, 'type')!,
+        source: oneOf(requireString(body, 'source'), EVENT_SOURCES, 'source')!,
+        summary: requireString(body, 'summary'),
+        details: body.details,
+      });
+    }
+
+    case 'GET /context/sync': {
+      const since = url.searchParams.get('since') || new Date(Date.now() - DEFAULT_SYNC_WINDOW_MS).toISOString();
+      if (Number.isNaN(Date.parse(since))) {
+        throw new HttpError(400, '"since" must be an ISO timestamp');
+      }
+      const vpsRegistry = store.listNodes('vps');
+      return {
+        events: store.eventsSince(new Date(since).toISOString()),
+        swarmState: {
+          // Specialist bots aren't part of the self-hosted master
+          specialists: {},
+          activeVMs: vpsRegistry.filter((node) => node.status !== 'offline'),
+          pendingTasks: store.openTasks(),
+        },
+        vpsRegistry,
+        timestamp: new Date().toISOString(),
+      };
+    }
+  }
+
+  // GET /vps/tasks/:id
+  const tasksMatch = method === 'GET' && url.pathname.match(/^\/vps\/tasks\/([^/]+)\/?$/);
+  if (tasksMatch) {
+    const vpsId = decodeURIComponent(tasksMatch[1]);
+    checkNode(store, keyNode, vpsId);
+    return { tasks: store.takeTasks(vpsId) };
+  }
+
+  throw new HttpError(404, `No route for ${method} ${url.pathname}`);
+}
+
+/**
+ * Create the HTTP server (not yet listening)
+ */
+export function createMasterServer(store: MasterStore, auth: AuthConfig = {}): http.Server {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url || '/', 'http://localhost');
+    const method = req.method || 'GET';
+
+    if (method === 'GET' && url.pathname === '/health') {
+      send(res, 200, { status: 'ok', version: VERSION });
+      return;
+    }
+
+    const key = routeKey(method, url);
+    const idempotencyKey = method === 'POST' && !NOT_REPLAYED.includes(key) ? req.headers['idempotency-key'] : undefined;
+
+    readRawBody(req)
+      .then((raw) => {
+        const verdict = authenticate(store, auth, req, raw);
+        if (!verdict.ok) {
+          throw new HttpError(401, verdict.error);
+        }
+
+        const scope = verdict.keyId || '';
+        if (typeof idempotencyKey === 'string') {
+          const replay = store.getIdempotentResponse(scope, idempotencyKey, key);
+          if (replay) {
+            send(res, replay.status, replay.body, { 'Idempotent-Replayed': 'true' });
+            return;
+          }
+        }
+
+        return route(store, method, url, raw, verdict.nodeId).then((data) => {
+          if (typeof idempotencyKey === 'string') store.saveIdempotentResponse(scope, idempotencyKey, key, 200, data);
+          send(res, 200, data);
+        });
+      })
+      .catch((error) => {
+        if (error instanceof HttpError) {
+          send(res, error.status, { error: error.message });
+        } else {
+          console.error(`[moltbot-master] ${req.method} ${url.pathname} failed:`, error);
+          send(res, 500, { error: 'Internal error' });
+        }
+      });
+  });
+}
@@ -0,0 +1,110 @@
+/**
+ * Request Authentication
+ *
+ * Verifies the HMAC signatures the Moltbot Master client puts on requests
+ * (see moltbot-client.ts in servers/shared). A request is signed with the
+ * shared secret (key id "shared") or with a device key issued at
+ * /macbook/register. The signature covers the method, path, timestamp,
+ * nonce and a hash of the body; the timestamp must be within
+ * MAX_CLOCK_SKEW_MS of ours and each nonce is accepted once. A device key
+ * verdict carries the node the key was issued to; api.ts refuses requests
+ * from it that name another node.
+ *
+ * Unsigned requests are accepted with the bearer token, unless signatures
+ * are required, or without anything when no credentials are configured.
+ */
+
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+import * as http from 'http';
+import { MasterStore } from './store.js';
+
+export const SHARED_KEY_ID = 'shared';
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+export interface AuthConfig {
+  /** Shared signing secret */
+  secret?: string;
+  /** Bearer token for clients that don't sign */
+  token?: string;
+  /** Reject unsigned requests even with the bearer token */
+  requireSignatures?: boolean;
+}
+
+export type AuthResult =
+  | { ok: true; keyId?: string; nodeId?: string }
+  | { ok: false; error: string };
+
+/**
+ * Must match signaturePayload() in the client
+ */
+function signaturePayload(method: string, path: string, timestamp: string, nonce: string, body: Buffer): string {
+  const bodyHash = createHash('sha256').update(body).digest('hex');
+  return [method.toUpperCase(), path, timestamp, nonce, bodyHash].join('\n');
+}
+
+/**
+ * Compare secrets in constant time (hashing first so lengths always match)
+ */
+function secretsMatch(given: string, expected: string): boolean {
+  const digest = (value: string) => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(given), digest(expected));
+}
+
+function header(req: http.IncomingMessage, name: string): string | undefined {
+  const value = req.headers[name];
+  return typeof value === 'string' && value ? value : undefined;
+}
+
+export function authenticate(store: MasterStore, config: AuthConfig, req: http.IncomingMessage, body: Buffer): AuthResult {
+  const keyId = header(req, 'x-moltbot-key');
+  const signature = header(req, 'x-moltbot-signature');
+
+  if (!keyId && !signature) {
+    if (config.requireSignatures) {
+      return { ok: false, error: 'Signed request required' };
+    }
+    if (config.token) {
+      const auth = header(req, 'authorization') || '';
+      const given = auth.startsWith('Bearer ') ? auth.slice('Bearer '.length) : '';
+      return given && secretsMatch(given, config.token) ? { ok: true } : { ok: false, error: 'Missing or invalid token' };
+    }
+    return config.secret ? { ok: false, error: 'Signed request required' } : { ok: true };
+  }
+
+  const timestamp = header(req, 'x-moltbot-timestamp');
+  const nonce = header(req, 'x-moltbot-nonce');
+  if (!keyId || !signature || !timestamp || !nonce) {
+    return { ok: false, error: 'Incomplete signature headers' };
+  }
+
+  let secret: string | undefined;
+  let nodeId: string | undefined;
+  if (keyId === SHARED_KEY_ID) {
+    secret = config.secret;
+  } else {
+    const deviceKey = store.useDeviceKey(keyId);
+    secret = deviceKey?.secret;
+    nodeId = deviceKey?.nodeId;
+  }
+  if (!secret) {
+    return { ok: false, error: `Unknown or revoked key ${keyId}` };
+  }
+
+  const sentAt = Number(timestamp);
+  if (!Number.isFinite(sentAt) || Math.abs(Date.now() - sentAt) > MAX_CLOCK_SKEW_MS) {
+    return { ok: false, error: 'Request timestamp outside the allowed window (check the clock)' };
+  }
+
+  const expected = createHmac('sha256', secret)
+    .update(signaturePayload(req.method || 'GET', req.url || '/', timestamp, nonce, body))
+    .digest('hex');
+  if (!secretsMatch(signature, expected)) {
+    return { ok: false, error: 'Invalid signature' };
+  }
+
+  // Checked last so a forged request can't burn a real client's nonce
+  if (!store.useNonce(keyId, nonce, sentAt + MAX_CLOCK_SKEW_MS)) {
+    return { ok: false, error: 'Replayed request' };
+  }
+  return { ok: true, keyId, nodeId };
+}
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/**
+ * Moltbot Master (self-hosted)
+ *
+ * Runs the Moltbot Master API on your own machine or server, so VPS
+ * registration, delegated tasks and the context log don't depend on the
+ * hosted worker. Point the trycua and strawberry-context servers at it with
+ * MOLTBOT_MASTER_URL and the same MOLTBOT_MASTER_SECRET. Configuration:
+ *
+ *   MOLTBOT_MASTER_PORT                 port to listen on (default 8787)
+ *   MOLTBOT_MASTER_HOST                 address to bind (default 127.0.0.1)
+ *   MOLTBOT_MASTER_SECRET               shared secret clients sign requests with
+ *   MOLTBOT_MASTER_TOKEN                bearer token accepted from clients that don't sign
+ *   MOLTBOT_MASTER_REQUIRE_SIGNATURES   "true" to refuse unsigned requests
+ *   MOLTBOT_MASTER_DB                   SQLite file (default ~/.strawberry/moltbot-master.db)
+ *   MOLTBOT_MASTER_KEY_FILE             key device secrets are encrypted with (default <db>.key)
+ *   MOLTBOT_MASTER_RETENTION_DAYS       events and finished tasks kept (default 30)
+ *
+ * A secret or token is required unless bound to a loopback address.
+ *
+ *   moltbot-master              run the server
+ *   moltbot-master keys         list device keys
+ *   moltbot-master revoke ID    revoke a device key, or every key of a node
+ */
+
+import { createMasterServer, VERSION } from './api.js';
+import { MasterStore } from './store.js';
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_RETENTION_DAYS = 30;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+
+function manageKeys(command: string, id: string | undefined): void {
+  const store = new MasterStore();
+  try {
+    if (command === 'keys') {
+      for (const key of store.listDeviceKeys()) {
+        const state = key.revokedAt ? `revoked ${key.revokedAt}` : `last used ${key.lastUsedAt || 'never'}`;
+        console.log(`${key.keyId}\t${key.nodeId}\tcreated ${key.createdAt}\t${state}`);
+      }
+    } else {
+      if (!id) throw new Error('Usage: moltbot-master revoke KEY_ID|NODE_ID');
+      console.log(`Revoked ${store.revokeDeviceKeys(id)} key(s)`);
+    }
+  } finally {
+    store.close();
+  }
+}
+
+function serve(): void {
+  const port = parseInt(process.env.MOLTBOT_MASTER_PORT || '', 10) || DEFAULT_PORT;
+  const host = process.env.MOLTBOT_MASTER_HOST || DEFAULT_HOST;
+  const secret = process.env.MOLTBOT_MASTER_SECRET || undefined;
+  const token = process.env.MOLTBOT_MASTER_TOKEN || undefined;
+  const requireSignatures = process.env.MOLTBOT_MASTER_REQUIRE_SIGNATURES === 'true';
+  const retentionDays = parseFloat(process.env.MOLTBOT_MASTER_RETENTION_DAYS || '') || DEFAULT_RETENTION_DAYS;
+
+  if (!secret && !token && !LOOPBACK_HOSTS.includes(host)) {
+    throw new Error(`Refusing to listen on ${host} without MOLTBOT_MASTER_SECRET or MOLTBOT_MASTER_TOKEN`);
+  }
+  if (requireSignatures && !secret) {
+    throw new Error('MOLTBOT_MASTER_REQUIRE_SIGNATURES needs MOLTBOT_MASTER_SECRET so the MacBook can register');
+  }
+
+  const store = new MasterStore();
+  const prune = () => {
+    const pruned = store.prune(retentionDays);
+    if (pruned.events || pruned.tasks) {
+      console.error(`[moltbot-master] Pruned ${pruned.events} event(s) and ${pruned.tasks} task(s)`);
+    }
+  };
+  prune();
+  const pruneTimer = setInterval(prune, PRUNE_INTERVAL_MS);
+
+  const server = createMasterServer(store, { secret, token, requireSignatures });
+  server.listen(port, host, () => {
+    const auth = requireSignatures ? 'signed requests only' : secret || token ? 'authenticated' : 'no authentication - local only';
+    console.error(`[moltbot-master] v${VERSION} listening on http://${host}:${port} (${auth})`);
+  });
+
+  const shutdown = () => {
+    clearInterval(pruneTimer);
+    server.close(() => {
+      store.close();
+      process.exit(0);
+    });
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+try {
+  const [command, id] = process.argv.slice(2);
+  if (command === 'keys' || command === 'revoke') {
+    manageKeys(command, id);
+  } else if (!command || command === 'serve') {
+    serve();
+  } else {
+    throw new Error('Usage: moltbot-master [serve] | keys | revoke KEY_ID|NODE_ID');
+  }
+} catch (error) {
+  console.error(`[moltbot-master] ${error instanceof Error ? error.message : error}`);
+  process.exit(1);
+}
@@ -0,0 +1,616 @@
+/**
+ * Master Store
+ *
+ * SQLite persistence for the self-hosted Moltbot Master: registered nodes
+ * (VPSes and the MacBook), tasks delegated to VPSes, the shared context
+ * event log, responses to writes sent with an idempotency key (so a
+ * retried write is applied once, scoped to the key that signed it), device keys and the nonces of signed
+ * requests already seen. One database file,
+ * ~/.strawberry/moltbot-master.db by default (override with MOLTBOT_MASTER_DB).
+ *
+ * The database and its -wal/-shm files are kept at mode 600, and device key
+ * secrets are encrypted (AES-256-GCM) with a random key kept next to it in
+ * <database>.key (override with MOLTBOT_MASTER_KEY_FILE), so a copy of the
+ * database alone doesn't give away the keys.
+ */
+
+import Database from 'better-sqlite3';
+import { createCipheriv, createDecipheriv, randomBytes, randomUUID } from 'crypto';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+export const DEFAULT_DB_FILE = path.join(os.homedir(), '.strawberry', 'moltbot-master.db');
+const SCHEMA_VERSION = 6;
+// A node that hasn't sent a heartbeat for this long is reported offline
+// (VPSes beat every 30s, the MacBook every 2 minutes)
+const NODE_STALE_MS = 5 * 60 * 1000;
+const DEFAULT_EVENT_LIMIT = 200;
+// Clients retry for minutes, not days
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+
+export type NodeKind = 'vps' | 'macbook';
+export type NodeStatus = 'online' | 'busy' | 'offline';
+export type TaskStatus = 'pending' | 'assigned' | 'in_progress' | 'completed' | 'failed' | 'cancelled';
+
+export const NODE_STATUSES: NodeStatus[] = ['online', 'busy', 'offline'];
+export const TASK_UPDATE_STATUSES: TaskStatus[] = ['in_progress', 'completed', 'failed', 'cancelled'];
+export const EVENT_TYPES = ['message', 'task_complete', 'vps_action', 'error', 'status_change'] as const;
+export const EVENT_SOURCES = ['telegram', 'imessage', 'vps', 'master', 'macbook'] as const;
+
+export interface MasterNode {
+  id: string;
+  kind: NodeKind;
+  name: string;
+  endpoint?: string;
+  capabilities: string[];
+  status: NodeStatus;
+  currentTask?: string;
+  version?: string;
+  /** Node whose device key registered this one (the MacBook, for its VMs) */
+  registeredBy?: string;
+  registeredAt: string;
+  lastSeen: string;
+}
+
+export interface DelegatedTask {
+  id: string;
+  task: string;
+  priority: string;
+  from: string;
+  timestamp: string;
+  vpsId?: string;
+  status: TaskStatus;
+  updatedAt: string;
+  exitCode?: number | null;
+  output?: string;
+  durationMs?: number;
+  error?: string;
+}
+
+export interface DeviceKeyInfo {
+  keyId: string;
+  nodeId: string;
+  createdAt: string;
+  lastUsedAt?: string;
+  revokedAt?: string;
+}
+
+export interface ContextEvent {
+  id: string;
+  type: (typeof EVENT_TYPES)[number];
+  source: (typeof EVENT_SOURCES)[number];
+  summary: string;
+  details?: unknown;
+  timestamp: string;
+}
+
+interface NodeRow {
+  id: string;
+  kind: NodeKind;
+  name: string;
+  endpoint: string | null;
+  capabilities: string;
+  status: NodeStatus;
+  current_task: string | null;
+  version: string | null;
+  registered_by: string | null;
+  registered_at: string;
+  last_seen: string;
+}
+
+interface TaskRow {
+  id: string;
+  task: string;
+  priority: string;
+  source: string;
+  vps_id: string | null;
+  status: TaskStatus;
+  created_at: string;
+  updated_at: string;
+  exit_code: number | null;
+  output: string | null;
+  duration_ms: number | null;
+  error: string | null;
+}
+
+interface EventRow {
+  id: string;
+  type: ContextEvent['type'];
+  source: ContextEvent['source'];
+  summary: string;
+  details: string | null;
+  timestamp: string;
+}
+
+/**
+ * AES-256-GCM ciphertext, base64 encoded, stored as JSON
+ */
+interface SealedSecret {
+  iv: string;
+  tag: string;
+  data: string;
+}
+
+/**
+ * Read the key device secrets are encrypted with, creating it on first use
+ */
+function loadSecretKey(keyFile: string): Buffer {
+  try {
+    fs.writeFileSync(keyFile, randomBytes(32).toString('base64'), { flag: 'wx', mode: 0o600 });
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code !== 'EEXIST') throw error;
+  }
+  fs.chmodSync(keyFile, 0o600);
+  return Buffer.from(fs.readFileSync(keyFile, 'utf8').trim(), 'base64');
+}
+
+export class MasterStore {
+  private db: Database.Database;
+  private secretKey: Buffer;
+
+  constructor(
+    filePath: string = process.env.MOLTBOT_MASTER_DB || DEFAULT_DB_FILE,
+    keyFile: string = process.env.MOLTBOT_MASTER_KEY_FILE || `${filePath}.key`
+  ) {
+    if (filePath === ':memory:') {
+      this.secretKey = randomBytes(32);
+    } else {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+      // Create the file private before SQLite opens it; -wal and -shm copy its mode
+      fs.closeSync(fs.openSync(filePath, 'a', 0o600));
+      this.secretKey = loadSecretKey(keyFile);
+    }
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.restrictFiles();
+    this.migrate();
+  }
+
+  /**
+   * Set the database files to mode 600 on every open, not just when created:
+   * they hold device keys, and an older version left them world-readable
+   */
+  private restrictFiles(): void {
+    if (this.db.memory) return;
+    for (const file of [this.db.name, `${this.db.name}-wal`, `${this.db.name}-shm`]) {
+      try {
+        fs.chmodSync(file, 0o600);
+      } catch (error) {
+        if ((error as NodeJS.ErrnoException).code !== 'ENOENT') throw error;
+      }
+    }
+  }
+
+  private migrate(): void {
+    const version = this.db.pragma('user_version', { simple: true }) as number;
+    if (version >= SCHEMA_VERSION) return;
+
+    if (version < 1) this.db.exec(`
+      CREATE TABLE IF NOT EXISTS nodes (
+        id TEXT PRIMARY KEY,
+        kind TEXT NOT NULL,
+        name TEXT NOT NULL,
+        endpoint TEXT,
+        capabilities TEXT NOT NULL DEFAULT '[]',
+        status TEXT NOT NULL,
+        current_task TEXT,
+        version TEXT,
+        registered_at TEXT NOT NULL,
+        last_seen TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS tasks (
+        id TEXT PRIMARY KEY,
+        task TEXT NOT NULL,
+        priority TEXT NOT NULL,
+        source TEXT NOT NULL,
+        vps_id TEXT,
+        status TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        exit_code INTEGER,
+        output TEXT,
+        duration_ms INTEGER,
+        error TEXT
+      );
+      CREATE INDEX IF NOT EXISTS tasks_by_vps ON tasks (vps_id, status);
+      CREATE TABLE IF NOT EXISTS events (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        source TEXT NOT NULL,
+        summary TEXT NOT NULL,
+        details TEXT,
+        timestamp TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS events_by_time ON events (timestamp);
+    `);
+    if (version < 2) this.db.exec(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        key TEXT PRIMARY KEY,
+        route TEXT NOT NULL,
+        status INTEGER NOT NULL,
+        response TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+    `);
+    if (version < 3) this.db.exec(`
+      CREATE TABLE IF NOT EXISTS device_keys (
+        key_id TEXT PRIMARY KEY,
+        node_id TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        last_used_at TEXT,
+        revoked_at TEXT
+      );
+      CREATE TABLE IF NOT EXISTS nonces (
+        key_id TEXT NOT NULL,
+        nonce TEXT NOT NULL,
+        expires_at INTEGER NOT NULL,
+        PRIMARY KEY (key_id, nonce)
+      );
+    `);
+    // Stored responses are scoped to the key that signed the write, so one
+    // client can't read another's response by reusing its idempotency key
+    if (version < 4) this.db.exec(`
+      DROP TABLE IF EXISTS idempotency_keys;
+      CREATE TABLE idempotency_keys (
+        scope TEXT NOT NULL,
+        key TEXT NOT NULL,
+        route TEXT NOT NULL,
+        status INTEGER NOT NULL,
+        response TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (scope, key, route)
+      );
+    `);
+    if (version < 5) this.db.exec(`
+      ALTER TABLE nodes ADD COLUMN registered_by TEXT;
+    `);
+    if (version < 6) {
+      // Encrypt device secrets stored in plaintext by earlier versions
+      const rows = this.db.prepare('SELECT key_id, secret FROM device_keys').all() as Array<{ key_id: string; secret: string }>;
+      const update = this.db.prepare('UPDATE device_keys SET secret = ? WHERE key_id = ?');
+      for (const row of rows) {
+        update.run(this.seal(row.secret), row.key_id);
+      }
+    }
+    this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+  }
+
+  private seal(secret: string): string {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', this.secretKey, iv);
+    const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    const sealed: SealedSecret = {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    };
+    return JSON.stringify(sealed);
+  }
+
+  private unseal(stored: string): string {
+    const sealed = JSON.parse(stored) as SealedSecret;
+    const decipher = createDecipheriv('aes-256-gcm', this.secretKey, Buffer.from(sealed.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  close(): void {
+    this.db.close();
+  }
+
+  /**
+   * Register a node, or refresh the details of one already registered
+   */
+  registerNode(node: {
+    id: string;
+    kind: NodeKind;
+    name: string;
+    endpoint?: string;
+    capabilities: string[];
+    version?: string;
+    registeredBy?: string;
+  }): MasterNode {
+    const now = new Date().toISOString();
+    this.db.prepare(`
+      INSERT INTO nodes (id, kind, name, endpoint, capabilities, status, version, registered_by, registered_at, last_seen)
+      VALUES (@id, @kind, @name, @endpoint, @capabilities, 'online', @version, @registeredBy, @now, @now)
+      ON CONFLICT (id) DO UPDATE SET
+        kind = excluded.kind, name = excluded.name, endpoint = excluded.endpoint,
+        capabilities = excluded.capabilities, status = 'online', version = excluded.version,
+        registered_by = COALESCE(nodes.registered_by, excluded.registered_by), last_seen = excluded.last_seen
+    `).run({
+      id: node.id,
+      kind: node.kind,
+      name: node.name,
+      endpoint: node.endpoint ?? null,
+      capabilities: JSON.stringify(node.capabilities),
+      version: node.version ?? null,
+      registeredBy: node.registeredBy ?? null,
+      now,
+    });
+    return this.getNode(node.id)!;
+  }
+
+  /**
+   * Record a heartbeat. Returns false for a node that never registered.
+   */
+  heartbeat(id: string, status: NodeStatus = 'online', currentTask?: string): boolean {
+    const result = this.db.prepare(`
+      UPDATE nodes SET status = ?, current_task = ?, last_seen = ? WHERE id = ?
+    `).run(status, currentTask ?? null, new Date().toISOString(), id);
+    return result.changes > 0;
+  }
+
+  getNode(id: string): MasterNode | undefined {
+    const row = this.db.prepare('SELECT * FROM nodes WHERE id = ?').get(id) as NodeRow | undefined;
+    return row && this.toNode(row);
+  }
+
+  listNodes(kind?: NodeKind): MasterNode[] {
+    const rows = (kind
+      ? this.db.prepare('SELECT * FROM nodes WHERE kind = ? ORDER BY registered_at').all(kind)
+      : this.db.prepare('SELECT * FROM nodes ORDER BY registered_at').all()) as NodeRow[];
+    return rows.map((row) => this.toNode(row));
+  }
+
+  /**
+   * Delegate a task to a VPS, or to whichever VPS asks first when vpsId is unset
+   */
+  createTask(input: { task: string; vpsId?: string; priority?: string; from?: string }): DelegatedTask {
+    const now = new Date().toISOString();
+    const id = randomUUID();
+    this.db.prepare(`
+      INSERT INTO tasks (id, task, priority, source, vps_id, status, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)
+    `).run(id, input.task, input.priority || 'normal', input.from || 'master', input.vpsId ?? null, now, now);
+    return this.getTask(id)!;
+  }
+
+  getTask(id: string): DelegatedTask | undefined {
+    const row = this.db.prepare('SELECT * FROM tasks WHERE id = ?').get(id) as TaskRow | undefined;
+    return row && this.toTask(row);
+  }
+
+  /**
+   * Pending tasks for a VPS, including unassigned ones, which are handed to
+   * it. Every task returned is marked assigned so it is only handed out once.
+   */
+  takeTasks(vpsId: string): DelegatedTask[] {
+    return this.db.transaction(() => {
+      const rows = this.db.prepare(`
+        SELECT * FROM tasks WHERE status = 'pending' AND (vps_id = ? OR vps_id IS NULL) ORDER BY created_at
+      `).all(vpsId) as TaskRow[];
+      const assign = this.db.prepare(`
+        UPDATE tasks SET status = 'assigned', vps_id = ?, updated_at = ? WHERE id = ?
+      `);
+      const now = new Date().toISOString();
+      for (const row of rows) {
+        assign.run(vpsId, now, row.id);
+      }
+      return rows.map((row) => this.toTask({ ...row, vps_id: vpsId, status: 'assigned', updated_at: now }));
+    })();
+  }
+
+  /**
+   * Record progress reported by a VPS. Finishing a task also adds a context event.
+   */
+  updateTask(update: {
+    taskId: string;
+    vpsId?: string;
+    status: TaskStatus;
+    exitCode?: number | null;
+    output?: string;
+    durationMs?: number;
+    error?: string;
+  }): DelegatedTask | undefined {
+    const existing = this.getTask(update.taskId);
+    if (!existing) return undefined;
+
+    this.db.prepare(`
+      UPDATE tasks SET status = ?, vps_id = COALESCE(?, vps_id), exit_code = ?, output = ?,
+        duration_ms = ?, error = ?, updated_at = ?
+      WHERE id = ?
+    `).run(
+      update.status,
+      update.vpsId ?? null,
+      update.exitCode ?? null,
+      update.output ?? null,
+      update.durationMs ?? null,
+      update.error ?? null,
+      new Date().toISOString(),
+      update.taskId
+    );
+
+    const task = this.getTask(update.taskId)!;
+    if (update.status !== existing.status && (update.status === 'completed' || update.status === 'failed')) {
+      this.addEvent({
+        type: update.status === 'completed' ? 'task_complete' : 'error',
+        source: 'vps',
+        summary: `Task ${update.status} on ${task.vpsId || 'unknown VPS'}: ${task.task.slice(0, 120)}`,
+        details: { taskId: task.id, vpsId: task.vpsId, exitCode: task.exitCode, error: task.error },
+      });
+    }
+    return task;
+  }
+
+  /**
+   * Tasks not yet finished
+   */
+  openTasks(): DelegatedTask[] {
+    const rows = this.db.prepare(`
+      SELECT * FROM tasks WHERE status IN ('pending', 'assigned', 'in_progress') ORDER BY created_at
+    `).all() as TaskRow[];
+    return rows.map((row) => this.toTask(row));
+  }
+
+  addEvent(input: Omit<ContextEvent, 'id' | 'timestamp'>): ContextEvent {
+    const event: ContextEvent = { id: randomUUID(), timestamp: new Date().toISOString(), ...input };
+    this.db.prepare(`
+      INSERT INTO events (id, type, source, summary, details, timestamp) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      event.id,
+      event.type,
+      event.source,
+      event.summary,
+      event.details === undefined ? null : JSON.stringify(event.details),
+      event.timestamp
+    );
+    return event;
+  }
+
+  /**
+   * Events after a time, newest first
+   */
+  eventsSince(since: string, limit: number = DEFAULT_EVENT_LIMIT): ContextEvent[] {
+    const rows = this.db.prepare(`
+      SELECT * FROM events WHERE timestamp > ? ORDER BY timestamp DESC LIMIT ?
+    `).all(since, limit) as EventRow[];
+    return rows.map((row) => ({
+      id: row.id,
+      type: row.type,
+      source: row.source,
+      summary: row.summary,
+      details: row.details === null ? undefined : JSON.parse(row.details),
+      timestamp: row.timestamp,
+    }));
+  }
+
+  /**
+   * The stored response to a write already made with this key and route by
+   * the same signing key (scope; empty for unsigned requests)
+   */
+  getIdempotentResponse(scope: string, key: string, route: string): { status: number; body: unknown } | undefined {
+    const row = this.db.prepare(`
+      SELECT status, response FROM idempotency_keys WHERE scope = ? AND key = ? AND route = ? AND created_at > ?
+    `).get(scope, key, route, new Date(Date.now() - IDEMPOTENCY_TTL_MS).toISOString()) as
+      { status: number; response: string } | undefined;
+    return row && { status: row.status, body: JSON.parse(row.response) };
+  }
+
+  saveIdempotentResponse(scope: string, key: string, route: string, status: number, body: unknown): void {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO idempotency_keys (scope, key, route, status, response, created_at) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(scope, key, route, status, JSON.stringify(body), new Date().toISOString());
+  }
+
+  /**
+   * Issue a signing key to a node, revoking the keys it had before
+   */
+  issueDeviceKey(nodeId: string): { keyId: string; secret: string } {
+    const now = new Date().toISOString();
+    const key = { keyId: `dk_${randomBytes(9).toString('hex')}`, secret: randomBytes(32).toString('hex') };
+    this.db.transaction(() => {
+      this.db.prepare('UPDATE device_keys SET revoked_at = ? WHERE node_id = ? AND revoked_at IS NULL').run(now, nodeId);
+      this.db.prepare(`
+        INSERT INTO device_keys (key_id, node_id, secret, created_at) VALUES (?, ?, ?, ?)
+      `).run(key.keyId, nodeId, this.seal(key.secret), now);
+    })();
+    return key;
+  }
+
+  /**
+   * Secret of a key that hasn't been revoked, noting that it was used
+   */
+  useDeviceKey(keyId: string): { nodeId: string; secret: string } | undefined {
+    const row = this.db.prepare(`
+      SELECT node_id, secret FROM device_keys WHERE key_id = ? AND revoked_at IS NULL
+    `).get(keyId) as { node_id: string; secret: string } | undefined;
+    if (!row) return undefined;
+
+    let secret: string;
+    try {
+      secret = this.unseal(row.secret);
+    } catch (error) {
+      console.error(`[moltbot-master] Cannot decrypt device key ${keyId} - wrong or missing key file?`, error);
+      return undefined;
+    }
+    this.db.prepare('UPDATE device_keys SET last_used_at = ? WHERE key_id = ?').run(new Date().toISOString(), keyId);
+    return { nodeId: row.node_id, secret };
+  }
+
+  listDeviceKeys(): DeviceKeyInfo[] {
+    const rows = this.db.prepare(`
+      SELECT key_id, node_id, created_at, last_used_at, revoked_at FROM device_keys ORDER BY created_at
+    `).all() as Array<{ key_id: string; node_id: string; created_at: string; last_used_at: string | null; revoked_at: string | null }>;
+    return rows.map((row) => ({
+      keyId: row.key_id,
+      nodeId: row.node_id,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at ?? undefined,
+      revokedAt: row.revoked_at ?? undefined,
+    }));
+  }
+
+  /**
+   * Revoke one key by id, or every key of a node. Returns how many were revoked.
+   */
+  revokeDeviceKeys(keyOrNodeId: string): number {
+    return this.db.prepare(`
+      UPDATE device_keys SET revoked_at = ? WHERE (key_id = ? OR node_id = ?) AND revoked_at IS NULL
+    `).run(new Date().toISOString(), keyOrNodeId, keyOrNodeId).changes;
+  }
+
+  /**
+   * Remember a request nonce until it expires. Returns false if it was already used.
+   */
+  useNonce(keyId: string, nonce: string, expiresAt: number): boolean {
+    const result = this.db.prepare(`
+      INSERT OR IGNORE INTO nonces (key_id, nonce, expires_at) VALUES (?, ?, ?)
+    `).run(keyId, nonce, expiresAt);
+    return result.changes > 0;
+  }
+
+  /**
+   * Drop events and finished tasks older than a number of days, and
+   * expired idempotency keys and nonces
+   */
+  prune(retentionDays: number): { events: number; tasks: number } {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const events = this.db.prepare('DELETE FROM events WHERE timestamp < ?').run(cutoff).changes;
+    const tasks = this.db.prepare(`
+      DELETE FROM tasks WHERE status IN ('completed', 'failed', 'cancelled') AND updated_at < ?
+    `).run(cutoff).changes;
+    this.db.prepare('DELETE FROM idempotency_keys WHERE created_at < ?')
+      .run(new Date(Date.now() - IDEMPOTENCY_TTL_MS).toISOString());
+    this.db.prepare('DELETE FROM nonces WHERE expires_at < ?').run(Date.now());
+    return { events, tasks };
+  }
+
+  private toNode(row: NodeRow): MasterNode {
+    const stale = Date.now() - Date.parse(row.last_seen) > NODE_STALE_MS;
+    return {
+      id: row.id,
+      kind: row.kind,
+      name: row.name,
+      endpoint: row.endpoint ?? undefined,
+      capabilities: JSON.parse(row.capabilities) as string[],
+      status: stale ? 'offline' : row.status,
+      currentTask: row.current_task ?? undefined,
+      version: row.version ?? undefined,
+      registeredBy: row.registered_by ?? undefined,
+      registeredAt: row.registered_at,
+      lastSeen: row.last_seen,
+    };
+  }
+
+  private toTask(row: TaskRow): DelegatedTask {
+    return {
+      id: row.id,
+      task: row.task,
+      priority: row.priority,
+      from: row.source,
+      timestamp: row.created_at,
+      vpsId: row.vps_id ?? undefined,
+      status: row.status,
+      updatedAt: row.updated_at,
+      exitCode: row.exit_code,
+      output: row.output ?? undefined,
+      durationMs: row.duration_ms ?? undefined,
+      error: row.error ?? undefined,
+    };
+  }
+}
+
+export default MasterStore;
@@ -0,0 +1,317 @@
+/**
+ * Action Policy
+ *
+ * Guardrails evaluated before a computer action runs: denied key combos,
+ * forbidden screen regions, typed-text patterns (secrets) and rate limits.
+ * Configured in ~/.strawberry/policy.json (override with STRAWBERRY_POLICY_FILE):
+ *
+ *   {
+ *     "deniedKeyCombos": ["cmd+q", "ctrl+alt+delete"],
+ *     "forbiddenRegions": [{ "name": "menu bar", "x": 0, "y": 0, "width": 1920, "height": 30, "targets": ["local"] }],
+ *     "deniedTextPatterns": [{ "name": "AWS key", "pattern": "AKIA[0-9A-Z]{16}" }],
+ *     "rateLimit": { "maxActions": 120, "windowSeconds": 60 },
+ *     "approvalRules": [{ "name": "password field", "kinds": ["type"], "windowPattern": "password|sign in" }]
+ *   }
+ *
+ * Fields that are left out keep their defaults. Set "enabled": false to turn
+ * the policy off. Denials are recorded in the event store and appended to
+ * /tmp/bat-mcp-events.jsonl.
+ *
+ * Actions matching an approval rule are allowed only after a human approves
+ * them (see approval-queue.ts).
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { appendLegacyEvent, EventStore } from './event-store.js';
+
+const DEFAULT_POLICY_FILE = path.join(os.homedir(), '.strawberry', 'policy.json');
+
+export type PolicyTarget = 'local' | 'vm';
+export type PolicyRule = 'key_combo' | 'region' | 'text_pattern' | 'rate_limit';
+
+export interface ForbiddenRegion {
+  name?: string;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  /** Where the region applies (default: everywhere) */
+  targets?: PolicyTarget[];
+}
+
+export interface TextPattern {
+  name?: string;
+  pattern: string;
+  /** RegExp flags (default: "i") */
+  flags?: string;
+}
+
+/**
+ * Actions that need a human's approval. Every field that is set must match.
+ */
+export interface ApprovalRule {
+  name: string;
+  kinds?: PolicyAction['kind'][];
+  /** Key combos, e.g. ["enter"] */
+  keys?: string[];
+  targets?: PolicyTarget[];
+  /** Case-insensitive RegExp matched against the focused window's title */
+  windowPattern?: string;
+}
+
+export interface ActionPolicyConfig {
+  enabled?: boolean;
+  deniedKeyCombos?: string[];
+  forbiddenRegions?: ForbiddenRegion[];
+  deniedTextPatterns?: Array<TextPattern | string>;
+  rateLimit?: { maxActions: number; windowSeconds: number };
+  approvalRules?: ApprovalRule[];
+}
+
+/**
+ * A computer action reduced to what the policy cares about
+ */
+export interface PolicyAction {
+  kind: 'click' | 'move' | 'drag' | 'type' | 'key' | 'scroll' | 'screenshot' | 'command';
+  /** Screen coordinates touched by the action */
+  points?: Array<[number, number]>;
+  /** Typed text, or the shell command for "command" */
+  text?: string;
+  /** Key combo, e.g. "ctrl+alt+delete" */
+  keys?: string;
+}
+
+export interface PolicyContext {
+  target: PolicyTarget;
+  vmId?: string;
+}
+
+export type PolicyDecision =
+  | { allowed: true }
+  | { allowed: false; rule: PolicyRule; reason: string };
+
+const DEFAULT_POLICY: Required<ActionPolicyConfig> = {
+  enabled: true,
+  deniedKeyCombos: [
+    'cmd+q',
+    'cmd+alt+escape',
+    'ctrl+alt+delete',
+    'ctrl+alt+backspace',
+  ],
+  forbiddenRegions: [],
+  deniedTextPatterns: [
+    { name: 'AWS access key', pattern: 'AKIA[0-9A-Z]{16}', flags: '' },
+    { name: 'Anthropic API key', pattern: 'sk-ant-[A-Za-z0-9_-]{20,}', flags: '' },
+    { name: 'OpenAI API key', pattern: 'sk-(proj-)?[A-Za-z0-9]{32,}', flags: '' },
+    { name: 'GitHub token', pattern: 'gh[pousr]_[A-Za-z0-9]{36,}', flags: '' },
+    { name: 'private key', pattern: '-----BEGIN [A-Z ]*PRIVATE KEY-----', flags: '' },
+  ],
+  rateLimit: { maxActions: 300, windowSeconds: 60 },
+  approvalRules: [
+    { name: 'password field', kinds: ['type'], windowPattern: 'password|passphrase|sign ?in|log ?in|authenticat|sudo' },
+    { name: 'Return in terminal', keys: ['enter'], targets: ['vm'], windowPattern: 'terminal|xterm|konsole|tilix|alacritty|kitty|bash|zsh|\\w@[\\w.-]+:' },
+  ],
+};
+
+// Aliases so "command+option+esc" and "cmd+alt+escape" match the same rule
+const KEY_ALIASES: Record<string, string> = {
+  command: 'cmd', super: 'cmd', meta: 'cmd', win: 'cmd',
+  control: 'ctrl',
+  option: 'alt',
+  esc: 'escape',
+  del: 'delete',
+  return: 'enter',
+};
+
+/**
+ * Normalize a key combo into a canonical, order-independent form
+ */
+export function normalizeKeyCombo(combo: string): string {
+  return combo
+    .toLowerCase()
+    .split('+')
+    .map((key) => key.trim())
+    .filter(Boolean)
+    .map((key) => KEY_ALIASES[key] || key)
+    .sort()
+    .join('+');
+}
+
+/**
+ * Thrown when an action is blocked by the policy
+ */
+export class PolicyViolationError extends Error {
+  readonly code = 'BLOCKED_BY_POLICY';
+  readonly rule: PolicyRule;
+  readonly reason: string;
+
+  constructor(rule: PolicyRule, reason: string) {
+    super(`Blocked by policy (${rule}): ${reason}`);
+    this.name = 'PolicyViolationError';
+    this.rule = rule;
+    this.reason = reason;
+  }
+}
+
+export class ActionPolicy {
+  private filePath: string;
+  private config: Required<ActionPolicyConfig> = DEFAULT_POLICY;
+  private loadedMtime = -1;
+  // Recent action timestamps per target (vm ID or "local") for rate limiting
+  private history: Map<string, number[]> = new Map();
+
+  constructor(filePath: string = process.env.STRAWBERRY_POLICY_FILE || DEFAULT_POLICY_FILE) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Re-read the policy file when it changes
+   */
+  private load(): Required<ActionPolicyConfig> {
+    let mtime = 0;
+    try {
+      mtime = fs.statSync(this.filePath).mtimeMs;
+    } catch {
+      // No policy file - use defaults
+    }
+
+    if (mtime !== this.loadedMtime) {
+      this.loadedMtime = mtime;
+      this.config = DEFAULT_POLICY;
+      if (mtime) {
+        try {
+          const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8')) as ActionPolicyConfig;
+          this.config = { ...DEFAULT_POLICY, ...data };
+        } catch (error) {
+          console.error(`[ActionPolicy] Invalid policy file ${this.filePath}, using defaults:`, error);
+        }
+      }
+    }
+
+    return this.config;
+  }
+
+  /**
+   * Decide whether an action may run. Allowed actions count toward the rate limit.
+   */
+  evaluate(action: PolicyAction, context: PolicyContext): PolicyDecision {
+    const policy = this.load();
+    if (!policy.enabled) {
+      return { allowed: true };
+    }
+
+    if (action.keys) {
+      const combo = normalizeKeyCombo(action.keys);
+      if (policy.deniedKeyCombos.some((denied) => normalizeKeyCombo(denied) === combo)) {
+        return { allowed: false, rule: 'key_combo', reason: `Key combo "${action.keys}" is denied` };
+      }
+    }
+
+    for (const [x, y] of action.points || []) {
+      const region = policy.forbiddenRegions.find((r) =>
+        (!r.targets || r.targets.includes(context.target)) &&
+        x >= r.x && x < r.x + r.width && y >= r.y && y < r.y + r.height
+      );
+      if (region) {
+        return { allowed: false, rule: 'region', reason: `(${x}, ${y}) is inside forbidden region "${region.name || `${region.x},${region.y} ${region.width}x${region.height}`}"` };
+      }
+    }
+
+    if (action.text) {
+      for (const entry of policy.deniedTextPatterns) {
+        const pattern: TextPattern = typeof entry === 'string' ? { pattern: entry } : entry;
+        try {
+          if (new RegExp(pattern.pattern, pattern.flags ?? 'i').test(action.text)) {
+            // Never echo the text itself - it may be the secret
+            return { allowed: false, rule: 'text_pattern', reason: `Typed text matches denied pattern "${pattern.name || pattern.pattern}"` };
+          }
+        } catch {
+          console.error(`[ActionPolicy] Invalid text pattern: ${pattern.pattern}`);
+        }
+      }
+    }
+
+    if (policy.rateLimit) {
+      const key = context.vmId || context.target;
+      const now = Date.now();
+      const windowMs = policy.rateLimit.windowSeconds * 1000;
+      const recent = (this.history.get(key) || []).filter((t) => now - t < windowMs);
+      if (recent.length >= policy.rateLimit.maxActions) {
+        this.history.set(key, recent);
+        return { allowed: false, rule: 'rate_limit', reason: `More than ${policy.rateLimit.maxActions} actions in ${policy.rateLimit.windowSeconds}s` };
+      }
+      recent.push(now);
+      this.history.set(key, recent);
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Evaluate an action and throw PolicyViolationError if it is denied
+   */
+  enforce(action: PolicyAction, context: PolicyContext): void {
+    const decision = this.evaluate(action, context);
+    if (decision.allowed) return;
+
+    this.logDenial(action, context, decision.rule, decision.reason);
+    throw new PolicyViolationError(decision.rule, decision.reason);
+  }
+
+  /**
+   * The approval rule an action falls under, if any. The focused window's
+   * title is only looked up when a rule depends on it.
+   */
+  async approvalRule(
+    action: PolicyAction,
+    context: PolicyContext,
+    getWindowTitle: () => Promise<string | undefined>
+  ): Promise<ApprovalRule | undefined> {
+    const policy = this.load();
+    if (!policy.enabled) return undefined;
+
+    const combo = action.keys ? normalizeKeyCombo(action.keys) : undefined;
+    const candidates = policy.approvalRules.filter((rule) =>
+      (!rule.kinds || rule.kinds.includes(action.kind)) &&
+      (!rule.keys || (combo !== undefined && rule.keys.some((keys) => normalizeKeyCombo(keys) === combo))) &&
+      (!rule.targets || rule.targets.includes(context.target))
+    );
+    if (candidates.length === 0) return undefined;
+
+    let windowTitle: string | undefined;
+    if (candidates.some((rule) => rule.windowPattern)) {
+      windowTitle = await getWindowTitle().catch(() => undefined);
+    }
+
+    return candidates.find((rule) => {
+      if (!rule.windowPattern) return true;
+      try {
+        return windowTitle !== undefined && new RegExp(rule.windowPattern, 'i').test(windowTitle);
+      } catch {
+        console.error(`[ActionPolicy] Invalid window pattern: ${rule.windowPattern}`);
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Record the denial in the event store and the sidebar's events file
+   */
+  private logDenial(action: PolicyAction, context: PolicyContext, rule: PolicyRule, reason: string): void {
+    console.error(`[ActionPolicy] Denied ${action.kind} on ${context.vmId || context.target}: ${reason}`);
+    const event = {
+      type: 'policy_denied',
+      target: context.target,
+      vm_id: context.vmId,
+      action: action.kind,
+      rule,
+      reason,
+    };
+    new EventStore(context.target === 'vm' ? 'trycua' : 'local-computer-use').append(event);
+    appendLegacyEvent(event);
+  }
+}
+
+export default ActionPolicy;
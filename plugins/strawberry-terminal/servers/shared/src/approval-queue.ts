@@ -0,0 +1,335 @@
+/**
+ * Approval Queue
+ *
+ * Pauses risky actions until a human answers from the Strawberry TUI.
+ * Each request is written to ~/.strawberry/approvals/<id>.json (override
+ * with STRAWBERRY_APPROVALS_DIR) and POSTed to http://localhost:7890/approval.
+ * The TUI answers either by writing <id>.response.json next to the request
+ * or in the HTTP response body:
+ *
+ *   { "approved": true, "approver": "me", "reason": "expected login" }
+ *
+ * Whoever can write to the directory can approve, so it is created with mode
+ * 700 and not used unless it is a real directory owned by the current user;
+ * response files must be regular files owned by the current user too. HTTP is
+ * open to any local process, so the request carries X-Strawberry-Signature,
+ * the hex HMAC-SHA256 of the body with the key in <dir>/approval.key, and an
+ * answer in the response body counts only with "signature" set to the HMAC of
+ * "<id>:<approved>" with the same key.
+ *
+ * Unanswered requests are denied after STRAWBERRY_APPROVAL_TIMEOUT_SECONDS
+ * (default 120). Every decision is appended to ~/.strawberry/approvals.jsonl
+ * (override with STRAWBERRY_APPROVAL_AUDIT_FILE).
+ */
+
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { appendLegacyEvent, EventSource, EventStore } from './event-store.js';
+
+const DEFAULT_APPROVALS_DIR = path.join(os.homedir(), '.strawberry', 'approvals');
+const KEY_FILE = 'approval.key';
+const DEFAULT_AUDIT_FILE = path.join(os.homedir(), '.strawberry', 'approvals.jsonl');
+const DEFAULT_TIMEOUT_SECONDS = 120;
+const TUI_APPROVAL_URL = 'http://localhost:7890/approval';
+const POLL_INTERVAL_MS = 500;
+
+export interface ApprovalInput {
+  /** Server asking, e.g. "trycua" */
+  source: EventSource;
+  /** Human-readable description of what will happen */
+  action: string;
+  /** Rule that triggered the approval */
+  rule: string;
+  target: 'local' | 'vm' | 'tool';
+  vmId?: string;
+  /** Extra context shown in the TUI (never secrets) */
+  details?: Record<string, unknown>;
+}
+
+export interface ApprovalRecord extends ApprovalInput {
+  id: string;
+  status: 'pending' | 'approved' | 'denied' | 'expired';
+  requestedAt: string;
+  expiresAt: string;
+}
+
+export interface ApprovalDecision {
+  approved: boolean;
+  approver?: string;
+  reason?: string;
+  /** How the answer arrived */
+  via: 'http' | 'file' | 'timeout';
+}
+
+/**
+ * Thrown when an action is denied or its approval times out
+ */
+export class ApprovalDeniedError extends Error {
+  readonly code = 'APPROVAL_DENIED';
+  readonly approvalId: string;
+  readonly rule: string;
+  readonly approver?: string;
+  readonly reason: string;
+
+  constructor(record: ApprovalRecord, decision: ApprovalDecision) {
+    const reason = decision.via === 'timeout'
+      ? 'No answer before the approval timed out'
+      : decision.reason || `Denied by ${decision.approver || 'user'}`;
+    super(`Approval denied (${record.rule}): ${reason}`);
+    this.name = 'ApprovalDeniedError';
+    this.approvalId = record.id;
+    this.rule = record.rule;
+    this.approver = decision.approver;
+    this.reason = reason;
+  }
+}
+
+/**
+ * True on platforms without uids (Windows)
+ */
+function ownedByCurrentUser(stats: fs.Stats): boolean {
+  const uid = process.getuid?.();
+  return uid === undefined || stats.uid === uid;
+}
+
+export class ApprovalQueue {
+  private dir: string;
+  private auditFile: string;
+  private timeoutMs: number;
+
+  constructor(
+    dir: string = process.env.STRAWBERRY_APPROVALS_DIR || DEFAULT_APPROVALS_DIR,
+    auditFile: string = process.env.STRAWBERRY_APPROVAL_AUDIT_FILE || DEFAULT_AUDIT_FILE
+  ) {
+    this.dir = dir;
+    this.auditFile = auditFile;
+    const seconds = parseFloat(process.env.STRAWBERRY_APPROVAL_TIMEOUT_SECONDS || '');
+    this.timeoutMs = (seconds > 0 ? seconds : DEFAULT_TIMEOUT_SECONDS) * 1000;
+  }
+
+  /**
+   * Wait for a human to approve an action. Resolves when approved, throws
+   * ApprovalDeniedError when denied or timed out.
+   */
+  async request(input: ApprovalInput): Promise<ApprovalDecision> {
+    const now = Date.now();
+    const record: ApprovalRecord = {
+      ...input,
+      id: `${new Date(now).toISOString().slice(0, 10)}-${randomUUID().slice(0, 8)}`,
+      status: 'pending',
+      requestedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.timeoutMs).toISOString(),
+    };
+
+    this.ensureDir();
+    fs.writeFileSync(this.requestPath(record.id), JSON.stringify(record, null, 2), { mode: 0o600 });
+    this.writeEvent('approval_requested', record);
+    console.error(`[ApprovalQueue] Waiting for approval ${record.id}: ${record.action}`);
+
+    const decision = await this.waitForDecision(record);
+
+    record.status = decision.approved ? 'approved' : decision.via === 'timeout' ? 'expired' : 'denied';
+    this.audit(record, decision);
+    this.writeEvent('approval_resolved', record, decision);
+    for (const file of [this.requestPath(record.id), this.responsePath(record.id)]) {
+      try {
+        fs.unlinkSync(file);
+      } catch {
+        // Already gone
+      }
+    }
+
+    if (!decision.approved) {
+      throw new ApprovalDeniedError(record, decision);
+    }
+    return decision;
+  }
+
+  /**
+   * Requests still waiting for an answer
+   */
+  listPending(): ApprovalRecord[] {
+    if (!fs.existsSync(this.dir)) return [];
+    this.checkDir();
+
+    const pending: ApprovalRecord[] = [];
+    for (const file of fs.readdirSync(this.dir)) {
+      if (!file.endsWith('.json') || file.endsWith('.response.json')) continue;
+      try {
+        pending.push(JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8')) as ApprovalRecord);
+      } catch {
+        // Half-written or removed while reading
+      }
+    }
+    return pending.sort((a, b) => a.requestedAt.localeCompare(b.requestedAt));
+  }
+
+  /**
+   * Create the directory (mode 700) and make sure it can be trusted
+   */
+  private ensureDir(): void {
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+    this.checkDir();
+  }
+
+  /**
+   * Refuse a directory that is a symlink or someone else's; tighten one of
+   * ours that others can read or write (e.g. made by hand)
+   */
+  private checkDir(): void {
+    const stats = fs.lstatSync(this.dir);
+    if (!stats.isDirectory()) {
+      throw new Error(`Approvals directory ${this.dir} is not a directory`);
+    }
+    if (!ownedByCurrentUser(stats)) {
+      throw new Error(`Approvals directory ${this.dir} is owned by uid ${stats.uid}, not the current user`);
+    }
+    if (process.platform !== 'win32' && (stats.mode & 0o077) !== 0) {
+      fs.chmodSync(this.dir, 0o700);
+    }
+  }
+
+  /**
+   * Key for signing HTTP requests and answers, created on first use
+   */
+  private key(): Buffer {
+    const file = path.join(this.dir, KEY_FILE);
+    try {
+      fs.writeFileSync(file, randomBytes(32).toString('hex'), { mode: 0o600, flag: 'wx' });
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'EEXIST') throw error;
+    }
+    const stats = fs.lstatSync(file);
+    if (!stats.isFile() || !ownedByCurrentUser(stats)) {
+      throw new Error(`Approval key ${file} is not a file owned by the current user`);
+    }
+    return Buffer.from(fs.readFileSync(file, 'utf8').trim(), 'hex');
+  }
+
+  private requestPath(id: string): string {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  private responsePath(id: string): string {
+    return path.join(this.dir, `${id}.response.json`);
+  }
+
+  /**
+   * First answer wins: the TUI's HTTP response, a response file, or the timeout
+   */
+  private waitForDecision(record: ApprovalRecord): Promise<ApprovalDecision> {
+    const key = this.key();
+    return new Promise((resolve) => {
+      const controller = new AbortController();
+      let settled = false;
+
+      const finish = (decision: ApprovalDecision) => {
+        if (settled) return;
+        settled = true;
+        clearInterval(poller);
+        clearTimeout(timer);
+        controller.abort();
+        resolve(decision);
+      };
+
+      const poller = setInterval(() => {
+        const response = this.readResponse(record.id);
+        if (response) finish({ ...response, via: 'file' });
+      }, POLL_INTERVAL_MS);
+
+      const timer = setTimeout(() => finish({ approved: false, via: 'timeout' }), this.timeoutMs);
+
+      // The TUI may hold the request open and answer in the body; anything
+      // else (no TUI, 202 Accepted, unsigned answer) leaves it to the response file
+      const body = JSON.stringify(record);
+      fetch(TUI_APPROVAL_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Strawberry-Signature': createHmac('sha256', key).update(body).digest('hex'),
+        },
+        body,
+        signal: controller.signal,
+      })
+        .then(async (res) => {
+          if (!res.ok) return;
+          const answer = await res.json() as Partial<ApprovalDecision> & { signature?: string };
+          if (typeof answer.approved !== 'boolean') return;
+          const expected = createHmac('sha256', key).update(`${record.id}:${answer.approved}`).digest();
+          const signature = Buffer.from(typeof answer.signature === 'string' ? answer.signature : '', 'hex');
+          if (signature.length !== expected.length || !timingSafeEqual(signature, expected)) {
+            console.error(`[ApprovalQueue] Ignoring unsigned HTTP answer to ${record.id}`);
+            return;
+          }
+          finish({ approved: answer.approved, approver: answer.approver, reason: answer.reason, via: 'http' });
+        })
+        .catch(() => {
+          // TUI not listening - the response file still works
+        });
+    });
+  }
+
+  private readResponse(id: string): Omit<ApprovalDecision, 'via'> | null {
+    try {
+      const stats = fs.lstatSync(this.responsePath(id));
+      if (!stats.isFile() || !ownedByCurrentUser(stats)) {
+        // Planted by someone else (or a symlink) - never an answer
+        return null;
+      }
+      const response = JSON.parse(fs.readFileSync(this.responsePath(id), 'utf8')) as Partial<ApprovalDecision>;
+      if (typeof response.approved !== 'boolean') return null;
+      return { approved: response.approved, approver: response.approver, reason: response.reason };
+    } catch {
+      // Not answered yet (or still being written)
+      return null;
+    }
+  }
+
+  /**
+   * Append the decision to the audit trail
+   */
+  private audit(record: ApprovalRecord, decision: ApprovalDecision): void {
+    try {
+      fs.mkdirSync(path.dirname(this.auditFile), { recursive: true });
+      fs.appendFileSync(this.auditFile, JSON.stringify({
+        id: record.id,
+        source: record.source,
+        action: record.action,
+        rule: record.rule,
+        target: record.target,
+        vm_id: record.vmId,
+        status: record.status,
+        approver: decision.approver,
+        reason: decision.reason,
+        via: decision.via,
+        requested_at: record.requestedAt,
+        decided_at: new Date().toISOString(),
+      }) + '\n');
+    } catch (error) {
+      console.error(`[ApprovalQueue] Failed to write audit trail ${this.auditFile}:`, error);
+    }
+  }
+
+  /**
+   * Record the request/decision in the event store and the sidebar's events file
+   */
+  private writeEvent(type: string, record: ApprovalRecord, decision?: ApprovalDecision): void {
+    const event = {
+      type,
+      approval_id: record.id,
+      action: record.action,
+      rule: record.rule,
+      target: record.target,
+      vm_id: record.vmId,
+      status: record.status,
+      approver: decision?.approver,
+      expires_at: record.expiresAt,
+    };
+    new EventStore(record.source).append(event);
+    appendLegacyEvent({ ...event, source: record.source });
+  }
+}
+
+export default ApprovalQueue;
@@ -0,0 +1,260 @@
+/**
+ * Event Store
+ *
+ * Append-only event log shared by every Strawberry server and the activity
+ * hook. Events are JSON lines in ~/.strawberry/events/events.jsonl (override
+ * with STRAWBERRY_EVENTS_DIR), one schema for all writers:
+ *
+ *   { "id": "...", "timestamp": "2026-01-01T12:00:00.000Z", "source": "trycua",
+ *     "type": "vm_ready", "session_id": "...", "tool": "...", "vm_id": "...", "data": {} }
+ *
+ * The file is rotated to events-<time>.jsonl once it passes
+ * STRAWBERRY_EVENTS_MAX_MB (default 10) and the newest rotated files are kept.
+ * Queries read the files backwards from the newest event and stop as soon as
+ * they have enough matches.
+ *
+ * Transitional: the TUI sidebar still tails /tmp/bat-mcp-events.jsonl rather
+ * than this store, so servers mirror their sidebar events there with
+ * appendLegacyEvent(). Drop it once the TUI reads the store.
+ */
+
+import { randomUUID } from 'crypto';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+const DEFAULT_EVENTS_DIR = path.join(os.homedir(), '.strawberry', 'events');
+const CURRENT_FILE = 'events.jsonl';
+const DEFAULT_MAX_MB = 10;
+const KEEP_ROTATED_FILES = 5;
+const DEFAULT_QUERY_LIMIT = 100;
+const READ_CHUNK_BYTES = 64 * 1024;
+
+/** Events file the TUI sidebar tails (see appendLegacyEvent) */
+export const LEGACY_EVENTS_FILE = '/tmp/bat-mcp-events.jsonl';
+
+export type EventSource = 'hook' | 'strawberry-context' | 'trycua' | 'local-computer-use' | 'clawdbot';
+
+export interface StrawberryEvent {
+  id: string;
+  timestamp: string;
+  source: EventSource;
+  type: string;
+  session_id?: string;
+  tool?: string;
+  vm_id?: string;
+  data?: Record<string, unknown>;
+}
+
+export interface EventQuery {
+  sessionId?: string;
+  source?: string;
+  tool?: string;
+  vmId?: string;
+  type?: string;
+  /** ISO timestamp or a duration back from now ("30m", "1h", "2d") */
+  since?: string;
+  until?: string;
+  limit?: number;
+}
+
+const DURATION_UNITS: Record<string, number> = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+/**
+ * Parse an ISO timestamp or relative duration into epoch milliseconds
+ */
+export function parseTime(value: string): number {
+  const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*([smhd])$/i);
+  if (match) {
+    return Date.now() - parseFloat(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+  }
+
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid time: ${value} (use an ISO timestamp or a duration like "1h")`);
+  }
+  return time;
+}
+
+/**
+ * Lines of a file, last line first, read in chunks from the end so a caller
+ * that stops early never reads the rest
+ */
+function* readLinesBackward(filePath: string): Generator<string> {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    let position = fs.fstatSync(fd).size;
+    let rest = Buffer.alloc(0);
+    while (position > 0) {
+      const size = Math.min(READ_CHUNK_BYTES, position);
+      position -= size;
+      const chunk = Buffer.alloc(size);
+      fs.readSync(fd, chunk, 0, size, position);
+
+      // A newline byte never occurs inside a multi-byte UTF-8 character
+      const buffer = Buffer.concat([chunk, rest]);
+      let end = buffer.length;
+      for (let i = end - 1; i >= 0; i--) {
+        if (buffer[i] !== 0x0a) continue;
+        if (end > i + 1) yield buffer.toString('utf8', i + 1, end);
+        end = i;
+      }
+      rest = buffer.subarray(0, end);
+    }
+    if (rest.length > 0) yield rest.toString('utf8');
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Transitional mirror of an event into the legacy JSONL file the TUI sidebar
+ * reads (strawberry-context keeps its own /tmp/strawberry-events.jsonl)
+ */
+export function appendLegacyEvent(event: Record<string, unknown>, file: string = LEGACY_EVENTS_FILE): void {
+  try {
+    const line = JSON.stringify({ ...event, timestamp: new Date().toISOString() });
+    fs.appendFileSync(file, (EventStore.redactor ? EventStore.redactor(line) : line) + '\n');
+  } catch {
+    // Ignore errors - the event store has the event
+  }
+}
+
+export class EventStore {
+  /** Applied to every line before it is written, e.g. to hide secret values */
+  static redactor?: (line: string) => string;
+
+  private source: EventSource;
+  private dir: string;
+  private maxBytes: number;
+
+  constructor(source: EventSource, dir: string = process.env.STRAWBERRY_EVENTS_DIR || DEFAULT_EVENTS_DIR) {
+    this.source = source;
+    this.dir = dir;
+    const maxMb = parseFloat(process.env.STRAWBERRY_EVENTS_MAX_MB || '');
+    this.maxBytes = (maxMb > 0 ? maxMb : DEFAULT_MAX_MB) * 1024 * 1024;
+  }
+
+  /**
+   * Append an event. Takes the flat shape the legacy JSONL files used -
+   * type/session_id/tool/vm_id are lifted out and everything else goes in data.
+   */
+  append(event: { type: string } & Record<string, unknown>): StrawberryEvent {
+    const { type, session_id, tool, vm_id, timestamp, ...data } = event;
+    const record: StrawberryEvent = {
+      id: randomUUID(),
+      timestamp: typeof timestamp === 'string' ? timestamp : new Date().toISOString(),
+      source: this.source,
+      type,
+      session_id: typeof session_id === 'string' ? session_id : undefined,
+      tool: typeof tool === 'string' ? tool : undefined,
+      vm_id: typeof vm_id === 'string' ? vm_id : undefined,
+      data: Object.keys(data).length > 0 ? data : undefined,
+    };
+
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      this.rotateIfNeeded();
+      const line = JSON.stringify(record);
+      fs.appendFileSync(path.join(this.dir, CURRENT_FILE), (EventStore.redactor ? EventStore.redactor(line) : line) + '\n');
+    } catch (error) {
+      console.error(`[EventStore] Failed to append event to ${this.dir}:`, error);
+    }
+    return record;
+  }
+
+  /**
+   * Find events matching every given filter, newest first
+   */
+  query(filter: EventQuery = {}): StrawberryEvent[] {
+    const since = filter.since ? parseTime(filter.since) : undefined;
+    const until = filter.until ? parseTime(filter.until) : undefined;
+    const limit = filter.limit && filter.limit > 0 ? filter.limit : DEFAULT_QUERY_LIMIT;
+
+    // Files and their lines are read newest first, so the first `limit`
+    // matches are the newest ones and the first event before `since` ends the search
+    const matches: StrawberryEvent[] = [];
+    files: for (const file of this.files()) {
+      const filePath = path.join(this.dir, file);
+      try {
+        // Once a file was last written before `since`, it and the rest are older
+        if (since !== undefined && fs.statSync(filePath).mtimeMs < since) break;
+      } catch {
+        continue;
+      }
+
+      try {
+        for (const line of readLinesBackward(filePath)) {
+          let event: StrawberryEvent;
+          try {
+            event = JSON.parse(line) as StrawberryEvent;
+          } catch {
+            continue;
+          }
+
+          const time = Date.parse(event.timestamp);
+          if (since !== undefined && time < since) break files;
+          if (until !== undefined && time > until) continue;
+          if (filter.sessionId && event.session_id !== filter.sessionId) continue;
+          if (filter.source && event.source !== filter.source) continue;
+          if (filter.tool && event.tool !== filter.tool) continue;
+          if (filter.vmId && event.vm_id !== filter.vmId) continue;
+          if (filter.type && event.type !== filter.type) continue;
+          matches.push(event);
+          if (matches.length >= limit) break files;
+        }
+      } catch {
+        // Removed by rotation while reading
+        continue;
+      }
+    }
+
+    // Writers in several processes can interleave slightly out of order
+    return matches
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+      .slice(0, limit);
+  }
+
+  /**
+   * Current file followed by rotated files, newest first
+   */
+  private files(): string[] {
+    if (!fs.existsSync(this.dir)) return [];
+
+    const rotated = fs.readdirSync(this.dir)
+      .filter((file) => /^events-.+\.jsonl$/.test(file))
+      .sort()
+      .reverse();
+    return [CURRENT_FILE, ...rotated];
+  }
+
+  private rotateIfNeeded(): void {
+    const current = path.join(this.dir, CURRENT_FILE);
+    let size = 0;
+    try {
+      size = fs.statSync(current).size;
+    } catch {
+      return;
+    }
+    if (size < this.maxBytes) return;
+
+    const stamp = new Date().toISOString().replace(/[-:.]/g, '');
+    try {
+      fs.renameSync(current, path.join(this.dir, `events-${stamp}-${process.pid}.jsonl`));
+    } catch {
+      // Another process rotated it first
+      return;
+    }
+
+    const rotated = this.files().slice(1);
+    for (const file of rotated.slice(KEEP_ROTATED_FILES)) {
+      try {
+        fs.unlinkSync(path.join(this.dir, file));
+      } catch {
+        // Already removed
+      }
+    }
+  }
+}
+
+export default EventStore;
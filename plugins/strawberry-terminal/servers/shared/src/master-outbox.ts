@@ -0,0 +1,306 @@
+/**
+ * Master Outbox
+ *
+ * Persistent queue for writes to Moltbot Master, used by the trycua and
+ * strawberry-context servers. A write that fails because Master is
+ * unreachable (or answers 5xx/408/429) is kept in
+ * ~/.strawberry/outbox/<server>.json (override the directory with
+ * STRAWBERRY_OUTBOX_DIR) and retried in order with exponential backoff, so
+ * events and task updates survive a network drop or a restart.
+ *
+ * Every write carries an idempotency key, sent as Idempotency-Key so Master
+ * applies a retried write once; queuing a key that is already queued is a
+ * no-op. Writes with a coalesce key (heartbeats, registrations) replace the
+ * queued write with the same key, so only the latest state is delivered.
+ */
+
+import { randomUUID } from 'crypto';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { ContextEvent, MoltbotMasterClient, MoltbotMasterError, NodeStatus, TaskUpdate } from './moltbot-client.js';
+
+const DEFAULT_OUTBOX_DIR = path.join(os.homedir(), '.strawberry', 'outbox');
+const RETRY_BASE_MS = 5000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+const RETRY_CHECK_INTERVAL_MS = 5000;
+// Oldest writes are dropped past this many
+const MAX_ENTRIES = 1000;
+
+export type OutboxWrite =
+  | { op: 'registerVps'; payload: { id: string; name: string; endpoint: string; capabilities: string[] } }
+  | { op: 'vpsHeartbeat'; payload: { id: string; status: NodeStatus; currentTask?: string } }
+  | { op: 'updateTask'; payload: TaskUpdate }
+  | { op: 'registerMacbook'; payload: { capabilities: string[]; strawberryVersion: string } }
+  | { op: 'macbookHeartbeat'; payload?: undefined }
+  | { op: 'addEvent'; payload: Omit<ContextEvent, 'id' | 'timestamp'> };
+
+export interface OutboxEntry {
+  /** Idempotency key */
+  id: string;
+  coalesceKey?: string;
+  write: OutboxWrite;
+  attempts: number;
+  createdAt: string;
+  nextAttemptAt: string;
+  lastError?: string;
+}
+
+export type OutboxSendResult =
+  | { delivered: true; result: unknown }
+  | { delivered: false; id: string; error: string };
+
+export interface OutboxBacklog {
+  pending: number;
+  byOp: Record<string, number>;
+  oldestAt?: string;
+  nextAttemptAt?: string;
+  lastError?: string;
+  /** Queued writes delivered later */
+  delivered: number;
+  /** Queued writes Master rejected or that were pushed out by MAX_ENTRIES */
+  dropped: number;
+}
+
+interface OutboxFile {
+  version: 1;
+  entries: OutboxEntry[];
+  delivered: number;
+  dropped: number;
+}
+
+function outboxDir(): string {
+  return process.env.STRAWBERRY_OUTBOX_DIR || DEFAULT_OUTBOX_DIR;
+}
+
+function summarize(file: OutboxFile): OutboxBacklog {
+  const byOp: Record<string, number> = {};
+  for (const entry of file.entries) {
+    byOp[entry.write.op] = (byOp[entry.write.op] || 0) + 1;
+  }
+  const head = file.entries[0];
+  return {
+    pending: file.entries.length,
+    byOp,
+    oldestAt: head?.createdAt,
+    nextAttemptAt: head?.nextAttemptAt,
+    lastError: head?.lastError,
+    delivered: file.delivered,
+    dropped: file.dropped,
+  };
+}
+
+/**
+ * Backlogs of every server's outbox, by server name
+ */
+export function readOutboxBacklogs(dir: string = outboxDir()): Record<string, OutboxBacklog> {
+  const backlogs: Record<string, OutboxBacklog> = {};
+  try {
+    for (const file of fs.readdirSync(dir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        backlogs[file.slice(0, -'.json'.length)] = summarize(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')) as OutboxFile);
+      } catch {
+        // Being rewritten or corrupt - skip it
+      }
+    }
+  } catch {
+    // No outbox yet
+  }
+  return backlogs;
+}
+
+export class MasterOutbox {
+  private filePath: string;
+  private client: MoltbotMasterClient;
+  private entries: OutboxEntry[] = [];
+  private delivered = 0;
+  private dropped = 0;
+  private flushing: Promise<void> | null = null;
+  private timer: NodeJS.Timeout | null = null;
+  // Outcomes of queued writes a send() call is waiting for, by idempotency key
+  private outcomes: Map<string, OutboxSendResult | MoltbotMasterError> = new Map();
+
+  constructor(name: string, client: MoltbotMasterClient) {
+    this.filePath = path.join(outboxDir(), `${name}.json`);
+    this.client = client;
+    this.load();
+  }
+
+  private load(): void {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8')) as OutboxFile;
+      this.entries = data.entries || [];
+      this.delivered = data.delivered || 0;
+      this.dropped = data.dropped || 0;
+    } catch (error) {
+      console.error(`[MasterOutbox] Failed to read ${this.filePath}:`, error);
+    }
+  }
+
+  private save(): void {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.snapshot(), null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      console.error(`[MasterOutbox] Failed to write ${this.filePath}:`, error);
+    }
+  }
+
+  /**
+   * Retry queued writes in the background
+   */
+  start(): void {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      if (this.entries.length > 0) this.flush();
+    }, RETRY_CHECK_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  backlog(): OutboxBacklog {
+    return summarize(this.snapshot());
+  }
+
+  /**
+   * Deliver a write now, or queue it when Master can't take it. Throws a
+   * MoltbotMasterError when Master rejects the write outright (4xx).
+   */
+  async send(write: OutboxWrite, options: { idempotencyKey?: string; coalesceKey?: string } = {}): Promise<OutboxSendResult> {
+    const id = options.idempotencyKey || randomUUID();
+
+    // Nothing queued: skip the disk and try directly
+    if (this.entries.length === 0 && !this.flushing) {
+      try {
+        return { delivered: true, result: await this.deliver(write, id) };
+      } catch (error) {
+        if (error instanceof MoltbotMasterError && !error.retryable) throw error;
+        const entry = this.enqueue(write, id, options.coalesceKey);
+        this.backOff(entry, error);
+        this.save();
+        return { delivered: false, id: entry.id, error: entry.lastError! };
+      }
+    }
+
+    // Queue behind the backlog so writes reach Master in order
+    const entry = this.enqueue(write, id, options.coalesceKey);
+    this.save();
+    this.outcomes.set(entry.id, { delivered: false, id: entry.id, error: 'Queued behind earlier writes' });
+    await this.flush();
+
+    const outcome = this.outcomes.get(entry.id)!;
+    this.outcomes.delete(entry.id);
+    if (outcome instanceof MoltbotMasterError) throw outcome;
+    if (!outcome.delivered && entry.lastError) outcome.error = entry.lastError;
+    return outcome;
+  }
+
+  /**
+   * Deliver due writes in order, stopping at the first that has to wait
+   */
+  flush(): Promise<void> {
+    if (!this.flushing) {
+      this.flushing = this.drain().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  private async drain(): Promise<void> {
+    while (this.entries.length > 0) {
+      const entry = this.entries[0];
+      if (Date.parse(entry.nextAttemptAt) > Date.now()) return;
+
+      const sentId = entry.id;
+      try {
+        const result = await this.deliver(entry.write, sentId);
+        if (this.outcomes.has(sentId)) this.outcomes.set(sentId, { delivered: true, result });
+        // A newer write coalesced into this entry while it was in flight: send that next
+        if (entry.id === sentId) this.remove(entry);
+        this.delivered++;
+        this.save();
+      } catch (error) {
+        if (error instanceof MoltbotMasterError && !error.retryable) {
+          console.error(`[MasterOutbox] Master rejected ${entry.write.op}, dropping it: ${error.message}`);
+          if (this.outcomes.has(sentId)) this.outcomes.set(sentId, error);
+          if (entry.id === sentId) this.remove(entry);
+          this.dropped++;
+          this.save();
+          continue;
+        }
+        this.backOff(entry, error);
+        this.save();
+        return;
+      }
+    }
+  }
+
+  private deliver(write: OutboxWrite, idempotencyKey: string): Promise<unknown> {
+    const options = { idempotencyKey };
+    switch (write.op) {
+      case 'registerVps':
+        return this.client.registerVps(write.payload, options);
+      case 'vpsHeartbeat':
+        return this.client.vpsHeartbeat(write.payload, options);
+      case 'updateTask':
+        return this.client.updateTask(write.payload, options);
+      case 'registerMacbook':
+        return this.client.registerMacbook(write.payload, options);
+      case 'macbookHeartbeat':
+        return this.client.macbookHeartbeat(options);
+      case 'addEvent':
+        return this.client.addEvent(write.payload, options);
+    }
+  }
+
+  private enqueue(write: OutboxWrite, id: string, coalesceKey?: string): OutboxEntry {
+    const duplicate = this.entries.find((entry) => entry.id === id);
+    if (duplicate) return duplicate;
+
+    const now = new Date().toISOString();
+    const superseded = coalesceKey ? this.entries.find((entry) => entry.coalesceKey === coalesceKey) : undefined;
+    if (superseded) {
+      // Keep its place in the queue, send the newer write
+      superseded.id = id;
+      superseded.write = write;
+      return superseded;
+    }
+
+    const entry: OutboxEntry = { id, coalesceKey, write, attempts: 0, createdAt: now, nextAttemptAt: now };
+    this.entries.push(entry);
+    while (this.entries.length > MAX_ENTRIES) {
+      const oldest = this.entries.shift()!;
+      console.error(`[MasterOutbox] Outbox full, dropping queued ${oldest.write.op} from ${oldest.createdAt}`);
+      this.dropped++;
+    }
+    return entry;
+  }
+
+  private backOff(entry: OutboxEntry, error: unknown): void {
+    entry.attempts++;
+    entry.lastError = error instanceof Error ? error.message : String(error);
+    const delay = Math.min(RETRY_BASE_MS * 2 ** (entry.attempts - 1), RETRY_MAX_MS);
+    entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+  }
+
+  private remove(entry: OutboxEntry): void {
+    this.entries = this.entries.filter((e) => e !== entry);
+  }
+
+  private snapshot(): OutboxFile {
+    return { version: 1, entries: this.entries, delivered: this.delivered, dropped: this.dropped };
+  }
+}
+
+export default MasterOutbox;
@@ -0,0 +1,289 @@
+/**
+ * Moltbot Master Client
+ *
+ * Typed client for the Moltbot Master API, used by the trycua and
+ * strawberry-context servers. Configured from the environment:
+ *
+ *   MOLTBOT_MASTER_URL       base URL (default: the hosted master); point it at
+ *                            your own servers/moltbot-master to self-host
+ *   MOLTBOT_MASTER_SECRET    shared secret used to sign requests (HMAC-SHA256)
+ *   MOLTBOT_MASTER_TOKEN     bearer token, for masters that don't verify signatures
+ *   MOLTBOT_DEVICE_KEY_FILE  per-device key issued by /macbook/register
+ *                            (default ~/.strawberry/moltbot-device-key.json)
+ *
+ * A signed request carries X-Moltbot-Key (key id), X-Moltbot-Timestamp (ms),
+ * X-Moltbot-Nonce and X-Moltbot-Signature, the hex HMAC of signaturePayload().
+ * Master rejects stale timestamps and reused nonces. Requests are signed with
+ * the device key once one has been issued, otherwise with the shared secret.
+ */
+
+import { createHash, createHmac, randomBytes } from 'crypto';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+export const DEFAULT_MASTER_URL = 'https://moltbot-master.liam-939.workers.dev';
+const DEFAULT_DEVICE_KEY_FILE = path.join(os.homedir(), '.strawberry', 'moltbot-device-key.json');
+/** Key id that stands for MOLTBOT_MASTER_SECRET */
+export const SHARED_KEY_ID = 'shared';
+const REQUEST_TIMEOUT_MS = 15000;
+
+export type NodeKind = 'vps' | 'macbook';
+
+export type NodeStatus = 'online' | 'busy' | 'offline';
+
+export interface MasterNode {
+  id: string;
+  kind: NodeKind;
+  name: string;
+  endpoint?: string;
+  capabilities: string[];
+  status: NodeStatus;
+  currentTask?: string;
+  version?: string;
+  registeredAt: string;
+  lastSeen: string;
+}
+
+export type DelegatedTaskStatus = 'pending' | 'assigned' | 'in_progress' | 'completed' | 'failed' | 'cancelled';
+
+export interface DelegatedTask {
+  id: string;
+  task: string;
+  priority: string;
+  from: string;
+  timestamp: string;
+  vpsId?: string;
+  status?: DelegatedTaskStatus;
+}
+
+export interface TaskUpdate {
+  taskId: string;
+  vpsId?: string;
+  status: Exclude<DelegatedTaskStatus, 'pending' | 'assigned'>;
+  exitCode?: number | null;
+  output?: string;
+  durationMs?: number;
+  error?: string;
+}
+
+export interface ContextEvent {
+  id: string;
+  type: 'message' | 'task_complete' | 'vps_action' | 'error' | 'status_change';
+  source: 'telegram' | 'imessage' | 'vps' | 'master' | 'macbook';
+  summary: string;
+  details?: unknown;
+  timestamp: string;
+}
+
+export interface ContextSyncResponse {
+  events: ContextEvent[];
+  swarmState: {
+    specialists: Record<string, { purpose: string; status: string }>;
+    activeVMs: MasterNode[];
+    pendingTasks: DelegatedTask[];
+  };
+  vpsRegistry: MasterNode[];
+  timestamp: string;
+}
+
+export interface DeviceKey {
+  keyId: string;
+  secret: string;
+  /** Master that issued the key */
+  url: string;
+  nodeId: string;
+  issuedAt: string;
+}
+
+export interface RequestOptions {
+  /** Sent as Idempotency-Key so Master applies a retried write only once */
+  idempotencyKey?: string;
+}
+
+/**
+ * The string a request signature covers; Master rebuilds it to verify
+ */
+export function signaturePayload(method: string, path: string, timestamp: string, nonce: string, body: string): string {
+  const bodyHash = createHash('sha256').update(body).digest('hex');
+  return [method.toUpperCase(), path, timestamp, nonce, bodyHash].join('\n');
+}
+
+/**
+ * Thrown when Master can't be reached or answers with an error status
+ */
+export class MoltbotMasterError extends Error {
+  readonly status?: number;
+
+  constructor(message: string, status?: number) {
+    super(message);
+    this.name = 'MoltbotMasterError';
+    this.status = status;
+  }
+
+  /**
+   * Network errors, timeouts, rate limits and server errors may succeed later
+   */
+  get retryable(): boolean {
+    return this.status === undefined || this.status === 408 || this.status === 429 || this.status >= 500;
+  }
+}
+
+export class MoltbotMasterClient {
+  readonly url: string;
+  private token?: string;
+  private secret?: string;
+  private deviceKeyFile: string;
+
+  constructor(options: { url?: string; token?: string; secret?: string; deviceKeyFile?: string } = {}) {
+    this.url = (options.url || process.env.MOLTBOT_MASTER_URL || DEFAULT_MASTER_URL).replace(/\/+$/, '');
+    this.token = options.token ?? (process.env.MOLTBOT_MASTER_TOKEN || undefined);
+    this.secret = options.secret ?? (process.env.MOLTBOT_MASTER_SECRET || undefined);
+    this.deviceKeyFile = options.deviceKeyFile || process.env.MOLTBOT_DEVICE_KEY_FILE || DEFAULT_DEVICE_KEY_FILE;
+  }
+
+  /**
+   * The device key issued by this master, if any. Read on every request so a
+   * key issued to another server on this machine is picked up.
+   */
+  deviceKey(): DeviceKey | undefined {
+    try {
+      const key = JSON.parse(fs.readFileSync(this.deviceKeyFile, 'utf8')) as DeviceKey;
+      return key.url === this.url && key.keyId && key.secret ? key : undefined;
+    } catch {
+      return undefined;
+    }
+  }
+
+  registerVps(
+    node: { id: string; name: string; endpoint: string; capabilities: string[] },
+    options?: RequestOptions
+  ): Promise<MasterNode> {
+    return this.request('POST', '/vps/register', node, options);
+  }
+
+  async vpsHeartbeat(heartbeat: { id: string; status: NodeStatus; currentTask?: string }, options?: RequestOptions): Promise<void> {
+    await this.request('POST', '/vps/heartbeat', heartbeat, options);
+  }
+
+  /**
+   * Tasks delegated to a VPS. Master marks them assigned once fetched.
+   */
+  async getVpsTasks(vpsId: string): Promise<DelegatedTask[]> {
+    const data = await this.request<{ tasks?: DelegatedTask[] }>('GET', `/vps/tasks/${encodeURIComponent(vpsId)}`);
+    return data.tasks || [];
+  }
+
+  updateTask(update: TaskUpdate, options?: RequestOptions): Promise<DelegatedTask> {
+    return this.request('POST', '/vps/update', update, options);
+  }
+
+  /**
+   * Register this machine. Master issues a device key with the answer; it is
+   * saved to the device key file (never returned) and signs later requests.
+   */
+  async registerMacbook(
+    registration: { capabilities: string[]; strawberryVersion: string },
+    options?: RequestOptions
+  ): Promise<MasterNode & { deviceKeyId?: string }> {
+    const { deviceKey, ...node } = await this.request<MasterNode & { deviceKey?: { keyId: string; secret: string } }>(
+      'POST', '/macbook/register', registration, { ...options, registration: true }
+    );
+    if (!deviceKey) return node;
+
+    this.saveDeviceKey({ ...deviceKey, url: this.url, nodeId: node.id, issuedAt: new Date().toISOString() });
+    return { ...node, deviceKeyId: deviceKey.keyId };
+  }
+
+  async macbookHeartbeat(options?: RequestOptions): Promise<void> {
+    await this.request('POST', '/macbook/heartbeat', undefined, options);
+  }
+
+  /**
+   * Events since a time (newest first) plus the current swarm state
+   */
+  syncContext(since: string): Promise<ContextSyncResponse> {
+    return this.request('GET', `/context/sync?since=${encodeURIComponent(since)}`);
+  }
+
+  addEvent(event: Omit<ContextEvent, 'id' | 'timestamp'>, options?: RequestOptions): Promise<ContextEvent> {
+    return this.request('POST', '/context/event', event, options);
+  }
+
+  private saveDeviceKey(key: DeviceKey): void {
+    try {
+      fs.mkdirSync(path.dirname(this.deviceKeyFile), { recursive: true });
+      const tmpPath = `${this.deviceKeyFile}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(key, null, 2), { mode: 0o600 });
+      fs.renameSync(tmpPath, this.deviceKeyFile);
+    } catch (error) {
+      console.error(`[MoltbotMasterClient] Failed to save device key to ${this.deviceKeyFile}:`, error);
+    }
+  }
+
+  /**
+   * Sign with the device key, else the shared secret, else send the bearer
+   * token. Registration prefers the shared credentials so a device key the
+   * master no longer knows can be replaced.
+   */
+  private authHeaders(method: string, url: string, body: string, registration: boolean): Record<string, string> {
+    const shared = this.secret ? { keyId: SHARED_KEY_ID, secret: this.secret } : undefined;
+    const key = registration && (shared || this.token) ? shared : this.deviceKey() || shared;
+    if (!key) {
+      return this.token ? { Authorization: `Bearer ${this.token}` } : {};
+    }
+
+    const { pathname, search } = new URL(url);
+    const timestamp = String(Date.now());
+    const nonce = randomBytes(16).toString('hex');
+    const signature = createHmac('sha256', key.secret)
+      .update(signaturePayload(method, pathname + search, timestamp, nonce, body))
+      .digest('hex');
+    return {
+      'X-Moltbot-Key': key.keyId,
+      'X-Moltbot-Timestamp': timestamp,
+      'X-Moltbot-Nonce': nonce,
+      'X-Moltbot-Signature': signature,
+    };
+  }
+
+  private async request<T>(
+    method: 'GET' | 'POST',
+    path: string,
+    body?: unknown,
+    options: RequestOptions & { registration?: boolean } = {}
+  ): Promise<T> {
+    const url = `${this.url}${path}`;
+    const payload = body === undefined ? '' : JSON.stringify(body);
+    // Signed per attempt, so outbox retries get a fresh timestamp and nonce
+    const headers: Record<string, string> = this.authHeaders(method, url, payload, options.registration === true);
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (options.idempotencyKey) headers['Idempotency-Key'] = options.idempotencyKey;
+
+    let response: Response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers,
+        body: body === undefined ? undefined : payload,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+    } catch (error) {
+      throw new MoltbotMasterError(`Moltbot Master unreachable: ${error instanceof Error ? error.message : String(error)}`);
+    }
+
+    const text = await response.text();
+    if (!response.ok) {
+      let message = text;
+      try {
+        message = (JSON.parse(text) as { error?: string }).error || text;
+      } catch {
+        // Not JSON - use the raw body
+      }
+      throw new MoltbotMasterError(`Moltbot Master returned ${response.status}${message ? `: ${message.slice(0, 200)}` : ''}`, response.status);
+    }
+    return (text ? JSON.parse(text) : {}) as T;
+  }
+}
+
+export default MoltbotMasterClient;
@@ -20,21 +20,19 @@ import {
   TextContent,
 } from '@modelcontextprotocol/sdk/types.js';
 import * as fs from 'fs';
+import { appendLegacyEvent, EventStore } from '@strawberry/shared/event-store';
+import { ContextEvent, MoltbotMasterClient } from '@strawberry/shared/moltbot-client';
+import { MasterOutbox, readOutboxBacklogs } from '@strawberry/shared/master-outbox';
 
 const VERSION = '0.2.0';
 const STATE_FILE = '/tmp/strawberry-state.json';
 const EVENTS_FILE = '/tmp/strawberry-events.jsonl';
-const MOLTBOT_MASTER_URL = 'https://moltbot-master.liam-939.workers.dev';
-
-// Context event from Moltbot Master
-interface MoltbotContextEvent {
-  id: string;
-  type: 'message' | 'task_complete' | 'vps_action' | 'error' | 'status_change';
-  source: 'telegram' | 'imessage' | 'vps' | 'master' | 'macbook';
-  summary: string;
-  details?: any;
-  timestamp: string;
-}
+
+const eventStore = new EventStore('strawberry-context');
+// MOLTBOT_MASTER_URL / MOLTBOT_MASTER_TOKEN, shared with the trycua server
+const master = new MoltbotMasterClient();
+// Events, registration and heartbeats are retried from here while Master is unreachable
+const outbox = new MasterOutbox('strawberry-context', master);
 
 // State shape that Claude reports
 interface StrawberryState {
@@ -119,15 +117,11 @@ function writeState(state: StrawberryState): void {
 }
 
 /**
- * Append event to events file for history tracking
+ * Record event in the event store, and in the legacy events file for the TUI
  */
-function appendEvent(event: Record<string, unknown>): void {
-  try {
-    const line = JSON.stringify({ ...event, timestamp: new Date().toISOString() }) + '\n';
-    fs.appendFileSync(EVENTS_FILE, line);
-  } catch {
-    // Ignore errors - non-critical
-  }
+function appendEvent(event: { type: string } & Record<string, unknown>): void {
+  eventStore.append(event);
+  appendLegacyEvent(event, EVENTS_FILE);
 }
 
 /**
@@ -297,7 +291,7 @@ This enables real-time progress tracking in the terminal sidebar.`,
         },
         {
           name: 'strawberry_get_state',
-          description: 'Get the current Strawberry TUI state. Useful for checking what the TUI is displaying or resuming context.',
+          description: 'Get the current Strawberry TUI state. Useful for checking what the TUI is displaying or resuming context. masterOutbox lists writes to Moltbot Master still queued for retry, per server.',
           inputSchema: {
             type: 'object',
             properties: {},
@@ -322,6 +316,50 @@ This enables real-time progress tracking in the terminal sidebar.`,
             required: ['level', 'message'],
           },
         },
+        {
+          name: 'strawberry_query_events',
+          description: `Query the Strawberry event store - everything the hooks, VMs, local computer use and Clawdbot recorded.
+
+Use it to answer questions like "what happened on VM X in the last hour" or "which tools ran in this session". Returns newest events first.`,
+          inputSchema: {
+            type: 'object',
+            properties: {
+              session_id: {
+                type: 'string',
+                description: 'Only events from this Claude Code session',
+              },
+              source: {
+                type: 'string',
+                enum: ['hook', 'strawberry-context', 'trycua', 'local-computer-use', 'clawdbot'],
+                description: 'Only events written by this source',
+              },
+              tool: {
+                type: 'string',
+                description: 'Only events for this tool (e.g. "Bash", "mcp__trycua__computer_action")',
+              },
+              vm_id: {
+                type: 'string',
+                description: 'Only events for this VM',
+              },
+              type: {
+                type: 'string',
+                description: 'Only events of this type (e.g. "tool_start", "vm_ready", "policy_denied")',
+              },
+              since: {
+                type: 'string',
+                description: 'ISO timestamp or duration back from now, e.g. "1h", "30m", "2d"',
+              },
+              until: {
+                type: 'string',
+                description: 'ISO timestamp or duration back from now',
+              },
+              limit: {
+                type: 'number',
+                description: 'Maximum events to return (default: 100)',
+              },
+            },
+          },
+        },
         {
           name: 'moltbot_context_sync',
           description: `Sync context from the Moltbot Master to see what has happened while you were offline.
@@ -492,7 +530,7 @@ Use this to log significant actions so VPSs and future sessions know what happen
               content: [
                 {
                   type: 'text',
-                  text: JSON.stringify(currentState, null, 2),
+                  text: JSON.stringify({ ...currentState, masterOutbox: readOutboxBacklogs() }, null, 2),
                 } as TextContent,
               ],
             };
@@ -528,25 +566,41 @@ Use this to log significant actions so VPSs and future sessions know what happen
             };
           }
 
+          case 'strawberry_query_events': {
+            const events = eventStore.query({
+              sessionId: args?.session_id as string | undefined,
+              source: args?.source as string | undefined,
+              tool: args?.tool as string | undefined,
+              vmId: args?.vm_id as string | undefined,
+              type: args?.type as string | undefined,
+              since: args?.since as string | undefined,
+              until: args?.until as string | undefined,
+              limit: args?.limit as number | undefined,
+            });
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify({
+                    success: true,
+                    count: events.length,
+                    events,
+                  }, null, 2),
+                } as TextContent,
+              ],
+            };
+          }
+
           case 'moltbot_context_sync': {
             const since = args?.since as string || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
 
             try {
-              const response = await fetch(`${MOLTBOT_MASTER_URL}/context/sync?since=${encodeURIComponent(since)}`);
-              if (!response.ok) {
-                throw new Error(`Moltbot Master returned ${response.status}`);
-              }
-
-              const data = await response.json() as {
-                events: MoltbotContextEvent[];
-                swarmState: any;
-                vpsRegistry: any[];
-                timestamp: string;
-              };
+              const data = await master.syncContext(since);
 
               // Update local state with swarm info
-              if (data.swarmState?.activeMoltbots || data.swarmState?.specialists) {
-                this.state.activeMoltbots = Object.entries(data.swarmState.specialists || {}).map(([name, info]: [string, any]) => ({
+              if (data.swarmState?.specialists) {
+                this.state.activeMoltbots = Object.entries(data.swarmState.specialists).map(([name, info]) => ({
                   id: name,
                   name,
                   purpose: info.purpose,
@@ -601,21 +655,11 @@ Use this to log significant actions so VPSs and future sessions know what happen
             const capabilities = args?.capabilities as string[] || ['imessage', 'local-files', 'strawberry-terminal'];
 
             try {
-              const response = await fetch(`${MOLTBOT_MASTER_URL}/macbook/register`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                  capabilities,
-                  strawberryVersion: VERSION,
-                }),
+              const node = await master.registerMacbook({
+                capabilities,
+                strawberryVersion: VERSION,
               });
 
-              if (!response.ok) {
-                throw new Error(`Moltbot Master returned ${response.status}`);
-              }
-
-              const node = await response.json();
-
               // Log registration
               appendEvent({
                 type: 'macbook_registered',
@@ -651,37 +695,33 @@ Use this to log significant actions so VPSs and future sessions know what happen
           }
 
           case 'moltbot_add_event': {
-            const eventType = args?.type as string;
+            const eventType = args?.type as ContextEvent['type'];
             const summary = args?.summary as string;
             const details = args?.details as Record<string, unknown> | undefined;
 
             try {
-              const response = await fetch(`${MOLTBOT_MASTER_URL}/context/event`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
+              const sent = await outbox.send({
+                op: 'addEvent',
+                payload: {
                   type: eventType,
                   source: 'macbook',
                   summary,
                   details,
-                }),
+                },
               });
 
-              if (!response.ok) {
-                throw new Error(`Moltbot Master returned ${response.status}`);
-              }
-
-              const event = await response.json();
-
               return {
                 content: [
                   {
                     type: 'text',
-                    text: JSON.stringify({
-                      success: true,
-                      message: 'Event added to Moltbot Master',
-                      event,
-                    }, null, 2),
+                    text: JSON.stringify(sent.delivered
+                      ? { success: true, message: 'Event added to Moltbot Master', event: sent.result }
+                      : {
+                          success: true,
+                          queued: true,
+                          message: `Moltbot Master unreachable (${sent.error}); the event is queued and will be retried`,
+                          outboxId: sent.id,
+                        }, null, 2),
                   } as TextContent,
                 ],
               };
@@ -729,7 +769,8 @@ Use this to log significant actions so VPSs and future sessions know what happen
     await this.server.connect(transport);
     console.error(`[strawberry-context] MCP server running on stdio (v${VERSION})`);
 
-    // Auto-register MacBook with Moltbot Master
+    // Auto-register MacBook with Moltbot Master, then retry anything left queued
+    outbox.start();
     this.registerMacBook();
 
     // Start heartbeat (every 2 minutes)
@@ -738,21 +779,22 @@ Use this to log significant actions so VPSs and future sessions know what happen
 
   private async registerMacBook(): Promise<void> {
     try {
-      const response = await fetch(`${MOLTBOT_MASTER_URL}/macbook/register`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      const sent = await outbox.send({
+        op: 'registerMacbook',
+        payload: {
           capabilities: ['imessage', 'local-files', 'strawberry-terminal', 'clawdbot-local'],
           strawberryVersion: VERSION,
-        }),
-      });
+        },
+      }, { coalesceKey: 'register:macbook' });
 
-      if (response.ok) {
-        console.error('[strawberry-context] MacBook registered with Moltbot Master');
+      if (sent.delivered) {
+        console.error(`[strawberry-context] MacBook registered with Moltbot Master (${master.url})`);
         appendEvent({ type: 'macbook_auto_registered' });
+      } else {
+        console.error(`[strawberry-context] Moltbot Master unreachable, registration queued: ${sent.error}`);
       }
     } catch (error) {
-      console.error('[strawberry-context] Failed to auto-register MacBook:', error);
+      console.error('[strawberry-context] Failed to auto-register MacBook:', error instanceof Error ? error.message : error);
     }
   }
 
@@ -760,10 +802,7 @@ Use this to log significant actions so VPSs and future sessions know what happen
     // Send heartbeat every 2 minutes
     setInterval(async () => {
       try {
-        await fetch(`${MOLTBOT_MASTER_URL}/macbook/heartbeat`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-        });
+        await outbox.send({ op: 'macbookHeartbeat' }, { coalesceKey: 'heartbeat:macbook' });
       } catch {
         // Silently ignore heartbeat failures
       }
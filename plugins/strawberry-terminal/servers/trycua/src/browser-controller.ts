@@ -2,11 +2,37 @@
  * Browser Controller
  *
  * Uses Puppeteer to control a real browser instance.
- * Integrates with ComputerUseAgent for AI-powered actions.
+ * Integrates with ComputerUseAgent for AI-powered actions. Tasks are
+ * grounded in the page by default: the agent gets the interactive elements
+ * from the accessibility tree next to each screenshot and can act on them
+ * by id.
+ *
+ * A browser can have several tabs, each in the default context or in an
+ * isolated (incognito) one. Actions go to the active tab, and popups such
+ * as OAuth windows become the active tab when they open and hand back to
+ * their opener when they close.
+ *
+ * Launch options can turn on network capture (exported as HAR) and request
+ * interception rules for every tab of the browser; see network-capture.ts.
+ * extract() reads structured data off the active tab (page-extract.ts).
+ *
+ * Logged-in state can be saved as a named profile and loaded into a new
+ * browser at launch, so a login survives across browsers (browser-profiles.ts).
  */
 
-import puppeteer, { Browser, Page } from 'puppeteer';
-import { ComputerUseAgent, ComputerUseAction } from './computer-use.js';
+import puppeteer, { Browser, BrowserContext, ElementHandle, Page, Target } from 'puppeteer';
+import { ComputerUseAgent, ComputerUseAction, ScreenElement } from './computer-use.js';
+import { ElementMap } from './element-grounding.js';
+import { Har, NetworkCapture, NetworkOptions } from './network-capture.js';
+import { BrowserProfileStore, ProfileSummary, StorageItem, StorageOrigin, StorageState } from './browser-profiles.js';
+import {
+  extractMarkdown,
+  extractStructure,
+  extractText,
+  extractWithSelectors,
+  PageStructure,
+  SelectorSpec,
+} from './page-extract.js';
 import { EventEmitter } from 'events';
 
 export interface BrowserConfig {
@@ -14,25 +40,112 @@ export interface BrowserConfig {
   width?: number;
   height?: number;
   apiKey: string;
+  /** Switch to popups and new windows opened by the page (default true) */
+  followPopups?: boolean;
+}
+
+export interface LaunchOptions {
+  /** Start in an isolated context that shares nothing with the default profile */
+  incognito?: boolean;
+  /** Overrides BrowserConfig.headless for this browser */
+  headless?: boolean;
+  /** Record requests and responses and/or intercept them */
+  network?: NetworkOptions;
+  /** Saved profile whose cookies and storage the browser starts with */
+  profile?: string;
+  /** First page to open (default: stay on about:blank) */
+  startUrl?: string;
+}
+
+export interface ExtractOptions {
+  /** JSON schema to fill from the page with the model (needs an API key) */
+  schema?: unknown;
+  /** Extra guidance for schema extraction */
+  instructions?: string;
+  /** Rows picked out with CSS or ARIA selectors */
+  selectors?: SelectorSpec;
+  /** Only look inside the element matching this CSS selector */
+  scope?: string;
+  /** Page content to include (default markdown) */
+  format?: 'markdown' | 'text' | 'none';
+  /** Cap on the page content, in characters */
+  maxChars?: number;
+  /** Cap on rows per table, list or selector match */
+  maxRows?: number;
+}
+
+export interface ExtractResult extends PageStructure {
+  url: string;
+  title: string;
+  /** From selectors */
+  rows?: Record<string, string | null>[];
+  /** Rows matched by selectors.rows, including ones past maxRows */
+  totalRows?: number;
+  /** From schema */
+  data?: unknown;
+  markdown?: string;
+  text?: string;
+}
+
+/** Context id of the browser's default (non-isolated) context */
+export const DEFAULT_CONTEXT = 'default';
+
+/** Set in sessionStorage once a profile's items were restored for the tab */
+const SESSION_RESTORED_KEY = '__strawberry_profile_restored';
+
+export interface BrowserTab {
+  id: string;
+  page: Page;
+  /** DEFAULT_CONTEXT or the id of an isolated context */
+  contextId: string;
+  /** Tab that opened this one as a popup */
+  openerId?: string;
+}
+
+export interface TabInfo {
+  tabId: string;
+  url: string;
+  title: string;
+  active: boolean;
+  context: string;
+  incognito: boolean;
+  openerId?: string;
 }
 
 export interface BrowserInstance {
   id: string;
   name: string;
   browser: Browser;
+  /** Page of the active tab */
   page: Page;
+  tabs: BrowserTab[];
+  activeTabId: string;
+  contexts: Map<string, BrowserContext>;
+  /** Set when the browser was launched with network options */
+  network?: NetworkCapture;
   agent: ComputerUseAgent;
   status: 'ready' | 'working' | 'idle' | 'error';
+  /** Elements listed to the agent at the last grounded step; element_id refers to these */
+  elements?: ElementMap;
 }
 
+/**
+ * How the agent locates what it acts on: 'elements' adds the accessibility
+ * tree's interactive elements to each screenshot, 'pixels' is screenshot only
+ */
+export type GroundingMode = 'elements' | 'pixels';
+
 /**
  * Browser Controller
  *
  * Manages browser instances and provides computer-use control.
  */
 export class BrowserController extends EventEmitter {
+  readonly profiles = new BrowserProfileStore();
   private instances: Map<string, BrowserInstance> = new Map();
   private config: BrowserConfig;
+  private tabCounter = 0;
+  private contextCounter = 0;
 
   constructor(config: BrowserConfig) {
     super();
@@ -42,15 +155,19 @@ export class BrowserController extends EventEmitter {
   /**
    * Launch a new browser instance
    */
-  async launch(id: string, name: string): Promise<BrowserInstance> {
+  async launch(id: string, name: string, options: LaunchOptions = {}): Promise<BrowserInstance> {
     const width = this.config.width || 1280;
     const height = this.config.height || 800;
 
     // Use system Chrome if PUPPETEER_EXECUTABLE_PATH is set
     const executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
 
+    // Before launching, so a bad rule (missing fixture) fails fast
+    const network = options.network ? new NetworkCapture(options.network) : undefined;
+    const state = options.profile ? this.profiles.load(options.profile) : undefined;
+
     const browser = await puppeteer.launch({
-      headless: this.config.headless ?? false, // Show browser by default for debugging
+      headless: options.headless ?? this.config.headless ?? false, // Show browser by default for debugging
       executablePath: executablePath || undefined,
       args: [
         `--window-size=${width},${height}`,
@@ -63,27 +180,68 @@ export class BrowserController extends EventEmitter {
       },
     });
 
-    const page = await browser.newPage();
-    await page.setViewport({ width, height });
-
-    // Navigate to a starting page
-    await page.goto('https://www.google.com', { waitUntil: 'networkidle2' });
-
-    const agent = new ComputerUseAgent({
-      apiKey: this.config.apiKey,
-    });
-
-    const instance: BrowserInstance = {
-      id,
-      name,
-      browser,
-      page,
-      agent,
-      status: 'ready',
-    };
+    // Nothing has the browser yet, so close it if setting it up fails
+    let instance: BrowserInstance;
+    try {
+      // Chrome starts with a blank tab in the default context
+      const [initialPage] = await browser.pages();
+      const contexts = new Map<string, BrowserContext>([[DEFAULT_CONTEXT, browser.defaultBrowserContext()]]);
+      let contextId = DEFAULT_CONTEXT;
+      let page: Page;
+
+      if (options.incognito) {
+        contextId = `ctx-${++this.contextCounter}`;
+        const context = await browser.createBrowserContext();
+        contexts.set(contextId, context);
+        page = await context.newPage();
+        await initialPage?.close();
+      } else {
+        page = initialPage ?? (await browser.newPage());
+      }
+      await page.setViewport({ width, height });
+      if (state) {
+        // Before tracking new targets, so the page used for localStorage isn't taken for a tab
+        await this.applyState(contexts.get(contextId)!, page, state);
+      }
+
+      const agent = new ComputerUseAgent({
+        apiKey: this.config.apiKey,
+      });
+
+      const tab: BrowserTab = { id: `tab-${++this.tabCounter}`, page, contextId };
+      instance = {
+        id,
+        name,
+        browser,
+        page,
+        tabs: [],
+        activeTabId: tab.id,
+        contexts,
+        network,
+        agent,
+        status: 'ready',
+      };
+      this.trackTab(instance, tab);
+      browser.on('targetcreated', (target: Target) => {
+        this.adoptTarget(instance, target).catch((error) => {
+          console.error(`[BrowserController] Failed to track new tab in ${id}:`, error);
+        });
+      });
+
+      // Open the starting page, if any, once capture and interception are in place
+      await network?.attach(page, tab.id);
+      if (options.startUrl) {
+        await page.goto(options.startUrl, { waitUntil: 'networkidle2' });
+      }
+    } catch (error) {
+      await browser.close().catch((closeError) => {
+        console.error(`[BrowserController] Failed to close browser ${id} after a failed launch:`, closeError);
+      });
+      throw error;
+    }
 
     this.instances.set(id, instance);
-    this.emit('browser_launched', { id, name });
+    this.emit('browser_launched', { id, name, incognito: options.incognito === true, profile: options.profile });
 
     return instance;
   }
@@ -106,6 +264,18 @@ export class BrowserController extends EventEmitter {
     return screenshot as string;
   }
 
+  /**
+   * List the interactive elements of the active tab. Actions with an
+   * element_id refer to the most recent list.
+   */
+  async listElements(id: string): Promise<ScreenElement[]> {
+    const instance = this.getInstance(id);
+    const previous = instance.elements;
+    instance.elements = await ElementMap.capture(instance.page);
+    await previous?.dispose();
+    return instance.elements.elements;
+  }
+
   /**
    * Execute a computer-use action
    */
@@ -117,6 +287,16 @@ export class BrowserController extends EventEmitter {
 
     const { page } = instance;
 
+    if (action.element_id !== undefined) {
+      if (!instance.elements) {
+        throw new Error(`Browser ${id} has no element list yet; list the elements or run a grounded task first`);
+      }
+      const target = await instance.elements.resolve(action.element_id);
+      await this.executeElementAction(page, target, action);
+      this.emit('action', { id, action });
+      return;
+    }
+
     switch (action.type) {
       case 'left_click':
         if (action.coordinate) {
@@ -169,13 +349,58 @@ export class BrowserController extends EventEmitter {
   }
 
   /**
-   * Execute an AI-powered task
+   * Act on an element from the grounding list
+   */
+  private async executeElementAction(page: Page, target: ElementHandle, action: ComputerUseAction): Promise<void> {
+    switch (action.type) {
+      case 'left_click':
+        await target.click();
+        break;
+
+      case 'right_click':
+        await target.click({ button: 'right' });
+        break;
+
+      case 'double_click':
+        await target.click({ count: 2 });
+        break;
+
+      case 'mouse_move':
+        await target.hover();
+        break;
+
+      case 'type':
+        await target.click();
+        if (action.text) {
+          await page.keyboard.type(action.text, { delay: 50 });
+        }
+        break;
+
+      case 'scroll':
+        await target.hover();
+        if (action.scroll_direction && action.scroll_amount) {
+          const deltaY = action.scroll_direction === 'down' ? action.scroll_amount : -action.scroll_amount;
+          await page.mouse.wheel({ deltaY });
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Execute an AI-powered task. With isolated, it runs in a new incognito tab
+   * opened at the active tab's URL, so it starts without the profile's
+   * cookies and storage. That tab, and any popups it opened, are closed
+   * afterwards and the tab that was active before is made active again.
    */
   async executeTask(
     id: string,
     task: string,
-    onProgress?: (step: number, action: string, reasoning: string) => void
-  ): Promise<{ success: boolean; steps: number; reasoning: string[]; error?: string }> {
+    onProgress?: (step: number, action: string, reasoning: string) => void,
+    options: { grounding?: GroundingMode; isolated?: boolean; maxSteps?: number } = {}
+  ): Promise<{ success: boolean; steps: number; reasoning: string[]; error?: string; tabId?: string }> {
     const instance = this.instances.get(id);
     if (!instance) {
       throw new Error(`Browser ${id} not found`);
@@ -184,17 +409,27 @@ export class BrowserController extends EventEmitter {
     instance.status = 'working';
     this.emit('task_started', { id, task });
 
+    const previousTabId = instance.activeTabId;
+    let isolatedTabId: string | undefined;
     try {
+      if (options.isolated) {
+        const url = instance.page.url();
+        // Loaded after the tab is tracked, so a page that fails still gets its tab closed
+        isolatedTabId = (await this.openTab(id, { incognito: true })).tabId;
+        await instance.page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+      }
+
       const result = await instance.agent.executeTask(
         task,
         () => this.getScreenshot(id),
         (action) => this.executeAction(id, action),
         {
-          maxSteps: 15,
+          maxSteps: options.maxSteps || 15,
           displaySize: {
             width: this.config.width || 1280,
             height: this.config.height || 800,
           },
+          getElements: (options.grounding || 'elements') === 'elements' ? () => this.listElements(id) : undefined,
           onStep: (step, action, reasoning) => {
             this.emit('task_step', { id, step, action, reasoning });
             if (onProgress) {
@@ -208,7 +443,8 @@ export class BrowserController extends EventEmitter {
       instance.status = result.success ? 'idle' : 'error';
       this.emit('task_complete', { id, result });
 
-      return result;
+      // Popups may have moved the task to another tab; an isolated one is closed below
+      return { ...result, tabId: isolatedTabId ? previousTabId : instance.activeTabId };
     } catch (error) {
       instance.status = 'error';
       const errorMsg = error instanceof Error ? error.message : String(error);
@@ -219,7 +455,209 @@ export class BrowserController extends EventEmitter {
         reasoning: [],
         error: errorMsg,
       };
+    } finally {
+      if (isolatedTabId) {
+        await this.closeIsolatedTab(instance, isolatedTabId, previousTabId);
+      }
+    }
+  }
+
+  /**
+   * List the tabs of a browser
+   */
+  async listTabs(id: string): Promise<TabInfo[]> {
+    const instance = this.getInstance(id);
+    return Promise.all(instance.tabs.map((tab) => this.tabInfo(instance, tab)));
+  }
+
+  /**
+   * Open a tab, in the active tab's context or in a new isolated one, and
+   * make it the active tab unless activate is false
+   */
+  async openTab(
+    id: string,
+    options: { url?: string; incognito?: boolean; activate?: boolean } = {}
+  ): Promise<TabInfo> {
+    const instance = this.getInstance(id);
+
+    let contextId = this.activeTab(instance)?.contextId ?? DEFAULT_CONTEXT;
+    if (options.incognito) {
+      contextId = `ctx-${++this.contextCounter}`;
+      instance.contexts.set(contextId, await instance.browser.createBrowserContext());
+    }
+
+    const page = await instance.contexts.get(contextId)!.newPage();
+    // targetcreated may have tracked the page already
+    const tab = instance.tabs.find((t) => t.page === page) ?? this.trackTab(instance, { id: `tab-${++this.tabCounter}`, page, contextId });
+
+    if (options.activate !== false) {
+      this.activateTab(instance, tab);
+    }
+    await instance.network?.attach(page, tab.id);
+    if (options.url) {
+      await page.goto(options.url, { waitUntil: 'networkidle2', timeout: 30000 });
+    }
+    return this.tabInfo(instance, tab);
+  }
+
+  /**
+   * Make a tab the one actions and screenshots go to
+   */
+  async switchTab(id: string, tabId: string): Promise<TabInfo> {
+    const instance = this.getInstance(id);
+    const tab = instance.tabs.find((t) => t.id === tabId);
+    if (!tab) {
+      throw new Error(`Tab ${tabId} not found in browser ${id}`);
+    }
+
+    this.activateTab(instance, tab);
+    return this.tabInfo(instance, tab);
+  }
+
+  /**
+   * Close a tab. An isolated context is closed with its last tab.
+   */
+  async closeTab(id: string, tabId: string): Promise<void> {
+    const instance = this.getInstance(id);
+    const tab = instance.tabs.find((t) => t.id === tabId);
+    if (!tab) {
+      throw new Error(`Tab ${tabId} not found in browser ${id}`);
+    }
+    if (instance.tabs.length === 1) {
+      throw new Error(`Tab ${tabId} is the last tab of browser ${id}; close the browser instead`);
+    }
+
+    await tab.page.close();
+    this.forgetTab(instance, tab);
+  }
+
+  /**
+   * Requests and responses recorded in every tab so far, as a HAR log
+   */
+  exportHar(id: string, version: string): Har {
+    return this.getCapture(id).toHar(version);
+  }
+
+  /**
+   * How many requests were recorded, failed, blocked or mocked
+   */
+  networkSummary(id: string): ReturnType<NetworkCapture['summary']> {
+    return this.getCapture(id).summary();
+  }
+
+  /**
+   * Read tables, lists, forms and the page content off the active tab, plus
+   * rows for the given selectors and data for the given schema
+   */
+  async extract(id: string, options: ExtractOptions = {}): Promise<ExtractResult> {
+    const instance = this.getInstance(id);
+    const { page } = instance;
+    const format = options.format || 'markdown';
+
+    const structure = await extractStructure(page, options.scope, options.maxRows);
+    const result: ExtractResult = {
+      url: page.url(),
+      title: await page.title(),
+      ...structure,
+    };
+
+    if (options.selectors) {
+      const { rows, total } = await extractWithSelectors(page, options.selectors, options.maxRows);
+      result.rows = rows;
+      result.totalRows = total;
     }
+
+    // Schema extraction always reads the markdown, whatever format asks for
+    const markdown =
+      format === 'markdown' || options.schema !== undefined
+        ? await extractMarkdown(page, options.scope, options.maxChars)
+        : undefined;
+    if (format === 'markdown') result.markdown = markdown;
+    if (format === 'text') result.text = await extractText(page, options.scope, options.maxChars);
+
+    if (options.schema !== undefined) {
+      const content = [
+        markdown,
+        structure.tables.length > 0 ? `Tables:\n${JSON.stringify(structure.tables)}` : '',
+        structure.forms.length > 0 ? `Forms:\n${JSON.stringify(structure.forms)}` : '',
+      ]
+        .filter(Boolean)
+        .join('\n\n');
+      result.data = await instance.agent.extractJson(options.schema, content, options.instructions);
+    }
+
+    this.emit('extracted', { id, url: result.url });
+    return result;
+  }
+
+  /**
+   * Cookies and storage of the active tab's context. Storage is read from
+   * the origins open in that context's tabs.
+   */
+  async captureState(id: string): Promise<StorageState> {
+    const instance = this.getInstance(id);
+    const active = this.activeTab(instance);
+    if (!active) {
+      throw new Error(`Browser ${id} has no open tab`);
+    }
+    const context = instance.contexts.get(active.contextId)!;
+
+    const cookies = (await context.cookies()).map((cookie) => ({
+      name: cookie.name,
+      value: cookie.value,
+      domain: cookie.domain,
+      path: cookie.path,
+      expires: cookie.session ? -1 : cookie.expires,
+      httpOnly: cookie.httpOnly === true,
+      secure: cookie.secure,
+      sameSite: cookie.sameSite,
+    }));
+
+    // Active tab first, so its sessionStorage wins for an origin open twice
+    const tabs = [active, ...instance.tabs.filter((t) => t !== active && t.contextId === active.contextId)];
+    const origins = new Map<string, StorageOrigin>();
+    for (const tab of tabs) {
+      const storage = await tab.page
+        .evaluate((restoredKey: string) => {
+          const g = globalThis as any;
+          const items = (store: any): { name: string; value: string }[] => {
+            const result: { name: string; value: string }[] = [];
+            for (let i = 0; i < store.length; i++) {
+              const name = store.key(i);
+              if (name !== null && name !== restoredKey) result.push({ name, value: store.getItem(name) ?? '' });
+            }
+            return result;
+          };
+          return {
+            origin: g.location.origin as string,
+            localStorage: items(g.localStorage),
+            sessionStorage: items(g.sessionStorage),
+          };
+        }, SESSION_RESTORED_KEY)
+        .catch(() => undefined);
+      // Opaque origins (about:blank, data: URLs) have no storage to restore
+      if (!storage || !storage.origin.startsWith('http') || origins.has(storage.origin)) continue;
+      if (storage.localStorage.length === 0 && storage.sessionStorage.length === 0) continue;
+      origins.set(storage.origin, storage);
+    }
+
+    return { cookies, origins: Array.from(origins.values()) };
+  }
+
+  /**
+   * Save the browser's logged-in state as a named profile
+   */
+  async saveProfile(id: string, name: string): Promise<ProfileSummary> {
+    const summary = this.profiles.save(name, await this.captureState(id));
+    this.emit('profile_saved', { id, profile: name });
+    return summary;
+  }
+
+  /**
+   * Forget the recorded requests, e.g. after exporting them
+   */
+  clearNetwork(id: string): void {
+    this.getCapture(id).clear();
   }
 
   /**
@@ -267,6 +705,175 @@ export class BrowserController extends EventEmitter {
     await Promise.all(ids.map((id) => this.close(id)));
   }
 
+  private getInstance(id: string): BrowserInstance {
+    const instance = this.instances.get(id);
+    if (!instance) {
+      throw new Error(`Browser ${id} not found`);
+    }
+    return instance;
+  }
+
+  private getCapture(id: string): NetworkCapture {
+    const network = this.getInstance(id).network;
+    if (!network?.capturing) {
+      throw new Error(`Browser ${id} is not capturing network traffic; launch it with network capture on`);
+    }
+    return network;
+  }
+
+  /**
+   * Load a profile into a fresh context. localStorage is written from a
+   * scratch page that answers every request with an empty document, so no
+   * site is actually visited; sessionStorage belongs to a tab and is filled
+   * in on the launch page when it first reaches each origin.
+   */
+  private async applyState(context: BrowserContext, page: Page, state: StorageState): Promise<void> {
+    if (state.cookies.length > 0) {
+      await context.setCookie(
+        ...state.cookies.map(({ expires, ...cookie }) => (expires > 0 ? { ...cookie, expires } : cookie))
+      );
+    }
+
+    const origins = state.origins.filter((origin) => origin.origin.startsWith('http'));
+    const local = origins.filter((origin) => origin.localStorage.length > 0);
+    if (local.length > 0) {
+      const scratch = await context.newPage();
+      try {
+        await scratch.setRequestInterception(true);
+        scratch.on('request', (request) => {
+          request.respond({ status: 200, contentType: 'text/html', body: '<html></html>' }).catch(() => {});
+        });
+        for (const origin of local) {
+          await scratch.goto(origin.origin);
+          await scratch.evaluate((items: StorageItem[]) => {
+            const storage = (globalThis as any).localStorage;
+            for (const item of items) storage.setItem(item.name, item.value);
+          }, origin.localStorage);
+        }
+      } finally {
+        await scratch.close();
+      }
+    }
+
+    const session = origins.filter((origin) => origin.sessionStorage && origin.sessionStorage.length > 0);
+    if (session.length > 0) {
+      await page.evaluateOnNewDocument(
+        (entries: StorageOrigin[], restoredKey: string) => {
+          const g = globalThis as any;
+          try {
+            const entry = entries.find((e) => e.origin === g.location.origin);
+            if (!entry || g.sessionStorage.getItem(restoredKey)) return;
+            for (const item of entry.sessionStorage || []) g.sessionStorage.setItem(item.name, item.value);
+            g.sessionStorage.setItem(restoredKey, '1');
+          } catch {
+            // Storage can be blocked (sandboxed frames); the page just starts without it
+          }
+        },
+        session,
+        SESSION_RESTORED_KEY
+      );
+    }
+  }
+
+  /**
+   * Close the tab an isolated task ran in, with the popups it opened in its
+   * context, and make the tab that was active before the task active again
+   */
+  private async closeIsolatedTab(instance: BrowserInstance, tabId: string, previousTabId: string): Promise<void> {
+    const isolated = instance.tabs.find((t) => t.id === tabId);
+    const tabs = isolated ? instance.tabs.filter((t) => t.contextId === isolated.contextId) : [];
+    for (const tab of tabs) {
+      await this.closeTab(instance.id, tab.id).catch((error) => {
+        console.error(`[BrowserController] Failed to close isolated tab ${tab.id} in ${instance.id}:`, error);
+      });
+    }
+
+    const previous = instance.tabs.find((t) => t.id === previousTabId);
+    if (previous) {
+      this.activateTab(instance, previous);
+    }
+  }
+
+  private activeTab(instance: BrowserInstance): BrowserTab | undefined {
+    return instance.tabs.find((tab) => tab.id === instance.activeTabId);
+  }
+
+  private trackTab(instance: BrowserInstance, tab: BrowserTab): BrowserTab {
+    instance.tabs.push(tab);
+    tab.page.once('close', () => this.forgetTab(instance, tab));
+    instance.network?.attach(tab.page, tab.id).catch((error) => {
+      console.error(`[BrowserController] Failed to capture network of ${tab.id}:`, error);
+    });
+    this.emit('tab_opened', { id: instance.id, tabId: tab.id, contextId: tab.contextId, openerId: tab.openerId });
+    return tab;
+  }
+
+  private activateTab(instance: BrowserInstance, tab: BrowserTab): void {
+    if (instance.activeTabId !== tab.id) {
+      // Element ids refer to the page they were listed for
+      instance.elements?.dispose();
+      instance.elements = undefined;
+    }
+    instance.activeTabId = tab.id;
+    instance.page = tab.page;
+    tab.page.bringToFront().catch(() => {});
+    this.emit('tab_switched', { id: instance.id, tabId: tab.id });
+  }
+
+  /**
+   * Drop a closed tab. If it was active, its opener (or the last tab) takes over.
+   */
+  private forgetTab(instance: BrowserInstance, tab: BrowserTab): void {
+    const index = instance.tabs.indexOf(tab);
+    if (index === -1) return;
+    instance.tabs.splice(index, 1);
+    this.emit('tab_closed', { id: instance.id, tabId: tab.id });
+
+    if (tab.contextId !== DEFAULT_CONTEXT && !instance.tabs.some((t) => t.contextId === tab.contextId)) {
+      instance.contexts.get(tab.contextId)?.close().catch(() => {});
+      instance.contexts.delete(tab.contextId);
+    }
+
+    if (instance.activeTabId === tab.id && instance.tabs.length > 0) {
+      const next = instance.tabs.find((t) => t.id === tab.openerId) ?? instance.tabs[instance.tabs.length - 1];
+      this.activateTab(instance, next);
+    }
+  }
+
+  /**
+   * Track a page the browser opened on its own (popup, target=_blank link)
+   */
+  private async adoptTarget(instance: BrowserInstance, target: Target): Promise<void> {
+    if (target.type() !== 'page') return;
+    const page = await target.page();
+    if (!page || instance.tabs.some((t) => t.page === page)) return;
+
+    const contextId = Array.from(instance.contexts.entries()).find(([, context]) => context === target.browserContext())?.[0];
+    if (!contextId) return;
+
+    const openerPage = await target.opener()?.page();
+    const opener = openerPage ? instance.tabs.find((t) => t.page === openerPage) : undefined;
+    // Re-check: openTab may have tracked it while we were waiting
+    if (instance.tabs.some((t) => t.page === page)) return;
+
+    const tab = this.trackTab(instance, { id: `tab-${++this.tabCounter}`, page, contextId, openerId: opener?.id });
+    if (opener && this.config.followPopups !== false) {
+      this.activateTab(instance, tab);
+    }
+  }
+
+  private async tabInfo(instance: BrowserInstance, tab: BrowserTab): Promise<TabInfo> {
+    return {
+      tabId: tab.id,
+      url: tab.page.url(),
+      title: await tab.page.title().catch(() => ''),
+      active: tab.id === instance.activeTabId,
+      context: tab.contextId,
+      incognito: tab.contextId !== DEFAULT_CONTEXT,
+      openerId: tab.openerId,
+    };
+  }
+
   /**
    * Get instance by ID
    */
@@ -282,6 +889,10 @@ export class BrowserController extends EventEmitter {
   }
 
   private describeAction(action: ComputerUseAction): string {
+    if (action.element_id !== undefined) {
+      return `${action.type}(#${action.element_id})`;
+    }
+
     switch (action.type) {
       case 'left_click':
         return `click(${action.coordinate?.[0]}, ${action.coordinate?.[1]})`;
@@ -0,0 +1,203 @@
+/**
+ * Browser Profiles
+ *
+ * Named snapshots of a browser's logged-in state - cookies plus the
+ * localStorage and sessionStorage of the open origins - kept in
+ * ~/.strawberry/browser-profiles/<name>.json (override with
+ * STRAWBERRY_BROWSER_PROFILES_DIR), encrypted with the secret store's key.
+ *
+ * The state uses Playwright's storageState layout ({ cookies, origins }
+ * with sessionStorage added per origin), so exported files load in other
+ * tools, and files from them can be imported.
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { SealedValue, SecretStore } from './secret-store.js';
+
+const DEFAULT_PROFILES_DIR = path.join(os.homedir(), '.strawberry', 'browser-profiles');
+const PROFILE_NAME = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+/** Where push_browser_profile puts a profile on a VM */
+export const GUEST_PROFILES_DIR = '~/.strawberry/browser-profiles';
+
+export interface StorageCookie {
+  name: string;
+  value: string;
+  domain: string;
+  path: string;
+  /** Unix time in seconds, -1 for a session cookie */
+  expires: number;
+  httpOnly: boolean;
+  secure: boolean;
+  sameSite?: 'Strict' | 'Lax' | 'None';
+}
+
+export interface StorageItem {
+  name: string;
+  value: string;
+}
+
+export interface StorageOrigin {
+  origin: string;
+  localStorage: StorageItem[];
+  sessionStorage?: StorageItem[];
+}
+
+export interface StorageState {
+  cookies: StorageCookie[];
+  origins: StorageOrigin[];
+}
+
+export interface ProfileSummary {
+  name: string;
+  savedAt: string;
+  cookies: number;
+  origins: number;
+}
+
+interface ProfileFile extends ProfileSummary {
+  version: 1;
+  /** StorageState as JSON */
+  state: SealedValue;
+}
+
+/**
+ * Check that data looks like a storage state (e.g. from an imported file)
+ */
+export function parseStorageState(data: unknown, source: string): StorageState {
+  const state = data as Partial<StorageState> | null;
+  if (!state || typeof state !== 'object' || !Array.isArray(state.cookies) || !Array.isArray(state.origins ?? [])) {
+    throw new Error(`${source} is not a storage state file (expected { cookies: [...], origins: [...] })`);
+  }
+
+  const cookies = state.cookies.filter(
+    (cookie): cookie is StorageCookie =>
+      typeof cookie?.name === 'string' && typeof cookie.value === 'string' && typeof cookie.domain === 'string'
+  );
+  const origins = (state.origins || []).filter(
+    (origin): origin is StorageOrigin => typeof origin?.origin === 'string' && Array.isArray(origin.localStorage)
+  );
+  return {
+    cookies: cookies.map((cookie) => ({
+      ...cookie,
+      path: cookie.path || '/',
+      expires: typeof cookie.expires === 'number' ? cookie.expires : -1,
+      httpOnly: cookie.httpOnly === true,
+      secure: cookie.secure === true,
+    })),
+    origins,
+  };
+}
+
+export class BrowserProfileStore {
+  private dir: string;
+  private secrets: SecretStore;
+
+  constructor(dir: string = process.env.STRAWBERRY_BROWSER_PROFILES_DIR || DEFAULT_PROFILES_DIR, secrets: SecretStore = new SecretStore()) {
+    this.dir = dir;
+    this.secrets = secrets;
+  }
+
+  /**
+   * Save (or replace) a profile
+   */
+  save(name: string, state: StorageState): ProfileSummary {
+    const file = this.filePath(name);
+    const profile: ProfileFile = {
+      version: 1,
+      name,
+      savedAt: new Date().toISOString(),
+      cookies: state.cookies.length,
+      origins: state.origins.length,
+      state: this.secrets.seal(JSON.stringify(state)),
+    };
+
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+    const tmpPath = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(profile, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, file);
+
+    const { state: _state, version: _version, ...summary } = profile;
+    return summary;
+  }
+
+  /**
+   * Decrypted state of a profile
+   */
+  load(name: string): StorageState {
+    const profile = this.read(name);
+    if (!profile) {
+      throw new Error(`Browser profile "${name}" not found`);
+    }
+    return JSON.parse(this.secrets.unseal(profile.state, `browser profile "${name}"`)) as StorageState;
+  }
+
+  list(): ProfileSummary[] {
+    let files: string[];
+    try {
+      files = fs.readdirSync(this.dir).filter((file) => file.endsWith('.json') && PROFILE_NAME.test(path.basename(file, '.json')));
+    } catch {
+      return [];
+    }
+
+    return files
+      .map((file) => this.read(path.basename(file, '.json')))
+      .filter((profile): profile is ProfileFile => profile !== undefined)
+      .map(({ name, savedAt, cookies, origins }) => ({ name, savedAt, cookies, origins }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Remove a profile; returns false if it didn't exist
+   */
+  delete(name: string): boolean {
+    try {
+      fs.unlinkSync(this.filePath(name));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Write a profile to a plain (unencrypted) storage state file
+   */
+  exportTo(name: string, file: string): ProfileSummary {
+    const state = this.load(name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(state, null, 2), { mode: 0o600 });
+    return { name, savedAt: this.read(name)!.savedAt, cookies: state.cookies.length, origins: state.origins.length };
+  }
+
+  /**
+   * Save a storage state file (from exportTo, Playwright or a VM) as a profile
+   */
+  importFrom(name: string, file: string): ProfileSummary {
+    let data: unknown;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read ${file}: ${error instanceof Error ? error.message : error}`);
+    }
+    return this.save(name, parseStorageState(data, file));
+  }
+
+  private read(name: string): ProfileFile | undefined {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath(name), 'utf8')) as ProfileFile;
+    } catch {
+      return undefined;
+    }
+  }
+
+  private filePath(name: string): string {
+    if (!PROFILE_NAME.test(name)) {
+      throw new Error(`Invalid profile name: ${name} (use letters, digits, dots, dashes and underscores)`);
+    }
+    return path.join(this.dir, `${name}.json`);
+  }
+}
+
+export default BrowserProfileStore;
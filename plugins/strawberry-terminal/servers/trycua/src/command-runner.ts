@@ -0,0 +1,272 @@
+/**
+ * Command Runner
+ *
+ * Runs shell commands on a VM and reports stdout, stderr, exit code and
+ * duration. Commands go through the computer-server's run_command channel:
+ * the command is started in the background on the guest with its output
+ * redirected to files, which are polled so output can be streamed and
+ * commands can outlive a single computer-server request. When
+ * STRAWBERRY_VM_SSH_USER is set, SSH to the VM's host is used as a fallback
+ * (STRAWBERRY_VM_SSH_KEY / STRAWBERRY_VM_SSH_PORT are optional).
+ *
+ * CommandOptions.env often carries secrets, so it never goes into a command
+ * line, where the guest's process list and the computer-server's logs would
+ * show it: the computer-server gets it as a file written with write_text,
+ * and SSH gets it on stdin with the rest of the script.
+ */
+
+import { spawn } from 'child_process';
+import { randomUUID } from 'crypto';
+import { StringDecoder } from 'string_decoder';
+import { ComputerInterface } from './providers/index.js';
+import { CommandOptions, CommandResult } from './types.js';
+
+const DEFAULT_TIMEOUT_MS = 120000;
+const POLL_INTERVAL_MS = 1000;
+// Keep only the tail of very chatty commands
+const MAX_OUTPUT_CHARS = 1024 * 1024;
+const GUEST_DIR = '/tmp/strawberry-cmd';
+const SEPARATOR = '__STRAWBERRY_SEP__';
+const TIMEOUT_EXIT_CODE = 124;
+
+/**
+ * Quote a string for POSIX sh
+ */
+export function shellQuote(value: string): string {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Path for the shell, keeping a leading ~/ outside the quotes so it expands
+ */
+export function shellPath(filePath: string): string {
+  if (filePath === '~') return '"$HOME"';
+  if (filePath.startsWith('~/')) return `"$HOME"/${shellQuote(filePath.slice(2))}`;
+  return shellQuote(filePath);
+}
+
+/**
+ * sh function `q` that single-quotes its argument, for writing values taken
+ * from the environment into files on the guest
+ */
+export const QUOTE_FUNCTION = String.raw`q() { printf "'%s'" "$(printf %s "$1" | sed "s/'/'\\\\''/g")"; }`;
+
+/**
+ * `export` lines for the command's environment
+ */
+function envScript(env: Record<string, string> = {}): string {
+  return Object.entries(env)
+    .map(([key, value]) => {
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+        throw new Error(`Invalid environment variable name: ${key}`);
+      }
+      return `export ${key}=${shellQuote(value)}\n`;
+    })
+    .join('');
+}
+
+/**
+ * The script actually run: cd, then the command
+ */
+function buildScript(command: string, options: CommandOptions): string {
+  const cd = options.cwd ? `cd ${shellQuote(options.cwd)} || exit 1` : 'cd "$HOME" 2>/dev/null';
+  return `${cd}\n${command}\n`;
+}
+
+/**
+ * Accumulates one output stream, forwarding chunks as they arrive
+ */
+class OutputBuffer {
+  private decoder = new StringDecoder('utf8');
+  text = '';
+
+  constructor(private stream: 'stdout' | 'stderr', private onOutput?: CommandOptions['onOutput']) {}
+
+  push(data: Buffer): void {
+    const chunk = this.decoder.write(data);
+    if (!chunk) return;
+    this.text = (this.text + chunk).slice(-MAX_OUTPUT_CHARS);
+    this.onOutput?.(chunk, this.stream);
+  }
+
+  end(): string {
+    this.push(Buffer.from(this.decoder.end()));
+    return this.text;
+  }
+}
+
+/**
+ * Run a command through the computer-server command channel
+ */
+export async function runViaComputerServer(
+  iface: ComputerInterface,
+  command: string,
+  options: CommandOptions = {}
+): Promise<CommandResult> {
+  const startTime = Date.now();
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const dir = `${GUEST_DIR}/${randomUUID()}`;
+  const script = Buffer.from(buildScript(command, options)).toString('base64');
+  const env = envScript(options.env);
+
+  // Only the user can read the job directory. The environment goes in a file of its own,
+  // sourced and deleted as the job starts
+  if (env) {
+    if (!iface.writeText) {
+      throw new Error('This computer-server cannot receive files, so the command environment would end up in its command line');
+    }
+    const [, mkdirError] = await iface.runCommand(`umask 077 && mkdir -p ${dir}`);
+    if (mkdirError.trim()) {
+      throw new Error(`Failed to start command: ${mkdirError.trim()}`);
+    }
+    await iface.writeText(`${dir}/env`, env);
+  }
+
+  // setsid (where available) gives the job its own process group so a timeout can kill all of it
+  const job = `sh -c 'if [ -f env ]; then . ./env; rm -f env; fi; sh cmd.sh > out 2> err; echo $? > exit' < /dev/null > /dev/null 2>&1 &`;
+  const [, launchError] = await iface.runCommand(
+    `umask 077 && mkdir -p ${dir} && printf %s ${script} | base64 -d > ${dir}/cmd.sh && cd ${dir} && ` +
+    `{ if command -v setsid > /dev/null 2>&1; then setsid ${job} else nohup ${job} fi; echo $! > pid; }`
+  );
+  if (launchError.trim()) {
+    throw new Error(`Failed to start command: ${launchError.trim()}`);
+  }
+
+  const stdout = new OutputBuffer('stdout', options.onOutput);
+  const stderr = new OutputBuffer('stderr', options.onOutput);
+  let stdoutOffset = 0;
+  let stderrOffset = 0;
+  let exitCode: number | null = null;
+  let timedOut = false;
+  let cancelled = false;
+
+  try {
+    while (true) {
+      // Read the exit file first: if it exists, the output read after it is complete
+      const [poll] = await iface.runCommand(
+        `cat ${dir}/exit 2>/dev/null; echo ${SEPARATOR}; ` +
+        `tail -c +${stdoutOffset + 1} ${dir}/out 2>/dev/null | base64; echo ${SEPARATOR}; ` +
+        `tail -c +${stderrOffset + 1} ${dir}/err 2>/dev/null | base64`
+      );
+      const [exitPart = '', outPart = '', errPart = ''] = poll.split(SEPARATOR);
+
+      const outData = Buffer.from(outPart.replace(/\s/g, ''), 'base64');
+      const errData = Buffer.from(errPart.replace(/\s/g, ''), 'base64');
+      stdoutOffset += outData.length;
+      stderrOffset += errData.length;
+      stdout.push(outData);
+      stderr.push(errData);
+
+      if (exitPart.trim()) {
+        const code = parseInt(exitPart.trim(), 10);
+        exitCode = Number.isNaN(code) ? null : code;
+        break;
+      }
+
+      if (options.signal?.aborted || Date.now() - startTime > timeoutMs) {
+        cancelled = !!options.signal?.aborted;
+        timedOut = !cancelled;
+        exitCode = timedOut ? TIMEOUT_EXIT_CODE : null;
+        await iface.runCommand(`pid=$(cat ${dir}/pid); kill -TERM -$pid 2>/dev/null || kill -TERM $pid 2>/dev/null`);
+        break;
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+    }
+  } finally {
+    iface.runCommand(`rm -rf ${dir}`).catch(() => {});
+  }
+
+  return {
+    command,
+    exitCode,
+    stdout: stdout.end(),
+    stderr: stderr.end(),
+    durationMs: Date.now() - startTime,
+    timedOut,
+    cancelled: cancelled || undefined,
+    transport: 'computer-server',
+  };
+}
+
+/**
+ * SSH settings for the fallback, or undefined when it isn't configured
+ */
+export function sshConfig(): { user: string; key?: string; port: string } | undefined {
+  const user = process.env.STRAWBERRY_VM_SSH_USER;
+  if (!user) return undefined;
+  return {
+    user,
+    key: process.env.STRAWBERRY_VM_SSH_KEY,
+    port: process.env.STRAWBERRY_VM_SSH_PORT || '22',
+  };
+}
+
+/**
+ * Run a command over SSH, piping the script to the remote shell
+ */
+export function runViaSsh(host: string, command: string, options: CommandOptions = {}): Promise<CommandResult> {
+  const config = sshConfig();
+  if (!config) {
+    return Promise.reject(new Error('SSH fallback not configured (set STRAWBERRY_VM_SSH_USER)'));
+  }
+
+  const startTime = Date.now();
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  // Piped to the remote shell, so the exports stay off both command lines
+  const script = envScript(options.env) + buildScript(command, options);
+
+  return new Promise((resolve, reject) => {
+    const args = [
+      '-o', 'BatchMode=yes',
+      '-o', 'StrictHostKeyChecking=accept-new',
+      '-o', 'ConnectTimeout=10',
+      '-p', config.port,
+      ...(config.key ? ['-i', config.key] : []),
+      `${config.user}@${host}`,
+      'sh -s',
+    ];
+    const proc = spawn('ssh', args, { stdio: ['pipe', 'pipe', 'pipe'] });
+
+    const stdout = new OutputBuffer('stdout', options.onOutput);
+    const stderr = new OutputBuffer('stderr', options.onOutput);
+    let timedOut = false;
+    let cancelled = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      proc.kill('SIGTERM');
+    }, timeoutMs);
+    const onAbort = () => {
+      cancelled = true;
+      proc.kill('SIGTERM');
+    };
+    options.signal?.addEventListener('abort', onAbort, { once: true });
+
+    proc.stdout.on('data', (data: Buffer) => stdout.push(data));
+    proc.stderr.on('data', (data: Buffer) => stderr.push(data));
+
+    proc.on('error', (error) => {
+      clearTimeout(timer);
+      options.signal?.removeEventListener('abort', onAbort);
+      reject(error);
+    });
+
+    proc.on('close', (code) => {
+      clearTimeout(timer);
+      options.signal?.removeEventListener('abort', onAbort);
+      resolve({
+        command,
+        exitCode: timedOut ? TIMEOUT_EXIT_CODE : code,
+        stdout: stdout.end(),
+        stderr: stderr.end(),
+        durationMs: Date.now() - startTime,
+        timedOut,
+        cancelled: cancelled || undefined,
+        transport: 'ssh',
+      });
+    });
+
+    proc.stdin.end(script);
+  });
+}
@@ -18,8 +18,30 @@ export interface ComputerUseAction {
   text?: string;
   scroll_direction?: 'up' | 'down' | 'left' | 'right';
   scroll_amount?: number;
+  /** Target an element from the grounding list instead of a coordinate */
+  element_id?: number;
 }
 
+/**
+ * An interactive element on screen, as listed to the agent when the caller
+ * can ground actions in the page (see element-grounding.ts)
+ */
+export interface ScreenElement {
+  id: number;
+  role: string;
+  name: string;
+  value?: string;
+  checked?: boolean | 'mixed';
+  box: { x: number; y: number; width: number; height: number };
+  /** CSS selector for finding the element again */
+  selector?: string;
+}
+
+/**
+ * Error reported by executeTask when the agent runs out of steps
+ */
+export const MAX_STEPS_ERROR = 'Max steps reached';
+
 export interface ComputerUseResult {
   action?: ComputerUseAction;
   reasoning?: string;
@@ -50,8 +72,10 @@ export class ComputerUseAgent {
     task: string,
     screenshotB64: string,
     previousActions: string[] = [],
-    displaySize: { width: number; height: number } = { width: 1280, height: 800 }
+    displaySize: { width: number; height: number } = { width: 1280, height: 800 },
+    elements?: ScreenElement[]
   ): Promise<ComputerUseResult> {
+    const grounded = elements !== undefined;
     try {
       const response = await this.client.messages.create({
         model: this.model,
@@ -73,7 +97,17 @@ Guidelines:
 2. Click on the center of UI elements
 3. Wait for pages to load before acting
 4. If you see the task is complete, set completed: true
-5. If you encounter an error, describe it`,
+5. If you encounter an error, describe it${
+          grounded
+            ? `
+
+You are also given a list of the interactive elements on screen, each with an id.
+To act on one of them, give its "element_id" instead of a coordinate; this works
+for left_click, right_click, double_click, mouse_move, scroll (scrolls inside the
+element) and type (clicks the element first, then types). Only use coordinates
+for things that are not in the list.`
+            : ''
+        }`,
         messages: [
           {
             role: 'user',
@@ -93,14 +127,14 @@ Guidelines:
 ${previousActions.length > 0 ? `Previous actions:\n${previousActions.map((a, i) => `${i + 1}. ${a}`).join('\n')}\n\n` : ''}
 
 Screen size: ${displaySize.width}x${displaySize.height}
-
+${elements ? `\nInteractive elements:\n${formatElements(elements)}\n` : ''}
 Analyze the screenshot and decide the next action to complete the task.
 Respond with JSON:
 {
   "reasoning": "What I see and why I'm taking this action",
   "action": {
     "type": "left_click",
-    "coordinate": [x, y]
+    ${grounded ? '"element_id": 3' : '"coordinate": [x, y]'}
   },
   "completed": false
 }
@@ -140,6 +174,36 @@ Or if the task is done:
     }
   }
 
+  /**
+   * Fill a JSON schema from page content (markdown plus extracted tables and
+   * forms). Throws if the model's answer isn't JSON.
+   */
+  async extractJson(schema: unknown, content: string, instructions?: string): Promise<unknown> {
+    const response = await this.client.messages.create({
+      model: this.model,
+      max_tokens: 4096,
+      system: `You extract data from web pages. Answer with JSON that matches the given JSON schema and nothing else.
+Use only information present in the page content. Use null for values that are not on the page; never invent them.`,
+      messages: [
+        {
+          role: 'user',
+          content: `JSON schema:
+${JSON.stringify(schema, null, 2)}
+${instructions ? `\nInstructions: ${instructions}\n` : ''}
+Page content:
+${content}`,
+        },
+      ],
+    });
+
+    const text = response.content[0]?.type === 'text' ? response.content[0].text : '';
+    const jsonMatch = text.match(/[[{][\s\S]*[\]}]/);
+    if (!jsonMatch) {
+      throw new Error('Could not parse extracted data');
+    }
+    return JSON.parse(jsonMatch[0]);
+  }
+
   /**
    * Execute a full task with multiple steps
    */
@@ -150,6 +214,8 @@ Or if the task is done:
     options: {
       maxSteps?: number;
       displaySize?: { width: number; height: number };
+      /** Interactive elements on screen, fetched right after each screenshot */
+      getElements?: () => Promise<ScreenElement[]>;
       onStep?: (step: number, action: ComputerUseAction | undefined, reasoning: string) => void;
     } = {}
   ): Promise<{ success: boolean; steps: number; reasoning: string[]; error?: string }> {
@@ -161,9 +227,10 @@ Or if the task is done:
     for (let step = 0; step < maxSteps; step++) {
       // Get current screenshot
       const screenshotB64 = await getScreenshot();
+      const elements = options.getElements ? await options.getElements() : undefined;
 
       // Get next action from Claude
-      const result = await this.getNextAction(task, screenshotB64, previousActions, displaySize);
+      const result = await this.getNextAction(task, screenshotB64, previousActions, displaySize, elements);
 
       if (result.reasoning) {
         reasoning.push(result.reasoning);
@@ -193,7 +260,7 @@ Or if the task is done:
       if (result.action) {
         // Execute the action
         await executeAction(result.action);
-        previousActions.push(this.describeAction(result.action));
+        previousActions.push(this.describeAction(result.action, elements));
 
         // Small delay to let the UI update
         await new Promise((resolve) => setTimeout(resolve, 500));
@@ -204,11 +271,30 @@ Or if the task is done:
       success: false,
       steps: maxSteps,
       reasoning,
-      error: 'Max steps reached',
+      error: MAX_STEPS_ERROR,
     };
   }
 
-  private describeAction(action: ComputerUseAction): string {
+  private describeAction(action: ComputerUseAction, elements?: ScreenElement[]): string {
+    if (action.element_id !== undefined) {
+      const element = elements?.find((e) => e.id === action.element_id);
+      const target = element ? `${element.role} "${element.name}"` : `element ${action.element_id}`;
+      switch (action.type) {
+        case 'left_click':
+          return `Clicked ${target}`;
+        case 'right_click':
+          return `Right-clicked ${target}`;
+        case 'double_click':
+          return `Double-clicked ${target}`;
+        case 'mouse_move':
+          return `Moved mouse to ${target}`;
+        case 'type':
+          return `Typed "${action.text?.slice(0, 30)}${(action.text?.length || 0) > 30 ? '...' : ''}" into ${target}`;
+        case 'scroll':
+          return `Scrolled ${target} ${action.scroll_direction} by ${action.scroll_amount}`;
+      }
+    }
+
     switch (action.type) {
       case 'left_click':
         return `Clicked at (${action.coordinate?.[0]}, ${action.coordinate?.[1]})`;
@@ -230,4 +316,20 @@ Or if the task is done:
   }
 }
 
+/**
+ * One line per element: [id] role "name" value/state @ x,y wxh
+ */
+function formatElements(elements: ScreenElement[]): string {
+  if (elements.length === 0) {
+    return '(none found - use coordinates)';
+  }
+  return elements
+    .map((e) => {
+      const value = e.value !== undefined ? ` value="${e.value}"` : '';
+      const checked = e.checked !== undefined ? ` checked=${e.checked}` : '';
+      return `[${e.id}] ${e.role} "${e.name}"${value}${checked} @ ${e.box.x},${e.box.y} ${e.box.width}x${e.box.height}`;
+    })
+    .join('\n');
+}
+
 export default ComputerUseAgent;
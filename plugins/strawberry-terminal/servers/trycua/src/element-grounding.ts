@@ -0,0 +1,171 @@
+/**
+ * Element Grounding
+ *
+ * Builds the list of interactive elements on a Puppeteer page from
+ * Chrome's accessibility tree, so the computer-use agent can act on
+ * "element 7" instead of guessing pixel coordinates from the screenshot.
+ * Each element keeps its ElementHandle for acting on it, plus a CSS
+ * selector to find it again if the page re-rendered the node.
+ */
+
+import { ElementHandle, Page, SerializedAXNode } from 'puppeteer';
+import { ScreenElement } from './computer-use.js';
+
+/** Roles the agent can click, type into or otherwise operate */
+const INTERACTIVE_ROLES = new Set([
+  'button',
+  'link',
+  'textbox',
+  'searchbox',
+  'combobox',
+  'listbox',
+  'option',
+  'checkbox',
+  'radio',
+  'switch',
+  'slider',
+  'spinbutton',
+  'menuitem',
+  'menuitemcheckbox',
+  'menuitemradio',
+  'tab',
+  'treeitem',
+]);
+
+/** Keeps the prompt small on very busy pages */
+const DEFAULT_MAX_ELEMENTS = 150;
+const MAX_NAME_LENGTH = 80;
+
+/**
+ * Runs in the page: a CSS selector for the element, anchored at the
+ * nearest ancestor with a unique id.
+ */
+function cssPath(el: any): string {
+  const doc = el.ownerDocument;
+  const escape: (value: string) => string = (globalThis as any).CSS.escape;
+  const parts: string[] = [];
+  let node = el;
+  while (node && node.nodeType === 1 && node !== doc.documentElement) {
+    if (node.id && doc.querySelectorAll(`#${escape(node.id)}`).length === 1) {
+      parts.unshift(`#${escape(node.id)}`);
+      break;
+    }
+    const tag: string = node.localName;
+    const parent = node.parentElement;
+    if (!parent) {
+      parts.unshift(tag);
+      break;
+    }
+    const siblings = Array.from(parent.children as ArrayLike<any>).filter((child) => child.localName === tag);
+    parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+    node = parent;
+  }
+  return parts.join(' > ');
+}
+
+/**
+ * Snapshot of a page's interactive elements, numbered from 1
+ */
+export class ElementMap {
+  readonly elements: ScreenElement[];
+  private handles: Map<number, ElementHandle>;
+  private page: Page;
+
+  private constructor(page: Page, elements: ScreenElement[], handles: Map<number, ElementHandle>) {
+    this.page = page;
+    this.elements = elements;
+    this.handles = handles;
+  }
+
+  /**
+   * Collect the interactive elements visible in the viewport
+   */
+  static async capture(page: Page, maxElements = DEFAULT_MAX_ELEMENTS): Promise<ElementMap> {
+    const root = await page.accessibility.snapshot({ interestingOnly: true });
+    const viewport = page.viewport();
+
+    const candidates: SerializedAXNode[] = [];
+    const walk = (node: SerializedAXNode) => {
+      if (INTERACTIVE_ROLES.has(node.role) && !node.disabled) {
+        candidates.push(node);
+      }
+      node.children?.forEach(walk);
+    };
+    if (root) walk(root);
+
+    const elements: ScreenElement[] = [];
+    const handles = new Map<number, ElementHandle>();
+
+    for (const node of candidates) {
+      if (elements.length >= maxElements) break;
+
+      const handle = await node.elementHandle().catch(() => null);
+      if (!handle) continue;
+
+      const box = await handle.boundingBox().catch(() => null);
+      const onScreen =
+        box &&
+        box.width > 0 &&
+        box.height > 0 &&
+        (!viewport ||
+          (box.x + box.width > 0 && box.y + box.height > 0 && box.x < viewport.width && box.y < viewport.height));
+      if (!box || !onScreen) {
+        await handle.dispose();
+        continue;
+      }
+
+      const id = elements.length + 1;
+      const value = node.value === undefined || node.value === '' ? undefined : String(node.value);
+      elements.push({
+        id,
+        role: node.role,
+        name: (node.name || '').slice(0, MAX_NAME_LENGTH),
+        value: value?.slice(0, MAX_NAME_LENGTH),
+        checked: node.checked,
+        box: {
+          x: Math.round(box.x),
+          y: Math.round(box.y),
+          width: Math.round(box.width),
+          height: Math.round(box.height),
+        },
+        selector: await handle.evaluate(cssPath).catch(() => undefined),
+      });
+      handles.set(id, handle);
+    }
+
+    return new ElementMap(page, elements, handles);
+  }
+
+  /**
+   * Handle for an element id, re-found by selector if the original node was
+   * replaced since the snapshot. Throws if the element is gone.
+   */
+  async resolve(id: number): Promise<ElementHandle> {
+    const element = this.elements.find((e) => e.id === id);
+    if (!element) {
+      throw new Error(`No element ${id} on the page (known ids: 1-${this.elements.length})`);
+    }
+
+    const handle = this.handles.get(id);
+    if (handle && (await handle.evaluate((el: any) => el.isConnected).catch(() => false))) {
+      return handle;
+    }
+
+    const found = element.selector ? await this.page.$(element.selector) : null;
+    if (!found) {
+      throw new Error(`Element ${id} (${element.role} "${element.name}") is no longer on the page`);
+    }
+    return found;
+  }
+
+  /**
+   * Release the element handles
+   */
+  async dispose(): Promise<void> {
+    const handles = Array.from(this.handles.values());
+    this.handles.clear();
+    await Promise.all(handles.map((handle) => handle.dispose().catch(() => undefined)));
+  }
+}
+
+export default ElementMap;
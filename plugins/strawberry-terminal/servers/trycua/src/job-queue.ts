@@ -0,0 +1,344 @@
+/**
+ * Job Queue
+ *
+ * Local, persistent queue of jobs for VMs to pull. A job targets every VM
+ * with a tag (or one pinned VM); VMManager hands the highest-priority job
+ * that is due to each idle VM, retries failures with exponential backoff
+ * and reports the outcome here. The queue is kept in ~/.strawberry/jobs.json
+ * (override with STRAWBERRY_JOBS_FILE) so it survives a restart; jobs that
+ * were running when the server stopped are queued again.
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+
+const DEFAULT_JOBS_FILE = path.join(os.homedir(), '.strawberry', 'jobs.json');
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_BACKOFF_SECONDS = 30;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+// Finished jobs are kept for get_job, then dropped oldest first
+const MAX_FINISHED_JOBS = 500;
+
+/**
+ * Named priorities; any number works too (higher runs first)
+ */
+export const JOB_PRIORITIES = { low: 0, normal: 5, high: 10, urgent: 20 } as const;
+
+/**
+ * task: computer-use agent task (like execute_task)
+ * command: shell command (like run_command, subject to the safety policy)
+ * claude: prompt for the Claude Code CLI on a bootstrapped coding VM
+ */
+export type JobKind = 'task' | 'command' | 'claude';
+
+const JOB_KINDS: JobKind[] = ['task', 'command', 'claude'];
+
+export type JobStatus = 'queued' | 'running' | 'completed' | 'failed' | 'cancelled';
+
+export interface JobAttempt {
+  vmId: string;
+  startedAt: string;
+  completedAt?: string;
+  success?: boolean;
+  error?: string;
+}
+
+export interface JobResult {
+  success: boolean;
+  output?: string;
+  exitCode?: number | null;
+  stderr?: string;
+  steps?: number;
+  durationMs?: number;
+}
+
+export interface Job {
+  id: string;
+  kind: JobKind;
+  task: string;
+  /** VMs with this tag may run the job */
+  tag?: string;
+  /** Only this VM may run the job */
+  vmId?: string;
+  priority: number;
+  status: JobStatus;
+  attempts: number;
+  maxAttempts: number;
+  backoffSeconds: number;
+  timeoutSeconds?: number;
+  /** Not started again before this time (set after a failed attempt) */
+  notBefore?: string;
+  createdAt: string;
+  startedAt?: string;
+  completedAt?: string;
+  /** VM running or last to run the job */
+  assignedVm?: string;
+  result?: JobResult;
+  error?: string;
+  history: JobAttempt[];
+  /** Task id on Moltbot Master, for jobs pulled from upstream */
+  upstreamId?: string;
+}
+
+export interface JobInput {
+  kind?: JobKind;
+  task: string;
+  tag?: string;
+  vmId?: string;
+  priority?: number | keyof typeof JOB_PRIORITIES;
+  maxAttempts?: number;
+  backoffSeconds?: number;
+  timeoutSeconds?: number;
+  upstreamId?: string;
+}
+
+interface JobsFile {
+  version: 1;
+  jobs: Job[];
+}
+
+/**
+ * Resolve a named or numeric priority
+ */
+export function jobPriority(priority: JobInput['priority']): number {
+  if (typeof priority === 'number') return priority;
+  if (priority && priority in JOB_PRIORITIES) return JOB_PRIORITIES[priority];
+  return JOB_PRIORITIES.normal;
+}
+
+export class JobQueue {
+  private filePath: string;
+  private jobs: Map<string, Job> = new Map();
+
+  constructor(filePath: string = process.env.STRAWBERRY_JOBS_FILE || DEFAULT_JOBS_FILE) {
+    this.filePath = filePath;
+    this.load();
+  }
+
+  private load(): void {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8')) as JobsFile;
+      for (const job of data.jobs || []) {
+        if (job.status === 'running') {
+          // The server stopped mid-attempt; that attempt counts as failed
+          this.endAttempt(job, false, 'Server restarted while the job was running');
+          job.status = job.attempts < job.maxAttempts ? 'queued' : 'failed';
+          job.error = job.status === 'failed' ? 'Server restarted while the job was running' : undefined;
+        }
+        this.jobs.set(job.id, job);
+      }
+    } catch (error) {
+      console.error(`[JobQueue] Failed to read ${this.filePath}:`, error);
+    }
+  }
+
+  /**
+   * Write atomically, like the VM registry
+   */
+  private save(): void {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, jobs: this.list() } satisfies JobsFile, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      console.error(`[JobQueue] Failed to write ${this.filePath}:`, error);
+    }
+  }
+
+  /**
+   * Queue a job. Either a tag or a VM id is required.
+   */
+  submit(input: JobInput): Job {
+    if (!input.task?.trim()) {
+      throw new Error('Job task is empty');
+    }
+    if (input.kind && !JOB_KINDS.includes(input.kind)) {
+      throw new Error(`Unknown job kind "${input.kind}" (expected ${JOB_KINDS.join(', ')})`);
+    }
+    if (!input.tag && !input.vmId) {
+      throw new Error('A job needs a tag or a vm_id to say which VMs may run it');
+    }
+
+    const job: Job = {
+      id: uuidv4(),
+      kind: input.kind || 'task',
+      task: input.task,
+      tag: input.tag,
+      vmId: input.vmId,
+      priority: jobPriority(input.priority),
+      status: 'queued',
+      attempts: 0,
+      maxAttempts: Math.max(1, Math.floor(input.maxAttempts || DEFAULT_MAX_ATTEMPTS)),
+      backoffSeconds: input.backoffSeconds ?? DEFAULT_BACKOFF_SECONDS,
+      timeoutSeconds: input.timeoutSeconds,
+      createdAt: new Date().toISOString(),
+      history: [],
+      upstreamId: input.upstreamId,
+    };
+    this.jobs.set(job.id, job);
+    this.prune();
+    this.save();
+    return job;
+  }
+
+  get(id: string): Job | undefined {
+    return this.jobs.get(id);
+  }
+
+  findByUpstreamId(upstreamId: string): Job | undefined {
+    return this.list().find((job) => job.upstreamId === upstreamId);
+  }
+
+  /**
+   * Jobs in queue order: running, then queued by priority, then finished (newest first)
+   */
+  list(filter: { status?: JobStatus; tag?: string; vmId?: string } = {}): Job[] {
+    const rank = (job: Job) => (job.status === 'running' ? 0 : job.status === 'queued' ? 1 : 2);
+    return Array.from(this.jobs.values())
+      .filter((job) =>
+        (!filter.status || job.status === filter.status) &&
+        (!filter.tag || job.tag === filter.tag) &&
+        (!filter.vmId || job.vmId === filter.vmId || job.assignedVm === filter.vmId))
+      .sort((a, b) =>
+        rank(a) - rank(b) ||
+        (rank(a) === 2
+          ? (b.completedAt || '').localeCompare(a.completedAt || '')
+          : b.priority - a.priority || a.createdAt.localeCompare(b.createdAt)));
+  }
+
+  /**
+   * Job counts by status
+   */
+  counts(): Record<JobStatus, number> {
+    const counts: Record<JobStatus, number> = { queued: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+    for (const job of this.jobs.values()) {
+      counts[job.status]++;
+    }
+    return counts;
+  }
+
+  /**
+   * The highest-priority queued job that is due and that this VM may run
+   */
+  next(vm: { id: string; tags: string[] }, canRun: (job: Job) => boolean = () => true): Job | undefined {
+    const now = new Date().toISOString();
+    return this.list({ status: 'queued' }).find((job) =>
+      (!job.notBefore || job.notBefore <= now) &&
+      (job.vmId ? job.vmId === vm.id : vm.tags.includes(job.tag!)) &&
+      canRun(job));
+  }
+
+  /**
+   * Mark a job as running on a VM
+   */
+  start(id: string, vmId: string): Job {
+    const job = this.require(id);
+    const now = new Date().toISOString();
+    job.status = 'running';
+    job.attempts++;
+    job.assignedVm = vmId;
+    job.startedAt = job.startedAt || now;
+    job.notBefore = undefined;
+    job.history.push({ vmId, startedAt: now });
+    this.save();
+    return job;
+  }
+
+  /**
+   * Record a successful attempt
+   */
+  complete(id: string, result: JobResult): Job {
+    const job = this.require(id);
+    if (job.status !== 'running') return job;
+    this.endAttempt(job, true);
+    job.status = 'completed';
+    job.result = result;
+    job.error = undefined;
+    job.completedAt = new Date().toISOString();
+    this.save();
+    return job;
+  }
+
+  /**
+   * Record a failed attempt. The job is queued again after its backoff
+   * unless it is out of attempts or the failure can't be retried.
+   */
+  fail(id: string, error: string, result?: JobResult, retryable: boolean = true): Job {
+    const job = this.require(id);
+    if (job.status !== 'running') return job;
+    this.endAttempt(job, false, error);
+    job.result = result;
+    job.error = error;
+
+    if (retryable && job.attempts < job.maxAttempts) {
+      const delay = Math.min(job.backoffSeconds * 1000 * 2 ** (job.attempts - 1), MAX_BACKOFF_MS);
+      job.status = 'queued';
+      job.notBefore = new Date(Date.now() + delay).toISOString();
+    } else {
+      job.status = 'failed';
+      job.completedAt = new Date().toISOString();
+    }
+    this.save();
+    return job;
+  }
+
+  /**
+   * Cancel a queued or running job. Returns the previous status, or
+   * undefined if the job had already finished.
+   */
+  cancel(id: string): JobStatus | undefined {
+    const job = this.require(id);
+    const previous = job.status;
+    if (previous !== 'queued' && previous !== 'running') return undefined;
+
+    if (previous === 'running') this.endAttempt(job, false, 'Cancelled');
+    job.status = 'cancelled';
+    job.completedAt = new Date().toISOString();
+    this.save();
+    return previous;
+  }
+
+  /**
+   * Fail the queued jobs pinned to a VM that is going away
+   */
+  abandon(vmId: string, error: string): Job[] {
+    const abandoned = this.list({ status: 'queued' }).filter((job) => job.vmId === vmId);
+    for (const job of abandoned) {
+      job.status = 'failed';
+      job.error = error;
+      job.completedAt = new Date().toISOString();
+    }
+    if (abandoned.length > 0) this.save();
+    return abandoned;
+  }
+
+  private require(id: string): Job {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw new Error(`Job ${id} not found`);
+    }
+    return job;
+  }
+
+  private endAttempt(job: Job, success: boolean, error?: string): void {
+    const attempt = job.history[job.history.length - 1];
+    if (attempt && !attempt.completedAt) {
+      attempt.completedAt = new Date().toISOString();
+      attempt.success = success;
+      attempt.error = error;
+    }
+  }
+
+  private prune(): void {
+    const finished = this.list().filter((job) => job.status !== 'queued' && job.status !== 'running');
+    for (const job of finished.slice(MAX_FINISHED_JOBS)) {
+      this.jobs.delete(job.id);
+    }
+  }
+}
+
+export default JobQueue;
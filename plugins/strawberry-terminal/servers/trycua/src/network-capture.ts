@@ -0,0 +1,443 @@
+/**
+ * Network Capture
+ *
+ * Records the requests and responses of a browser's tabs (headers, status,
+ * timing and bodies up to a size cap) and exports them as HAR 1.2, so a
+ * failed browser task can be debugged from more than screenshots. Also
+ * applies interception rules: block requests (with a built-in tracker
+ * list) or answer them from a fixture file instead of the network.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { HTTPRequest, HTTPResponse, Page } from 'puppeteer';
+
+const DEFAULT_MAX_ENTRIES = 2000;
+const DEFAULT_MAX_BODY_BYTES = 256 * 1024;
+// Bodies stop being kept once this much is stored; entries are still recorded
+const DEFAULT_MAX_TOTAL_BODY_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Analytics and ad hosts blocked by blockTrackers (subdomains included)
+ */
+export const TRACKER_HOSTS = [
+  'google-analytics.com',
+  'googletagmanager.com',
+  'googleadservices.com',
+  'doubleclick.net',
+  'googlesyndication.com',
+  'connect.facebook.net',
+  'analytics.tiktok.com',
+  'bat.bing.com',
+  'static.hotjar.com',
+  'script.hotjar.com',
+  'cdn.segment.com',
+  'api.segment.io',
+  'cdn.mxpnl.com',
+  'api-js.mixpanel.com',
+  'js.hs-analytics.net',
+  'snap.licdn.com',
+  'static.ads-twitter.com',
+  'cdn.amplitude.com',
+  'browser.sentry-cdn.com',
+  'plausible.io',
+];
+
+export interface InterceptRule {
+  /** URL pattern: a glob where * matches anything, or /regex/ */
+  url: string;
+  /** Only match this HTTP method */
+  method?: string;
+  /** Only match these resource types (document, script, xhr, fetch, image, ...) */
+  resourceTypes?: string[];
+  action: 'block' | 'mock';
+  /** mock: file to answer with (read on every request, so it can be edited) */
+  fixture?: string;
+  /** mock: inline body, when there is no fixture */
+  body?: string;
+  /** mock: response status (default 200) */
+  status?: number;
+  /** mock: content type (default guessed from the fixture's extension) */
+  contentType?: string;
+  /** mock: extra response headers */
+  headers?: Record<string, string>;
+}
+
+export interface NetworkOptions {
+  /** Record requests and responses (default true when network options are given) */
+  capture?: boolean;
+  /** Largest response body kept per entry, in bytes */
+  maxBodyBytes?: number;
+  /** Oldest entries are dropped past this */
+  maxEntries?: number;
+  /** Block requests to TRACKER_HOSTS */
+  blockTrackers?: boolean;
+  /** Checked in order; the first match wins */
+  rules?: InterceptRule[];
+}
+
+interface HarHeader {
+  name: string;
+  value: string;
+}
+
+export interface HarEntry {
+  pageref: string;
+  startedDateTime: string;
+  time: number;
+  request: {
+    method: string;
+    url: string;
+    httpVersion: string;
+    cookies: [];
+    headers: HarHeader[];
+    queryString: HarHeader[];
+    postData?: { mimeType: string; text: string };
+    headersSize: -1;
+    bodySize: number;
+  };
+  response: {
+    status: number;
+    statusText: string;
+    httpVersion: string;
+    cookies: [];
+    headers: HarHeader[];
+    content: { size: number; mimeType: string; text?: string; encoding?: 'base64'; comment?: string };
+    redirectURL: string;
+    headersSize: -1;
+    bodySize: number;
+  };
+  cache: Record<string, never>;
+  timings: { blocked: number; dns: number; connect: number; ssl: number; send: number; wait: number; receive: number };
+  _resourceType: string;
+  /** Why the request failed, e.g. net::ERR_NAME_NOT_RESOLVED */
+  _error?: string;
+  /** 'block' or 'mock' when a rule handled the request */
+  _intercepted?: string;
+}
+
+export interface Har {
+  log: {
+    version: '1.2';
+    creator: { name: string; version: string };
+    pages: Array<{ id: string; title: string; startedDateTime: string; pageTimings: Record<string, never> }>;
+    entries: HarEntry[];
+  };
+}
+
+interface PendingRequest {
+  pageref: string;
+  startedAt: number;
+  intercepted?: string;
+}
+
+const MIME_TYPES: Record<string, string> = {
+  '.json': 'application/json',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.js': 'application/javascript',
+  '.css': 'text/css',
+  '.txt': 'text/plain',
+  '.xml': 'application/xml',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+};
+
+function urlMatcher(pattern: string): RegExp {
+  if (pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) {
+    return new RegExp(pattern.slice(1, -1));
+  }
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+function isTracker(url: string): boolean {
+  let host: string;
+  try {
+    host = new URL(url).hostname;
+  } catch {
+    return false;
+  }
+  return TRACKER_HOSTS.some((tracker) => host === tracker || host.endsWith(`.${tracker}`));
+}
+
+function harHeaders(headers: Record<string, string>): HarHeader[] {
+  return Object.entries(headers).map(([name, value]) => ({ name, value }));
+}
+
+function isTextual(mimeType: string): boolean {
+  return /^text\/|json|javascript|xml|x-www-form-urlencoded|graphql/i.test(mimeType);
+}
+
+/**
+ * Milliseconds between two ResourceTiming offsets, or -1 if either is missing
+ */
+function span(start: number, end: number): number {
+  return start >= 0 && end >= 0 ? Math.max(0, end - start) : -1;
+}
+
+/**
+ * Capture and interception for one browser's tabs
+ */
+export class NetworkCapture {
+  private options: NetworkOptions;
+  private rules: Array<InterceptRule & { matcher: RegExp }>;
+  private attached = new Map<Page, Promise<void>>();
+  private pending = new Map<HTTPRequest, PendingRequest>();
+  private pages: Har['log']['pages'] = [];
+  private entries: HarEntry[] = [];
+  private storedBodyBytes = 0;
+  private dropped = 0;
+
+  constructor(options: NetworkOptions) {
+    this.options = options;
+    this.rules = (options.rules || []).map((rule) => {
+      if (rule.action === 'mock' && rule.fixture && !fs.existsSync(rule.fixture)) {
+        throw new Error(`Fixture not found: ${rule.fixture}`);
+      }
+      return { ...rule, matcher: urlMatcher(rule.url) };
+    });
+  }
+
+  get capturing(): boolean {
+    return this.options.capture !== false;
+  }
+
+  private get intercepting(): boolean {
+    return this.rules.length > 0 || this.options.blockTrackers === true;
+  }
+
+  /**
+   * Start capturing a tab. Safe to call again for the same page.
+   */
+  attach(page: Page, pageref: string): Promise<void> {
+    let attached = this.attached.get(page);
+    if (!attached) {
+      attached = this.setUp(page, pageref);
+      this.attached.set(page, attached);
+    }
+    return attached;
+  }
+
+  private async setUp(page: Page, pageref: string): Promise<void> {
+    this.pages.push({ id: pageref, title: page.url(), startedDateTime: new Date().toISOString(), pageTimings: {} });
+
+    if (this.intercepting) {
+      await page.setRequestInterception(true);
+    }
+
+    page.on('request', (request: HTTPRequest) => {
+      this.pending.set(request, { pageref, startedAt: Date.now() });
+      if (this.intercepting) {
+        this.intercept(request).catch((error) => {
+          console.error(`[NetworkCapture] Interception failed for ${request.url()}:`, error);
+        });
+      }
+    });
+    page.on('requestfinished', (request: HTTPRequest) => {
+      this.finish(request).catch(() => {});
+    });
+    page.on('requestfailed', (request: HTTPRequest) => {
+      this.finish(request).catch(() => {});
+    });
+    page.on('framenavigated', (frame) => {
+      const entry = this.pages.find((p) => p.id === pageref);
+      if (entry && frame === page.mainFrame()) entry.title = frame.url();
+    });
+  }
+
+  private async intercept(request: HTTPRequest): Promise<void> {
+    const url = request.url();
+    const rule = this.rules.find(
+      (r) =>
+        r.matcher.test(url) &&
+        (!r.method || r.method.toUpperCase() === request.method()) &&
+        (!r.resourceTypes || r.resourceTypes.includes(request.resourceType()))
+    );
+    const pending = this.pending.get(request);
+
+    if (rule?.action === 'mock') {
+      const body = rule.fixture ? await fs.promises.readFile(rule.fixture) : rule.body || '';
+      const contentType =
+        rule.contentType ||
+        (rule.fixture && MIME_TYPES[path.extname(rule.fixture).toLowerCase()]) ||
+        'text/plain';
+      if (pending) pending.intercepted = 'mock';
+      await request.respond({ status: rule.status || 200, headers: rule.headers, contentType, body });
+      return;
+    }
+
+    if (rule?.action === 'block' || (!rule && this.options.blockTrackers && isTracker(url))) {
+      if (pending) pending.intercepted = 'block';
+      await request.abort('blockedbyclient');
+      return;
+    }
+
+    await request.continue();
+  }
+
+  private async finish(request: HTTPRequest): Promise<void> {
+    const pending = this.pending.get(request);
+    if (!pending) return;
+    this.pending.delete(request);
+    if (!this.capturing) return;
+
+    const response = request.response();
+    const entry = this.buildEntry(request, response, pending);
+    if (response) {
+      await this.addBody(entry, response);
+    }
+
+    this.entries.push(entry);
+    const maxEntries = this.options.maxEntries || DEFAULT_MAX_ENTRIES;
+    while (this.entries.length > maxEntries) {
+      const removed = this.entries.shift()!;
+      this.storedBodyBytes -= removed.response.content.text?.length || 0;
+      this.dropped++;
+    }
+  }
+
+  private buildEntry(request: HTTPRequest, response: HTTPResponse | null, pending: PendingRequest): HarEntry {
+    const url = request.url();
+    const queryString: HarHeader[] = [];
+    try {
+      new URL(url).searchParams.forEach((value, name) => queryString.push({ name, value }));
+    } catch {
+      // data: and other opaque URLs
+    }
+
+    const requestHeaders = request.headers();
+    const postData = request.postData();
+    const responseHeaders = response?.headers() || {};
+    const timing = response?.timing();
+    const time = Date.now() - pending.startedAt;
+
+    const timings = timing
+      ? {
+          blocked: -1,
+          dns: span(timing.dnsStart, timing.dnsEnd),
+          connect: span(timing.connectStart, timing.connectEnd),
+          ssl: span(timing.sslStart, timing.sslEnd),
+          send: span(timing.sendStart, timing.sendEnd),
+          wait: span(timing.sendEnd, timing.receiveHeadersEnd),
+          receive: timing.receiveHeadersEnd >= 0 ? Math.max(0, time - timing.receiveHeadersEnd) : -1,
+        }
+      : { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: time, receive: 0 };
+
+    return {
+      pageref: pending.pageref,
+      startedDateTime: new Date(pending.startedAt).toISOString(),
+      time,
+      request: {
+        method: request.method(),
+        url,
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: harHeaders(requestHeaders),
+        queryString,
+        postData: postData !== undefined ? { mimeType: requestHeaders['content-type'] || '', text: postData } : undefined,
+        headersSize: -1,
+        bodySize: postData !== undefined ? Buffer.byteLength(postData) : 0,
+      },
+      response: {
+        status: response?.status() || 0,
+        statusText: response?.statusText() || '',
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: harHeaders(responseHeaders),
+        content: { size: 0, mimeType: responseHeaders['content-type'] || '' },
+        redirectURL: responseHeaders['location'] || '',
+        headersSize: -1,
+        bodySize: -1,
+      },
+      cache: {},
+      timings,
+      _resourceType: request.resourceType(),
+      _error: request.failure()?.errorText,
+      _intercepted: pending.intercepted,
+    };
+  }
+
+  private async addBody(entry: HarEntry, response: HTTPResponse): Promise<void> {
+    const content = entry.response.content;
+    const maxBodyBytes = this.options.maxBodyBytes ?? DEFAULT_MAX_BODY_BYTES;
+    const declared = parseInt(response.headers()['content-length'] || '', 10);
+
+    // Redirects and some cached responses have no body to fetch
+    if (response.status() >= 300 && response.status() < 400) return;
+    if (declared > maxBodyBytes) {
+      content.size = declared;
+      content.comment = `Body not kept (${declared} bytes, limit ${maxBodyBytes})`;
+      return;
+    }
+
+    let body: Buffer;
+    try {
+      body = await response.buffer();
+    } catch {
+      return;
+    }
+    content.size = body.length;
+    entry.response.bodySize = body.length;
+
+    if (body.length > maxBodyBytes) {
+      content.comment = `Body not kept (${body.length} bytes, limit ${maxBodyBytes})`;
+      return;
+    }
+    if (this.storedBodyBytes + body.length > DEFAULT_MAX_TOTAL_BODY_BYTES) {
+      content.comment = 'Body not kept (capture size limit reached)';
+      return;
+    }
+
+    if (isTextual(content.mimeType)) {
+      content.text = body.toString('utf8');
+    } else {
+      content.text = body.toString('base64');
+      content.encoding = 'base64';
+    }
+    this.storedBodyBytes += content.text.length;
+  }
+
+  /**
+   * Everything captured so far as a HAR log
+   */
+  toHar(version: string): Har {
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'strawberry-trycua', version },
+        pages: this.pages.map((page) => ({ ...page })),
+        entries: [...this.entries],
+      },
+    };
+  }
+
+  /**
+   * Counts for a quick look before exporting
+   */
+  summary(): { entries: number; failed: number; errors: number; blocked: number; mocked: number; dropped: number } {
+    return {
+      entries: this.entries.length,
+      failed: this.entries.filter((e) => e._error && !e._intercepted).length,
+      errors: this.entries.filter((e) => e.response.status >= 400).length,
+      blocked: this.entries.filter((e) => e._intercepted === 'block').length,
+      mocked: this.entries.filter((e) => e._intercepted === 'mock').length,
+      dropped: this.dropped,
+    };
+  }
+
+  /**
+   * Forget captured entries (interception rules stay in place)
+   */
+  clear(): void {
+    this.entries = [];
+    this.storedBodyBytes = 0;
+    this.dropped = 0;
+  }
+}
+
+export default NetworkCapture;
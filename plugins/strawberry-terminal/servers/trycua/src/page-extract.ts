@@ -0,0 +1,346 @@
+/**
+ * Page Extraction
+ *
+ * Reads structured data off a Puppeteer page so scraping and verification
+ * don't depend on screenshots: tables as rows keyed by header, lists, form
+ * fields with their labels and values, the page as markdown or plain text,
+ * and rows picked out with CSS or ARIA selectors
+ * (e.g. { rows: ".product", fields: { name: "h2", link: "a@href" } }).
+ *
+ * The extractors passed to page.evaluate run in the browser, so they are
+ * self-contained and typed loosely (this package doesn't compile against
+ * the DOM).
+ */
+
+import { ElementHandle, Page } from 'puppeteer';
+
+const DEFAULT_MAX_ROWS = 200;
+const DEFAULT_MAX_CHARS = 20000;
+const MAX_TABLES = 20;
+const MAX_LISTS = 50;
+const MAX_FORMS = 20;
+
+export interface ExtractedTable {
+  caption?: string;
+  headers: string[];
+  rows: Record<string, string>[];
+  /** Rows left out past the row limit */
+  truncated?: number;
+}
+
+export interface ExtractedList {
+  ordered: boolean;
+  items: string[];
+}
+
+export interface FormField {
+  label?: string;
+  name?: string;
+  type: string;
+  value?: string;
+  required?: boolean;
+  checked?: boolean;
+  options?: string[];
+}
+
+export interface ExtractedForm {
+  name?: string;
+  action?: string;
+  method?: string;
+  fields: FormField[];
+}
+
+export interface PageStructure {
+  tables: ExtractedTable[];
+  lists: ExtractedList[];
+  forms: ExtractedForm[];
+}
+
+/**
+ * Selector-based extraction. Each field is a selector inside the row,
+ * optionally ending in @attribute to read an attribute instead of the text
+ * ("a@href", or "@data-id" for the row element itself). Selectors may use
+ * Puppeteer's aria/ syntax, e.g. "aria/Price".
+ */
+export interface SelectorSpec {
+  /** Selector for each row; without it the page is a single row */
+  rows?: string;
+  fields: Record<string, string>;
+}
+
+/**
+ * Tables, lists and forms in the page (or under scope)
+ */
+export async function extractStructure(page: Page, scope?: string, maxRows = DEFAULT_MAX_ROWS): Promise<PageStructure> {
+  return page.evaluate(
+    (scopeSelector: string | undefined, rowLimit: number, limits: { tables: number; lists: number; forms: number }) => {
+      const doc = (globalThis as any).document;
+      const root = (scopeSelector && doc.querySelector(scopeSelector)) || doc.body;
+      const clean = (text: unknown) => String(text ?? '').replace(/\s+/g, ' ').trim();
+      const visible = (el: any) => el.getClientRects().length > 0;
+
+      const tables = Array.from(root.querySelectorAll('table') as ArrayLike<any>)
+        .filter((table) => visible(table) && table.rows.length >= 2)
+        .slice(0, limits.tables)
+        .map((table) => {
+          const rows = Array.from(table.rows as ArrayLike<any>);
+          const headerRow = table.tHead?.rows[0] || (rows[0].querySelector('th') ? rows[0] : undefined);
+          const width = Math.max(...rows.map((row) => row.cells.length));
+
+          const headers: string[] = [];
+          for (let i = 0; i < width; i++) {
+            let header = clean(headerRow?.cells[i]?.innerText) || `column_${i + 1}`;
+            while (headers.includes(header)) header += '_';
+            headers.push(header);
+          }
+
+          const body = rows.filter((row) => row !== headerRow && row.parentElement?.tagName !== 'THEAD');
+          return {
+            caption: clean(table.caption?.innerText) || undefined,
+            headers,
+            rows: body.slice(0, rowLimit).map((row) => {
+              const record: Record<string, string> = {};
+              Array.from(row.cells as ArrayLike<any>).forEach((cell, i) => {
+                record[headers[i] || `column_${i + 1}`] = clean(cell.innerText);
+              });
+              return record;
+            }),
+            truncated: body.length > rowLimit ? body.length - rowLimit : undefined,
+          };
+        });
+
+      // Navigation menus are lists too, but rarely what anyone is after
+      const lists = Array.from(root.querySelectorAll('ul, ol') as ArrayLike<any>)
+        .filter((list) => visible(list) && !list.closest('nav, header, footer, [role="navigation"], [role="menu"]'))
+        .map((list) => ({
+          ordered: list.tagName === 'OL',
+          items: Array.from(list.children as ArrayLike<any>)
+            .filter((item) => item.tagName === 'LI')
+            .map((item) => clean(item.innerText))
+            .filter(Boolean)
+            .slice(0, rowLimit),
+        }))
+        .filter((list) => list.items.length >= 2)
+        .slice(0, limits.lists);
+
+      const fieldOf = (el: any): FormField => {
+        const type = el.tagName === 'SELECT' ? 'select' : el.tagName === 'TEXTAREA' ? 'textarea' : el.type || 'text';
+        const label =
+          clean(el.labels?.[0]?.innerText) ||
+          clean(el.getAttribute('aria-label')) ||
+          clean(el.placeholder) ||
+          undefined;
+        const field: FormField = { label, name: el.name || el.id || undefined, type };
+        if (type === 'select') {
+          field.options = Array.from(el.options as ArrayLike<any>).map((option) => clean(option.text));
+          field.value = clean(el.selectedOptions?.[0]?.text) || undefined;
+        } else if (type === 'checkbox' || type === 'radio') {
+          field.checked = el.checked;
+          field.value = el.value;
+        } else if (type !== 'password') {
+          field.value = el.value || undefined;
+        }
+        if (el.required) field.required = true;
+        return field;
+      };
+      const controls = (container: any) =>
+        Array.from(container.querySelectorAll('input, select, textarea') as ArrayLike<any>)
+          .filter((el) => !['hidden', 'submit', 'button', 'reset', 'image'].includes(el.type) && visible(el));
+
+      const forms = Array.from(root.querySelectorAll('form') as ArrayLike<any>)
+        .filter(visible)
+        .map((form) => ({
+          name: form.getAttribute('name') || form.id || clean(form.getAttribute('aria-label')) || undefined,
+          action: form.getAttribute('action') ? form.action : undefined,
+          method: form.getAttribute('method') ? form.method : undefined,
+          fields: controls(form).map(fieldOf),
+        }));
+      // Plenty of sites use inputs without a <form>
+      const loose = controls(root).filter((el) => !el.form).map(fieldOf);
+      if (loose.length > 0) forms.push({ name: undefined, action: undefined, method: undefined, fields: loose });
+
+      return {
+        tables,
+        lists,
+        forms: forms.filter((form) => form.fields.length > 0).slice(0, limits.forms),
+      };
+    },
+    scope,
+    maxRows,
+    { tables: MAX_TABLES, lists: MAX_LISTS, forms: MAX_FORMS }
+  );
+}
+
+/**
+ * The page (or the element matched by scope) as markdown
+ */
+export async function extractMarkdown(page: Page, scope?: string, maxChars = DEFAULT_MAX_CHARS): Promise<string> {
+  const markdown = await page.evaluate((scopeSelector: string | undefined) => {
+    const doc = (globalThis as any).document;
+    const root =
+      (scopeSelector && doc.querySelector(scopeSelector)) ||
+      doc.querySelector('main, [role="main"], article') ||
+      doc.body;
+    // SVG elements keep their lowercase tag names
+    const SKIP = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'svg', 'TEMPLATE', 'IFRAME', 'CANVAS']);
+    const BLOCK = new Set(['P', 'DIV', 'SECTION', 'ARTICLE', 'MAIN', 'HEADER', 'FOOTER', 'ASIDE', 'NAV', 'FORM', 'FIGURE', 'DL', 'FIELDSET']);
+    const clean = (text: string) => text.replace(/\s+/g, ' ');
+
+    const inline = (node: any): string => {
+      if (node.nodeType === 3) return clean(node.textContent || '');
+      if (node.nodeType !== 1 || SKIP.has(node.tagName) || node.getClientRects().length === 0) return '';
+      const inner = () => Array.from(node.childNodes as ArrayLike<any>).map(inline).join('');
+      switch (node.tagName) {
+        case 'BR':
+          return '\n';
+        case 'A': {
+          const text = inner().trim();
+          return text && node.href && !node.href.startsWith('javascript:') ? `[${text}](${node.href})` : text;
+        }
+        case 'STRONG':
+        case 'B': {
+          const text = inner().trim();
+          return text ? `**${text}**` : '';
+        }
+        case 'EM':
+        case 'I': {
+          const text = inner().trim();
+          return text ? `_${text}_` : '';
+        }
+        case 'CODE':
+          return `\`${node.textContent}\``;
+        case 'IMG':
+          return node.alt ? `![${clean(node.alt)}](${node.src})` : '';
+        case 'INPUT':
+        case 'SELECT':
+        case 'TEXTAREA':
+        case 'BUTTON':
+          return '';
+        default:
+          return block(node) || inner();
+      }
+    };
+
+    const table = (el: any): string => {
+      const rows = Array.from(el.rows as ArrayLike<any>).map((row) =>
+        Array.from(row.cells as ArrayLike<any>).map((cell) => inline(cell).trim().replace(/\|/g, '\\|').replace(/\n/g, ' '))
+      );
+      if (rows.length === 0) return '';
+      const width = Math.max(...rows.map((row) => row.length));
+      const line = (cells: string[]) => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+      return [line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n');
+    };
+
+    const list = (el: any, depth: number): string =>
+      Array.from(el.children as ArrayLike<any>)
+        .filter((item) => item.tagName === 'LI')
+        .map((item, i) => {
+          const nested = Array.from(item.children as ArrayLike<any>).filter((child) => child.tagName === 'UL' || child.tagName === 'OL');
+          const text = Array.from(item.childNodes as ArrayLike<any>)
+            .filter((child) => !nested.includes(child))
+            .map(inline)
+            .join('')
+            .trim();
+          const marker = el.tagName === 'OL' ? `${i + 1}.` : '-';
+          return [`${'  '.repeat(depth)}${marker} ${text}`, ...nested.map((child) => list(child, depth + 1))].join('\n');
+        })
+        .join('\n');
+
+    // Block-level elements render to a paragraph of their own; '' for inline ones
+    function block(el: any): string {
+      const tag: string = el.tagName;
+      const heading = /^H([1-6])$/.exec(tag);
+      if (heading) return `\n\n${'#'.repeat(Number(heading[1]))} ${Array.from(el.childNodes as ArrayLike<any>).map(inline).join('').trim()}\n\n`;
+      if (tag === 'UL' || tag === 'OL') return `\n\n${list(el, 0)}\n\n`;
+      if (tag === 'TABLE') return `\n\n${table(el)}\n\n`;
+      if (tag === 'PRE') return `\n\n\`\`\`\n${el.textContent.replace(/\n$/, '')}\n\`\`\`\n\n`;
+      if (tag === 'BLOCKQUOTE') {
+        const text = Array.from(el.childNodes as ArrayLike<any>).map(inline).join('').trim();
+        return `\n\n${text.split('\n').map((line: string) => `> ${line}`).join('\n')}\n\n`;
+      }
+      if (tag === 'HR') return '\n\n---\n\n';
+      if (BLOCK.has(tag) || tag === 'LI' || tag === 'DT' || tag === 'DD') {
+        return `\n\n${Array.from(el.childNodes as ArrayLike<any>).map(inline).join('').trim()}\n\n`;
+      }
+      return '';
+    }
+
+    const title = doc.title ? `# ${clean(doc.title).trim()}\n\n` : '';
+    const body = Array.from(root.childNodes as ArrayLike<any>).map(inline).join('');
+    return (title + body)
+      .split('\n')
+      .map((line: string) => line.replace(/[ \t]+$/, ''))
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }, scope);
+
+  return markdown.length > maxChars ? `${markdown.slice(0, maxChars)}\n\n[truncated: ${markdown.length - maxChars} more characters]` : markdown;
+}
+
+/**
+ * The visible text of the page (or the element matched by scope)
+ */
+export async function extractText(page: Page, scope?: string, maxChars = DEFAULT_MAX_CHARS): Promise<string> {
+  const text: string = await page.evaluate((scopeSelector: string | undefined) => {
+    const doc = (globalThis as any).document;
+    const root = (scopeSelector && doc.querySelector(scopeSelector)) || doc.body;
+    return String(root?.innerText || '').replace(/\n{3,}/g, '\n\n').trim();
+  }, scope);
+
+  return text.length > maxChars ? `${text.slice(0, maxChars)}\n\n[truncated: ${text.length - maxChars} more characters]` : text;
+}
+
+/**
+ * Read a value: an attribute (absolute for href/src) or the text
+ */
+function readValue(el: any, attribute: string | null): string | null {
+  if (attribute) {
+    const property = el[attribute];
+    return typeof property === 'string' && (attribute === 'href' || attribute === 'src') ? property : el.getAttribute(attribute);
+  }
+  const value = el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' ? el.value : el.innerText ?? el.textContent;
+  return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * One record per row element, with each field read by its selector
+ * (null when the field's element isn't in that row)
+ */
+export async function extractWithSelectors(
+  page: Page,
+  spec: SelectorSpec,
+  maxRows = DEFAULT_MAX_ROWS
+): Promise<{ rows: Record<string, string | null>[]; total: number }> {
+  const fields = Object.entries(spec.fields).map(([name, selector]) => {
+    const match = /^(.*?)@([A-Za-z_][-\w:.]*)$/.exec(selector.trim());
+    return match ? { name, selector: match[1].trim(), attribute: match[2] } : { name, selector: selector.trim(), attribute: null };
+  });
+
+  const rowHandles: ElementHandle[] = spec.rows ? await page.$$(spec.rows) : [];
+  const total = spec.rows ? rowHandles.length : 1;
+
+  try {
+    const scopes: Array<Page | ElementHandle> = spec.rows ? rowHandles.slice(0, maxRows) : [page];
+    const rows: Record<string, string | null>[] = [];
+
+    for (const scope of scopes) {
+      const record: Record<string, string | null> = {};
+      for (const field of fields) {
+        if (!field.selector) {
+          // "@attr" reads the row element itself
+          record[field.name] = scope === page ? null : await (scope as ElementHandle).evaluate(readValue, field.attribute);
+          continue;
+        }
+        const el = await scope.$(field.selector);
+        record[field.name] = el ? await el.evaluate(readValue, field.attribute) : null;
+        await el?.dispose();
+      }
+      rows.push(record);
+    }
+
+    return { rows, total };
+  } finally {
+    await Promise.all(rowHandles.map((handle) => handle.dispose().catch(() => undefined)));
+  }
+}
@@ -0,0 +1,153 @@
+/**
+ * TryCua Cloud Provider
+ *
+ * Provisions VMs through the TryCua Cloud API and connects with the
+ * @trycua/computer SDK.
+ */
+
+import { Computer, OSType as CuaOSType } from '@trycua/computer';
+import { OSType } from '../types.js';
+import { ProvisionRequest, ProvisionedVM, VMConnection, VMProvider } from './types.js';
+
+const API_BASE = process.env.CUA_API_BASE || 'https://api.cua.ai';
+
+interface VMProvisionResponse {
+  name: string;
+  host: string;
+  password: string;
+  status: string;
+  job_id?: string;
+}
+
+interface VMListEntry {
+  name: string;
+  host?: string;
+  status?: string;
+}
+
+export class CloudProvider implements VMProvider {
+  readonly name = 'cloud' as const;
+  private apiKey: string;
+
+  constructor(apiKey: string) {
+    this.apiKey = apiKey;
+  }
+
+  configurationError(): string | undefined {
+    if (!this.apiKey) {
+      return 'CUA_API_KEY not set. Get your API key at https://cua.ai';
+    }
+    return undefined;
+  }
+
+  /**
+   * Map our OSType to TryCua's OSType enum
+   */
+  private mapOSType(osType: OSType): CuaOSType {
+    switch (osType) {
+      case 'windows':
+        return CuaOSType.WINDOWS;
+      case 'linux':
+        return CuaOSType.LINUX;
+      case 'macos':
+      default:
+        return CuaOSType.MACOS;
+    }
+  }
+
+  /**
+   * Provision a VM via TryCua Cloud API
+   * This creates the actual cloud VM before we can connect to it
+   */
+  async provision(request: ProvisionRequest): Promise<ProvisionedVM> {
+    const response = await fetch(`${API_BASE}/v1/vms`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        os: request.osType,
+        configuration: request.size || 'small',
+        region: request.region,
+      }),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Failed to provision VM: ${response.status} - ${errorText}`);
+    }
+
+    const provision = await response.json() as VMProvisionResponse;
+    return this.toProvisioned(provision.name, provision.host);
+  }
+
+  private toProvisioned(name: string, host: string): ProvisionedVM {
+    return {
+      name,
+      host,
+      wsUrl: `wss://${host}:8443/ws`,
+      wsHeaders: { 'X-API-Key': this.apiKey },
+    };
+  }
+
+  /**
+   * List VMs on the TryCua account
+   */
+  private async listVMs(): Promise<VMListEntry[]> {
+    const response = await fetch(`${API_BASE}/v1/vms`, {
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to list VMs: ${response.status}`);
+    }
+
+    const data = await response.json() as VMListEntry[] | { vms: VMListEntry[] };
+    return Array.isArray(data) ? data : data.vms || [];
+  }
+
+  async list(): Promise<string[]> {
+    const vms = await this.listVMs();
+    return vms.filter((vm) => vm.status !== 'deleted').map((vm) => vm.name);
+  }
+
+  async resolve(name: string): Promise<ProvisionedVM | null> {
+    const vm = (await this.listVMs()).find((entry) => entry.name === name);
+    if (!vm || vm.status === 'deleted') {
+      return null;
+    }
+    return this.toProvisioned(vm.name, vm.host || '');
+  }
+
+  async connect(vm: ProvisionedVM, osType: OSType): Promise<VMConnection> {
+    const computer = new Computer({
+      name: vm.name, // Use the cloud-assigned name
+      osType: this.mapOSType(osType),
+      apiKey: this.apiKey,
+    });
+
+    await computer.run();
+    return computer;
+  }
+
+  /**
+   * Delete a VM via TryCua Cloud API
+   */
+  async destroy(name: string): Promise<void> {
+    const response = await fetch(`${API_BASE}/v1/vms/${name}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+      },
+    });
+
+    if (!response.ok && response.status !== 404) {
+      console.error(`[CloudProvider] Failed to delete VM ${name}: ${response.status}`);
+    }
+  }
+}
+
+export default CloudProvider;
@@ -0,0 +1,220 @@
+/**
+ * Computer Server Client
+ *
+ * Minimal client for the cua computer-server WebSocket protocol, used by the
+ * local providers (Docker/QEMU) where the cloud SDK cannot be used.
+ * Each request is `{ command, params, request_id }` and the server answers
+ * with one JSON message per request, in order. Servers that echo request_id
+ * have answers matched on it; others get the next response while a command
+ * is pending. Anything else the server sends is ignored.
+ */
+
+import { randomUUID } from 'crypto';
+import WebSocket from 'ws';
+import { ComputerInterface, VMConnection } from './types.js';
+
+const COMMAND_TIMEOUT_MS = 60000;
+
+interface CommandResponse {
+  success?: boolean;
+  error?: string;
+  request_id?: string;
+  [key: string]: unknown;
+}
+
+interface PendingCommand {
+  id: string;
+  command: string;
+  resolve: (response: CommandResponse) => void;
+  reject: (error: Error) => void;
+  timer: NodeJS.Timeout;
+}
+
+export class ComputerServerClient implements ComputerInterface, VMConnection {
+  private ws: WebSocket | null = null;
+  private url: string;
+  private headers: Record<string, string>;
+  private commandLock: Promise<unknown> = Promise.resolve();
+  private pending: PendingCommand | null = null;
+
+  constructor(url: string, headers: Record<string, string> = {}) {
+    this.url = url;
+    this.headers = headers;
+  }
+
+  get interface(): ComputerInterface {
+    return this;
+  }
+
+  /**
+   * Open the WebSocket connection
+   */
+  connect(timeoutMs: number = 10000): Promise<void> {
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(this.url, {
+        headers: this.headers,
+        handshakeTimeout: timeoutMs,
+      });
+      let opened = false;
+
+      ws.once('open', () => {
+        opened = true;
+        this.ws = ws;
+        resolve();
+      });
+
+      // Kept for the life of the socket: an error with no listener would
+      // crash the whole server
+      ws.on('error', (error) => {
+        if (!opened) {
+          ws.terminate();
+          reject(error);
+          return;
+        }
+        console.error(`[ComputerServerClient] Connection to ${this.url} failed:`, error);
+        this.disconnect(ws, error);
+        ws.terminate();
+      });
+
+      ws.on('close', () => this.disconnect(ws, new Error('computer-server connection closed')));
+      ws.on('message', (data) => this.handleMessage(data));
+    });
+  }
+
+  async stop(): Promise<void> {
+    if (this.ws) {
+      const ws = this.ws;
+      this.disconnect(ws, new Error('computer-server connection closed'));
+      ws.close();
+    }
+  }
+
+  /**
+   * Send a command and wait for its response.
+   * Commands are serialized because the protocol answers in order.
+   */
+  sendCommand(command: string, params: Record<string, unknown> = {}): Promise<CommandResponse> {
+    const run = async (): Promise<CommandResponse> => {
+      const ws = this.ws;
+      if (!ws || ws.readyState !== WebSocket.OPEN) {
+        throw new Error(`Not connected to computer-server at ${this.url}`);
+      }
+
+      return new Promise<CommandResponse>((resolve, reject) => {
+        const id = randomUUID();
+        const timer = setTimeout(() => {
+          if (this.pending?.id === id) this.pending = null;
+          reject(new Error(`Command ${command} timed out`));
+        }, COMMAND_TIMEOUT_MS);
+
+        this.pending = { id, command, resolve, reject, timer };
+        ws.send(JSON.stringify({ command, params, request_id: id }), (error) => {
+          if (error && this.pending?.id === id) {
+            clearTimeout(timer);
+            this.pending = null;
+            reject(error);
+          }
+        });
+      });
+    };
+
+    const result = this.commandLock.then(run, run);
+    this.commandLock = result.catch(() => undefined);
+    return result;
+  }
+
+  /**
+   * Settle the pending command with a response addressed to it
+   */
+  private handleMessage(data: WebSocket.RawData): void {
+    const pending = this.pending;
+    if (!pending) return;
+
+    let response: CommandResponse;
+    try {
+      response = JSON.parse(data.toString()) as CommandResponse;
+    } catch {
+      return;
+    }
+    if (typeof response !== 'object' || response === null || Array.isArray(response)) return;
+    if (response.request_id !== undefined && response.request_id !== pending.id) return;
+
+    clearTimeout(pending.timer);
+    this.pending = null;
+    if (response.success === false) {
+      pending.reject(new Error(response.error || `Command ${pending.command} failed`));
+    } else {
+      pending.resolve(response);
+    }
+  }
+
+  /**
+   * Forget a socket that closed or failed, failing the command waiting on it
+   */
+  private disconnect(ws: WebSocket, error: Error): void {
+    if (this.ws !== ws) return;
+    this.ws = null;
+    const pending = this.pending;
+    if (pending) {
+      clearTimeout(pending.timer);
+      this.pending = null;
+      pending.reject(error);
+    }
+  }
+
+  async leftClick(x?: number, y?: number): Promise<void> {
+    await this.sendCommand('left_click', { x, y });
+  }
+
+  async rightClick(x?: number, y?: number): Promise<void> {
+    await this.sendCommand('right_click', { x, y });
+  }
+
+  async doubleClick(x?: number, y?: number): Promise<void> {
+    await this.sendCommand('double_click', { x, y });
+  }
+
+  async moveCursor(x: number, y: number): Promise<void> {
+    await this.sendCommand('move_cursor', { x, y });
+  }
+
+  async typeText(text: string): Promise<void> {
+    await this.sendCommand('type_text', { text });
+  }
+
+  async pressKey(key: string): Promise<void> {
+    // Combos like "ctrl+alt+t" are sent as hotkeys
+    if (key.includes('+')) {
+      await this.sendCommand('hotkey', { keys: key.split('+') });
+    } else {
+      await this.sendCommand('press_key', { key });
+    }
+  }
+
+  async scrollUp(clicks: number = 1): Promise<void> {
+    await this.sendCommand('scroll_up', { clicks });
+  }
+
+  async scrollDown(clicks: number = 1): Promise<void> {
+    await this.sendCommand('scroll_down', { clicks });
+  }
+
+  async screenshot(): Promise<Buffer> {
+    const response = await this.sendCommand('screenshot');
+    if (typeof response.image_data !== 'string') {
+      throw new Error('Screenshot response did not include image data');
+    }
+    return Buffer.from(response.image_data, 'base64');
+  }
+
+  async runCommand(command: string): Promise<[string, string]> {
+    const response = await this.sendCommand('run_command', { command });
+    return [String(response.stdout ?? ''), String(response.stderr ?? '')];
+  }
+
+  async writeText(path: string, content: string): Promise<void> {
+    await this.sendCommand('write_text', { path, content });
+  }
+}
+
+export default ComputerServerClient;
@@ -0,0 +1,119 @@
+/**
+ * Docker Provider
+ *
+ * Runs a local container image that ships the cua computer-server
+ * (e.g. trycua/cua-ubuntu) and talks to it over the same WebSocket protocol
+ * as the cloud. Useful for CI and offline development. Snapshots are
+ * `docker commit`s of a container, tagged strawberry-snapshot:<id>.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { OSType, VM_SIZE_SPECS } from '../types.js';
+import { ComputerServerClient } from './computer-server-client.js';
+import { ProvisionRequest, ProvisionedVM, VMConnection, VMProvider } from './types.js';
+import { execFileAsync, findFreePort } from './utils.js';
+
+const DOCKER_IMAGE = process.env.STRAWBERRY_DOCKER_IMAGE || 'trycua/cua-ubuntu:latest';
+const COMPUTER_SERVER_PORT = 8000;
+export const CONTAINER_LABEL = 'strawberry.vm=1';
+const SNAPSHOT_REPOSITORY = 'strawberry-snapshot';
+
+export class DockerProvider implements VMProvider {
+  readonly name = 'docker' as const;
+  private image: string;
+
+  constructor(image: string = DOCKER_IMAGE) {
+    this.image = image;
+  }
+
+  configurationError(): string | undefined {
+    return undefined;
+  }
+
+  async provision(request: ProvisionRequest): Promise<ProvisionedVM> {
+    if (request.osType !== 'linux') {
+      throw new Error(`Docker provider only supports linux VMs (requested ${request.osType})`);
+    }
+
+    const resources = VM_SIZE_SPECS[request.size];
+    const port = await findFreePort();
+    const name = `strawberry-vm-${uuidv4().slice(0, 8)}`;
+
+    await execFileAsync('docker', [
+      'run',
+      '-d',
+      '--name', name,
+      '--label', CONTAINER_LABEL,
+      '-p', `127.0.0.1:${port}:${COMPUTER_SERVER_PORT}`,
+      '--memory', `${resources.ramMB}m`,
+      '--cpus', String(resources.cpu),
+      '--shm-size', '512m',
+      request.snapshot || this.image,
+    ], { timeout: 120000 });
+
+    return {
+      name,
+      host: '127.0.0.1',
+      wsUrl: `ws://127.0.0.1:${port}/ws`,
+    };
+  }
+
+  async connect(vm: ProvisionedVM, _osType: OSType): Promise<VMConnection> {
+    const client = new ComputerServerClient(vm.wsUrl, vm.wsHeaders);
+    await client.connect();
+    return client;
+  }
+
+  async list(): Promise<string[]> {
+    const { stdout } = await execFileAsync('docker', [
+      'ps', '-a', '--filter', `label=${CONTAINER_LABEL}`, '--format', '{{.Names}}',
+    ], { timeout: 30000 });
+    return stdout.split('\n').map((line) => line.trim()).filter(Boolean);
+  }
+
+  async resolve(name: string): Promise<ProvisionedVM | null> {
+    if (!(await this.list()).includes(name)) {
+      return null;
+    }
+
+    // Restart the container if it exited (e.g. after a host reboot)
+    await execFileAsync('docker', ['start', name], { timeout: 60000 });
+    const { stdout } = await execFileAsync('docker', ['port', name, String(COMPUTER_SERVER_PORT)], { timeout: 30000 });
+    const port = stdout.trim().split('\n')[0]?.split(':').pop();
+    if (!port) {
+      return null;
+    }
+
+    return {
+      name,
+      host: '127.0.0.1',
+      wsUrl: `ws://127.0.0.1:${port}/ws`,
+    };
+  }
+
+  async snapshot(name: string, snapshotId: string): Promise<string> {
+    const ref = `${SNAPSHOT_REPOSITORY}:${snapshotId}`;
+    // --pause keeps the filesystem consistent while it is copied
+    await execFileAsync('docker', ['commit', '--pause=true', name, ref], { timeout: 600000 });
+    return ref;
+  }
+
+  async deleteSnapshot(ref: string): Promise<void> {
+    try {
+      await execFileAsync('docker', ['rmi', ref], { timeout: 120000 });
+    } catch (error) {
+      // Fails while containers still use the image; an image that is already gone is fine
+      if (!String(error).includes('No such image')) throw error;
+    }
+  }
+
+  async destroy(name: string): Promise<void> {
+    try {
+      await execFileAsync('docker', ['rm', '-f', name], { timeout: 60000 });
+    } catch (error) {
+      console.error(`[DockerProvider] Failed to remove container ${name}:`, error);
+    }
+  }
+}
+
+export default DockerProvider;
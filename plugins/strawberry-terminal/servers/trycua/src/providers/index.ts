@@ -0,0 +1,33 @@
+/**
+ * VM Providers
+ */
+
+import { VMProviderName } from '../types.js';
+import { CloudProvider } from './cloud.js';
+import { DockerProvider } from './docker.js';
+import { QemuProvider } from './qemu.js';
+import { VMProvider } from './types.js';
+
+export const VM_PROVIDERS: VMProviderName[] = ['cloud', 'docker', 'qemu'];
+
+/**
+ * Create a provider by name
+ */
+export function createProvider(name: VMProviderName, apiKey: string): VMProvider {
+  switch (name) {
+    case 'docker':
+      return new DockerProvider();
+    case 'qemu':
+      return new QemuProvider();
+    case 'cloud':
+      return new CloudProvider(apiKey);
+    default:
+      throw new Error(`Unknown VM provider: ${name}`);
+  }
+}
+
+export * from './types.js';
+export { CloudProvider } from './cloud.js';
+export { DockerProvider } from './docker.js';
+export { QemuProvider } from './qemu.js';
+export { ComputerServerClient } from './computer-server-client.js';
@@ -0,0 +1,199 @@
+/**
+ * QEMU Provider
+ *
+ * Boots a copy-on-write overlay of a local disk image that autostarts the
+ * cua computer-server on port 8000, forwarded to a free localhost port.
+ *
+ * Images are configured per OS with STRAWBERRY_QEMU_IMAGE_<OS>
+ * (e.g. STRAWBERRY_QEMU_IMAGE_LINUX), falling back to STRAWBERRY_QEMU_IMAGE.
+ * Snapshots flatten a VM's overlay into a standalone qcow2 image under
+ * ~/.strawberry/qemu/snapshots that new overlays can be based on.
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { OSType, VM_SIZE_SPECS } from '../types.js';
+import { ComputerServerClient } from './computer-server-client.js';
+import { ProvisionRequest, ProvisionedVM, VMConnection, VMProvider } from './types.js';
+import { execFileAsync, findFreePort } from './utils.js';
+
+const QEMU_BINARY = process.env.STRAWBERRY_QEMU_BINARY || 'qemu-system-x86_64';
+const QEMU_STATE_DIR = path.join(os.homedir(), '.strawberry', 'qemu');
+const QEMU_SNAPSHOT_DIR = path.join(QEMU_STATE_DIR, 'snapshots');
+const COMPUTER_SERVER_PORT = 8000;
+
+export class QemuProvider implements VMProvider {
+  readonly name = 'qemu' as const;
+
+  private imageFor(osType: OSType): string | undefined {
+    return process.env[`STRAWBERRY_QEMU_IMAGE_${osType.toUpperCase()}`] || process.env.STRAWBERRY_QEMU_IMAGE;
+  }
+
+  configurationError(): string | undefined {
+    if (!(['linux', 'windows', 'macos'] as OSType[]).some((osType) => this.imageFor(osType))) {
+      return 'No QEMU image configured. Set STRAWBERRY_QEMU_IMAGE to a qcow2 image running computer-server';
+    }
+    return undefined;
+  }
+
+  async provision(request: ProvisionRequest): Promise<ProvisionedVM> {
+    const image = request.snapshot || this.imageFor(request.osType);
+    if (!image || !fs.existsSync(image)) {
+      throw new Error(request.snapshot
+        ? `QEMU snapshot image ${request.snapshot} is missing`
+        : `No QEMU image found for ${request.osType}. Set STRAWBERRY_QEMU_IMAGE_${request.osType.toUpperCase()}`);
+    }
+
+    fs.mkdirSync(QEMU_STATE_DIR, { recursive: true });
+
+    const resources = VM_SIZE_SPECS[request.size];
+    const port = await findFreePort();
+    const name = `strawberry-qemu-${uuidv4().slice(0, 8)}`;
+    const overlay = path.join(QEMU_STATE_DIR, `${name}.qcow2`);
+    const pidFile = path.join(QEMU_STATE_DIR, `${name}.pid`);
+
+    // Copy-on-write overlay so the base image is never modified
+    await execFileAsync('qemu-img', [
+      'create', '-f', 'qcow2', '-F', 'qcow2', '-b', path.resolve(image), overlay,
+    ], { timeout: 60000 });
+
+    const args = [
+      '-daemonize',
+      '-pidfile', pidFile,
+      '-name', name,
+      '-m', String(resources.ramMB),
+      '-smp', String(resources.cpu),
+      '-drive', `file=${overlay},if=virtio`,
+      '-nic', `user,model=virtio-net-pci,hostfwd=tcp:127.0.0.1:${port}-:${COMPUTER_SERVER_PORT}`,
+      '-display', 'none',
+    ];
+
+    // Hardware acceleration when available
+    if (fs.existsSync('/dev/kvm')) {
+      args.push('-enable-kvm', '-cpu', 'host');
+    }
+
+    await execFileAsync(QEMU_BINARY, args, { timeout: 60000 });
+    fs.writeFileSync(path.join(QEMU_STATE_DIR, `${name}.port`), String(port));
+
+    return {
+      name,
+      host: '127.0.0.1',
+      wsUrl: `ws://127.0.0.1:${port}/ws`,
+    };
+  }
+
+  async connect(vm: ProvisionedVM, _osType: OSType): Promise<VMConnection> {
+    const client = new ComputerServerClient(vm.wsUrl, vm.wsHeaders);
+    await client.connect();
+    return client;
+  }
+
+  /**
+   * PID of a running QEMU process, or null if it is not running
+   */
+  private runningPid(name: string): number | null {
+    try {
+      const pid = parseInt(fs.readFileSync(path.join(QEMU_STATE_DIR, `${name}.pid`), 'utf8').trim(), 10);
+      process.kill(pid, 0); // Throws if the process does not exist
+      return pid;
+    } catch {
+      return null;
+    }
+  }
+
+  async list(): Promise<string[]> {
+    if (!fs.existsSync(QEMU_STATE_DIR)) {
+      return [];
+    }
+    return fs.readdirSync(QEMU_STATE_DIR)
+      .filter((file) => file.endsWith('.pid'))
+      .map((file) => file.slice(0, -'.pid'.length))
+      .filter((name) => this.runningPid(name) !== null);
+  }
+
+  async resolve(name: string): Promise<ProvisionedVM | null> {
+    if (this.runningPid(name) === null) {
+      return null;
+    }
+
+    try {
+      const port = fs.readFileSync(path.join(QEMU_STATE_DIR, `${name}.port`), 'utf8').trim();
+      return {
+        name,
+        host: '127.0.0.1',
+        wsUrl: `ws://127.0.0.1:${port}/ws`,
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  async snapshot(name: string, snapshotId: string): Promise<string> {
+    const overlay = path.join(QEMU_STATE_DIR, `${name}.qcow2`);
+    if (!fs.existsSync(overlay)) {
+      throw new Error(`No disk found for QEMU VM ${name}`);
+    }
+
+    fs.mkdirSync(QEMU_SNAPSHOT_DIR, { recursive: true });
+    const ref = path.join(QEMU_SNAPSHOT_DIR, `${snapshotId}.qcow2`);
+
+    // Freeze the VM while its disk is copied so the image is consistent
+    const pid = this.runningPid(name);
+    if (pid) process.kill(pid, 'SIGSTOP');
+    try {
+      await execFileAsync('qemu-img', ['convert', '-U', '-O', 'qcow2', overlay, ref], { timeout: 1800000 });
+    } finally {
+      if (pid) process.kill(pid, 'SIGCONT');
+    }
+    return ref;
+  }
+
+  async deleteSnapshot(ref: string): Promise<void> {
+    // Overlays of running VMs are based on the image - deleting it would corrupt them
+    const inUse: string[] = [];
+    for (const name of await this.list()) {
+      try {
+        const { stdout } = await execFileAsync('qemu-img', [
+          'info', '-U', '--output=json', path.join(QEMU_STATE_DIR, `${name}.qcow2`),
+        ], { timeout: 30000 });
+        if ((JSON.parse(stdout) as { 'backing-filename'?: string })['backing-filename'] === ref) {
+          inUse.push(name);
+        }
+      } catch {
+        // Overlay gone or unreadable - not using the snapshot
+      }
+    }
+    if (inUse.length > 0) {
+      throw new Error(`Snapshot image is still used by ${inUse.join(', ')}`);
+    }
+    fs.rmSync(ref, { force: true });
+  }
+
+  async destroy(name: string): Promise<void> {
+    const pidFile = path.join(QEMU_STATE_DIR, `${name}.pid`);
+    const portFile = path.join(QEMU_STATE_DIR, `${name}.port`);
+    const overlay = path.join(QEMU_STATE_DIR, `${name}.qcow2`);
+
+    try {
+      const pid = parseInt(fs.readFileSync(pidFile, 'utf8').trim(), 10);
+      if (pid) {
+        process.kill(pid, 'SIGTERM');
+      }
+    } catch (error) {
+      console.error(`[QemuProvider] Failed to stop ${name}:`, error);
+    }
+
+    for (const file of [pidFile, portFile, overlay]) {
+      try {
+        fs.unlinkSync(file);
+      } catch {
+        // Ignore - already gone
+      }
+    }
+  }
+}
+
+export default QemuProvider;
@@ -0,0 +1,104 @@
+/**
+ * VM Provider Types
+ *
+ * A provider knows how to create, connect to and destroy machines that run
+ * the cua computer-server WebSocket protocol. VMManager only talks to this
+ * interface, so the cloud is just one backend next to local Docker/QEMU.
+ */
+
+import { OSType, VMProviderName, VMRegion, VMSize } from '../types.js';
+
+/**
+ * The subset of the computer-server interface that VMManager relies on.
+ * Matches the `interface` exposed by the @trycua/computer SDK.
+ */
+export interface ComputerInterface {
+  leftClick(x?: number, y?: number): Promise<void>;
+  rightClick(x?: number, y?: number): Promise<void>;
+  doubleClick(x?: number, y?: number): Promise<void>;
+  moveCursor(x: number, y: number): Promise<void>;
+  typeText(text: string): Promise<void>;
+  pressKey(key: string): Promise<void>;
+  scrollUp(clicks?: number): Promise<void>;
+  scrollDown(clicks?: number): Promise<void>;
+  screenshot(): Promise<Buffer>;
+  runCommand(command: string): Promise<[string, string]>;
+  /** Write a file on the guest without its content passing through a command line */
+  writeText?(path: string, content: string): Promise<void>;
+}
+
+/**
+ * A live connection to a provisioned machine
+ */
+export interface VMConnection {
+  readonly interface: ComputerInterface;
+  stop(): Promise<void>;
+}
+
+export interface ProvisionRequest {
+  osType: OSType;
+  region: VMRegion;
+  size: VMSize;
+  /** Provider-side snapshot reference to start from instead of the base image */
+  snapshot?: string;
+}
+
+/**
+ * A machine created by a provider, before we connect to it
+ */
+export interface ProvisionedVM {
+  /** Provider-side handle (cloud VM name, container name, ...) */
+  name: string;
+  host: string;
+  /** WebSocket endpoint of the computer-server */
+  wsUrl: string;
+  /** Headers needed to open the WebSocket (auth) */
+  wsHeaders?: Record<string, string>;
+}
+
+export interface VMProvider {
+  readonly name: VMProviderName;
+
+  /**
+   * Returns a human-readable reason when the provider cannot be used
+   * (missing API key, missing binary, ...), or undefined when it is usable
+   */
+  configurationError(): string | undefined;
+
+  /**
+   * Create a new machine
+   */
+  provision(request: ProvisionRequest): Promise<ProvisionedVM>;
+
+  /**
+   * Connect to a provisioned machine once its computer-server is reachable
+   */
+  connect(vm: ProvisionedVM, osType: OSType): Promise<VMConnection>;
+
+  /**
+   * Destroy a machine by its provider-side name
+   */
+  destroy(name: string): Promise<void>;
+
+  /**
+   * Provider-side names of the machines that currently exist
+   */
+  list(): Promise<string[]>;
+
+  /**
+   * Look up connection details for an existing machine, or null if it is gone
+   */
+  resolve(name: string): Promise<ProvisionedVM | null>;
+
+  /**
+   * Capture a machine's disk so new machines can be provisioned from it.
+   * Returns the provider-side snapshot reference. Optional - providers that
+   * can't snapshot leave it out.
+   */
+  snapshot?(name: string, snapshotId: string): Promise<string>;
+
+  /**
+   * Delete a snapshot by its provider-side reference
+   */
+  deleteSnapshot?(ref: string): Promise<void>;
+}
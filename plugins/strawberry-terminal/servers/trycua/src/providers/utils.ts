@@ -0,0 +1,25 @@
+/**
+ * Shared helpers for local providers
+ */
+
+import { execFile } from 'child_process';
+import * as net from 'net';
+import { promisify } from 'util';
+
+export const execFileAsync = promisify(execFile);
+
+/**
+ * Ask the OS for a free TCP port on localhost
+ */
+export function findFreePort(): Promise<number> {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const address = server.address();
+      const port = typeof address === 'object' && address ? address.port : 0;
+      server.close(() => resolve(port));
+    });
+  });
+}
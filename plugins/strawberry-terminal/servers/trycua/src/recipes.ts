@@ -0,0 +1,353 @@
+/**
+ * Provisioning Recipes
+ *
+ * Declarative VM setup: packages, files, environment variables, repos to
+ * clone and verification checks, written as YAML or JSON. Recipes are looked
+ * up by name in ~/.strawberry/recipes (override with STRAWBERRY_RECIPES_DIR)
+ * and then in the recipes/ directory shipped with this server.
+ *
+ * Strings may use {{variable}} templates. Built-in variables are vm_id,
+ * vm_short_id, vm_name, os_type and master_url; {{env.NAME}} reads the
+ * server's environment. A recipe's `variables` section sets defaults that
+ * the caller can override. Secrets are listed by name and pushed to the VM
+ * through the secret store, never templated into commands.
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { QUOTE_FUNCTION, shellPath, shellQuote } from './command-runner.js';
+import { secretEnvName, secretsPushScript } from './secret-store.js';
+import { OSType } from './types.js';
+
+const DEFAULT_RECIPES_DIR = path.join(os.homedir(), '.strawberry', 'recipes');
+const BUILTIN_RECIPES_DIR = fileURLToPath(new URL('../recipes', import.meta.url));
+const RECIPE_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+// Caller-supplied variables end up inside shell commands
+const UNSAFE_VARIABLE_CHARS = /['"`$\\\n\r]/;
+
+interface OSFilter {
+  /** Only apply on these OS types (default: all the recipe supports) */
+  os?: OSType[];
+}
+
+export interface RecipeCommand extends OSFilter {
+  name: string;
+  run: string;
+  timeout_seconds?: number;
+}
+
+export interface RecipeFile extends OSFilter {
+  /** Absolute, or relative to the home directory ("~/" is allowed) */
+  path: string;
+  content: string;
+  /** chmod mode, e.g. "600" */
+  mode?: string;
+}
+
+export interface RecipeRepo extends OSFilter {
+  url: string;
+  /** Clone destination (default: the repo name in the home directory) */
+  path?: string;
+  branch?: string;
+}
+
+export interface Recipe {
+  name: string;
+  description?: string;
+  /** OS types the recipe can be applied to (default: linux and macos) */
+  os?: OSType[];
+  variables?: Record<string, string>;
+  /** Commands run before packages are installed (e.g. adding apt sources) */
+  setup?: RecipeCommand[];
+  packages?: {
+    apt?: string[];
+    brew?: string[];
+    npm?: string[];
+  };
+  /** Exported for every step and added to the shell profile */
+  env?: Record<string, string>;
+  /** Secret names written to the VM's secrets file and exported for every step */
+  secrets?: string[];
+  files?: RecipeFile[];
+  repos?: RecipeRepo[];
+  /** Commands run after everything else is in place */
+  commands?: RecipeCommand[];
+  /** Commands that must exit 0 for the VM to count as provisioned */
+  checks?: RecipeCommand[];
+  /** Tags added to the VM once provisioning succeeds */
+  tags?: string[];
+}
+
+export interface RecipeStep {
+  id: string;
+  name: string;
+  command: string;
+  /** Verification check - run even after another check failed */
+  check: boolean;
+  timeoutMs?: number;
+}
+
+export interface RecipeContext {
+  osType: OSType;
+  vmId: string;
+  vmName: string;
+  masterUrl: string;
+  variables?: Record<string, string>;
+  /** Value of a secret by name; throws when it can't be found */
+  resolveSecret: (name: string) => string;
+}
+
+export interface RecipePlan {
+  recipe: Recipe;
+  steps: RecipeStep[];
+  /** Environment passed to every step (kept out of the command text) */
+  env: Record<string, string>;
+}
+
+function recipeDirs(): string[] {
+  return [process.env.STRAWBERRY_RECIPES_DIR || DEFAULT_RECIPES_DIR, BUILTIN_RECIPES_DIR];
+}
+
+function parseRecipe(filePath: string): Recipe {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const data = filePath.endsWith('.json') ? JSON.parse(text) : yaml.load(text);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Recipe ${filePath} is not an object`);
+  }
+
+  const recipe = data as Recipe;
+  if (!recipe.name) {
+    recipe.name = path.basename(filePath, path.extname(filePath));
+  }
+  for (const section of ['setup', 'commands', 'checks'] as const) {
+    for (const command of recipe[section] || []) {
+      if (!command.name || typeof command.run !== 'string') {
+        throw new Error(`Recipe "${recipe.name}": every ${section} entry needs a name and a run command`);
+      }
+    }
+  }
+  for (const file of recipe.files || []) {
+    if (!file.path || typeof file.content !== 'string') {
+      throw new Error(`Recipe "${recipe.name}": every file needs a path and content`);
+    }
+  }
+  for (const repo of recipe.repos || []) {
+    if (!repo.url) {
+      throw new Error(`Recipe "${recipe.name}": every repo needs a url`);
+    }
+  }
+  return recipe;
+}
+
+/**
+ * Load a recipe by name, or from a file path
+ */
+export function loadRecipe(nameOrPath: string): Recipe {
+  if (nameOrPath.includes('/') || RECIPE_EXTENSIONS.includes(path.extname(nameOrPath))) {
+    return parseRecipe(nameOrPath.replace(/^~(?=\/)/, os.homedir()));
+  }
+
+  for (const dir of recipeDirs()) {
+    for (const ext of RECIPE_EXTENSIONS) {
+      const filePath = path.join(dir, nameOrPath + ext);
+      if (fs.existsSync(filePath)) {
+        return parseRecipe(filePath);
+      }
+    }
+  }
+  throw new Error(`Recipe "${nameOrPath}" not found in ${recipeDirs().join(' or ')}`);
+}
+
+/**
+ * Every available recipe; user recipes shadow built-in ones of the same name
+ */
+export function listRecipes(): Array<{ name: string; description?: string; os?: OSType[]; file: string }> {
+  const recipes = new Map<string, { name: string; description?: string; os?: OSType[]; file: string }>();
+  for (const dir of recipeDirs()) {
+    if (!fs.existsSync(dir)) continue;
+    for (const file of fs.readdirSync(dir).sort()) {
+      if (!RECIPE_EXTENSIONS.includes(path.extname(file))) continue;
+      const filePath = path.join(dir, file);
+      try {
+        const recipe = parseRecipe(filePath);
+        if (!recipes.has(recipe.name)) {
+          recipes.set(recipe.name, { name: recipe.name, description: recipe.description, os: recipe.os, file: filePath });
+        }
+      } catch (error) {
+        console.error(`[Recipes] Skipping ${filePath}:`, error);
+      }
+    }
+  }
+  return [...recipes.values()];
+}
+
+/**
+ * Replace {{name}} and {{env.NAME}} templates
+ */
+function render(text: string, recipe: Recipe, lookup: (key: string) => string | undefined): string {
+  return text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, key: string) => {
+    const value = lookup(key);
+    if (value === undefined || value === '') {
+      throw new Error(`Recipe "${recipe.name}" needs variable "${key}"`);
+    }
+    return value;
+  });
+}
+
+/**
+ * Turn a recipe into the commands to run on a VM of the given OS
+ */
+export function planRecipe(recipe: Recipe, context: RecipeContext): RecipePlan {
+  const supported = recipe.os || ['linux', 'macos'];
+  if (!supported.includes(context.osType)) {
+    throw new Error(`Recipe "${recipe.name}" does not support ${context.osType} (supports ${supported.join(', ')})`);
+  }
+
+  for (const [key, value] of Object.entries(context.variables || {})) {
+    if (UNSAFE_VARIABLE_CHARS.test(value)) {
+      throw new Error(`Variable "${key}" contains quotes, backslashes, "$" or newlines`);
+    }
+  }
+
+  const builtins: Record<string, string> = {
+    vm_id: context.vmId,
+    vm_short_id: context.vmId.slice(0, 8),
+    vm_name: context.vmName,
+    os_type: context.osType,
+    master_url: context.masterUrl,
+  };
+  const lookupBuiltin = (key: string) => key.startsWith('env.') ? process.env[key.slice(4)] : builtins[key];
+
+  // Defaults are rendered lazily, so a default that can't be resolved only
+  // fails if something uses it and the caller didn't override it
+  const lookup = (key: string): string | undefined => {
+    if (context.variables?.[key] !== undefined) return context.variables[key];
+    const fallback = recipe.variables?.[key];
+    if (fallback !== undefined) {
+      try {
+        return render(String(fallback), recipe, lookupBuiltin);
+      } catch {
+        return undefined;
+      }
+    }
+    return lookupBuiltin(key);
+  };
+  const fill = (text: string) => render(text, recipe, lookup);
+  const applies = (entry: OSFilter) => !entry.os || entry.os.includes(context.osType);
+
+  const steps: RecipeStep[] = [];
+  const addCommands = (section: 'setup' | 'commands' | 'checks') => {
+    (recipe[section] || []).filter(applies).forEach((command, index) => {
+      steps.push({
+        id: `${section}-${index + 1}`,
+        name: command.name,
+        command: fill(command.run),
+        check: section === 'checks',
+        timeoutMs: command.timeout_seconds ? command.timeout_seconds * 1000 : undefined,
+      });
+    });
+  };
+
+  addCommands('setup');
+
+  const packages = recipe.packages || {};
+  const packageList = (names: string[]) => names.map((name) => shellQuote(fill(name))).join(' ');
+  if (context.osType === 'linux' && packages.apt?.length) {
+    steps.push({
+      id: 'packages-apt',
+      name: `Install ${packages.apt.join(', ')}`,
+      command: `sudo apt-get update -qq && sudo DEBIAN_FRONTEND=noninteractive apt-get install -y -qq ${packageList(packages.apt)}`,
+      check: false,
+    });
+  }
+  if (context.osType === 'macos' && packages.brew?.length) {
+    steps.push({
+      id: 'packages-brew',
+      name: `Install ${packages.brew.join(', ')}`,
+      command: `brew install ${packageList(packages.brew)}`,
+      check: false,
+    });
+  }
+  if (packages.npm?.length) {
+    steps.push({
+      id: 'packages-npm',
+      name: `Install ${packages.npm.join(', ')}`,
+      command: `npm install -g ${packageList(packages.npm)}`,
+      check: false,
+    });
+  }
+
+  (recipe.files || []).filter(applies).forEach((file, index) => {
+    const target = shellPath(fill(file.path));
+    const content = Buffer.from(fill(file.content)).toString('base64');
+    steps.push({
+      id: `files-${index + 1}`,
+      name: `Write ${file.path}`,
+      command:
+        `mkdir -p "$(dirname ${target})" && printf %s ${content} | base64 -d > ${target}` +
+        (file.mode ? ` && chmod ${shellQuote(file.mode)} ${target}` : ''),
+      check: false,
+    });
+  });
+
+  const env: Record<string, string> = {};
+  for (const [key, value] of Object.entries(recipe.env || {})) {
+    env[key] = fill(String(value));
+  }
+  const envNames = Object.keys(env);
+
+  const secrets = recipe.secrets || [];
+  if (secrets.length > 0) {
+    for (const name of secrets) {
+      env[secretEnvName(name)] = context.resolveSecret(name);
+    }
+    steps.push({
+      id: 'secrets',
+      name: `Push secrets ${secrets.join(', ')}`,
+      command: secretsPushScript(secrets, context.osType),
+      check: false,
+    });
+  }
+
+  if (envNames.length > 0) {
+    // Values come from the step's environment rather than the command text
+    const profile = context.osType === 'macos' ? '~/.zshrc' : '~/.bashrc';
+    const lines = [
+      QUOTE_FUNCTION,
+      `touch ${profile}`,
+      ...envNames.map((key) =>
+        `grep -v '^export ${key}=' ${profile} > ${profile}.tmp; mv ${profile}.tmp ${profile}; ` +
+        `echo "export ${key}=$(q "$${key}")" >> ${profile}`
+      ),
+    ];
+    steps.push({
+      id: 'env',
+      name: `Set ${envNames.join(', ')}`,
+      command: lines.join('\n'),
+      check: false,
+    });
+  }
+
+  (recipe.repos || []).filter(applies).forEach((repo, index) => {
+    const url = fill(repo.url);
+    const target = shellPath(repo.path ? fill(repo.path) : `~/${path.basename(url).replace(/\.git$/, '')}`);
+    const branch = repo.branch ? ` --branch ${shellQuote(fill(repo.branch))}` : '';
+    steps.push({
+      id: `repos-${index + 1}`,
+      name: `Clone ${url}`,
+      command:
+        `if [ -d ${target}/.git ]; then git -C ${target} pull --ff-only; ` +
+        `else git clone${branch} ${shellQuote(url)} ${target}; fi`,
+      check: false,
+    });
+  });
+
+  addCommands('commands');
+  addCommands('checks');
+
+  return { recipe, steps, env };
+}
@@ -0,0 +1,365 @@
+/**
+ * Screen Stream
+ *
+ * Captures VM screenshots on an interval and fans changed frames out to
+ * listeners (MCP resource notifications, the TUI screenshot file) and to a
+ * local WebSocket/SSE feed on 127.0.0.1:STRAWBERRY_STREAM_PORT (default 7891):
+ *
+ *   ws://127.0.0.1:7891/stream/<vmId>?token=…&format=webp&quality=60   binary frames
+ *   http://127.0.0.1:7891/stream/<vmId>?token=…&format=jpeg            text/event-stream
+ *
+ * Omit <vmId> to receive frames from every streaming VM. Every request needs
+ * the token, random per process (or STRAWBERRY_STREAM_TOKEN) and included in
+ * getUrl(), and WebSocket upgrades from web pages (with an Origin header)
+ * are refused: browsers don't apply CORS to WebSockets, so any page could
+ * otherwise watch the VMs.
+ */
+
+import { EventEmitter } from 'events';
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import * as http from 'http';
+import sharp from 'sharp';
+import WebSocket, { WebSocketServer } from 'ws';
+import type { VMManager } from './vm-manager.js';
+
+const DEFAULT_STREAM_PORT = 7891;
+const DEFAULT_QUALITY = 70;
+// Drop frames for WebSocket clients that can't keep up
+const MAX_BUFFERED_BYTES = 4 * 1024 * 1024;
+
+export type StreamFormat = 'jpeg' | 'webp' | 'png';
+
+export interface StreamFrame {
+  vmId: string;
+  seq: number;
+  timestamp: Date;
+  /** Screenshot as returned by the VM (PNG) */
+  imageB64: string;
+  lastAction?: string;
+}
+
+interface StreamClient {
+  /** Only receive frames for this VM, or all VMs when undefined */
+  vmId?: string;
+  format: StreamFormat;
+  quality: number;
+  send(frame: StreamFrame, image: Buffer): void;
+  close(): void;
+}
+
+interface VMStream {
+  timer: NodeJS.Timeout;
+  capturing: boolean;
+  lastHash?: string;
+  seq: number;
+}
+
+export class ScreenStream extends EventEmitter {
+  private vmManager: VMManager;
+  private port: number;
+  private streams: Map<string, VMStream> = new Map();
+  private latest: Map<string, StreamFrame> = new Map();
+  // Encoded images for the latest frame of each VM, keyed by format:quality
+  private encoded: Map<string, Map<string, Promise<Buffer>>> = new Map();
+  private clients: Set<StreamClient> = new Set();
+  private httpServer: http.Server | null = null;
+  private token: string;
+
+  constructor(vmManager: VMManager, port: number = parseInt(process.env.STRAWBERRY_STREAM_PORT || String(DEFAULT_STREAM_PORT), 10)) {
+    super();
+    this.vmManager = vmManager;
+    this.port = port;
+    this.token = process.env.STRAWBERRY_STREAM_TOKEN || randomBytes(16).toString('hex');
+  }
+
+  /**
+   * Start (or restart with a new interval) streaming a VM's screen
+   */
+  start(vmId: string, intervalMs: number): void {
+    this.stop(vmId);
+    this.listen();
+
+    const stream: VMStream = {
+      timer: setInterval(() => this.capture(vmId), intervalMs),
+      capturing: false,
+      seq: 0,
+    };
+    this.streams.set(vmId, stream);
+    this.capture(vmId);
+  }
+
+  /**
+   * Stop streaming a VM. Returns false if it wasn't streaming.
+   */
+  stop(vmId: string): boolean {
+    const stream = this.streams.get(vmId);
+    if (!stream) return false;
+
+    clearInterval(stream.timer);
+    this.streams.delete(vmId);
+    this.latest.delete(vmId);
+    this.encoded.delete(vmId);
+    return true;
+  }
+
+  /**
+   * WebSocket URL for a VM's stream, with the token it needs
+   */
+  getUrl(vmId: string): string {
+    return `ws://127.0.0.1:${this.port}/stream/${encodeURIComponent(vmId)}?token=${this.token}`;
+  }
+
+  isStreaming(vmId: string): boolean {
+    return this.streams.has(vmId);
+  }
+
+  /**
+   * Most recent changed frame for a VM
+   */
+  getLatestFrame(vmId: string): StreamFrame | undefined {
+    return this.latest.get(vmId);
+  }
+
+  /**
+   * Encode a VM's latest frame, reusing the result across clients
+   */
+  encode(frame: StreamFrame, format: StreamFormat, quality: number = DEFAULT_QUALITY): Promise<Buffer> {
+    const isLatest = this.latest.get(frame.vmId) === frame;
+    let cache = isLatest ? this.encoded.get(frame.vmId) : undefined;
+    if (isLatest && !cache) {
+      cache = new Map();
+      this.encoded.set(frame.vmId, cache);
+    }
+
+    const key = `${format}:${quality}`;
+    const cached = cache?.get(key);
+    if (cached) return cached;
+
+    const png = Buffer.from(frame.imageB64, 'base64');
+    const image = format === 'png'
+      ? Promise.resolve(png)
+      : format === 'webp'
+        ? sharp(png).webp({ quality }).toBuffer()
+        : sharp(png).jpeg({ quality }).toBuffer();
+    cache?.set(key, image);
+    return image;
+  }
+
+  /**
+   * Capture one frame, skipping it if the screen hasn't changed
+   */
+  private async capture(vmId: string): Promise<void> {
+    const stream = this.streams.get(vmId);
+    // Skip the tick if the previous capture is still in flight
+    if (!stream || stream.capturing) return;
+    stream.capturing = true;
+
+    try {
+      const screenshot = await this.vmManager.getScreenshot(vmId);
+      if (!screenshot?.imageB64 || this.streams.get(vmId) !== stream) return;
+
+      const hash = createHash('sha1').update(screenshot.imageB64).digest('hex');
+      if (hash === stream.lastHash) return;
+      stream.lastHash = hash;
+
+      const frame: StreamFrame = {
+        vmId,
+        seq: ++stream.seq,
+        timestamp: screenshot.timestamp,
+        imageB64: screenshot.imageB64,
+        lastAction: screenshot.lastAction,
+      };
+      this.latest.set(vmId, frame);
+      this.encoded.delete(vmId);
+
+      this.emit('frame', frame);
+      this.broadcast(frame);
+    } catch {
+      // VM is gone
+      this.stop(vmId);
+    } finally {
+      stream.capturing = false;
+    }
+  }
+
+  private broadcast(frame: StreamFrame): void {
+    for (const client of this.clients) {
+      if (client.vmId && client.vmId !== frame.vmId) continue;
+      this.encode(frame, client.format, client.quality)
+        .then((image) => client.send(frame, image))
+        .catch((error) => console.error('[ScreenStream] Failed to encode frame:', error));
+    }
+  }
+
+  /**
+   * Start the local WebSocket/SSE endpoint (no-op if already listening or
+   * disabled with STRAWBERRY_STREAM_PORT=0)
+   */
+  private listen(): void {
+    if (this.httpServer || !this.port) return;
+
+    const wss = new WebSocketServer({ noServer: true });
+    this.httpServer = http.createServer((req, res) => this.handleHttp(req, res));
+
+    this.httpServer.on('upgrade', (req, socket, head) => {
+      const target = this.parseRequest(req);
+      if (!target || req.headers.origin !== undefined || !this.authorized(req)) {
+        socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+        return;
+      }
+      wss.handleUpgrade(req, socket, head, (ws) => this.addWebSocketClient(ws, target));
+    });
+
+    this.httpServer.on('error', (error) => {
+      // Another server instance probably owns the port - notifications still work
+      console.error(`[ScreenStream] Stream endpoint unavailable on port ${this.port}:`, error.message);
+      this.httpServer = null;
+    });
+
+    this.httpServer.listen(this.port, '127.0.0.1', () => {
+      console.error(`[ScreenStream] Streaming on ws://127.0.0.1:${this.port}/stream/<vmId> (token in stream_url)`);
+    });
+  }
+
+  /**
+   * Whether the request carries this process's token
+   */
+  private authorized(req: http.IncomingMessage): boolean {
+    const given = new URL(req.url || '/', 'http://127.0.0.1').searchParams.get('token') || '';
+    const digest = (value: string) => createHash('sha256').update(value).digest();
+    return timingSafeEqual(digest(given), digest(this.token));
+  }
+
+  /**
+   * Parse /stream[/<vmId>]?format=&quality= from a request
+   */
+  private parseRequest(req: http.IncomingMessage): Omit<StreamClient, 'send' | 'close'> | null {
+    const url = new URL(req.url || '/', 'http://127.0.0.1');
+    const match = url.pathname.match(/^\/stream(?:\/([^/]+))?\/?$/);
+    if (!match) return null;
+
+    let format = url.searchParams.get('format') as StreamFormat | null;
+    if (!format || !['jpeg', 'webp', 'png'].includes(format)) {
+      format = req.headers.accept?.includes('image/webp') ? 'webp' : 'jpeg';
+    }
+    const quality = parseInt(url.searchParams.get('quality') || '', 10);
+
+    return {
+      vmId: match[1] ? decodeURIComponent(match[1]) : undefined,
+      format,
+      quality: quality > 0 && quality <= 100 ? quality : DEFAULT_QUALITY,
+    };
+  }
+
+  /**
+   * WebSocket clients get a JSON header message followed by the binary image
+   */
+  private addWebSocketClient(ws: WebSocket, target: Omit<StreamClient, 'send' | 'close'>): void {
+    const client: StreamClient = {
+      ...target,
+      send: (frame, image) => {
+        if (ws.readyState !== WebSocket.OPEN || ws.bufferedAmount > MAX_BUFFERED_BYTES) return;
+        ws.send(JSON.stringify({
+          type: 'frame',
+          vmId: frame.vmId,
+          seq: frame.seq,
+          timestamp: frame.timestamp.toISOString(),
+          format: client.format,
+          lastAction: frame.lastAction,
+          bytes: image.length,
+        }));
+        ws.send(image);
+      },
+      close: () => ws.close(),
+    };
+
+    // Clients may switch encoding mid-stream: {"format": "webp", "quality": 50}
+    ws.on('message', (data) => {
+      try {
+        const message = JSON.parse(data.toString()) as { format?: StreamFormat; quality?: number };
+        if (message.format && ['jpeg', 'webp', 'png'].includes(message.format)) {
+          client.format = message.format;
+        }
+        if (message.quality && message.quality > 0 && message.quality <= 100) {
+          client.quality = message.quality;
+        }
+      } catch {
+        // Ignore malformed messages
+      }
+    });
+    ws.on('close', () => this.clients.delete(client));
+
+    this.addClient(client);
+  }
+
+  /**
+   * Server-Sent Events fallback for clients without WebSocket support
+   */
+  private handleHttp(req: http.IncomingMessage, res: http.ServerResponse): void {
+    const target = req.method === 'GET' ? this.parseRequest(req) : null;
+    if (!target) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Use /stream/<vmId>' }));
+      return;
+    }
+    if (!this.authorized(req)) {
+      res.writeHead(403, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Missing or invalid token (use the stream_url from start_screen_stream)' }));
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+    });
+
+    const client: StreamClient = {
+      ...target,
+      send: (frame, image) => {
+        res.write(`event: frame\ndata: ${JSON.stringify({
+          vmId: frame.vmId,
+          seq: frame.seq,
+          timestamp: frame.timestamp.toISOString(),
+          format: client.format,
+          lastAction: frame.lastAction,
+          imageData: image.toString('base64'),
+        })}\n\n`);
+      },
+      close: () => res.end(),
+    };
+    req.on('close', () => this.clients.delete(client));
+
+    this.addClient(client);
+  }
+
+  /**
+   * Register a client and send it the current frame(s) right away
+   */
+  private addClient(client: StreamClient): void {
+    this.clients.add(client);
+    for (const frame of this.latest.values()) {
+      if (client.vmId && client.vmId !== frame.vmId) continue;
+      this.encode(frame, client.format, client.quality)
+        .then((image) => client.send(frame, image))
+        .catch(() => {});
+    }
+  }
+
+  /**
+   * Stop all streams and close the endpoint
+   */
+  close(): void {
+    for (const vmId of Array.from(this.streams.keys())) {
+      this.stop(vmId);
+    }
+    for (const client of this.clients) {
+      client.close();
+    }
+    this.clients.clear();
+    this.httpServer?.close();
+    this.httpServer = null;
+  }
+}
+
+export default ScreenStream;
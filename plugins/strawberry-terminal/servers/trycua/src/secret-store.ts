@@ -0,0 +1,296 @@
+/**
+ * Secret Store
+ *
+ * Named secrets kept encrypted (AES-256-GCM) in ~/.strawberry/secrets.json
+ * (override with STRAWBERRY_SECRETS_FILE). The key is derived from
+ * STRAWBERRY_SECRETS_KEY when set, otherwise a random key is created in
+ * ~/.strawberry/secrets.key. Names starting with "vault." read a field from
+ * the windows-mcp vault-sync cache (~/.strawberry/vault-cache.json).
+ *
+ * Every secret value this process knows about is redacted from events,
+ * tool responses and action descriptions with redact().
+ *
+ * seal() and unseal() encrypt other data kept at rest (browser profiles)
+ * with the same key.
+ */
+
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { QUOTE_FUNCTION } from './command-runner.js';
+import { OSType } from './types.js';
+
+const STRAWBERRY_DIR = path.join(os.homedir(), '.strawberry');
+const DEFAULT_SECRETS_FILE = path.join(STRAWBERRY_DIR, 'secrets.json');
+const DEFAULT_KEY_FILE = path.join(STRAWBERRY_DIR, 'secrets.key');
+const VAULT_CACHE_FILE = path.join(STRAWBERRY_DIR, 'vault-cache.json');
+const VAULT_PREFIX = 'vault.';
+// Shorter values would redact ordinary words and numbers
+const MIN_REDACT_LENGTH = 6;
+
+/** Where pushed secrets live on the VM, sourced from the shell profile */
+export const GUEST_SECRETS_FILE = '~/.strawberry/secrets.env';
+
+const SECRET_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * AES-256-GCM ciphertext, base64 encoded
+ */
+export interface SealedValue {
+  iv: string;
+  tag: string;
+  data: string;
+}
+
+interface EncryptedSecret extends SealedValue {
+  updatedAt: string;
+}
+
+interface SecretsFile {
+  version: 1;
+  /** Salt for STRAWBERRY_SECRETS_KEY; unused with a key file */
+  salt: string;
+  secrets: Record<string, EncryptedSecret>;
+}
+
+// Values resolved or registered in this process, by value, for redaction
+const knownValues: Map<string, string> = new Map();
+
+/**
+ * Remember a secret value so redact() hides it, e.g. a key passed in tool arguments
+ */
+export function registerSecretValue(name: string, value: string): void {
+  if (value.length >= MIN_REDACT_LENGTH) {
+    knownValues.set(value, name);
+  }
+}
+
+/**
+ * Replace every known secret value in the text with [REDACTED:<name>]
+ */
+export function redact(text: string): string {
+  let result = text;
+  // Longest first, so a secret containing another is replaced whole
+  const values = [...knownValues.keys()].sort((a, b) => b.length - a.length);
+  for (const value of values) {
+    if (result.includes(value)) {
+      result = result.split(value).join(`[REDACTED:${knownValues.get(value)}]`);
+    }
+  }
+  return result;
+}
+
+export class SecretStore {
+  private filePath: string;
+  private keyFile: string;
+
+  constructor(
+    filePath: string = process.env.STRAWBERRY_SECRETS_FILE || DEFAULT_SECRETS_FILE,
+    keyFile: string = DEFAULT_KEY_FILE
+  ) {
+    this.filePath = filePath;
+    this.keyFile = keyFile;
+  }
+
+  /**
+   * Store (or replace) a secret
+   */
+  set(name: string, value: string): void {
+    if (!SECRET_NAME.test(name)) {
+      throw new Error(`Invalid secret name: ${name} (use letters, digits and underscores)`);
+    }
+
+    const file = this.read();
+    file.secrets[name] = { ...this.encrypt(file, value), updatedAt: new Date().toISOString() };
+    this.write(file);
+    registerSecretValue(name, value);
+  }
+
+  /**
+   * Encrypt data kept outside the store with the store's key
+   */
+  seal(plaintext: string): SealedValue {
+    const file = this.read();
+    const sealed = this.encrypt(file, plaintext);
+    // A passphrase key depends on the salt, so it has to be saved before first use
+    if (!fs.existsSync(this.filePath)) {
+      this.write(file);
+    }
+    return sealed;
+  }
+
+  /**
+   * Decrypt data sealed with seal(); label describes it in errors
+   */
+  unseal(sealed: SealedValue, label: string): string {
+    return this.decrypt(label, sealed);
+  }
+
+  /**
+   * Remove a secret; returns false if it didn't exist
+   */
+  delete(name: string): boolean {
+    const file = this.read();
+    if (!file.secrets[name]) return false;
+    delete file.secrets[name];
+    this.write(file);
+    return true;
+  }
+
+  /**
+   * Secret names (never values), including fields in the vault cache
+   */
+  list(): Array<{ name: string; source: 'store' | 'vault'; updatedAt?: string }> {
+    const stored = Object.entries(this.read().secrets).map(([name, secret]) => ({
+      name,
+      source: 'store' as const,
+      updatedAt: secret.updatedAt,
+    }));
+    const vault = Object.keys(this.readVault()).map((field) => ({ name: VAULT_PREFIX + field, source: 'vault' as const }));
+    return [...stored, ...vault].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Look a secret up by name: the store, then the vault cache, then the
+   * environment variable of the same name. Undefined if none has it.
+   */
+  get(name: string): string | undefined {
+    let value: string | undefined;
+    if (name.startsWith(VAULT_PREFIX)) {
+      const field = this.readVault()[name.slice(VAULT_PREFIX.length)];
+      value = field === undefined || field === null ? undefined : String(field);
+    } else {
+      const secret = this.read().secrets[name];
+      value = secret ? this.decrypt(`secret "${name}"`, secret) : process.env[name];
+    }
+
+    if (value) registerSecretValue(name, value);
+    return value || undefined;
+  }
+
+  /**
+   * Like get(), but throws when the secret can't be found
+   */
+  require(name: string): string {
+    const value = this.get(name);
+    if (value === undefined) {
+      throw new Error(`Secret "${name}" not found (add it with: strawberry-secrets set ${name})`);
+    }
+    return value;
+  }
+
+  /**
+   * Load every stored secret so redact() knows their values (vault fields
+   * are only redacted once used - most of them are hosts and ports)
+   */
+  loadForRedaction(): void {
+    for (const [name, secret] of Object.entries(this.read().secrets)) {
+      try {
+        registerSecretValue(name, this.decrypt(`secret "${name}"`, secret));
+      } catch (error) {
+        console.error(`[SecretStore] ${error instanceof Error ? error.message : error}`);
+      }
+    }
+  }
+
+  private read(): SecretsFile {
+    try {
+      const file = JSON.parse(fs.readFileSync(this.filePath, 'utf8')) as SecretsFile;
+      return { version: 1, salt: file.salt, secrets: file.secrets || {} };
+    } catch {
+      return { version: 1, salt: randomBytes(16).toString('base64'), secrets: {} };
+    }
+  }
+
+  private write(file: SecretsFile): void {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(this.filePath, JSON.stringify(file, null, 2), { mode: 0o600 });
+  }
+
+  private key(file: SecretsFile, create: boolean = false): Buffer {
+    const passphrase = process.env.STRAWBERRY_SECRETS_KEY;
+    if (passphrase) {
+      return scryptSync(passphrase, Buffer.from(file.salt, 'base64'), 32);
+    }
+
+    if (fs.existsSync(this.keyFile)) {
+      return Buffer.from(fs.readFileSync(this.keyFile, 'utf8').trim(), 'base64');
+    }
+    if (!create) {
+      throw new Error(`No secrets key (set STRAWBERRY_SECRETS_KEY or restore ${this.keyFile})`);
+    }
+
+    const key = randomBytes(32);
+    fs.mkdirSync(path.dirname(this.keyFile), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(this.keyFile, key.toString('base64'), { mode: 0o600 });
+    return key;
+  }
+
+  private encrypt(file: SecretsFile, plaintext: string): SealedValue {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', this.key(file, true), iv);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    };
+  }
+
+  private decrypt(label: string, secret: SealedValue): string {
+    try {
+      const decipher = createDecipheriv('aes-256-gcm', this.key(this.read()), Buffer.from(secret.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(secret.tag, 'base64'));
+      return Buffer.concat([decipher.update(Buffer.from(secret.data, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw new Error(`Cannot decrypt ${label} - wrong STRAWBERRY_SECRETS_KEY or key file? (${error instanceof Error ? error.message : error})`);
+    }
+  }
+
+  /**
+   * Credentials cached by windows-mcp's vault-sync.js
+   */
+  private readVault(): Record<string, unknown> {
+    try {
+      const cache = JSON.parse(fs.readFileSync(VAULT_CACHE_FILE, 'utf8')) as { credentials?: Record<string, unknown> };
+      return cache.credentials || {};
+    } catch {
+      return {};
+    }
+  }
+}
+
+/**
+ * Shell script that writes secrets, taken from its environment, into
+ * GUEST_SECRETS_FILE and sources that file from the shell profile. Run it
+ * with the values in CommandOptions.env, which the command runner delivers
+ * as a file or on stdin, so they never appear in a command line.
+ * Vault names are exported with the dot replaced ("vault.password" -> VAULT_PASSWORD).
+ */
+export function secretsPushScript(names: string[], osType: OSType): string {
+  const profile = osType === 'macos' ? '~/.zshrc' : '~/.bashrc';
+  const lines = [
+    QUOTE_FUNCTION,
+    'umask 077',
+    'mkdir -p ~/.strawberry',
+    `f=${GUEST_SECRETS_FILE}`,
+    'touch "$f" && chmod 600 "$f"',
+    ...names.map((name) => {
+      const variable = secretEnvName(name);
+      return `grep -v '^export ${variable}=' "$f" > "$f.tmp"; mv "$f.tmp" "$f"; echo "export ${variable}=$(q "$${variable}")" >> "$f"`;
+    }),
+    `grep -qF '${GUEST_SECRETS_FILE.slice(2)}' ${profile} 2>/dev/null || ` +
+    `echo '[ -f ${GUEST_SECRETS_FILE} ] && . ${GUEST_SECRETS_FILE}' >> ${profile}`,
+  ];
+  return lines.join('\n');
+}
+
+/**
+ * Environment variable a secret is exported as on the VM
+ */
+export function secretEnvName(name: string): string {
+  return name.startsWith(VAULT_PREFIX) ? `VAULT_${name.slice(VAULT_PREFIX.length).toUpperCase()}` : name;
+}
+
+export default SecretStore;
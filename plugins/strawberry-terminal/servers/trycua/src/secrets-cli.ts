@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+/**
+ * strawberry-secrets - manage the local secret store
+ *
+ *   strawberry-secrets set NAME      (value read from stdin, or prompted for without echo)
+ *   strawberry-secrets list
+ *   strawberry-secrets delete NAME
+ *
+ * Secrets are added here rather than through an MCP tool so their values
+ * never end up in a conversation.
+ */
+
+import { SecretStore } from './secret-store.js';
+
+/**
+ * Read a value from a pipe, or prompt for it on a terminal without echoing
+ */
+function readValue(name: string): Promise<string> {
+  const stdin = process.stdin;
+
+  if (!stdin.isTTY) {
+    return new Promise((resolve, reject) => {
+      let data = '';
+      stdin.setEncoding('utf8');
+      stdin.on('data', (chunk) => (data += chunk));
+      stdin.on('end', () => resolve(data.replace(/\r?\n$/, '')));
+      stdin.on('error', reject);
+    });
+  }
+
+  return new Promise((resolve) => {
+    let value = '';
+    process.stderr.write(`Value for ${name}: `);
+    stdin.setRawMode(true);
+    stdin.setEncoding('utf8');
+    stdin.resume();
+
+    const onData = (chunk: string) => {
+      for (const char of chunk) {
+        if (char === '\r' || char === '\n') {
+          stdin.setRawMode(false);
+          stdin.pause();
+          stdin.off('data', onData);
+          process.stderr.write('\n');
+          resolve(value);
+          return;
+        }
+        if (char === '\u0003') {
+          // Ctrl+C
+          stdin.setRawMode(false);
+          process.stderr.write('\n');
+          process.exit(130);
+        }
+        value = char === '\u007f' ? value.slice(0, -1) : value + char;
+      }
+    };
+    stdin.on('data', onData);
+  });
+}
+
+async function main(): Promise<void> {
+  const [command, name] = process.argv.slice(2);
+  const store = new SecretStore();
+
+  switch (command) {
+    case 'set': {
+      if (!name) throw new Error('Usage: strawberry-secrets set NAME');
+      const value = await readValue(name);
+      if (!value) throw new Error('Empty value - nothing stored');
+      store.set(name, value);
+      console.log(`Stored ${name}`);
+      break;
+    }
+
+    case 'list': {
+      for (const secret of store.list()) {
+        console.log(`${secret.name}\t${secret.source}${secret.updatedAt ? `\t${secret.updatedAt}` : ''}`);
+      }
+      break;
+    }
+
+    case 'delete': {
+      if (!name) throw new Error('Usage: strawberry-secrets delete NAME');
+      console.log(store.delete(name) ? `Deleted ${name}` : `No secret named ${name}`);
+      break;
+    }
+
+    default:
+      console.error('Usage: strawberry-secrets set NAME | list | delete NAME');
+      process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error(`[strawberry-secrets] ${error instanceof Error ? error.message : error}`);
+  process.exit(1);
+});
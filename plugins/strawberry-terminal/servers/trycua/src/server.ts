@@ -1,42 +1,155 @@
 #!/usr/bin/env node
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import type { RequestHandlerExtra } from '@modelcontextprotocol/sdk/shared/protocol.js';
 import {
+  CallToolRequest,
   CallToolRequestSchema,
   ListToolsRequestSchema,
   ListResourcesRequestSchema,
   ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
   Tool,
   TextContent,
   ImageContent,
+  ServerNotification,
+  ServerRequest,
 } from '@modelcontextprotocol/sdk/types.js';
-import { VMManager } from './vm-manager.js';
-import { VMConfig, ComputerAction, OSType } from './types.js';
+import { taskBlock, VMManager } from './vm-manager.js';
+import { BrowserController, ExtractOptions, GroundingMode, TabInfo } from './browser-controller.js';
+import { InterceptRule, NetworkOptions } from './network-capture.js';
+import { SelectorSpec } from './page-extract.js';
+import { GUEST_PROFILES_DIR, ProfileSummary } from './browser-profiles.js';
+import { ComputerUseAction } from './computer-use.js';
+import { ScreenStream, StreamFrame } from './screen-stream.js';
+import { appendLegacyEvent, EventStore } from '@strawberry/shared/event-store';
+import { listRecipes } from './recipes.js';
+import { redact } from './secret-store.js';
+import { VMConfig, ComputerAction, OSType, VMProviderName, VMSize, ProvisionResult, ProvisionStep, TaskBlock } from './types.js';
+import { PoolTarget } from './warm-pool.js';
+import { Job, JobInput, JobKind, JobStatus } from './job-queue.js';
 import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import sharp from 'sharp';
+import { v4 as uuidv4 } from 'uuid';
 
 const VERSION = '0.1.0';
-const MCP_EVENTS_FILE = '/tmp/bat-mcp-events.jsonl';
 const VM_STATUS_FILE = '/tmp/bat-vm-status.json';
 const VM_SCREENSHOTS_DIR = '/tmp/strawberry-vm-screenshots';
 const DEFAULT_STREAM_INTERVAL_MS = 400;
+const HAR_DIR = process.env.STRAWBERRY_HAR_DIR || path.join(os.homedir(), '.strawberry', 'har');
+// Failed requests listed in browser_export_har's response (all of them are in the file)
+const MAX_LISTED_FAILURES = 20;
+// Output returned by run_command - the rest is streamed as progress notifications
+const MAX_COMMAND_OUTPUT_CHARS = 20000;
 
 // Disable VM UI features (screenshots, status) by default
 // Set STRAWBERRY_VM_UI=1 to enable
 const VM_UI_ENABLED = process.env.STRAWBERRY_VM_UI === '1';
 
+const eventStore = new EventStore('trycua');
+EventStore.redactor = redact;
+
 /**
- * Write event for sidebar tracking
- * Only writes if STRAWBERRY_VM_UI=1 is set
+ * Record an event in the event store, and in the sidebar's events file
+ * if STRAWBERRY_VM_UI=1 is set
  */
-function writeEvent(event: Record<string, unknown>): void {
-  if (!VM_UI_ENABLED) return;
+function writeEvent(event: { type: string } & Record<string, unknown>): void {
+  eventStore.append(event);
+  if (VM_UI_ENABLED) {
+    appendLegacyEvent(event);
+  }
+}
 
-  try {
-    const line = JSON.stringify({ ...event, timestamp: new Date().toISOString() }) + '\n';
-    fs.appendFileSync(MCP_EVENTS_FILE, line);
-  } catch {
-    // Ignore errors
+/**
+ * Redact secret values from the text parts of a tool response
+ */
+function redactToolResult<T extends { content: Array<{ type: string; text?: string }> }>(result: T): T {
+  for (const item of result.content) {
+    if (item.type === 'text' && typeof item.text === 'string') {
+      item.text = redact(item.text);
+    }
   }
+  return result;
+}
+
+/**
+ * A job as returned by get_job and list_jobs
+ */
+function formatJob(job: Job) {
+  return {
+    job_id: job.id,
+    kind: job.kind,
+    task: job.task,
+    tag: job.tag,
+    vm_id: job.vmId,
+    priority: job.priority,
+    status: job.status,
+    attempts: job.attempts,
+    max_attempts: job.maxAttempts,
+    retry_at: job.status === 'queued' ? job.notBefore : undefined,
+    assigned_vm: job.assignedVm,
+    created_at: job.createdAt,
+    started_at: job.startedAt,
+    completed_at: job.completedAt,
+    error: job.error,
+    upstream_id: job.upstreamId,
+    result: job.result && {
+      success: job.result.success,
+      exit_code: job.result.exitCode,
+      steps: job.result.steps,
+      duration_ms: job.result.durationMs,
+      output: job.result.output,
+      stderr: job.result.stderr,
+    },
+    history: job.history.map((attempt) => ({
+      vm_id: attempt.vmId,
+      started_at: attempt.startedAt,
+      completed_at: attempt.completedAt,
+      success: attempt.success,
+      error: attempt.error,
+    })),
+  };
+}
+
+/**
+ * Fields added to a tool response when the safety policy or an approver
+ * stopped an action, the same for computer_action and tasks
+ */
+function formatBlock(block: TaskBlock | undefined) {
+  if (!block) return {};
+  return block.by === 'policy'
+    ? { blocked_by_policy: true, rule: block.rule, reason: block.reason }
+    : { approval_denied: true, approval_id: block.approvalId, rule: block.rule, approver: block.approver, reason: block.reason };
+}
+
+/**
+ * A browser tab as returned by the browser_*_tab tools
+ */
+function formatTab(tab: TabInfo) {
+  return {
+    tab_id: tab.tabId,
+    url: tab.url,
+    title: tab.title,
+    active: tab.active,
+    context: tab.context,
+    incognito: tab.incognito,
+    opener_tab_id: tab.openerId,
+  };
+}
+
+/**
+ * A saved browser profile as returned by the *_browser_profile tools
+ */
+function formatProfile(profile: ProfileSummary) {
+  return {
+    name: profile.name,
+    saved_at: profile.savedAt,
+    cookies: profile.cookies,
+    origins: profile.origins,
+  };
 }
 
 /**
@@ -57,13 +170,10 @@ function saveVMScreenshot(vmId: string, vmName: string, imageB64: string, lastAc
       vmName,
       timestamp: new Date().toISOString(),
       imageData: imageB64,
-      lastAction,
+      lastAction: lastAction && redact(lastAction),
     };
 
-    fs.writeFileSync(
-      `${VM_SCREENSHOTS_DIR}/${vmId}.json`,
-      JSON.stringify(screenshot, null, 2)
-    );
+    fs.writeFileSync(`${VM_SCREENSHOTS_DIR}/${vmId}.json`, JSON.stringify(screenshot));
   } catch {
     // Ignore errors
   }
@@ -86,6 +196,7 @@ function updateVMStatus(vmManager: VMManager): void {
       size: vm.size,
       resources: vm.resources,
       region: vm.region,
+      provider: vm.provider,
       createdAt: vm.createdAt.toISOString(),
     }));
 
@@ -118,14 +229,20 @@ function updateVMStatus(vmManager: VMManager): void {
  * 3. Take screenshots
  * 4. Perform mouse/keyboard actions
  * 5. Manage VM lifecycle
+ * 6. Drive a local headless Chromium for web tasks that don't need a VM
  */
 class TryCuaMCPServer {
   private server: Server;
   private vmManager: VMManager;
-  private screenStreams: Map<string, NodeJS.Timeout> = new Map();
+  private browsers: BrowserController;
+  private screenStream: ScreenStream;
+  // Resource URIs the MCP client subscribed to (vm://<id>/screen)
+  private subscriptions: Set<string> = new Set();
 
   constructor() {
     this.vmManager = new VMManager(10);
+    this.browsers = new BrowserController({ apiKey: process.env.ANTHROPIC_API_KEY || '', headless: true });
+    this.screenStream = new ScreenStream(this.vmManager);
 
     this.server = new Server(
       {
@@ -135,14 +252,17 @@ class TryCuaMCPServer {
       {
         capabilities: {
           tools: {},
-          resources: {},
+          resources: { subscribe: true },
         },
       }
     );
 
     this.setupToolHandlers();
     this.setupResourceHandlers();
+    this.setupResourceSubscriptions();
     this.setupVMEventForwarding();
+    this.setupBrowserEventForwarding();
+    this.setupScreenStreamForwarding();
   }
 
   private setupToolHandlers(): void {
@@ -180,6 +300,40 @@ class TryCuaMCPServer {
                 items: { type: 'string' },
                 description: 'Optional tags',
               },
+              provider: {
+                type: 'string',
+                enum: ['cloud', 'docker', 'qemu'],
+                description: 'DO NOT SET - defaults to STRAWBERRY_VM_PROVIDER (cloud). "docker"/"qemu" run the VM locally',
+              },
+              idle_timeout_minutes: {
+                type: 'number',
+                description: 'Optional: stop the VM after this many minutes without activity (default: STRAWBERRY_VM_IDLE_TIMEOUT_MINUTES, unset = never)',
+              },
+              max_lifetime_minutes: {
+                type: 'number',
+                description: 'Optional: stop the VM this many minutes after it was created (default: STRAWBERRY_VM_MAX_LIFETIME_MINUTES, unset = never)',
+              },
+              hourly_budget_usd: {
+                type: 'number',
+                description: 'Optional: global hourly cost budget for all VMs in USD. Spawns over budget are refused and idle VMs are stopped to stay within it',
+              },
+              recipe: {
+                type: 'string',
+                description: 'Optional: provisioning recipe to apply once the VM is ready (see list_recipes)',
+              },
+              recipe_variables: {
+                type: 'object',
+                additionalProperties: { type: 'string' },
+                description: 'Optional: variables for the recipe',
+              },
+              from_snapshot: {
+                type: 'string',
+                description: 'Optional: snapshot id or name to start from (see list_snapshots). The snapshot decides the provider and OS',
+              },
+              count: {
+                type: 'number',
+                description: 'Optional: number of VMs to spawn (default 1). Names get a -1, -2, ... suffix',
+              },
             },
             required: ['name'],
           },
@@ -187,7 +341,7 @@ class TryCuaMCPServer {
         {
           name: 'execute_task',
           description:
-            'Execute a task on a VM using computer use. The task will be interpreted and executed using mouse/keyboard actions.',
+            'Execute a task on a VM using computer use. An AI agent looks at the screen and performs mouse/keyboard actions step by step until the task is complete (requires ANTHROPIC_API_KEY; otherwise only simple browser tasks are automated).',
           inputSchema: {
             type: 'object',
             properties: {
@@ -200,6 +354,10 @@ class TryCuaMCPServer {
                 description:
                   'The task to execute (e.g., "Open Chrome and search for AI news")',
               },
+              max_steps: {
+                type: 'number',
+                description: 'Maximum agent steps before giving up (default: 20)',
+              },
             },
             required: ['vm_id', 'task'],
           },
@@ -207,7 +365,7 @@ class TryCuaMCPServer {
         {
           name: 'computer_action',
           description:
-            'Perform a specific computer action (click, type, scroll, key press) on a VM',
+            'Perform a specific computer action (click, type, scroll, key press) on a VM. Risky actions (typing into password fields, Return in a terminal) wait for approval in the Strawberry TUI.',
           inputSchema: {
             type: 'object',
             properties: {
@@ -268,9 +426,46 @@ class TryCuaMCPServer {
             required: ['vm_id'],
           },
         },
+        {
+          name: 'run_command',
+          description:
+            'Run a shell command on a Linux or macOS VM and wait for it to finish. Returns stdout, stderr, exit code and duration. Output is streamed as progress notifications while it runs. Prefer this over typing into a terminal with computer_action.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              vm_id: {
+                type: 'string',
+                description: 'The VM ID',
+              },
+              command: {
+                type: 'string',
+                description: 'Shell command (run with sh)',
+              },
+              cwd: {
+                type: 'string',
+                description: 'Working directory (default: home directory)',
+              },
+              env: {
+                type: 'object',
+                additionalProperties: { type: 'string' },
+                description: 'Extra environment variables',
+              },
+              timeout_seconds: {
+                type: 'number',
+                description: 'Kill the command after this many seconds (default: 120)',
+              },
+              transport: {
+                type: 'string',
+                enum: ['auto', 'computer-server', 'ssh'],
+                description: 'How to reach the VM (default: auto - computer-server with SSH fallback)',
+              },
+            },
+            required: ['vm_id', 'command'],
+          },
+        },
         {
           name: 'start_screen_stream',
-          description: 'Start streaming screenshots from a VM to the sidebar. Screenshots are captured frequently and displayed in the Strawberry TUI.',
+          description: 'Start streaming screenshots from a VM to the sidebar. Only changed frames are delivered: to the Strawberry TUI, as MCP resource updates for vm://<vm_id>/screen, and on a local WebSocket/SSE feed (stream_url).',
           inputSchema: {
             type: 'object',
             properties: {
@@ -300,6 +495,121 @@ class TryCuaMCPServer {
             required: ['vm_id'],
           },
         },
+        {
+          name: 'start_recording',
+          description: 'Start recording computer_action calls on a VM (with before/after screenshots) into a session bundle that replay_session can re-run',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              vm_id: {
+                type: 'string',
+                description: 'The VM ID to record',
+              },
+              name: {
+                type: 'string',
+                description: 'Optional: human-readable session name',
+              },
+            },
+            required: ['vm_id'],
+          },
+        },
+        {
+          name: 'stop_recording',
+          description: 'Stop recording on a VM and finalize the session bundle',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              vm_id: {
+                type: 'string',
+                description: 'The VM ID being recorded',
+              },
+            },
+            required: ['vm_id'],
+          },
+        },
+        {
+          name: 'list_sessions',
+          description: 'List recorded sessions',
+          inputSchema: {
+            type: 'object',
+            properties: {},
+          },
+        },
+        {
+          name: 'replay_session',
+          description: 'Re-execute a recorded session on a VM. With checkpoints, each step is compared to the recorded screenshot and reported as passed/failed.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              session_id: {
+                type: 'string',
+                description: 'The session ID to replay (see list_sessions)',
+              },
+              vm_id: {
+                type: 'string',
+                description: 'The VM ID to replay on',
+              },
+              checkpoints: {
+                type: 'boolean',
+                description: 'Compare screenshots against the recording after each step (default: false)',
+              },
+              diff_threshold: {
+                type: 'number',
+                description: 'Fraction (0-1) of differing pixels tolerated per checkpoint (default: 0.1)',
+              },
+              stop_on_mismatch: {
+                type: 'boolean',
+                description: 'Abort at the first failed checkpoint (default: false)',
+              },
+              delay_ms: {
+                type: 'number',
+                description: 'Pause between steps in milliseconds (default: 500)',
+              },
+            },
+            required: ['session_id', 'vm_id'],
+          },
+        },
+        {
+          name: 'snapshot_vm',
+          description:
+            'Save a VM\'s disk as a snapshot (docker and qemu providers). Spawn copies with spawn_vm from_snapshot instead of re-running setup. Everything on the disk is included, pushed secrets too.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              vm_id: {
+                type: 'string',
+                description: 'The VM ID',
+              },
+              name: {
+                type: 'string',
+                description: 'Optional: snapshot name (default: VM name and time)',
+              },
+            },
+            required: ['vm_id'],
+          },
+        },
+        {
+          name: 'list_snapshots',
+          description: 'List VM snapshots, newest first',
+          inputSchema: {
+            type: 'object',
+            properties: {},
+          },
+        },
+        {
+          name: 'delete_snapshot',
+          description: 'Delete a VM snapshot and its image',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              snapshot: {
+                type: 'string',
+                description: 'Snapshot id or name',
+              },
+            },
+            required: ['snapshot'],
+          },
+        },
         {
           name: 'stop_vm',
           description: 'Stop a running VM',
@@ -316,20 +626,76 @@ class TryCuaMCPServer {
         },
         {
           name: 'list_vms',
-          description: 'List all VMs and their current status',
+          description: 'List all VMs and their current status, plus orphaned VMs left running by a previous server run',
           inputSchema: {
             type: 'object',
             properties: {},
           },
         },
+        {
+          name: 'reattach_vm',
+          description: 'Reconnect to an orphaned VM left running by a previous server run (see the orphaned section of list_vms)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              vm_id: {
+                type: 'string',
+                description: 'The orphaned VM ID to reattach',
+              },
+            },
+            required: ['vm_id'],
+          },
+        },
+        {
+          name: 'reap_orphan_vms',
+          description: 'Destroy orphaned VMs left running by a previous server run so they stop billing',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              vm_ids: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Optional: only reap these VM IDs (default: all orphaned VMs)',
+              },
+            },
+          },
+        },
         {
           name: 'get_pool_status',
-          description: 'Get the status of the VM pool (total, working, idle, etc.)',
+          description: 'Get the status of the VM pool (total, working, idle, etc.) and the warm pool of pre-booted spares (per-target counts, hit rate, claim and warm-up times)',
           inputSchema: {
             type: 'object',
             properties: {},
           },
         },
+        {
+          name: 'configure_pool',
+          description: 'Keep idle, pre-booted (and optionally pre-provisioned) spare VMs ready so spawn_vm returns one in seconds. A spawn_vm call with the same OS, size and provider takes a spare instead of booting a new VM.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              targets: {
+                type: 'array',
+                description: 'Spares to keep per OS and size. Replaces the current targets; pass [] to empty the pool.',
+                items: {
+                  type: 'object',
+                  properties: {
+                    os_type: { type: 'string', enum: ['linux', 'macos', 'windows'] },
+                    size: { type: 'string', enum: ['small', 'medium', 'large'], description: 'Default: medium (spawn_vm\'s default)' },
+                    min: { type: 'number', description: 'Idle spares to keep ready' },
+                    provider: { type: 'string', enum: ['cloud', 'docker', 'qemu'], description: 'Default: the server\'s provider' },
+                    recipe: { type: 'string', description: 'Optional: recipe applied before a spare counts as ready, e.g. "claude-code"' },
+                  },
+                  required: ['os_type', 'min'],
+                },
+              },
+              max_total: {
+                type: 'number',
+                description: 'Optional: most spares kept at once (default: the sum of the targets\' minimums)',
+              },
+            },
+          },
+        },
         {
           name: 'find_vms_by_tag',
           description: 'Find all VMs with a specific tag. Useful for managing groups of VMs like "strawberry-browser" or "claude-cowork".',
@@ -362,6 +728,103 @@ class TryCuaMCPServer {
             required: ['tag', 'task'],
           },
         },
+        {
+          name: 'submit_job',
+          description: 'Queue one or more distinct tasks for VMs with a tag (or one VM) to pull. Each idle VM takes the highest-priority job it may run; failed jobs are retried with exponential backoff. Returns job IDs immediately - check them with get_job or list_jobs.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              tasks: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Tasks to queue, one job each',
+              },
+              task: {
+                type: 'string',
+                description: 'A single task (instead of tasks)',
+              },
+              tag: {
+                type: 'string',
+                description: 'Any idle VM with this tag may run the jobs',
+              },
+              vm_id: {
+                type: 'string',
+                description: 'Only this VM may run the jobs (instead of tag)',
+              },
+              kind: {
+                type: 'string',
+                enum: ['task', 'command', 'claude'],
+                description: 'task: computer-use agent task (default). command: shell command on a Linux/macOS VM, subject to the safety policy. claude: prompt for Claude Code on a VM set up with bootstrap_vm_for_coding.',
+              },
+              priority: {
+                description: 'low, normal (default), high, urgent, or a number - higher runs first',
+                oneOf: [{ type: 'string', enum: ['low', 'normal', 'high', 'urgent'] }, { type: 'number' }],
+              },
+              max_attempts: {
+                type: 'number',
+                description: 'Optional: attempts before a job fails (default: 3)',
+              },
+              retry_backoff_seconds: {
+                type: 'number',
+                description: 'Optional: wait before the first retry, doubled for each one after (default: 30)',
+              },
+              timeout_seconds: {
+                type: 'number',
+                description: 'Optional: kill a command or claude job after this long',
+              },
+            },
+          },
+        },
+        {
+          name: 'get_job',
+          description: 'Get a job\'s status, attempts and result',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              job_id: {
+                type: 'string',
+                description: 'The job ID from submit_job',
+              },
+            },
+            required: ['job_id'],
+          },
+        },
+        {
+          name: 'list_jobs',
+          description: 'List jobs in queue order (running, then queued by priority, then finished) with counts by status',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              status: {
+                type: 'string',
+                enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+                description: 'Optional: only jobs with this status',
+              },
+              tag: {
+                type: 'string',
+                description: 'Optional: only jobs for this tag',
+              },
+              vm_id: {
+                type: 'string',
+                description: 'Optional: only jobs pinned to or run by this VM',
+              },
+            },
+          },
+        },
+        {
+          name: 'cancel_job',
+          description: 'Cancel a queued job, or stop a running one',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              job_id: {
+                type: 'string',
+                description: 'The job ID to cancel',
+              },
+            },
+            required: ['job_id'],
+          },
+        },
         {
           name: 'add_vm_tags',
           description: 'Add tags to an existing VM',
@@ -409,33 +872,563 @@ class TryCuaMCPServer {
           },
         },
         {
-          name: 'bootstrap_vm_for_coding',
-          description: 'Bootstrap a Linux VM for coding tasks. Installs Claude Code CLI, git, and registers with Moltbot Master. Use after spawn_vm to make the VM ready for coding delegation.',
+          name: 'provision_vm',
+          description:
+            'Apply a provisioning recipe (packages, files, env vars, repos, checks) to a Linux or macOS VM. Returns initialization_steps with the result of each step - pass them to strawberry_sync to show progress in the sidebar.',
           inputSchema: {
             type: 'object',
             properties: {
               vm_id: {
                 type: 'string',
-                description: 'The VM ID to bootstrap',
+                description: 'The VM ID',
               },
-              anthropic_api_key: {
+              recipe: {
                 type: 'string',
-                description: 'Optional: Anthropic API key (uses env ANTHROPIC_API_KEY if not provided)',
+                description: 'Recipe name (see list_recipes) or path to a YAML/JSON recipe file',
+              },
+              variables: {
+                type: 'object',
+                additionalProperties: { type: 'string' },
+                description: 'Values for the recipe\'s {{variables}}, overriding its defaults',
               },
             },
-            required: ['vm_id'],
+            required: ['vm_id', 'recipe'],
           },
         },
-      ];
-
-      return { tools };
-    });
-
-    // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
-
-      try {
+        {
+          name: 'push_secrets',
+          description:
+            'Copy secrets from the local secret store to a Linux or macOS VM by name. They are written to ~/.strawberry/secrets.env on the VM (sourced from the shell profile) without passing through the terminal. Values are never returned.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              vm_id: {
+                type: 'string',
+                description: 'The VM ID',
+              },
+              names: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Secret names (see list_secrets). "vault.<field>" reads the windows-mcp vault cache',
+              },
+            },
+            required: ['vm_id', 'names'],
+          },
+        },
+        {
+          name: 'list_secrets',
+          description: 'List the names of the secrets available to push_secrets and recipes (never their values)',
+          inputSchema: {
+            type: 'object',
+            properties: {},
+          },
+        },
+        {
+          name: 'list_recipes',
+          description: 'List the provisioning recipes available to spawn_vm and provision_vm',
+          inputSchema: {
+            type: 'object',
+            properties: {},
+          },
+        },
+        {
+          name: 'bootstrap_vm_for_coding',
+          description: 'Bootstrap a Linux VM for coding tasks with the claude-code recipe. Installs Claude Code CLI, git, and registers with Moltbot Master. Use after spawn_vm to make the VM ready for coding delegation.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              vm_id: {
+                type: 'string',
+                description: 'The VM ID to bootstrap',
+              },
+              anthropic_api_key: {
+                type: 'string',
+                description: 'Optional: Anthropic API key. Leave unset - by default the ANTHROPIC_API_KEY secret (or environment variable) is pushed to the VM',
+              },
+              recipe: {
+                type: 'string',
+                description: 'Optional: recipe to use instead of claude-code',
+              },
+            },
+            required: ['vm_id'],
+          },
+        },
+        {
+          name: 'browser_launch',
+          description: 'Launch a local headless Chromium for lightweight web tasks, instead of spawning a cloud VM. Returns a browser_id for the other browser_* tools.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Optional: name for the browser',
+              },
+              url: {
+                type: 'string',
+                description: 'Optional: URL to open after launch. If it fails to load, the browser keeps running and its browser_id is returned with the error',
+              },
+              incognito: {
+                type: 'boolean',
+                description: 'Start in an isolated context (default false)',
+              },
+              profile: {
+                type: 'string',
+                description: 'Optional: saved browser profile to start with, so the browser is already logged in (see list_browser_profiles)',
+              },
+              headless: {
+                type: 'boolean',
+                description: 'Run without a window (default true; false shows the browser, for debugging)',
+              },
+              capture_network: {
+                type: 'boolean',
+                description: 'Record requests and responses for browser_export_har (default false)',
+              },
+              max_body_bytes: {
+                type: 'number',
+                description: 'Largest response body kept per request when capturing (default 262144)',
+              },
+              block_trackers: {
+                type: 'boolean',
+                description: 'Block common analytics and ad hosts (default false)',
+              },
+              intercept_rules: {
+                type: 'array',
+                description: 'Request interception rules, checked in order; the first match wins',
+                items: {
+                  type: 'object',
+                  properties: {
+                    url: {
+                      type: 'string',
+                      description: 'URL glob (* matches anything) or /regex/',
+                    },
+                    action: {
+                      type: 'string',
+                      enum: ['block', 'mock'],
+                    },
+                    method: {
+                      type: 'string',
+                      description: 'Only match this HTTP method',
+                    },
+                    resource_types: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description: 'Only match these resource types (document, script, xhr, fetch, image, ...)',
+                    },
+                    fixture: {
+                      type: 'string',
+                      description: 'mock: local file to answer with',
+                    },
+                    body: {
+                      type: 'string',
+                      description: 'mock: inline response body, instead of a fixture',
+                    },
+                    status: {
+                      type: 'number',
+                      description: 'mock: response status (default 200)',
+                    },
+                    content_type: {
+                      type: 'string',
+                      description: 'mock: content type (default from the fixture extension)',
+                    },
+                    headers: {
+                      type: 'object',
+                      additionalProperties: { type: 'string' },
+                      description: 'mock: extra response headers',
+                    },
+                  },
+                  required: ['url', 'action'],
+                },
+              },
+            },
+          },
+        },
+        {
+          name: 'browser_navigate',
+          description: 'Load a URL in the active tab of a local browser and wait for the network to settle',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              browser_id: {
+                type: 'string',
+                description: 'The browser ID',
+              },
+              url: {
+                type: 'string',
+                description: 'URL to open',
+              },
+            },
+            required: ['browser_id', 'url'],
+          },
+        },
+        {
+          name: 'browser_action',
+          description: 'Perform one action in the active tab of a local browser and return a screenshot. Target an element by element_id (from browser_screenshot with elements=true) or by x/y.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              browser_id: {
+                type: 'string',
+                description: 'The browser ID',
+              },
+              action: {
+                type: 'string',
+                enum: ['left_click', 'right_click', 'double_click', 'mouse_move', 'type', 'key', 'scroll'],
+                description: 'Action to perform',
+              },
+              element_id: {
+                type: 'number',
+                description: 'Element to act on (type clicks it first)',
+              },
+              x: {
+                type: 'number',
+                description: 'X coordinate, when not using element_id',
+              },
+              y: {
+                type: 'number',
+                description: 'Y coordinate, when not using element_id',
+              },
+              text: {
+                type: 'string',
+                description: 'Text to type',
+              },
+              key: {
+                type: 'string',
+                description: 'Key to press (e.g. Enter, Tab, Escape)',
+              },
+              direction: {
+                type: 'string',
+                enum: ['up', 'down'],
+                description: 'Scroll direction',
+              },
+              amount: {
+                type: 'number',
+                description: 'Scroll distance in pixels (default 300)',
+              },
+            },
+            required: ['browser_id', 'action'],
+          },
+        },
+        {
+          name: 'browser_task',
+          description: 'Run a high-level task in a local browser with the computer-use agent (requires ANTHROPIC_API_KEY). The agent sees the page\'s interactive elements alongside each screenshot and acts on them by id.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              browser_id: {
+                type: 'string',
+                description: 'The browser ID',
+              },
+              task: {
+                type: 'string',
+                description: 'What to do, in natural language',
+              },
+              max_steps: {
+                type: 'number',
+                description: 'Maximum agent steps (default 15)',
+              },
+              grounding: {
+                type: 'string',
+                enum: ['elements', 'pixels'],
+                description: 'elements (default): screenshot plus element list; pixels: screenshot only',
+              },
+              isolated: {
+                type: 'boolean',
+                description: 'Run in a new incognito tab at the current URL, without the profile\'s cookies; the tab is closed afterwards and the previous tab made active again (default false)',
+              },
+            },
+            required: ['browser_id', 'task'],
+          },
+        },
+        {
+          name: 'browser_screenshot',
+          description: 'Capture the active tab of a local browser, optionally with its interactive elements for browser_action',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              browser_id: {
+                type: 'string',
+                description: 'The browser ID',
+              },
+              elements: {
+                type: 'boolean',
+                description: 'Also list the interactive elements with their ids (default false)',
+              },
+            },
+            required: ['browser_id'],
+          },
+        },
+        {
+          name: 'browser_extract',
+          description: 'Read structured data off the active tab of a local browser instead of from screenshots: tables (rows keyed by header), lists, form fields and the page as markdown or text. Add selectors to pick out rows with CSS/ARIA selectors, or a JSON schema to have the data filled in by the model (requires ANTHROPIC_API_KEY).',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              browser_id: {
+                type: 'string',
+                description: 'The browser ID',
+              },
+              selectors: {
+                type: 'object',
+                description: 'Rows to extract, e.g. { "rows": ".product", "fields": { "name": "h2", "price": ".price", "link": "a@href" } }. A field ending in @attr reads that attribute ("@data-id" for the row itself); aria/Name selectors work too.',
+                properties: {
+                  rows: {
+                    type: 'string',
+                    description: 'Selector for each row (omit to read the fields once from the whole page)',
+                  },
+                  fields: {
+                    type: 'object',
+                    additionalProperties: { type: 'string' },
+                    description: 'Field name to selector within the row',
+                  },
+                },
+                required: ['fields'],
+              },
+              schema: {
+                type: 'object',
+                description: 'JSON schema of the data to return, filled from the page content by the model',
+              },
+              instructions: {
+                type: 'string',
+                description: 'Optional: extra guidance for schema extraction',
+              },
+              scope: {
+                type: 'string',
+                description: 'Optional: CSS selector of the part of the page to read',
+              },
+              format: {
+                type: 'string',
+                enum: ['markdown', 'text', 'none'],
+                description: 'Page content to include (default markdown)',
+              },
+              max_chars: {
+                type: 'number',
+                description: 'Cap on the page content (default 20000 characters)',
+              },
+              max_rows: {
+                type: 'number',
+                description: 'Cap on rows per table, list or selector match (default 200)',
+              },
+            },
+            required: ['browser_id'],
+          },
+        },
+        {
+          name: 'browser_export_har',
+          description: 'Save the requests and responses recorded by a browser launched with capture_network as a HAR file, and summarize failed requests',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              browser_id: {
+                type: 'string',
+                description: 'The browser ID',
+              },
+              path: {
+                type: 'string',
+                description: 'Optional: file to write (default ~/.strawberry/har/<browser_id>-<time>.har)',
+              },
+              clear: {
+                type: 'boolean',
+                description: 'Forget the exported requests afterwards (default false)',
+              },
+            },
+            required: ['browser_id'],
+          },
+        },
+        {
+          name: 'browser_close',
+          description: 'Close a local browser and all its tabs',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              browser_id: {
+                type: 'string',
+                description: 'The browser ID',
+              },
+            },
+            required: ['browser_id'],
+          },
+        },
+        {
+          name: 'browser_list_tabs',
+          description: 'List the tabs of a local browser, with their URL, title, context and which one is active. Popups opened by the page show up here with the tab that opened them.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              browser_id: {
+                type: 'string',
+                description: 'The browser ID',
+              },
+            },
+            required: ['browser_id'],
+          },
+        },
+        {
+          name: 'browser_open_tab',
+          description: 'Open a new tab in a local browser and make it the active tab. With incognito it gets its own isolated context (no cookies or storage shared with other tabs).',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              browser_id: {
+                type: 'string',
+                description: 'The browser ID',
+              },
+              url: {
+                type: 'string',
+                description: 'Optional: URL to open',
+              },
+              incognito: {
+                type: 'boolean',
+                description: 'Open in a new isolated context (default false: same context as the active tab)',
+              },
+              activate: {
+                type: 'boolean',
+                description: 'Make it the active tab (default true)',
+              },
+            },
+            required: ['browser_id'],
+          },
+        },
+        {
+          name: 'browser_switch_tab',
+          description: 'Make a tab the active one; actions, tasks and screenshots go to the active tab',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              browser_id: {
+                type: 'string',
+                description: 'The browser ID',
+              },
+              tab_id: {
+                type: 'string',
+                description: 'Tab ID from browser_list_tabs',
+              },
+            },
+            required: ['browser_id', 'tab_id'],
+          },
+        },
+        {
+          name: 'browser_close_tab',
+          description: 'Close a tab. If it was active, the tab that opened it (or the last tab) becomes active. An incognito context is discarded with its last tab.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              browser_id: {
+                type: 'string',
+                description: 'The browser ID',
+              },
+              tab_id: {
+                type: 'string',
+                description: 'Tab ID from browser_list_tabs',
+              },
+            },
+            required: ['browser_id', 'tab_id'],
+          },
+        },
+        {
+          name: 'browser_save_profile',
+          description:
+            'Save the cookies, localStorage and sessionStorage of a local browser (its active tab\'s context) as a named profile, encrypted at rest. Launch a browser with profile to start logged in. Storage is read from the sites open in the tabs.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              browser_id: {
+                type: 'string',
+                description: 'The browser ID',
+              },
+              name: {
+                type: 'string',
+                description: 'Profile name (letters, digits, dots, dashes, underscores); replaces a profile with the same name',
+              },
+            },
+            required: ['browser_id', 'name'],
+          },
+        },
+        {
+          name: 'list_browser_profiles',
+          description: 'List saved browser profiles with when they were saved and how many cookies and origins they hold (never their values)',
+          inputSchema: {
+            type: 'object',
+            properties: {},
+          },
+        },
+        {
+          name: 'delete_browser_profile',
+          description: 'Delete a saved browser profile',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Profile name',
+              },
+            },
+            required: ['name'],
+          },
+        },
+        {
+          name: 'export_browser_profile',
+          description:
+            'Write a saved browser profile as a plain (unencrypted) storage state file, in the layout Playwright\'s storageState uses - locally with path, or onto a Linux or macOS VM with vm_id. The file holds live session cookies: treat it like a password.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Profile name',
+              },
+              path: {
+                type: 'string',
+                description: 'Local file to write (required without vm_id)',
+              },
+              vm_id: {
+                type: 'string',
+                description: 'VM to copy the profile to',
+              },
+              guest_path: {
+                type: 'string',
+                description: `File on the VM (default ${GUEST_PROFILES_DIR}/<name>.json)`,
+              },
+            },
+            required: ['name'],
+          },
+        },
+        {
+          name: 'import_browser_profile',
+          description:
+            'Save a storage state file (from export_browser_profile or Playwright\'s storageState) as a browser profile - from a local path, or from a file on a Linux or macOS VM with vm_id',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Profile name to save as; replaces a profile with the same name',
+              },
+              path: {
+                type: 'string',
+                description: 'Local file to read (required without vm_id)',
+              },
+              vm_id: {
+                type: 'string',
+                description: 'VM to read the file from',
+              },
+              guest_path: {
+                type: 'string',
+                description: `File on the VM (default ${GUEST_PROFILES_DIR}/<name>.json)`,
+              },
+            },
+            required: ['name'],
+          },
+        },
+      ];
+
+      return { tools };
+    });
+
+    // Handle tool calls
+    const callTool = async (request: CallToolRequest, extra: RequestHandlerExtra<ServerRequest, ServerNotification>) => {
+      const { name, arguments: args } = request.params;
+
+      try {
         switch (name) {
           case 'spawn_vm': {
             const config: VMConfig = {
@@ -444,31 +1437,745 @@ class TryCuaMCPServer {
               region: (args?.region as VMConfig['region']) || 'asia-pacific', // Default to Asia
               size: (args?.size as VMConfig['size']) || 'medium',     // Default to medium (8GB RAM)
               tags: (args?.tags as string[]) || [],
+              provider: args?.provider as VMProviderName | undefined,
+              idleTimeoutMinutes: args?.idle_timeout_minutes as number | undefined,
+              maxLifetimeMinutes: args?.max_lifetime_minutes as number | undefined,
               setupChrome: args?.setup_chrome !== false,
               installClaudeExtension: args?.install_claude_extension === true,
+              recipe: args?.recipe as string | undefined,
+              fromSnapshot: args?.from_snapshot as string | undefined,
+            };
+
+            if (args?.hourly_budget_usd !== undefined) {
+              this.vmManager.setHourlyBudget(args.hourly_budget_usd as number);
+            }
+
+            const notify = this.progressNotifier(request, extra);
+            const recipeVariables = (args?.recipe_variables as Record<string, string>) || {};
+            const count = Math.max(1, Math.floor((args?.count as number) || 1));
+
+            if (count === 1) {
+              return {
+                content: [
+                  {
+                    type: 'text',
+                    text: JSON.stringify(await this.spawnAndSetUp(config, recipeVariables, notify), null, 2),
+                  } as TextContent,
+                ],
+              };
+            }
+
+            // Copies are spawned side by side, e.g. N workers from one bootstrapped snapshot
+            const results = await Promise.allSettled(
+              Array.from({ length: count }, (_, index) =>
+                this.spawnAndSetUp({ ...config, name: `${config.name}-${index + 1}` }, recipeVariables, notify))
+            );
+            const vms = results.flatMap((result) => result.status === 'fulfilled' ? [result.value] : []);
+            const errors = results.flatMap((result) =>
+              result.status === 'rejected' ? [result.reason instanceof Error ? result.reason.message : String(result.reason)] : []);
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(
+                    {
+                      success: errors.length === 0,
+                      spawned: vms.length,
+                      requested: count,
+                      vms,
+                      errors: errors.length > 0 ? errors : undefined,
+                    },
+                    null,
+                    2
+                  ),
+                } as TextContent,
+              ],
+              isError: vms.length === 0,
+            };
+          }
+
+          case 'execute_task': {
+            const vmId = args?.vm_id as string;
+            const task = args?.task as string;
+            const maxSteps = args?.max_steps as number | undefined;
+
+            // Write event for sidebar - task started
+            writeEvent({ type: 'task', vm_id: vmId, action: 'start', data: task.slice(0, 100) });
+
+            const result = await this.vmManager.executeTask(vmId, task, { maxSteps });
+
+            // Write event - task complete
+            writeEvent({ type: 'task', vm_id: vmId, action: result.success ? 'complete' : 'error', data: result.output?.slice(0, 100), error: result.error });
+            updateVMStatus(this.vmManager);
+
+            const content: (TextContent | ImageContent)[] = [
+              {
+                type: 'text',
+                text: JSON.stringify(
+                  {
+                    success: result.success,
+                    output: result.output,
+                    verdict: result.verdict,
+                    steps: result.steps,
+                    duration_ms: result.duration,
+                    error: result.error,
+                    ...formatBlock(result.blocked),
+                  },
+                  null,
+                  2
+                ),
+              } as TextContent,
+            ];
+
+            // Include latest screenshot if available
+            if (result.screenshots.length > 0) {
+              const lastScreenshot = result.screenshots[result.screenshots.length - 1];
+              if (lastScreenshot.imageB64) {
+                content.push({
+                  type: 'image',
+                  data: lastScreenshot.imageB64,
+                  mimeType: 'image/png',
+                } as ImageContent);
+
+                // Write screenshot event
+                writeEvent({ type: 'screenshot', vm_id: vmId, data: 'Screenshot captured' });
+
+                // Save screenshot for Strawberry TUI viewer
+                const vm = this.vmManager.get(vmId);
+                saveVMScreenshot(vmId, vm?.name || vmId, lastScreenshot.imageB64, task);
+              }
+            }
+
+            return { content };
+          }
+
+          case 'computer_action': {
+            const vmId = args?.vm_id as string;
+            const action: ComputerAction = {
+              type: args?.action as ComputerAction['type'],
+              x: args?.x as number | undefined,
+              y: args?.y as number | undefined,
+              text: args?.text as string | undefined,
+              button: args?.button as ComputerAction['button'],
+              key: args?.key as string | undefined,
+              direction: args?.direction as ComputerAction['direction'],
+              amount: args?.amount as number | undefined,
+            };
+
+            // Write event for sidebar - action performed
+            const actionDesc = action.type === 'click' ? `click(${action.x},${action.y})` :
+                               action.type === 'type' ? `type("${action.text?.slice(0, 20)}...")` :
+                               action.type === 'key' ? `key(${action.key})` :
+                               action.type;
+            writeEvent({ type: 'action', vm_id: vmId, action: actionDesc });
+
+            const screenshot = await this.vmManager.executeAction(vmId, action);
+
+            // Write screenshot event and save for TUI viewer
+            if (screenshot.imageB64) {
+              writeEvent({ type: 'screenshot', vm_id: vmId, data: screenshot.lastAction });
+
+              // Save screenshot for Strawberry TUI viewer
+              const vm = this.vmManager.get(vmId);
+              saveVMScreenshot(vmId, vm?.name || vmId, screenshot.imageB64, actionDesc);
+            }
+            updateVMStatus(this.vmManager);
+
+            const content: (TextContent | ImageContent)[] = [
+              {
+                type: 'text',
+                text: JSON.stringify(
+                  {
+                    success: true,
+                    action: screenshot.lastAction,
+                    timestamp: screenshot.timestamp.toISOString(),
+                  },
+                  null,
+                  2
+                ),
+              } as TextContent,
+            ];
+
+            if (screenshot.imageB64) {
+              content.push({
+                type: 'image',
+                data: screenshot.imageB64,
+                mimeType: 'image/png',
+              } as ImageContent);
+            }
+
+            return { content };
+          }
+
+          case 'get_screenshot': {
+            const vmId = args?.vm_id as string;
+            const screenshot = await this.vmManager.getScreenshot(vmId);
+
+            // Write screenshot event for sidebar
+            writeEvent({ type: 'screenshot', vm_id: vmId, data: screenshot.lastAction || 'screenshot' });
+
+            // Save screenshot for Strawberry TUI viewer
+            if (screenshot.imageB64) {
+              const vm = this.vmManager.get(vmId);
+              saveVMScreenshot(vmId, vm?.name || vmId, screenshot.imageB64, screenshot.lastAction);
+            }
+
+            const content: (TextContent | ImageContent)[] = [
+              {
+                type: 'text',
+                text: JSON.stringify(
+                  {
+                    vm_id: vmId,
+                    timestamp: screenshot.timestamp.toISOString(),
+                    reasoning: screenshot.reasoning,
+                    last_action: screenshot.lastAction,
+                  },
+                  null,
+                  2
+                ),
+              } as TextContent,
+            ];
+
+            if (screenshot.imageB64) {
+              content.push({
+                type: 'image',
+                data: screenshot.imageB64,
+                mimeType: 'image/png',
+              } as ImageContent);
+            }
+
+            return { content };
+          }
+
+          case 'run_command': {
+            const vmId = args?.vm_id as string;
+            const command = args?.command as string;
+            const timeoutSeconds = args?.timeout_seconds as number | undefined;
+            const notify = this.progressNotifier(request, extra);
+
+            writeEvent({ type: 'run_command', vm_id: vmId, command, status: 'running' });
+
+            const result = await this.vmManager.runCommand(vmId, command, {
+              cwd: args?.cwd as string | undefined,
+              env: args?.env as Record<string, string> | undefined,
+              timeoutMs: timeoutSeconds ? timeoutSeconds * 1000 : undefined,
+              transport: args?.transport as 'auto' | 'computer-server' | 'ssh' | undefined,
+              onOutput: (chunk, stream) => notify?.(stream === 'stderr' ? `[stderr] ${chunk}` : chunk),
+            });
+
+            writeEvent({
+              type: 'run_command',
+              vm_id: vmId,
+              command,
+              status: result.exitCode === 0 ? 'complete' : 'failed',
+              exit_code: result.exitCode,
+              duration_ms: result.durationMs,
+            });
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(
+                    {
+                      vm_id: vmId,
+                      exit_code: result.exitCode,
+                      timed_out: result.timedOut,
+                      duration_ms: result.durationMs,
+                      transport: result.transport,
+                      stdout: result.stdout.slice(-MAX_COMMAND_OUTPUT_CHARS),
+                      stderr: result.stderr.slice(-MAX_COMMAND_OUTPUT_CHARS),
+                    },
+                    null,
+                    2
+                  ),
+                } as TextContent,
+              ],
+              isError: result.exitCode !== 0,
+            };
+          }
+
+          case 'start_screen_stream': {
+            const vmId = args?.vm_id as string;
+            const intervalMs = (args?.interval_ms as number) || DEFAULT_STREAM_INTERVAL_MS;
+
+            this.screenStream.start(vmId, intervalMs);
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(
+                    {
+                      success: true,
+                      message: `Screen streaming started for VM ${vmId} (every ${intervalMs}ms - ${Math.round(1000/intervalMs)} fps)`,
+                      vm_id: vmId,
+                      interval_ms: intervalMs,
+                      stream_url: this.screenStream.getUrl(vmId),
+                      resource_uri: `vm://${vmId}/screen`,
+                    },
+                    null,
+                    2
+                  ),
+                } as TextContent,
+              ],
+            };
+          }
+
+          case 'stop_screen_stream': {
+            const vmId = args?.vm_id as string;
+
+            if (this.screenStream.stop(vmId)) {
+              return {
+                content: [
+                  {
+                    type: 'text',
+                    text: JSON.stringify({ success: true, message: `Screen streaming stopped for VM ${vmId}` }, null, 2),
+                  } as TextContent,
+                ],
+              };
+            } else {
+              return {
+                content: [
+                  {
+                    type: 'text',
+                    text: JSON.stringify({ success: false, message: `No active stream for VM ${vmId}` }, null, 2),
+                  } as TextContent,
+                ],
+              };
+            }
+          }
+
+          case 'start_recording': {
+            const vmId = args?.vm_id as string;
+            const session = this.vmManager.startRecording(vmId, args?.name as string | undefined);
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(
+                    {
+                      success: true,
+                      session_id: session.id,
+                      name: session.name,
+                      message: `Recording computer actions on VM ${vmId}. Call stop_recording when done.`,
+                    },
+                    null,
+                    2
+                  ),
+                } as TextContent,
+              ],
+            };
+          }
+
+          case 'stop_recording': {
+            const vmId = args?.vm_id as string;
+            const session = this.vmManager.stopRecording(vmId);
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(
+                    session
+                      ? {
+                          success: true,
+                          session_id: session.id,
+                          name: session.name,
+                          steps: session.steps.length,
+                          message: `Recorded ${session.steps.length} action(s)`,
+                        }
+                      : { success: false, message: `VM ${vmId} is not recording` },
+                    null,
+                    2
+                  ),
+                } as TextContent,
+              ],
+            };
+          }
+
+          case 'list_sessions': {
+            const sessions = this.vmManager.listSessions();
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(
+                    {
+                      count: sessions.length,
+                      sessions: sessions.map((session) => ({
+                        id: session.id,
+                        name: session.name,
+                        vm_name: session.vmName,
+                        os_type: session.osType,
+                        steps: session.steps.length,
+                        started_at: session.startedAt,
+                        ended_at: session.endedAt,
+                      })),
+                    },
+                    null,
+                    2
+                  ),
+                } as TextContent,
+              ],
+            };
+          }
+
+          case 'replay_session': {
+            const sessionId = args?.session_id as string;
+            const vmId = args?.vm_id as string;
+
+            writeEvent({ type: 'task', vm_id: vmId, action: 'start', data: `Replaying session ${sessionId}` });
+
+            const result = await this.vmManager.replaySession(sessionId, vmId, {
+              checkpoints: args?.checkpoints === true,
+              diffThreshold: args?.diff_threshold as number | undefined,
+              stopOnMismatch: args?.stop_on_mismatch === true,
+              delayMs: args?.delay_ms as number | undefined,
+            });
+
+            writeEvent({ type: 'task', vm_id: vmId, action: result.success ? 'complete' : 'error', data: `Replayed ${result.stepsRun}/${result.totalSteps} steps, ${result.mismatches} mismatch(es)` });
+            updateVMStatus(this.vmManager);
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(
+                    {
+                      success: result.success,
+                      session_id: result.sessionId,
+                      vm_id: result.vmId,
+                      steps_run: result.stepsRun,
+                      total_steps: result.totalSteps,
+                      mismatches: result.mismatches,
+                      duration_ms: result.duration,
+                      steps: result.steps,
+                    },
+                    null,
+                    2
+                  ),
+                } as TextContent,
+              ],
+            };
+          }
+
+          case 'snapshot_vm': {
+            const vmId = args?.vm_id as string;
+
+            writeEvent({ type: 'snapshot_vm', vm_id: vmId, status: 'running' });
+            const snapshot = await this.vmManager.snapshot(vmId, args?.name as string | undefined);
+            writeEvent({ type: 'snapshot_vm', vm_id: vmId, status: 'complete', snapshot_id: snapshot.id, name: snapshot.name });
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(
+                    {
+                      success: true,
+                      snapshot_id: snapshot.id,
+                      name: snapshot.name,
+                      provider: snapshot.provider,
+                      os_type: snapshot.osType,
+                      tags: snapshot.tags,
+                      message: `Snapshot "${snapshot.name}" saved. Spawn copies with spawn_vm from_snapshot: "${snapshot.name}".`,
+                    },
+                    null,
+                    2
+                  ),
+                } as TextContent,
+              ],
+            };
+          }
+
+          case 'list_snapshots': {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify({ snapshots: this.vmManager.listSnapshots() }, null, 2),
+                } as TextContent,
+              ],
+            };
+          }
+
+          case 'delete_snapshot': {
+            const snapshot = await this.vmManager.deleteSnapshot(args?.snapshot as string);
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify({ success: true, deleted: snapshot.id, name: snapshot.name }, null, 2),
+                } as TextContent,
+              ],
+            };
+          }
+
+          case 'stop_vm': {
+            const vmId = args?.vm_id as string;
+
+            // Stop any active screen stream
+            this.screenStream.stop(vmId);
+
+            // Write event for sidebar
+            writeEvent({ type: 'stop_vm', vm_id: vmId, status: 'stopping' });
+
+            await this.vmManager.stop(vmId);
+
+            // Write final event and update status
+            writeEvent({ type: 'stop_vm', vm_id: vmId, status: 'stopped' });
+            updateVMStatus(this.vmManager);
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(
+                    {
+                      success: true,
+                      message: `VM ${vmId} stopped`,
+                    },
+                    null,
+                    2
+                  ),
+                } as TextContent,
+              ],
+            };
+          }
+
+          case 'list_vms': {
+            const vms = this.vmManager.getAll();
+            const totalRAM = vms.reduce((sum, vm) => sum + (vm.resources?.ramMB || 0), 0);
+            const totalCPU = vms.reduce((sum, vm) => sum + (vm.resources?.cpu || 0), 0);
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(
+                    {
+                      count: vms.length,
+                      totals: {
+                        ramMB: totalRAM,
+                        ram: `${(totalRAM / 1024).toFixed(1)}GB`,
+                        cpu: totalCPU,
+                      },
+                      vms: vms.map((vm) => ({
+                        id: vm.id,
+                        name: vm.name,
+                        status: vm.status,
+                        os_type: vm.osType,
+                        tags: vm.tags,
+                        size: vm.size,
+                        resources: vm.resources,
+                        region: vm.region,
+                        provider: vm.provider,
+                        snapshot_id: vm.snapshotId,
+                        spare: this.vmManager.isSpare(vm.id) || undefined,
+                        recipes: vm.recipes,
+                        idle_timeout_minutes: vm.idleTimeoutMinutes,
+                        max_lifetime_minutes: vm.maxLifetimeMinutes,
+                        created_at: vm.createdAt.toISOString(),
+                        last_activity: vm.lastActivity?.toISOString(),
+                        current_task: vm.currentTask,
+                      })),
+                      orphaned: this.vmManager.getDetached().map((record) => ({
+                        id: record.id,
+                        name: record.cloudName,
+                        os_type: record.osType,
+                        tags: record.tags,
+                        size: record.size,
+                        region: record.region,
+                        provider: record.provider,
+                        created_at: record.createdAt,
+                      })),
+                    },
+                    null,
+                    2
+                  ),
+                } as TextContent,
+              ],
+            };
+          }
+
+          case 'reattach_vm': {
+            const vmId = args?.vm_id as string;
+            const vm = await this.vmManager.reattach(vmId);
+
+            writeEvent({ type: 'spawn_vm', vm_id: vm.id, vm_name: vm.name, os_type: vm.osType, status: vm.status });
+            updateVMStatus(this.vmManager);
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(
+                    {
+                      success: true,
+                      vm_id: vm.id,
+                      name: vm.name,
+                      status: vm.status,
+                      provider: vm.provider,
+                      tags: vm.tags,
+                      message: `Reattached to VM ${vm.name}`,
+                    },
+                    null,
+                    2
+                  ),
+                } as TextContent,
+              ],
+            };
+          }
+
+          case 'reap_orphan_vms': {
+            const vmIds = args?.vm_ids as string[] | undefined;
+            const reaped = await this.vmManager.reapOrphans(vmIds);
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(
+                    {
+                      success: true,
+                      reaped: reaped.map((record) => ({
+                        id: record.id,
+                        name: record.cloudName,
+                        provider: record.provider,
+                      })),
+                      message: `Reaped ${reaped.length} orphaned VM(s)`,
+                    },
+                    null,
+                    2
+                  ),
+                } as TextContent,
+              ],
+            };
+          }
+
+          case 'get_pool_status': {
+            const status = this.vmManager.getPoolStatus();
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(status, null, 2),
+                } as TextContent,
+              ],
+            };
+          }
+
+          case 'configure_pool': {
+            const targets = args?.targets as Array<Record<string, unknown>> | undefined;
+            const status = await this.vmManager.configurePool({
+              targets: targets?.map((target): PoolTarget => ({
+                osType: target.os_type as OSType,
+                size: (target.size as VMSize) || 'medium',
+                min: Math.max(0, Math.floor((target.min as number) || 0)),
+                provider: target.provider as VMProviderName | undefined,
+                recipe: target.recipe as string | undefined,
+              })),
+              maxTotal: args?.max_total as number | undefined,
+            });
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify({ success: true, warm_pool: status }, null, 2),
+                } as TextContent,
+              ],
+            };
+          }
+
+          case 'find_vms_by_tag': {
+            const tag = args?.tag as string;
+            const vms = this.vmManager.getByTag(tag);
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(
+                    {
+                      tag,
+                      count: vms.length,
+                      vms: vms.map((vm) => ({
+                        id: vm.id,
+                        name: vm.name,
+                        status: vm.status,
+                        os_type: vm.osType,
+                        tags: vm.tags,
+                        created_at: vm.createdAt.toISOString(),
+                        current_task: vm.currentTask,
+                      })),
+                    },
+                    null,
+                    2
+                  ),
+                } as TextContent,
+              ],
             };
+          }
+
+          case 'execute_on_tagged_vms': {
+            const tag = args?.tag as string;
+            const task = args?.task as string;
+            const vms = this.vmManager.getByTag(tag);
 
-            // Write event for sidebar tracking
-            writeEvent({ type: 'spawn_vm', vm_name: config.name, os_type: config.osType, status: 'spawning' });
+            if (vms.length === 0) {
+              return {
+                content: [
+                  {
+                    type: 'text',
+                    text: JSON.stringify(
+                      {
+                        success: false,
+                        tag,
+                        error: `No VMs found with tag "${tag}"`,
+                      },
+                      null,
+                      2
+                    ),
+                  } as TextContent,
+                ],
+              };
+            }
 
-            const vm = await this.vmManager.spawn(config);
+            // Write event for sidebar - batch task started
+            writeEvent({ type: 'batch_task', tag, action: 'start', vm_count: vms.length, data: task.slice(0, 100) });
 
-            // Update status after spawn
-            writeEvent({ type: 'spawn_vm', vm_id: vm.id, vm_name: vm.name, os_type: vm.osType, status: vm.status });
-            updateVMStatus(this.vmManager);
+            // Execute task on all matching VMs in parallel
+            const results = await Promise.allSettled(
+              vms.map(async (vm) => {
+                try {
+                  const result = await this.vmManager.executeTask(vm.id, task);
+                  const { blocked, ...rest } = result;
+                  return { vm_id: vm.id, name: vm.name, ...rest, ...formatBlock(blocked) };
+                } catch (error) {
+                  return {
+                    vm_id: vm.id,
+                    name: vm.name,
+                    success: false,
+                    error: error instanceof Error ? error.message : String(error),
+                  };
+                }
+              })
+            );
 
-            // Take initial screenshot for sidebar display
-            try {
-              const initialScreenshot = await this.vmManager.getScreenshot(vm.id);
-              if (initialScreenshot?.imageB64) {
-                saveVMScreenshot(vm.id, vm.name, initialScreenshot.imageB64, 'VM ready');
-              }
-            } catch {
-              // Ignore screenshot errors - VM might still be initializing
-            }
+            const taskResults = results.map((r) =>
+              r.status === 'fulfilled' ? r.value : { success: false, error: 'Promise rejected' }
+            );
 
-            // Auto-start screen streaming for sidebar updates
-            await this.startScreenStream(vm.id, DEFAULT_STREAM_INTERVAL_MS);
+            // Write event - batch task complete
+            const successCount = taskResults.filter((r) => r.success).length;
+            writeEvent({ type: 'batch_task', tag, action: 'complete', success_count: successCount, total: vms.length });
+            updateVMStatus(this.vmManager);
 
             return {
               content: [
@@ -477,15 +2184,12 @@ class TryCuaMCPServer {
                   text: JSON.stringify(
                     {
                       success: true,
-                      vm_id: vm.id,
-                      name: vm.name,
-                      status: vm.status,
-                      os_type: vm.osType,
-                      tags: vm.tags,
-                      size: vm.size,
-                      resources: vm.resources,
-                      region: vm.region,
-                      message: `VM "${vm.name}" spawned successfully. Use vm_id "${vm.id}" for subsequent operations.`,
+                      tag,
+                      task,
+                      total_vms: vms.length,
+                      successful: successCount,
+                      failed: vms.length - successCount,
+                      results: taskResults,
                     },
                     null,
                     2
@@ -495,160 +2199,143 @@ class TryCuaMCPServer {
             };
           }
 
-          case 'execute_task': {
-            const vmId = args?.vm_id as string;
-            const task = args?.task as string;
-
-            // Write event for sidebar - task started
-            writeEvent({ type: 'task', vm_id: vmId, action: 'start', data: task.slice(0, 100) });
-
-            const result = await this.vmManager.executeTask(vmId, task);
-
-            // Write event - task complete
-            writeEvent({ type: 'task', vm_id: vmId, action: result.success ? 'complete' : 'error', data: result.output?.slice(0, 100), error: result.error });
-            updateVMStatus(this.vmManager);
-
-            const content: (TextContent | ImageContent)[] = [
-              {
-                type: 'text',
-                text: JSON.stringify(
-                  {
-                    success: result.success,
-                    output: result.output,
-                    duration_ms: result.duration,
-                    error: result.error,
-                  },
-                  null,
-                  2
-                ),
-              } as TextContent,
-            ];
-
-            // Include latest screenshot if available
-            if (result.screenshots.length > 0) {
-              const lastScreenshot = result.screenshots[result.screenshots.length - 1];
-              if (lastScreenshot.imageB64) {
-                content.push({
-                  type: 'image',
-                  data: lastScreenshot.imageB64,
-                  mimeType: 'image/png',
-                } as ImageContent);
-
-                // Write screenshot event
-                writeEvent({ type: 'screenshot', vm_id: vmId, data: 'Screenshot captured' });
-
-                // Save screenshot for Strawberry TUI viewer
-                const vm = this.vmManager.get(vmId);
-                saveVMScreenshot(vmId, vm?.name || vmId, lastScreenshot.imageB64, task);
-              }
+          case 'submit_job': {
+            const tasks = (args?.tasks as string[] | undefined) || (args?.task ? [args.task as string] : []);
+            if (tasks.length === 0) {
+              throw new Error('Pass task or tasks');
             }
 
-            return { content };
-          }
+            const jobs = this.vmManager.submitJobs(tasks.map((task): JobInput => ({
+              kind: args?.kind as JobKind | undefined,
+              task,
+              tag: args?.tag as string | undefined,
+              vmId: args?.vm_id as string | undefined,
+              priority: args?.priority as JobInput['priority'],
+              maxAttempts: args?.max_attempts as number | undefined,
+              backoffSeconds: args?.retry_backoff_seconds as number | undefined,
+              timeoutSeconds: args?.timeout_seconds as number | undefined,
+            })));
+            const eligible = args?.vm_id
+              ? this.vmManager.get(args.vm_id as string) ? 1 : 0
+              : this.vmManager.getByTag(args?.tag as string).length;
 
-          case 'computer_action': {
-            const vmId = args?.vm_id as string;
-            const action: ComputerAction = {
-              type: args?.action as ComputerAction['type'],
-              x: args?.x as number | undefined,
-              y: args?.y as number | undefined,
-              text: args?.text as string | undefined,
-              button: args?.button as ComputerAction['button'],
-              key: args?.key as string | undefined,
-              direction: args?.direction as ComputerAction['direction'],
-              amount: args?.amount as number | undefined,
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(
+                    {
+                      success: true,
+                      job_ids: jobs.map((job) => job.id),
+                      queued: jobs.length,
+                      eligible_vms: eligible,
+                      message: eligible > 0
+                        ? `Queued ${jobs.length} job(s). Check progress with get_job or list_jobs.`
+                        : `Queued ${jobs.length} job(s), but no VM can run them yet - spawn or tag one.`,
+                    },
+                    null,
+                    2
+                  ),
+                } as TextContent,
+              ],
             };
+          }
 
-            // Write event for sidebar - action performed
-            const actionDesc = action.type === 'click' ? `click(${action.x},${action.y})` :
-                               action.type === 'type' ? `type("${action.text?.slice(0, 20)}...")` :
-                               action.type === 'key' ? `key(${action.key})` :
-                               action.type;
-            writeEvent({ type: 'action', vm_id: vmId, action: actionDesc });
-
-            const screenshot = await this.vmManager.executeAction(vmId, action);
+          case 'get_job': {
+            const job = this.vmManager.getJob(args?.job_id as string);
+            if (!job) {
+              throw new Error(`Job ${args?.job_id} not found`);
+            }
 
-            // Write screenshot event and save for TUI viewer
-            if (screenshot.imageB64) {
-              writeEvent({ type: 'screenshot', vm_id: vmId, data: screenshot.lastAction });
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(formatJob(job), null, 2),
+                } as TextContent,
+              ],
+            };
+          }
 
-              // Save screenshot for Strawberry TUI viewer
-              const vm = this.vmManager.get(vmId);
-              saveVMScreenshot(vmId, vm?.name || vmId, screenshot.imageB64, actionDesc);
-            }
-            updateVMStatus(this.vmManager);
+          case 'list_jobs': {
+            const jobs = this.vmManager.listJobs({
+              status: args?.status as JobStatus | undefined,
+              tag: args?.tag as string | undefined,
+              vmId: args?.vm_id as string | undefined,
+            });
 
-            const content: (TextContent | ImageContent)[] = [
-              {
-                type: 'text',
-                text: JSON.stringify(
-                  {
-                    success: true,
-                    action: screenshot.lastAction,
-                    timestamp: screenshot.timestamp.toISOString(),
-                  },
-                  null,
-                  2
-                ),
-              } as TextContent,
-            ];
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(
+                    {
+                      counts: this.vmManager.getJobCounts(),
+                      jobs: jobs.map((job) => {
+                        const { result, history, ...summary } = formatJob(job);
+                        return { ...summary, success: result?.success };
+                      }),
+                    },
+                    null,
+                    2
+                  ),
+                } as TextContent,
+              ],
+            };
+          }
 
-            if (screenshot.imageB64) {
-              content.push({
-                type: 'image',
-                data: screenshot.imageB64,
-                mimeType: 'image/png',
-              } as ImageContent);
-            }
+          case 'cancel_job': {
+            const { job, previousStatus } = this.vmManager.cancelJob(args?.job_id as string);
 
-            return { content };
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(
+                    {
+                      success: previousStatus !== undefined,
+                      job_id: job.id,
+                      status: job.status,
+                      message: previousStatus
+                        ? `Job cancelled (was ${previousStatus})`
+                        : `Job already ${job.status}`,
+                    },
+                    null,
+                    2
+                  ),
+                } as TextContent,
+              ],
+            };
           }
 
-          case 'get_screenshot': {
+          case 'add_vm_tags': {
             const vmId = args?.vm_id as string;
-            const screenshot = await this.vmManager.getScreenshot(vmId);
-
-            // Write screenshot event for sidebar
-            writeEvent({ type: 'screenshot', vm_id: vmId, data: screenshot.lastAction || 'screenshot' });
+            const tags = args?.tags as string[];
 
-            // Save screenshot for Strawberry TUI viewer
-            if (screenshot.imageB64) {
-              const vm = this.vmManager.get(vmId);
-              saveVMScreenshot(vmId, vm?.name || vmId, screenshot.imageB64, screenshot.lastAction);
-            }
+            const vm = this.vmManager.addTags(vmId, tags);
 
-            const content: (TextContent | ImageContent)[] = [
-              {
-                type: 'text',
-                text: JSON.stringify(
+            if (!vm) {
+              return {
+                content: [
                   {
-                    vm_id: vmId,
-                    timestamp: screenshot.timestamp.toISOString(),
-                    reasoning: screenshot.reasoning,
-                    last_action: screenshot.lastAction,
-                  },
-                  null,
-                  2
-                ),
-              } as TextContent,
-            ];
-
-            if (screenshot.imageB64) {
-              content.push({
-                type: 'image',
-                data: screenshot.imageB64,
-                mimeType: 'image/png',
-              } as ImageContent);
-            }
-
-            return { content };
-          }
-
-          case 'start_screen_stream': {
-            const vmId = args?.vm_id as string;
-            const intervalMs = (args?.interval_ms as number) || DEFAULT_STREAM_INTERVAL_MS;
+                    type: 'text',
+                    text: JSON.stringify(
+                      {
+                        success: false,
+                        error: `VM ${vmId} not found`,
+                      },
+                      null,
+                      2
+                    ),
+                  } as TextContent,
+                ],
+                isError: true,
+              };
+            }
 
-            await this.startScreenStream(vmId, intervalMs);
+            // Write event for sidebar
+            writeEvent({ type: 'vm_tags', vm_id: vmId, action: 'add', tags });
+            updateVMStatus(this.vmManager);
 
             return {
               content: [
@@ -657,9 +2344,9 @@ class TryCuaMCPServer {
                   text: JSON.stringify(
                     {
                       success: true,
-                      message: `Screen streaming started for VM ${vmId} (every ${intervalMs}ms - ${Math.round(1000/intervalMs)} fps)`,
                       vm_id: vmId,
-                      interval_ms: intervalMs,
+                      tags: vm.tags,
+                      message: `Tags added to VM ${vmId}`,
                     },
                     null,
                     2
@@ -669,48 +2356,80 @@ class TryCuaMCPServer {
             };
           }
 
-          case 'stop_screen_stream': {
+          case 'remove_vm_tags': {
             const vmId = args?.vm_id as string;
+            const tags = args?.tags as string[];
 
-            if (this.screenStreams.has(vmId)) {
-              clearInterval(this.screenStreams.get(vmId)!);
-              this.screenStreams.delete(vmId);
-              return {
-                content: [
-                  {
-                    type: 'text',
-                    text: JSON.stringify({ success: true, message: `Screen streaming stopped for VM ${vmId}` }, null, 2),
-                  } as TextContent,
-                ],
-              };
-            } else {
+            const vm = this.vmManager.removeTags(vmId, tags);
+
+            if (!vm) {
               return {
                 content: [
                   {
                     type: 'text',
-                    text: JSON.stringify({ success: false, message: `No active stream for VM ${vmId}` }, null, 2),
+                    text: JSON.stringify(
+                      {
+                        success: false,
+                        error: `VM ${vmId} not found`,
+                      },
+                      null,
+                      2
+                    ),
                   } as TextContent,
                 ],
+                isError: true,
               };
             }
-          }
 
-          case 'stop_vm': {
-            const vmId = args?.vm_id as string;
+            // Write event for sidebar
+            writeEvent({ type: 'vm_tags', vm_id: vmId, action: 'remove', tags });
+            updateVMStatus(this.vmManager);
 
-            // Stop any active screen stream
-            if (this.screenStreams.has(vmId)) {
-              clearInterval(this.screenStreams.get(vmId)!);
-              this.screenStreams.delete(vmId);
-            }
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(
+                    {
+                      success: true,
+                      vm_id: vmId,
+                      tags: vm.tags,
+                      message: `Tags removed from VM ${vmId}`,
+                    },
+                    null,
+                    2
+                  ),
+                } as TextContent,
+              ],
+            };
+          }
 
-            // Write event for sidebar
-            writeEvent({ type: 'stop_vm', vm_id: vmId, status: 'stopping' });
+          case 'list_all_tags': {
+            const tags = this.vmManager.getAllTags();
 
-            await this.vmManager.stop(vmId);
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(
+                    {
+                      count: tags.length,
+                      tags,
+                    },
+                    null,
+                    2
+                  ),
+                } as TextContent,
+              ],
+            };
+          }
 
-            // Write final event and update status
-            writeEvent({ type: 'stop_vm', vm_id: vmId, status: 'stopped' });
+          case 'provision_vm': {
+            const vmId = args?.vm_id as string;
+            const recipe = args?.recipe as string;
+
+            const result = await this.provisionWithProgress(vmId, this.progressNotifier(request, extra), () =>
+              this.vmManager.provision(vmId, recipe, (args?.variables as Record<string, string>) || {}));
             updateVMStatus(this.vmManager);
 
             return {
@@ -719,21 +2438,30 @@ class TryCuaMCPServer {
                   type: 'text',
                   text: JSON.stringify(
                     {
-                      success: true,
-                      message: `VM ${vmId} stopped`,
+                      success: result.success,
+                      vm_id: vmId,
+                      recipe: result.recipe,
+                      message: result.message,
+                      initialization_steps: result.steps,
                     },
                     null,
                     2
                   ),
                 } as TextContent,
               ],
+              isError: !result.success,
             };
           }
 
-          case 'list_vms': {
-            const vms = this.vmManager.getAll();
-            const totalRAM = vms.reduce((sum, vm) => sum + (vm.resources?.ramMB || 0), 0);
-            const totalCPU = vms.reduce((sum, vm) => sum + (vm.resources?.cpu || 0), 0);
+          case 'push_secrets': {
+            const vmId = args?.vm_id as string;
+            const names = (args?.names as string[]) || [];
+            if (names.length === 0) {
+              throw new Error('names is required');
+            }
+
+            const result = await this.vmManager.pushSecrets(vmId, names);
+            writeEvent({ type: 'secrets_pushed', vm_id: vmId, names });
 
             return {
               content: [
@@ -741,24 +2469,11 @@ class TryCuaMCPServer {
                   type: 'text',
                   text: JSON.stringify(
                     {
-                      count: vms.length,
-                      totals: {
-                        ramMB: totalRAM,
-                        ram: `${(totalRAM / 1024).toFixed(1)}GB`,
-                        cpu: totalCPU,
-                      },
-                      vms: vms.map((vm) => ({
-                        id: vm.id,
-                        name: vm.name,
-                        status: vm.status,
-                        os_type: vm.osType,
-                        tags: vm.tags,
-                        size: vm.size,
-                        resources: vm.resources,
-                        region: vm.region,
-                        created_at: vm.createdAt.toISOString(),
-                        current_task: vm.currentTask,
-                      })),
+                      success: true,
+                      vm_id: vmId,
+                      exported: result.pushed,
+                      file: result.file,
+                      message: `Pushed ${names.length} secret(s). New shells on the VM have them as environment variables.`,
                     },
                     null,
                     2
@@ -768,22 +2483,39 @@ class TryCuaMCPServer {
             };
           }
 
-          case 'get_pool_status': {
-            const status = this.vmManager.getPoolStatus();
+          case 'list_secrets': {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify({ secrets: this.vmManager.listSecrets() }, null, 2),
+                } as TextContent,
+              ],
+            };
+          }
 
+          case 'list_recipes': {
             return {
               content: [
                 {
                   type: 'text',
-                  text: JSON.stringify(status, null, 2),
+                  text: JSON.stringify({ recipes: listRecipes() }, null, 2),
                 } as TextContent,
               ],
             };
           }
 
-          case 'find_vms_by_tag': {
-            const tag = args?.tag as string;
-            const vms = this.vmManager.getByTag(tag);
+          case 'bootstrap_vm_for_coding': {
+            const vmId = args?.vm_id as string;
+            const apiKey = args?.anthropic_api_key as string | undefined;
+
+            writeEvent({ type: 'bootstrap', vm_id: vmId, status: 'starting' });
+
+            const result = await this.provisionWithProgress(vmId, this.progressNotifier(request, extra), () =>
+              this.vmManager.bootstrapForCoding(vmId, apiKey, args?.recipe as string | undefined));
+
+            writeEvent({ type: 'bootstrap', vm_id: vmId, status: result.success ? 'complete' : 'failed' });
+            updateVMStatus(this.vmManager);
 
             return {
               content: [
@@ -791,17 +2523,10 @@ class TryCuaMCPServer {
                   type: 'text',
                   text: JSON.stringify(
                     {
-                      tag,
-                      count: vms.length,
-                      vms: vms.map((vm) => ({
-                        id: vm.id,
-                        name: vm.name,
-                        status: vm.status,
-                        os_type: vm.osType,
-                        tags: vm.tags,
-                        created_at: vm.createdAt.toISOString(),
-                        current_task: vm.currentTask,
-                      })),
+                      success: result.success,
+                      message: result.message,
+                      recipe: result.recipe,
+                      initialization_steps: result.steps,
                     },
                     null,
                     2
@@ -811,58 +2536,176 @@ class TryCuaMCPServer {
             };
           }
 
-          case 'execute_on_tagged_vms': {
-            const tag = args?.tag as string;
-            const task = args?.task as string;
-            const vms = this.vmManager.getByTag(tag);
+          case 'browser_launch': {
+            const browserId = uuidv4();
+            const rules = ((args?.intercept_rules as Record<string, unknown>[] | undefined) || []).map(
+              (rule): InterceptRule => ({
+                url: rule.url as string,
+                action: rule.action as InterceptRule['action'],
+                method: rule.method as string | undefined,
+                resourceTypes: rule.resource_types as string[] | undefined,
+                fixture: rule.fixture ? path.resolve(rule.fixture as string) : undefined,
+                body: rule.body as string | undefined,
+                status: rule.status as number | undefined,
+                contentType: rule.content_type as string | undefined,
+                headers: rule.headers as Record<string, string> | undefined,
+              })
+            );
+            const network: NetworkOptions | undefined =
+              args?.capture_network === true || args?.block_trackers === true || rules.length > 0
+                ? {
+                    capture: args?.capture_network === true,
+                    maxBodyBytes: args?.max_body_bytes as number | undefined,
+                    blockTrackers: args?.block_trackers === true,
+                    rules,
+                  }
+                : undefined;
+
+            const profile = args?.profile as string | undefined;
+            const instance = await this.browsers.launch(browserId, (args?.name as string) || 'Browser', {
+              incognito: args?.incognito === true,
+              headless: args?.headless !== false,
+              network,
+              profile,
+            });
+
+            // Navigate after launching, so a page that fails to load still
+            // leaves the caller with the id of the running browser
+            let navigationError: string | undefined;
+            if (args?.url) {
+              try {
+                await this.browsers.navigate(browserId, args.url as string);
+              } catch (error) {
+                navigationError = error instanceof Error ? error.message : String(error);
+              }
+            }
+            const [tab] = await this.browsers.listTabs(browserId);
 
-            if (vms.length === 0) {
-              return {
-                content: [
-                  {
-                    type: 'text',
-                    text: JSON.stringify(
-                      {
-                        success: false,
-                        tag,
-                        error: `No VMs found with tag "${tag}"`,
-                      },
-                      null,
-                      2
-                    ),
-                  } as TextContent,
-                ],
-              };
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(
+                    {
+                      success: !navigationError,
+                      browser_id: browserId,
+                      name: instance.name,
+                      profile,
+                      ...formatTab(tab),
+                      error: navigationError,
+                      message: navigationError
+                        ? `Browser "${instance.name}" launched but ${args?.url} failed to load. It is still running: use browser_id "${browserId}" to retry with browser_navigate, or browser_close.`
+                        : `Browser "${instance.name}" launched. Use browser_id "${browserId}" for subsequent operations.`,
+                    },
+                    null,
+                    2
+                  ),
+                } as TextContent,
+              ],
+              isError: navigationError !== undefined,
+            };
+          }
+
+          case 'browser_navigate': {
+            const browserId = args?.browser_id as string;
+            await this.browsers.navigate(browserId, args?.url as string);
+            const tab = (await this.browsers.listTabs(browserId)).find((t) => t.active);
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify({ success: true, browser_id: browserId, url: tab?.url, title: tab?.title }, null, 2),
+                } as TextContent,
+              ],
+            };
+          }
+
+          case 'browser_action': {
+            const browserId = args?.browser_id as string;
+            const type = args?.action as ComputerUseAction['type'];
+            const x = args?.x as number | undefined;
+            const y = args?.y as number | undefined;
+            const action: ComputerUseAction = {
+              type,
+              element_id: args?.element_id as number | undefined,
+              coordinate: x !== undefined && y !== undefined ? [x, y] : undefined,
+              text: type === 'key' ? (args?.key as string | undefined) ?? (args?.text as string | undefined) : (args?.text as string | undefined),
+              scroll_direction: type === 'scroll' ? ((args?.direction as ComputerUseAction['scroll_direction']) || 'down') : undefined,
+              scroll_amount: type === 'scroll' ? ((args?.amount as number | undefined) || 300) : undefined,
+            };
+            if (action.element_id === undefined && !action.coordinate && ['left_click', 'right_click', 'double_click', 'mouse_move'].includes(type)) {
+              throw new Error(`${type} needs element_id or x and y`);
             }
 
-            // Write event for sidebar - batch task started
-            writeEvent({ type: 'batch_task', tag, action: 'start', vm_count: vms.length, data: task.slice(0, 100) });
+            await this.browsers.executeAction(browserId, action);
+            const screenshot = await this.browsers.getScreenshot(browserId);
+            const tab = (await this.browsers.listTabs(browserId)).find((t) => t.active);
 
-            // Execute task on all matching VMs in parallel
-            const results = await Promise.allSettled(
-              vms.map(async (vm) => {
-                try {
-                  const result = await this.vmManager.executeTask(vm.id, task);
-                  return { vm_id: vm.id, name: vm.name, ...result };
-                } catch (error) {
-                  return {
-                    vm_id: vm.id,
-                    name: vm.name,
-                    success: false,
-                    error: error instanceof Error ? error.message : String(error),
-                  };
-                }
-              })
-            );
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify({ success: true, browser_id: browserId, action: type, tab_id: tab?.tabId, url: tab?.url }, null, 2),
+                } as TextContent,
+                {
+                  type: 'image',
+                  data: screenshot,
+                  mimeType: 'image/png',
+                } as ImageContent,
+              ],
+            };
+          }
 
-            const taskResults = results.map((r) =>
-              r.status === 'fulfilled' ? r.value : { success: false, error: 'Promise rejected' }
+          case 'browser_task': {
+            const browserId = args?.browser_id as string;
+            const task = args?.task as string;
+            if (!process.env.ANTHROPIC_API_KEY) {
+              throw new Error('browser_task needs ANTHROPIC_API_KEY; use browser_action to drive the browser step by step');
+            }
+
+            const notify = this.progressNotifier(request, extra);
+            const result = await this.browsers.executeTask(
+              browserId,
+              task,
+              (step, action) => notify?.(`Step ${step}: ${action}`),
+              {
+                grounding: args?.grounding as GroundingMode | undefined,
+                isolated: args?.isolated === true,
+                maxSteps: args?.max_steps as number | undefined,
+              }
             );
+            const screenshot = await this.browsers.getScreenshot(browserId).catch(() => undefined);
 
-            // Write event - batch task complete
-            const successCount = taskResults.filter((r) => r.success).length;
-            writeEvent({ type: 'batch_task', tag, action: 'complete', success_count: successCount, total: vms.length });
-            updateVMStatus(this.vmManager);
+            const content: (TextContent | ImageContent)[] = [
+              {
+                type: 'text',
+                text: JSON.stringify(
+                  {
+                    success: result.success,
+                    browser_id: browserId,
+                    tab_id: result.tabId,
+                    steps: result.steps,
+                    reasoning: result.reasoning[result.reasoning.length - 1],
+                    error: result.error,
+                  },
+                  null,
+                  2
+                ),
+              } as TextContent,
+            ];
+            if (screenshot) {
+              content.push({ type: 'image', data: screenshot, mimeType: 'image/png' } as ImageContent);
+            }
+
+            return { content, isError: !result.success };
+          }
+
+          case 'browser_screenshot': {
+            const browserId = args?.browser_id as string;
+            const screenshot = await this.browsers.getScreenshot(browserId);
+            const elements = args?.elements === true ? await this.browsers.listElements(browserId) : undefined;
+            const tab = (await this.browsers.listTabs(browserId)).find((t) => t.active);
 
             return {
               content: [
@@ -870,50 +2713,40 @@ class TryCuaMCPServer {
                   type: 'text',
                   text: JSON.stringify(
                     {
-                      success: true,
-                      tag,
-                      task,
-                      total_vms: vms.length,
-                      successful: successCount,
-                      failed: vms.length - successCount,
-                      results: taskResults,
+                      browser_id: browserId,
+                      tab_id: tab?.tabId,
+                      url: tab?.url,
+                      title: tab?.title,
+                      elements: elements?.map(({ selector: _selector, ...element }) => element),
                     },
                     null,
                     2
                   ),
                 } as TextContent,
+                {
+                  type: 'image',
+                  data: screenshot,
+                  mimeType: 'image/png',
+                } as ImageContent,
               ],
             };
           }
 
-          case 'add_vm_tags': {
-            const vmId = args?.vm_id as string;
-            const tags = args?.tags as string[];
-
-            const vm = this.vmManager.addTags(vmId, tags);
-
-            if (!vm) {
-              return {
-                content: [
-                  {
-                    type: 'text',
-                    text: JSON.stringify(
-                      {
-                        success: false,
-                        error: `VM ${vmId} not found`,
-                      },
-                      null,
-                      2
-                    ),
-                  } as TextContent,
-                ],
-                isError: true,
-              };
+          case 'browser_extract': {
+            const browserId = args?.browser_id as string;
+            if (args?.schema !== undefined && !process.env.ANTHROPIC_API_KEY) {
+              throw new Error('Extracting with a schema needs ANTHROPIC_API_KEY; use selectors instead');
             }
 
-            // Write event for sidebar
-            writeEvent({ type: 'vm_tags', vm_id: vmId, action: 'add', tags });
-            updateVMStatus(this.vmManager);
+            const result = await this.browsers.extract(browserId, {
+              schema: args?.schema,
+              instructions: args?.instructions as string | undefined,
+              selectors: args?.selectors as SelectorSpec | undefined,
+              scope: args?.scope as string | undefined,
+              format: args?.format as ExtractOptions['format'],
+              maxChars: args?.max_chars as number | undefined,
+              maxRows: args?.max_rows as number | undefined,
+            });
 
             return {
               content: [
@@ -921,10 +2754,17 @@ class TryCuaMCPServer {
                   type: 'text',
                   text: JSON.stringify(
                     {
-                      success: true,
-                      vm_id: vmId,
-                      tags: vm.tags,
-                      message: `Tags added to VM ${vmId}`,
+                      browser_id: browserId,
+                      url: result.url,
+                      title: result.title,
+                      data: result.data,
+                      rows: result.rows,
+                      total_rows: result.totalRows,
+                      tables: result.tables,
+                      lists: result.lists,
+                      forms: result.forms,
+                      markdown: result.markdown,
+                      text: result.text,
                     },
                     null,
                     2
@@ -934,34 +2774,109 @@ class TryCuaMCPServer {
             };
           }
 
-          case 'remove_vm_tags': {
-            const vmId = args?.vm_id as string;
-            const tags = args?.tags as string[];
+          case 'browser_export_har': {
+            const browserId = args?.browser_id as string;
+            const har = this.browsers.exportHar(browserId, VERSION);
+            const summary = this.browsers.networkSummary(browserId);
+            const file = (args?.path as string | undefined)
+              ? path.resolve(args!.path as string)
+              : path.join(HAR_DIR, `${browserId}-${new Date().toISOString().replace(/[:.]/g, '-')}.har`);
+
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, JSON.stringify(har, null, 2));
+            if (args?.clear === true) {
+              this.browsers.clearNetwork(browserId);
+            }
 
-            const vm = this.vmManager.removeTags(vmId, tags);
+            const failures = har.log.entries
+              .filter((entry) => (entry._error && !entry._intercepted) || entry.response.status >= 400)
+              .slice(-MAX_LISTED_FAILURES)
+              .map((entry) => ({
+                method: entry.request.method,
+                url: entry.request.url,
+                status: entry.response.status || undefined,
+                error: entry._error,
+                type: entry._resourceType,
+              }));
 
-            if (!vm) {
-              return {
-                content: [
-                  {
-                    type: 'text',
-                    text: JSON.stringify(
-                      {
-                        success: false,
-                        error: `VM ${vmId} not found`,
-                      },
-                      null,
-                      2
-                    ),
-                  } as TextContent,
-                ],
-                isError: true,
-              };
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify({ success: true, browser_id: browserId, path: file, ...summary, failures }, null, 2),
+                } as TextContent,
+              ],
+            };
+          }
+
+          case 'browser_close': {
+            const browserId = args?.browser_id as string;
+            if (!this.browsers.get(browserId)) {
+              throw new Error(`Browser ${browserId} not found`);
             }
+            await this.browsers.close(browserId);
 
-            // Write event for sidebar
-            writeEvent({ type: 'vm_tags', vm_id: vmId, action: 'remove', tags });
-            updateVMStatus(this.vmManager);
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify({ success: true, browser_id: browserId, message: `Browser ${browserId} closed` }, null, 2),
+                } as TextContent,
+              ],
+            };
+          }
+
+          case 'browser_list_tabs': {
+            const browserId = args?.browser_id as string;
+            const tabs = await this.browsers.listTabs(browserId);
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify({ browser_id: browserId, count: tabs.length, tabs: tabs.map(formatTab) }, null, 2),
+                } as TextContent,
+              ],
+            };
+          }
+
+          case 'browser_open_tab': {
+            const browserId = args?.browser_id as string;
+            const tab = await this.browsers.openTab(browserId, {
+              url: args?.url as string | undefined,
+              incognito: args?.incognito === true,
+              activate: args?.activate !== false,
+            });
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify({ success: true, browser_id: browserId, ...formatTab(tab) }, null, 2),
+                } as TextContent,
+              ],
+            };
+          }
+
+          case 'browser_switch_tab': {
+            const browserId = args?.browser_id as string;
+            const tab = await this.browsers.switchTab(browserId, args?.tab_id as string);
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify({ success: true, browser_id: browserId, ...formatTab(tab) }, null, 2),
+                } as TextContent,
+              ],
+            };
+          }
+
+          case 'browser_close_tab': {
+            const browserId = args?.browser_id as string;
+            const tabId = args?.tab_id as string;
+            await this.browsers.closeTab(browserId, tabId);
+            const tabs = await this.browsers.listTabs(browserId);
 
             return {
               content: [
@@ -970,9 +2885,9 @@ class TryCuaMCPServer {
                   text: JSON.stringify(
                     {
                       success: true,
-                      vm_id: vmId,
-                      tags: vm.tags,
-                      message: `Tags removed from VM ${vmId}`,
+                      closed: tabId,
+                      active_tab: tabs.find((tab) => tab.active)?.tabId,
+                      tabs: tabs.map(formatTab),
                     },
                     null,
                     2
@@ -982,42 +2897,100 @@ class TryCuaMCPServer {
             };
           }
 
-          case 'list_all_tags': {
-            const tags = this.vmManager.getAllTags();
+          case 'browser_save_profile': {
+            const browserId = args?.browser_id as string;
+            const profile = await this.browsers.saveProfile(browserId, args?.name as string);
+            writeEvent({ type: 'browser_profile_saved', browser_id: browserId, name: profile.name });
 
             return {
               content: [
                 {
                   type: 'text',
-                  text: JSON.stringify(
-                    {
-                      count: tags.length,
-                      tags,
-                    },
-                    null,
-                    2
-                  ),
+                  text: JSON.stringify({ success: true, browser_id: browserId, ...formatProfile(profile) }, null, 2),
                 } as TextContent,
               ],
             };
           }
 
-          case 'bootstrap_vm_for_coding': {
-            const vmId = args?.vm_id as string;
-            const apiKey = args?.anthropic_api_key as string | undefined;
+          case 'list_browser_profiles': {
+            const profiles = this.browsers.profiles.list();
 
-            writeEvent({ type: 'bootstrap', vm_id: vmId, status: 'starting' });
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify({ count: profiles.length, profiles: profiles.map(formatProfile) }, null, 2),
+                } as TextContent,
+              ],
+            };
+          }
 
-            const result = await this.vmManager.bootstrapForCoding(vmId, apiKey);
+          case 'delete_browser_profile': {
+            const profileName = args?.name as string;
+            if (!this.browsers.profiles.delete(profileName)) {
+              throw new Error(`Browser profile "${profileName}" not found`);
+            }
 
-            writeEvent({ type: 'bootstrap', vm_id: vmId, status: result.success ? 'complete' : 'failed' });
-            updateVMStatus(this.vmManager);
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify({ success: true, name: profileName, message: `Browser profile "${profileName}" deleted` }, null, 2),
+                } as TextContent,
+              ],
+            };
+          }
+
+          case 'export_browser_profile': {
+            const profileName = args?.name as string;
+            const vmId = args?.vm_id as string | undefined;
+
+            let result: Record<string, unknown>;
+            if (vmId) {
+              const state = this.browsers.profiles.load(profileName);
+              const pushed = await this.vmManager.pushBrowserProfile(vmId, profileName, state, args?.guest_path as string | undefined);
+              writeEvent({ type: 'browser_profile_pushed', vm_id: vmId, name: profileName });
+              result = { vm_id: vmId, path: pushed.file, bytes: pushed.bytes };
+            } else {
+              if (!args?.path) {
+                throw new Error('path or vm_id is required');
+              }
+              const file = path.resolve(args.path as string);
+              const profile = this.browsers.profiles.exportTo(profileName, file);
+              result = { path: file, cookies: profile.cookies, origins: profile.origins };
+            }
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify({ success: true, name: profileName, ...result }, null, 2),
+                } as TextContent,
+              ],
+            };
+          }
+
+          case 'import_browser_profile': {
+            const profileName = args?.name as string;
+            const vmId = args?.vm_id as string | undefined;
+
+            let profile: ProfileSummary;
+            if (vmId) {
+              const guestPath = (args?.guest_path as string | undefined) || `${GUEST_PROFILES_DIR}/${profileName}.json`;
+              const state = await this.vmManager.pullBrowserProfile(vmId, guestPath);
+              profile = this.browsers.profiles.save(profileName, state);
+            } else {
+              if (!args?.path) {
+                throw new Error('path or vm_id is required');
+              }
+              profile = this.browsers.profiles.importFrom(profileName, path.resolve(args.path as string));
+            }
 
             return {
               content: [
                 {
                   type: 'text',
-                  text: JSON.stringify(result, null, 2),
+                  text: JSON.stringify({ success: true, ...formatProfile(profile) }, null, 2),
                 } as TextContent,
               ],
             };
@@ -1035,6 +3008,7 @@ class TryCuaMCPServer {
                 {
                   success: false,
                   error: error instanceof Error ? error.message : String(error),
+                  ...formatBlock(taskBlock(error)),
                 },
                 null,
                 2
@@ -1044,65 +3018,181 @@ class TryCuaMCPServer {
           isError: true,
         };
       }
-    });
+    };
+
+    // Secret values never leave the server in tool responses
+    this.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => redactToolResult(await callTool(request, extra)));
   }
 
-  private async startScreenStream(vmId: string, intervalMs: number): Promise<void> {
-    if (this.screenStreams.has(vmId)) {
-      clearInterval(this.screenStreams.get(vmId)!);
+  /**
+   * Spawn one VM, start its screen stream and apply its recipe. Returns the
+   * spawn_vm result for that VM.
+   */
+  private async spawnAndSetUp(
+    config: VMConfig,
+    recipeVariables: Record<string, string>,
+    notify: ((message: string) => void) | undefined
+  ): Promise<Record<string, unknown>> {
+    // Write event for sidebar tracking
+    writeEvent({ type: 'spawn_vm', vm_name: config.name, os_type: config.osType, status: 'spawning', from_snapshot: config.fromSnapshot });
+
+    const vm = await this.vmManager.spawn(config);
+
+    // Update status after spawn
+    writeEvent({ type: 'spawn_vm', vm_id: vm.id, vm_name: vm.name, os_type: vm.osType, status: vm.status });
+    updateVMStatus(this.vmManager);
+
+    // Take initial screenshot for sidebar display
+    try {
+      const initialScreenshot = await this.vmManager.getScreenshot(vm.id);
+      if (initialScreenshot?.imageB64) {
+        saveVMScreenshot(vm.id, vm.name, initialScreenshot.imageB64, 'VM ready');
+      }
+    } catch {
+      // Ignore screenshot errors - VM might still be initializing
     }
 
-    const vm = this.vmManager.get(vmId);
+    // Auto-start screen streaming for sidebar updates
+    this.screenStream.start(vm.id, DEFAULT_STREAM_INTERVAL_MS);
 
-    const streamInterval = setInterval(async () => {
-      try {
-        const screenshot = await this.vmManager.getScreenshot(vmId);
-        if (screenshot?.imageB64) {
-          saveVMScreenshot(vmId, vm?.name || vmId, screenshot.imageB64, 'streaming');
-        }
-      } catch {
-        clearInterval(streamInterval);
-        this.screenStreams.delete(vmId);
-      }
-    }, intervalMs);
+    // A warm spare may already have been provisioned with this recipe
+    const provisioned = config.recipe && !vm.recipes?.includes(config.recipe)
+      ? await this.provisionWithProgress(vm.id, notify, () => this.vmManager.provision(vm.id, config.recipe!, recipeVariables))
+      : undefined;
+
+    return {
+      success: true,
+      vm_id: vm.id,
+      name: vm.name,
+      status: vm.status,
+      os_type: vm.osType,
+      tags: vm.tags,
+      size: vm.size,
+      resources: vm.resources,
+      region: vm.region,
+      provider: vm.provider,
+      snapshot_id: vm.snapshotId,
+      idle_timeout_minutes: vm.idleTimeoutMinutes,
+      max_lifetime_minutes: vm.maxLifetimeMinutes,
+      hourly_budget_usd: this.vmManager.getHourlyBudget(),
+      recipe: provisioned?.recipe ?? config.recipe,
+      provisioned: provisioned ? provisioned.success : config.recipe ? true : undefined,
+      from_pool: vm.claimedAt !== undefined || undefined,
+      initialization_steps: provisioned?.steps,
+      message: provisioned && !provisioned.success
+        ? `VM "${vm.name}" spawned (vm_id "${vm.id}") but ${provisioned.message}`
+        : `VM "${vm.name}" spawned successfully. Use vm_id "${vm.id}" for subsequent operations.`,
+    };
+  }
 
-    this.screenStreams.set(vmId, streamInterval);
+  /**
+   * Progress callback for a tool call, or undefined if the client didn't ask for progress
+   */
+  private progressNotifier(
+    request: CallToolRequest,
+    extra: RequestHandlerExtra<ServerRequest, ServerNotification>
+  ): ((message: string) => void) | undefined {
+    const progressToken = request.params._meta?.progressToken;
+    if (progressToken === undefined) return undefined;
+
+    let progress = 0;
+    return (message) => {
+      extra.sendNotification({
+        method: 'notifications/progress',
+        params: { progressToken, progress: ++progress, message: redact(message) },
+      }).catch(() => {});
+    };
+  }
+
+  /**
+   * Run a provisioning call, reporting each step as it starts and finishes
+   */
+  private async provisionWithProgress(
+    vmId: string,
+    notify: ((message: string) => void) | undefined,
+    run: () => Promise<ProvisionResult>
+  ): Promise<ProvisionResult> {
+    const onStep = (data: { vmId: string; step: ProvisionStep }) => {
+      if (data.vmId !== vmId) return;
+      notify?.(`${data.step.name}: ${data.step.status}${data.step.error ? ` - ${data.step.error}` : ''}`);
+    };
 
+    this.vmManager.on('provision_step', onStep);
     try {
-      const screenshot = await this.vmManager.getScreenshot(vmId);
-      if (screenshot?.imageB64) {
-        saveVMScreenshot(vmId, vm?.name || vmId, screenshot.imageB64, 'stream started');
-      }
-    } catch {
-      // Ignore first screenshot error
+      return await run();
+    } finally {
+      this.vmManager.off('provision_step', onStep);
     }
   }
 
+  /**
+   * Forward changed stream frames to the TUI and subscribed MCP clients
+   */
+  private setupScreenStreamForwarding(): void {
+    this.screenStream.on('frame', (frame: StreamFrame) => {
+      const vm = this.vmManager.get(frame.vmId);
+      saveVMScreenshot(frame.vmId, vm?.name || frame.vmId, frame.imageB64, frame.seq === 1 ? 'stream started' : 'streaming');
+
+      const uri = `vm://${frame.vmId}/screen`;
+      if (this.subscriptions.has(uri)) {
+        this.server.sendResourceUpdated({ uri }).catch(() => {
+          // Client went away
+        });
+      }
+    });
+  }
+
   private setupResourceHandlers(): void {
     // List resources (VMs as resources)
     this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
       const vms = this.vmManager.getAll();
 
       return {
-        resources: vms.map((vm) => ({
-          uri: `vm://${vm.id}`,
-          name: vm.name,
-          description: `TryCua VM: ${vm.name} (${vm.status})`,
-          mimeType: 'application/json',
-        })),
+        resources: vms.flatMap((vm) => [
+          {
+            uri: `vm://${vm.id}`,
+            name: vm.name,
+            description: `TryCua VM: ${vm.name} (${vm.status})`,
+            mimeType: 'application/json',
+          },
+          {
+            uri: `vm://${vm.id}/screen`,
+            name: `${vm.name} screen`,
+            description: `Latest screen of ${vm.name}. Subscribe to get notified when a streamed frame changes.`,
+            mimeType: 'image/jpeg',
+          },
+        ]),
       };
     });
 
     // Read a VM resource
     this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
       const uri = request.params.uri;
-      const vmId = uri.replace('vm://', '');
+      const [vmId, view] = uri.replace('vm://', '').split('/');
       const vm = this.vmManager.get(vmId);
 
       if (!vm) {
         throw new Error(`VM not found: ${vmId}`);
       }
 
+      if (view === 'screen') {
+        // Prefer the streamed frame, otherwise capture one now
+        const frame = this.screenStream.getLatestFrame(vmId);
+        const image = frame
+          ? await this.screenStream.encode(frame, 'jpeg')
+          : await sharp(Buffer.from((await this.vmManager.getScreenshot(vmId)).imageB64, 'base64')).jpeg().toBuffer();
+
+        return {
+          contents: [
+            {
+              uri,
+              mimeType: 'image/jpeg',
+              blob: image.toString('base64'),
+            },
+          ],
+        };
+      }
+
       return {
         contents: [
           {
@@ -1129,6 +3219,18 @@ class TryCuaMCPServer {
     });
   }
 
+  private setupResourceSubscriptions(): void {
+    this.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      this.subscriptions.add(request.params.uri);
+      return {};
+    });
+
+    this.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      this.subscriptions.delete(request.params.uri);
+      return {};
+    });
+  }
+
   private setupVMEventForwarding(): void {
     // Forward VM events as server notifications
     this.vmManager.on('vm_created', (data) => {
@@ -1144,10 +3246,72 @@ class TryCuaMCPServer {
       console.error(`[TryCua] VM stopped: ${data.vmId}`);
     });
 
+    this.vmManager.on('vm_reaped', (data) => {
+      console.error(`[TryCua] VM reaped: ${data.vmId} (${data.reason})`);
+
+      this.screenStream.stop(data.vmId);
+
+      // Tell the sidebar why the VM disappeared
+      writeEvent({ type: 'vm_reaped', vm_id: data.vmId, vm_name: data.name, reason: data.reason, message: data.message });
+      updateVMStatus(this.vmManager);
+    });
+
+    this.vmManager.on('pool_spare_ready', (data) => {
+      console.error(`[TryCua] Warm spare ready: ${data.vmId} (${data.osType}/${data.size})`);
+      writeEvent({ type: 'pool_spare_ready', vm_id: data.vmId, os_type: data.osType, size: data.size, recipe: data.recipe });
+    });
+
+    this.vmManager.on('pool_claimed', (data) => {
+      writeEvent({ type: 'pool_claimed', vm_id: data.vmId, vm_name: data.name });
+    });
+
+    this.vmManager.on('job_started', (data) => {
+      writeEvent({ type: 'job', job_id: data.jobId, vm_id: data.vmId, kind: data.kind, status: 'running', attempt: data.attempt });
+    });
+
+    this.vmManager.on('job_finished', (data) => {
+      console.error(`[TryCua] Job ${data.jobId}: ${data.status}${data.error ? ` (${data.error})` : ''}`);
+      writeEvent({ type: 'job', job_id: data.jobId, vm_id: data.vmId, status: data.status, attempts: data.attempts, retry_at: data.retryAt, error: data.error });
+      updateVMStatus(this.vmManager);
+    });
+
+    this.vmManager.on('provision_step', (data) => {
+      writeEvent({
+        type: 'provision_step',
+        vm_id: data.vmId,
+        recipe: data.recipe,
+        step_id: data.step.id,
+        name: data.step.name,
+        status: data.step.status,
+        error: data.step.error,
+      });
+    });
+
+    this.vmManager.on('provision_complete', (data) => {
+      console.error(`[TryCua] Provisioning ${data.vmId} with "${data.recipe}": ${data.success ? 'done' : 'failed'}`);
+      writeEvent({ type: 'provision_complete', vm_id: data.vmId, recipe: data.recipe, success: data.success, message: data.message });
+    });
+
     this.vmManager.on('task_started', (data) => {
       console.error(`[TryCua] Task started on ${data.vmId}: ${data.task.slice(0, 50)}...`);
     });
 
+    this.vmManager.on('task_step', (data) => {
+      writeEvent({ type: 'task_step', vm_id: data.vmId, step: data.step, action: data.action });
+      const vm = this.vmManager.get(data.vmId);
+      if (vm?.screenshotB64) {
+        saveVMScreenshot(data.vmId, vm.name, vm.screenshotB64, data.action);
+      }
+    });
+
+    this.vmManager.on('replay_step', (data) => {
+      writeEvent({ type: 'action', vm_id: data.vmId, action: `replay ${data.index}: ${data.action}` });
+      const vm = this.vmManager.get(data.vmId);
+      if (vm?.screenshotB64) {
+        saveVMScreenshot(data.vmId, vm.name, vm.screenshotB64, `replay ${data.index}: ${data.action}`);
+      }
+    });
+
     this.vmManager.on('task_complete', (data) => {
       console.error(`[TryCua] Task complete on ${data.vmId}`);
     });
@@ -1157,13 +3321,59 @@ class TryCuaMCPServer {
     });
   }
 
+  private setupBrowserEventForwarding(): void {
+    this.browsers.on('browser_launched', (data) => {
+      console.error(`[TryCua] Browser launched: ${data.name} (${data.id})${data.incognito ? ' incognito' : ''}`);
+      writeEvent({ type: 'browser', browser_id: data.id, action: 'launched', name: data.name });
+    });
+
+    this.browsers.on('browser_closed', (data) => {
+      console.error(`[TryCua] Browser closed: ${data.id}`);
+      writeEvent({ type: 'browser', browser_id: data.id, action: 'closed' });
+    });
+
+    this.browsers.on('task_started', (data) => {
+      console.error(`[TryCua] Browser task started on ${data.id}: ${data.task.slice(0, 50)}...`);
+      writeEvent({ type: 'task', browser_id: data.id, action: 'start', data: data.task.slice(0, 100) });
+    });
+
+    this.browsers.on('task_complete', (data) => {
+      writeEvent({ type: 'task', browser_id: data.id, action: data.result.success ? 'complete' : 'error', error: data.result.error });
+    });
+
+    this.browsers.on('task_error', (data) => {
+      console.error(`[TryCua] Browser task failed on ${data.id}: ${data.error}`);
+      writeEvent({ type: 'task', browser_id: data.id, action: 'error', error: data.error });
+    });
+  }
+
   async run(): Promise<void> {
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
     console.error(`[TryCua MCP] Server running on stdio (v${VERSION})`);
+
+    try {
+      const { detached, removed, untracked } = await this.vmManager.reconcile();
+      if (removed.length > 0) {
+        console.error(`[TryCua MCP] Dropped ${removed.length} VM(s) from the registry that no longer exist`);
+      }
+      if (detached.length > 0) {
+        console.error(`[TryCua MCP] ${detached.length} orphaned VM(s) from a previous run - use reattach_vm or reap_orphan_vms`);
+      }
+      if (untracked.length > 0) {
+        console.error(`[TryCua MCP] ${untracked.length} VM(s) not in the registry: ${untracked.map((vm) => vm.name).join(', ')}`);
+      }
+    } catch (error) {
+      console.error('[TryCua MCP] Failed to reconcile VM registry:', error);
+    }
+
+    // After reconciling, so a spare that is still booting isn't reported as untracked
+    this.vmManager.startPool();
   }
 
   async shutdown(): Promise<void> {
+    this.screenStream.close();
+    await this.browsers.closeAll();
     await this.vmManager.stopAll();
   }
 }
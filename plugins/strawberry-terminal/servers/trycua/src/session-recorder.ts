@@ -0,0 +1,193 @@
+/**
+ * Session Recorder
+ *
+ * Records computer_action calls on a VM, with before/after screenshots, into a
+ * session bundle under ~/.strawberry/sessions/<session-id>/ so the sequence can
+ * be replayed later as a regression script.
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import sharp from 'sharp';
+import { v4 as uuidv4 } from 'uuid';
+import { ComputerAction, OSType } from './types.js';
+
+const DEFAULT_SESSIONS_DIR = path.join(os.homedir(), '.strawberry', 'sessions');
+const MANIFEST_FILE = 'session.json';
+
+// Screenshots are compared at a fixed small size so VMs with different
+// resolutions can still be diffed, and small rendering noise is ignored
+const DIFF_WIDTH = 256;
+const DIFF_HEIGHT = 160;
+const DIFF_PIXEL_TOLERANCE = 24; // Greyscale delta (0-255) below which pixels count as equal
+
+export interface RecordedStep {
+  index: number;
+  action: ComputerAction;
+  timestamp: string;
+  /** Screenshot files relative to the session directory */
+  before?: string;
+  after?: string;
+}
+
+export interface SessionManifest {
+  version: 1;
+  id: string;
+  name: string;
+  vmId: string;
+  vmName: string;
+  osType: OSType;
+  startedAt: string;
+  endedAt?: string;
+  steps: RecordedStep[];
+}
+
+/**
+ * Fraction (0-1) of pixels that differ between two screenshots
+ */
+export async function diffScreenshots(a: Buffer, b: Buffer): Promise<number> {
+  const normalize = (image: Buffer) =>
+    sharp(image).resize(DIFF_WIDTH, DIFF_HEIGHT, { fit: 'fill' }).greyscale().raw().toBuffer();
+
+  const [pixelsA, pixelsB] = await Promise.all([normalize(a), normalize(b)]);
+
+  let changed = 0;
+  for (let i = 0; i < pixelsA.length; i++) {
+    if (Math.abs(pixelsA[i] - pixelsB[i]) > DIFF_PIXEL_TOLERANCE) {
+      changed++;
+    }
+  }
+  return changed / pixelsA.length;
+}
+
+export class SessionRecorder {
+  private sessionsDir: string;
+  // Active recording per VM ID
+  private active: Map<string, SessionManifest> = new Map();
+
+  constructor(sessionsDir: string = process.env.STRAWBERRY_SESSIONS_DIR || DEFAULT_SESSIONS_DIR) {
+    this.sessionsDir = sessionsDir;
+  }
+
+  private sessionDir(sessionId: string): string {
+    return path.join(this.sessionsDir, sessionId);
+  }
+
+  private save(session: SessionManifest): void {
+    const dir = this.sessionDir(session.id);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify(session, null, 2));
+  }
+
+  isRecording(vmId: string): boolean {
+    return this.active.has(vmId);
+  }
+
+  /**
+   * Start recording actions on a VM
+   */
+  start(vm: { id: string; name: string; osType: OSType }, name?: string): SessionManifest {
+    if (this.active.has(vm.id)) {
+      throw new Error(`VM ${vm.id} is already recording session ${this.active.get(vm.id)!.id}`);
+    }
+
+    const startedAt = new Date();
+    const session: SessionManifest = {
+      version: 1,
+      id: `${startedAt.toISOString().slice(0, 10)}-${uuidv4().slice(0, 8)}`,
+      name: name || `${vm.name} ${startedAt.toISOString()}`,
+      vmId: vm.id,
+      vmName: vm.name,
+      osType: vm.osType,
+      startedAt: startedAt.toISOString(),
+      steps: [],
+    };
+
+    this.save(session);
+    this.active.set(vm.id, session);
+    return session;
+  }
+
+  /**
+   * Stop recording on a VM and finalize its session
+   */
+  stop(vmId: string): SessionManifest | undefined {
+    const session = this.active.get(vmId);
+    if (!session) return undefined;
+
+    session.endedAt = new Date().toISOString();
+    this.save(session);
+    this.active.delete(vmId);
+    return session;
+  }
+
+  /**
+   * Append an action and its screenshots to the VM's active session
+   */
+  record(vmId: string, action: ComputerAction, beforeB64?: string, afterB64?: string): void {
+    const session = this.active.get(vmId);
+    if (!session) return;
+
+    const index = session.steps.length + 1;
+    const prefix = `step-${String(index).padStart(4, '0')}`;
+    const dir = this.sessionDir(session.id);
+    const step: RecordedStep = { index, action, timestamp: new Date().toISOString() };
+
+    if (beforeB64) {
+      step.before = `${prefix}-before.png`;
+      fs.writeFileSync(path.join(dir, step.before), Buffer.from(beforeB64, 'base64'));
+    }
+    if (afterB64) {
+      step.after = `${prefix}-after.png`;
+      fs.writeFileSync(path.join(dir, step.after), Buffer.from(afterB64, 'base64'));
+    }
+
+    session.steps.push(step);
+    // Save after every step so a crash still leaves a replayable bundle
+    this.save(session);
+  }
+
+  /**
+   * Load a recorded session by ID
+   */
+  load(sessionId: string): SessionManifest {
+    if (path.basename(sessionId) !== sessionId) {
+      throw new Error(`Invalid session ID: ${sessionId}`);
+    }
+
+    const manifestPath = path.join(this.sessionDir(sessionId), MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8')) as SessionManifest;
+  }
+
+  /**
+   * Read a screenshot file from a session bundle
+   */
+  readScreenshot(sessionId: string, file: string): Buffer {
+    return fs.readFileSync(path.join(this.sessionDir(sessionId), file));
+  }
+
+  /**
+   * All recorded sessions, newest first
+   */
+  list(): SessionManifest[] {
+    if (!fs.existsSync(this.sessionsDir)) {
+      return [];
+    }
+
+    const sessions: SessionManifest[] = [];
+    for (const entry of fs.readdirSync(this.sessionsDir)) {
+      try {
+        sessions.push(this.load(entry));
+      } catch {
+        // Not a session bundle
+      }
+    }
+    return sessions.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }
+}
+
+export default SessionRecorder;
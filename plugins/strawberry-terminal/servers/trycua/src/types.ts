@@ -16,6 +16,11 @@ export type OSType = 'macos' | 'linux' | 'windows';
 export type VMRegion = 'north-america' | 'europe' | 'asia-pacific' | 'south-america';
 export type VMSize = 'small' | 'medium' | 'large';
 
+/**
+ * Backend that provisions the VM (see providers/)
+ */
+export type VMProviderName = 'cloud' | 'docker' | 'qemu';
+
 /**
  * VM resource specifications based on size
  */
@@ -37,15 +42,39 @@ export const VM_SIZE_SPECS: Record<VMSize, VMResources> = {
   large: { size: 'large', ram: '32GB', ramMB: 32768, cpu: 8, storage: '80GB' },
 };
 
+/**
+ * Approximate TryCua Cloud cost per VM hour in USD, used for the budget reaper.
+ * Local providers (docker, qemu) are treated as free.
+ */
+export const VM_HOURLY_COST: Record<VMSize, number> = {
+  small: 0.1,
+  medium: 0.2,
+  large: 0.8,
+};
+
+/**
+ * Why the reaper stopped a VM
+ */
+export type VMReapReason = 'idle_timeout' | 'max_lifetime' | 'budget';
+
 export interface VMConfig {
   name: string;
   osType?: OSType;
   region?: VMRegion;
   size?: VMSize;
   tags?: string[];
+  provider?: VMProviderName;
+  /** Stop the VM after this many minutes without activity */
+  idleTimeoutMinutes?: number;
+  /** Stop the VM this many minutes after it was created */
+  maxLifetimeMinutes?: number;
   setupChrome?: boolean;
   installClaudeExtension?: boolean;
   systemPrompt?: string;
+  /** Provisioning recipe applied once the VM is ready */
+  recipe?: string;
+  /** Snapshot id or name to start from instead of the provider's base image */
+  fromSnapshot?: string;
 }
 
 export interface VM {
@@ -57,6 +86,17 @@ export interface VM {
   size: VMSize;
   resources: VMResources;
   region?: VMRegion;
+  provider: VMProviderName;
+  /** Address of the machine, used for the SSH fallback of run_command */
+  host?: string;
+  /** Snapshot the VM was spawned from */
+  snapshotId?: string;
+  /** Recipes applied successfully, by name */
+  recipes?: string[];
+  /** When a warm-pool spare was handed out; max lifetime counts from here */
+  claimedAt?: Date;
+  idleTimeoutMinutes?: number;
+  maxLifetimeMinutes?: number;
   createdAt: Date;
   lastActivity?: Date;
   currentTask?: string;
@@ -73,6 +113,22 @@ export interface Screenshot {
   lastAction?: string;
 }
 
+/**
+ * Final verdict of an agent-driven task
+ */
+export type TaskVerdict = 'completed' | 'max_steps' | 'error' | 'cancelled' | 'blocked';
+
+/**
+ * Why the safety policy or an approver stopped an action
+ */
+export interface TaskBlock {
+  by: 'policy' | 'approval';
+  rule: string;
+  reason: string;
+  approvalId?: string;
+  approver?: string;
+}
+
 export interface TaskResult {
   vmId: string;
   task: string;
@@ -80,9 +136,51 @@ export interface TaskResult {
   output: string;
   screenshots: Screenshot[];
   duration: number;
+  steps?: number;
+  verdict?: TaskVerdict;
+  error?: string;
+  /** Set when an action was blocked by the policy or denied by an approver */
+  blocked?: TaskBlock;
+}
+
+export interface TaskOptions {
+  /** Maximum agent steps before giving up (default: 20) */
+  maxSteps?: number;
+  /** Stops the agent before its next step */
+  signal?: AbortSignal;
+}
+
+export interface ReplayOptions {
+  /** Compare each step's screenshot against the recording */
+  checkpoints?: boolean;
+  /** Fraction (0-1) of differing pixels tolerated at a checkpoint (default: 0.1) */
+  diffThreshold?: number;
+  /** Abort the replay at the first failed checkpoint */
+  stopOnMismatch?: boolean;
+  /** Pause between steps in milliseconds (default: 500) */
+  delayMs?: number;
+}
+
+export interface ReplayStepResult {
+  index: number;
+  action: string;
+  /** Fraction of differing pixels, when a checkpoint was compared */
+  diff?: number;
+  passed?: boolean;
   error?: string;
 }
 
+export interface ReplayResult {
+  sessionId: string;
+  vmId: string;
+  success: boolean;
+  stepsRun: number;
+  totalSteps: number;
+  mismatches: number;
+  steps: ReplayStepResult[];
+  duration: number;
+}
+
 export interface ComputerAction {
   type: 'click' | 'type' | 'scroll' | 'screenshot' | 'key' | 'move';
   x?: number;
@@ -93,3 +191,53 @@ export interface ComputerAction {
   direction?: 'up' | 'down';
   amount?: number;
 }
+
+export interface CommandOptions {
+  /** Kill the command after this many milliseconds (default: 120000) */
+  timeoutMs?: number;
+  /** Working directory (default: the user's home) */
+  cwd?: string;
+  /** Exported for the command; sent as a file or on stdin, never in a command line */
+  env?: Record<string, string>;
+  /** Called with output as it arrives */
+  onOutput?: (chunk: string, stream: 'stdout' | 'stderr') => void;
+  /** How to reach the VM (default: computer-server, falling back to SSH) */
+  transport?: 'auto' | 'computer-server' | 'ssh';
+  /** Kills the command like a timeout does */
+  signal?: AbortSignal;
+}
+
+export interface CommandResult {
+  command: string;
+  /** null if the exit code could not be read */
+  exitCode: number | null;
+  stdout: string;
+  stderr: string;
+  durationMs: number;
+  timedOut: boolean;
+  /** Killed through CommandOptions.signal */
+  cancelled?: boolean;
+  transport: 'computer-server' | 'ssh';
+}
+
+/**
+ * One provisioning step, in the shape the sidebar's initialization_steps use
+ */
+export interface ProvisionStep {
+  id: string;
+  name: string;
+  description?: string;
+  status: 'pending' | 'in_progress' | 'completed' | 'error';
+  error?: string;
+  exitCode?: number | null;
+  startedAt?: string;
+  completedAt?: string;
+}
+
+export interface ProvisionResult {
+  vmId: string;
+  recipe: string;
+  success: boolean;
+  message: string;
+  steps: ProvisionStep[];
+}
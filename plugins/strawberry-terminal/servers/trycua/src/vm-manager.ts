@@ -1,7 +1,6 @@
 import { EventEmitter } from 'events';
 import { v4 as uuidv4 } from 'uuid';
 import WebSocket from 'ws';
-import { Computer, OSType as CuaOSType } from '@trycua/computer';
 import sharp from 'sharp';
 import {
   VM,
@@ -9,27 +8,85 @@ import {
   VMStatus,
   Screenshot,
   TaskResult,
+  TaskOptions,
+  TaskVerdict,
+  TaskBlock,
   ComputerAction,
-  OSType,
+  CommandOptions,
+  CommandResult,
+  ReplayOptions,
+  ReplayResult,
+  ReplayStepResult,
+  ProvisionResult,
+  ProvisionStep,
+  VMProviderName,
   VMSize,
+  VMReapReason,
   VM_SIZE_SPECS,
+  VM_HOURLY_COST,
 } from './types.js';
+import { createProvider, ComputerInterface, VMConnection, VMProvider, VM_PROVIDERS } from './providers/index.js';
+import { ComputerUseAgent, ComputerUseAction, MAX_STEPS_ERROR } from './computer-use.js';
+import { SnapshotRecord, VMRegistry, VMRegistryRecord } from './vm-registry.js';
+import { SessionRecorder, SessionManifest, diffScreenshots } from './session-recorder.js';
+import { ActionPolicy, PolicyAction, PolicyViolationError } from '@strawberry/shared/action-policy';
+import { ApprovalDeniedError, ApprovalQueue } from '@strawberry/shared/approval-queue';
+import { runViaComputerServer, runViaSsh, shellPath, shellQuote, sshConfig } from './command-runner.js';
+import { loadRecipe, planRecipe } from './recipes.js';
+import { GUEST_SECRETS_FILE, SecretStore, redact, registerSecretValue, secretEnvName, secretsPushScript } from './secret-store.js';
+import { PoolTarget, WarmPool, WarmPoolConfig, WarmPoolStatus } from './warm-pool.js';
+import { Job, JobInput, JobQueue, JobResult, JobStatus } from './job-queue.js';
+import { MoltbotMasterClient } from '@strawberry/shared/moltbot-client';
+import { MasterOutbox } from '@strawberry/shared/master-outbox';
+import { GUEST_PROFILES_DIR, parseStorageState, StorageState } from './browser-profiles.js';
 
-const API_BASE = process.env.CUA_API_BASE || 'https://api.cua.ai';
 const MAX_IMAGE_WIDTH = 1200; // Max width for screenshots to avoid API limits
+const DEFAULT_AGENT_MAX_STEPS = 20;
+const REAPER_INTERVAL_MS = 60000; // 1 minute - check idle/lifetime/budget limits
+const DEFAULT_REPLAY_DELAY_MS = 500;
+const DEFAULT_REPLAY_DIFF_THRESHOLD = 0.1;
+const WINDOW_TITLE_TIMEOUT_MS = 5000;
+const PROVISION_STEP_TIMEOUT_MS = 10 * 60 * 1000;
+const DELEGATED_TASK_TIMEOUT_MS = 60 * 60 * 1000;
+const POOL_REFILL_INTERVAL_MS = 30000;
+const JOB_DISPATCH_INTERVAL_MS = 5000;
+// Browser profiles cross the command channel in pieces: base64 text per
+// write (one environment variable) and raw bytes per read (output buffer)
+const PROFILE_CHUNK_CHARS = 48 * 1024;
+const PROFILE_CHUNK_BYTES = 512 * 1024;
+const JOB_OUTPUT_CHARS = 4000;
+const TASK_CANCELLED_ERROR = 'Task cancelled';
+
+/**
+ * Read a positive number from the environment, or undefined when unset
+ */
+function positiveEnv(name: string): number | undefined {
+  const value = parseFloat(process.env[name] || '');
+  return value > 0 ? value : undefined;
+}
+
+/**
+ * What stopped an action, when the safety policy or an approver did
+ */
+export function taskBlock(error: unknown): TaskBlock | undefined {
+  if (error instanceof PolicyViolationError) {
+    return { by: 'policy', rule: error.rule, reason: error.reason };
+  }
+  if (error instanceof ApprovalDeniedError) {
+    return { by: 'approval', rule: error.rule, reason: error.reason, approvalId: error.approvalId, approver: error.approver };
+  }
+  return undefined;
+}
+
+// Defaults for spawn_vm when no limits are passed (unset = no limit)
+const DEFAULT_IDLE_TIMEOUT_MINUTES = positiveEnv('STRAWBERRY_VM_IDLE_TIMEOUT_MINUTES');
+const DEFAULT_MAX_LIFETIME_MINUTES = positiveEnv('STRAWBERRY_VM_MAX_LIFETIME_MINUTES');
 
 // Moltbot Master integration for VPS registration
-const MOLTBOT_MASTER_URL = process.env.MOLTBOT_MASTER_URL || 'https://moltbot-master.liam-939.workers.dev';
 const HEARTBEAT_INTERVAL_MS = 30000; // 30 seconds
 const TASK_POLL_INTERVAL_MS = 10000; // 10 seconds - poll for delegated tasks
-
-interface DelegatedTask {
-  id: string;
-  task: string;
-  priority: string;
-  from: string;
-  timestamp: string;
-}
+// Pull delegated tasks from Master into the local job queue (opt-in)
+const JOBS_UPSTREAM = process.env.STRAWBERRY_JOBS_UPSTREAM === 'true';
 
 /**
  * Resize screenshot buffer to fit within API limits
@@ -51,26 +108,42 @@ async function resizeScreenshot(buffer: Buffer): Promise<Buffer> {
   }
 }
 
-interface VMProvisionResponse {
-  name: string;
-  host: string;
-  password: string;
-  status: string;
-  job_id?: string;
-}
-
 /**
- * VMManager - Manages Real Windows/macOS/Linux VMs via TryCua Cloud
+ * VMManager - Manages Real Windows/macOS/Linux VMs
  *
- * Uses TryCua Cloud API to provision VMs, then connects via SDK.
- * Each VM is a real cloud-hosted machine controlled via WebSocket.
+ * Machines are created by a pluggable provider (TryCua Cloud by default,
+ * or local Docker/QEMU) and controlled via the computer-server WebSocket.
  */
 export class VMManager extends EventEmitter {
-  private vms: Map<string, { computer: Computer; meta: VM; cloudName?: string }> = new Map();
+  // cloudName is the provider-side handle (cloud VM name, container name, ...)
+  private vms: Map<string, { computer: VMConnection; meta: VM; cloudName?: string }> = new Map();
+  private providers: Map<VMProviderName, VMProvider> = new Map();
+  private registry: VMRegistry = new VMRegistry();
+  // VMs from previous server runs that we are not connected to
+  private detached: Map<string, VMRegistryRecord> = new Map();
+  private recorder: SessionRecorder = new SessionRecorder();
+  private policy: ActionPolicy = new ActionPolicy();
+  private approvals: ApprovalQueue = new ApprovalQueue();
+  private secrets: SecretStore = new SecretStore();
+  private master: MoltbotMasterClient = new MoltbotMasterClient();
+  // Writes to Master that failed, retried until it is reachable again
+  private outbox: MasterOutbox = new MasterOutbox('trycua', this.master);
   private heartbeatTimers: Map<string, NodeJS.Timeout> = new Map();
-  private taskPollTimers: Map<string, NodeJS.Timeout> = new Map();
+  private jobs: JobQueue = new JobQueue();
+  // Jobs being run, by job id
+  private runningJobs: Map<string, { vmId: string; controller: AbortController }> = new Map();
+  private jobTimer: NodeJS.Timeout | null = null;
+  private upstreamTimer: NodeJS.Timeout | null = null;
+  private reaperTimer: NodeJS.Timeout | null = null;
+  private reaping = false;
+  private pool: WarmPool;
+  private poolTimer: NodeJS.Timeout | null = null;
+  private trimmingPool = false;
+  private hourlyBudget: number | undefined = positiveEnv('STRAWBERRY_VM_HOURLY_BUDGET');
   private maxVms: number;
   private apiKey: string;
+  private defaultProvider: VMProviderName;
+  private agent: ComputerUseAgent | null = null;
   private enableMasterRegistration: boolean;
 
   constructor(maxVms: number = 5) {
@@ -79,10 +152,296 @@ export class VMManager extends EventEmitter {
     this.apiKey = process.env.CUA_API_KEY || process.env.TRYCUA_API_KEY || '';
     this.enableMasterRegistration = process.env.MOLTBOT_MASTER_REGISTRATION !== 'false';
 
-    if (!this.apiKey) {
-      console.error('[VMManager] Warning: No CUA_API_KEY - VM operations will fail');
-      console.error('[VMManager] Get your API key at https://cua.ai');
+    const providerName = (process.env.STRAWBERRY_VM_PROVIDER || 'cloud') as VMProviderName;
+    if (!VM_PROVIDERS.includes(providerName)) {
+      console.error(`[VMManager] Unknown STRAWBERRY_VM_PROVIDER "${providerName}", using cloud`);
+    }
+    this.defaultProvider = VM_PROVIDERS.includes(providerName) ? providerName : 'cloud';
+    this.pool = new WarmPool(this.defaultProvider);
+
+    const configError = this.getProvider(this.defaultProvider).configurationError();
+    if (configError) {
+      console.error(`[VMManager] Warning: ${configError} - VM operations will fail`);
+    }
+
+    // Known secret values are redacted wherever actions and output are reported
+    this.secrets.loadForRedaction();
+
+    // Everything in the registry at startup was spawned by a previous run
+    for (const record of this.registry.getAll()) {
+      this.detached.set(record.id, record);
+    }
+
+    this.startReaper();
+    this.startJobDispatcher();
+    if (this.enableMasterRegistration) this.outbox.start();
+  }
+
+  /**
+   * Save a VM's record to the persistent registry
+   */
+  private persist(vmId: string): void {
+    const entry = this.vms.get(vmId);
+    if (!entry?.cloudName) return;
+
+    const { meta: vm } = entry;
+    this.registry.upsert({
+      id: vm.id,
+      name: vm.name,
+      cloudName: entry.cloudName,
+      provider: vm.provider,
+      osType: vm.osType,
+      tags: vm.tags,
+      size: vm.size,
+      region: vm.region,
+      idleTimeoutMinutes: vm.idleTimeoutMinutes,
+      maxLifetimeMinutes: vm.maxLifetimeMinutes,
+      snapshotId: vm.snapshotId,
+      createdAt: vm.createdAt.toISOString(),
+    });
+  }
+
+  /**
+   * Hourly cost of a VM in USD (local providers are free)
+   */
+  private hourlyCost(vm: Pick<VM, 'provider' | 'size'>): number {
+    return vm.provider === 'cloud' ? VM_HOURLY_COST[vm.size] : 0;
+  }
+
+  /**
+   * Combined hourly cost of all VMs in USD
+   */
+  getHourlyCost(): number {
+    return this.getAll().reduce((sum, vm) => sum + this.hourlyCost(vm), 0);
+  }
+
+  /**
+   * Set the global hourly cost budget in USD (undefined = no budget)
+   */
+  setHourlyBudget(budget: number | undefined): void {
+    this.hourlyBudget = budget && budget > 0 ? budget : undefined;
+  }
+
+  getHourlyBudget(): number | undefined {
+    return this.hourlyBudget;
+  }
+
+  /**
+   * Start the periodic reaper for idle, expired and over-budget VMs
+   */
+  private startReaper(): void {
+    this.reaperTimer = setInterval(() => {
+      this.reap().catch((error) => console.error('[VMManager] Reaper failed:', error));
+    }, REAPER_INTERVAL_MS);
+    // Don't keep the process alive just for the reaper
+    this.reaperTimer.unref();
+  }
+
+  /**
+   * Stop VMs past their max lifetime or idle timeout, then the least
+   * recently active ones until the pool is back within the hourly budget
+   */
+  async reap(): Promise<Array<{ vmId: string; reason: VMReapReason }>> {
+    if (this.reaping) return [];
+    this.reaping = true;
+
+    const reaped: Array<{ vmId: string; reason: VMReapReason }> = [];
+    const reapVM = async (vm: VM, reason: VMReapReason, message: string): Promise<void> => {
+      console.error(`[VMManager] Reaping VM ${vm.name} (${vm.id}): ${message}`);
+      await this.stop(vm.id);
+      reaped.push({ vmId: vm.id, reason });
+      this.emit('vm_reaped', { vmId: vm.id, name: vm.name, reason, message });
+    };
+
+    try {
+      const now = Date.now();
+      // Never reap a VM that is still being created
+      const settled = () => this.getAll().filter((vm) => vm.status !== 'spawning' && vm.status !== 'setting_up');
+
+      for (const vm of settled()) {
+        // A claimed spare's lifetime starts when it was handed out
+        const ageMinutes = (now - (vm.claimedAt || vm.createdAt).getTime()) / 60000;
+        const idleMinutes = (now - (vm.lastActivity || vm.createdAt).getTime()) / 60000;
+        // Spares are idle by design
+        const spare = this.pool.isSpare(vm.id);
+
+        if (vm.maxLifetimeMinutes && ageMinutes >= vm.maxLifetimeMinutes) {
+          await reapVM(vm, 'max_lifetime', `Reached max lifetime of ${vm.maxLifetimeMinutes} minutes`);
+        } else if (vm.idleTimeoutMinutes && !spare && vm.status !== 'working' && idleMinutes >= vm.idleTimeoutMinutes) {
+          await reapVM(vm, 'idle_timeout', `Idle for ${Math.floor(idleMinutes)} minutes (timeout ${vm.idleTimeoutMinutes})`);
+        }
+      }
+
+      if (this.hourlyBudget !== undefined) {
+        const budget = this.hourlyBudget;
+        // Unclaimed spares go first, then the least recently active VMs
+        const candidates = settled()
+          .filter((vm) => vm.status !== 'working' && this.hourlyCost(vm) > 0)
+          .sort((a, b) =>
+            Number(this.pool.isSpare(b.id)) - Number(this.pool.isSpare(a.id)) ||
+            (a.lastActivity || a.createdAt).getTime() - (b.lastActivity || b.createdAt).getTime()
+          );
+
+        for (const vm of candidates) {
+          const cost = this.getHourlyCost();
+          if (cost <= budget) break;
+          await reapVM(vm, 'budget', `Hourly cost $${cost.toFixed(2)} exceeds budget of $${budget.toFixed(2)}`);
+        }
+      }
+    } finally {
+      this.reaping = false;
+    }
+
+    return reaped;
+  }
+
+  /**
+   * Reconcile the registry against what the providers actually have.
+   * Records whose machine no longer exists are dropped; the rest stay
+   * detached until reattach() or reapOrphans() is called.
+   */
+  async reconcile(): Promise<{
+    detached: VMRegistryRecord[];
+    removed: VMRegistryRecord[];
+    untracked: Array<{ provider: VMProviderName; name: string }>;
+  }> {
+    const removed: VMRegistryRecord[] = [];
+    const untracked: Array<{ provider: VMProviderName; name: string }> = [];
+
+    const providerNames = new Set<VMProviderName>([this.defaultProvider]);
+    for (const record of this.detached.values()) {
+      providerNames.add(record.provider);
+    }
+
+    for (const providerName of providerNames) {
+      const provider = this.getProvider(providerName);
+      if (provider.configurationError()) continue;
+
+      let names: string[];
+      try {
+        names = await provider.list();
+      } catch (error) {
+        // Can't verify - keep the records rather than forgetting billable VMs
+        console.error(`[VMManager] Failed to list ${providerName} VMs:`, error);
+        continue;
+      }
+
+      for (const record of Array.from(this.detached.values())) {
+        if (record.provider === providerName && !names.includes(record.cloudName)) {
+          this.detached.delete(record.id);
+          this.registry.remove(record.id);
+          removed.push(record);
+        }
+      }
+
+      const known = new Set(this.registry.getAll().map((record) => record.cloudName));
+      for (const name of names) {
+        if (!known.has(name)) {
+          untracked.push({ provider: providerName, name });
+        }
+      }
+    }
+
+    const result = { detached: this.getDetached(), removed, untracked };
+    this.emit('registry_reconciled', result);
+    return result;
+  }
+
+  /**
+   * VMs left running by a previous server run
+   */
+  getDetached(): VMRegistryRecord[] {
+    return Array.from(this.detached.values());
+  }
+
+  /**
+   * Reconnect to a VM left running by a previous server run
+   */
+  async reattach(vmId: string): Promise<VM> {
+    const record = this.detached.get(vmId);
+    if (!record) {
+      throw new Error(this.vms.has(vmId) ? `VM ${vmId} is already attached` : `No orphaned VM ${vmId} in registry`);
+    }
+
+    if (this.vms.size >= this.maxVms) {
+      throw new Error(`Maximum VM limit (${this.maxVms}) reached`);
+    }
+
+    const provider = this.getProvider(record.provider);
+    const provision = await provider.resolve(record.cloudName);
+    if (!provision) {
+      this.detached.delete(vmId);
+      this.registry.remove(vmId);
+      throw new Error(`VM ${vmId} (${record.cloudName}) no longer exists on ${record.provider}`);
+    }
+
+    console.error(`[VMManager] Reattaching to ${record.provider} VM ${record.cloudName}...`);
+    const computer = await provider.connect(provision, record.osType);
+
+    const vm: VM = {
+      id: record.id,
+      name: record.name,
+      osType: record.osType,
+      status: 'ready',
+      tags: [...record.tags],
+      size: record.size,
+      resources: VM_SIZE_SPECS[record.size],
+      region: record.region,
+      provider: record.provider,
+      host: provision.host,
+      idleTimeoutMinutes: record.idleTimeoutMinutes,
+      maxLifetimeMinutes: record.maxLifetimeMinutes,
+      snapshotId: record.snapshotId,
+      createdAt: new Date(record.createdAt),
+      lastActivity: new Date(),
+    };
+
+    this.vms.set(vmId, { computer, meta: vm, cloudName: record.cloudName });
+    this.detached.delete(vmId);
+    this.emit('vm_reattached', { vmId, name: vm.name });
+
+    await this.registerWithMaster(vm);
+    this.startHeartbeat(vmId);
+
+    return vm;
+  }
+
+  /**
+   * Destroy VMs left running by a previous server run
+   */
+  async reapOrphans(vmIds?: string[]): Promise<VMRegistryRecord[]> {
+    const targets = this.getDetached().filter((record) => !vmIds || vmIds.includes(record.id));
+
+    for (const record of targets) {
+      console.error(`[VMManager] Reaping orphaned ${record.provider} VM ${record.cloudName}...`);
+      await this.getProvider(record.provider).destroy(record.cloudName);
+      this.detached.delete(record.id);
+      this.registry.remove(record.id);
+    }
+
+    return targets;
+  }
+
+  /**
+   * Get the computer-use agent, or null when ANTHROPIC_API_KEY is not set
+   */
+  private getAgent(): ComputerUseAgent | null {
+    if (!this.agent && process.env.ANTHROPIC_API_KEY) {
+      this.agent = new ComputerUseAgent({ apiKey: process.env.ANTHROPIC_API_KEY });
     }
+    return this.agent;
+  }
+
+  /**
+   * Get (or lazily create) a provider by name
+   */
+  private getProvider(name: VMProviderName): VMProvider {
+    let provider = this.providers.get(name);
+    if (!provider) {
+      provider = createProvider(name, this.apiKey);
+      this.providers.set(name, provider);
+    }
+    return provider;
   }
 
   /**
@@ -92,25 +451,25 @@ export class VMManager extends EventEmitter {
     if (!this.enableMasterRegistration) return;
 
     try {
-      const response = await fetch(`${MOLTBOT_MASTER_URL}/vps/register`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      const sent = await this.outbox.send({
+        op: 'registerVps',
+        payload: {
           id: vm.id,
           name: vm.name,
           endpoint: `vm://${vm.id}`, // Virtual endpoint for MCP-based VMs
-          capabilities: ['browser', 'compute', 'screenshot', vm.osType],
-        }),
-      });
+          // Tags from provisioning recipes (e.g. claude-code, coding-ready) tell Master what the VM can do
+          capabilities: [...new Set(['browser', 'compute', 'screenshot', vm.osType, ...vm.tags])],
+        },
+      }, { coalesceKey: `register:${vm.id}` });
 
-      if (response.ok) {
-        console.log(`[VMManager] Registered VM ${vm.name} with Moltbot Master`);
+      if (sent.delivered) {
+        console.error(`[VMManager] Registered VM ${vm.name} with Moltbot Master`);
         this.emit('master_registered', { vmId: vm.id, name: vm.name });
       } else {
-        console.error(`[VMManager] Failed to register with Master: ${response.status}`);
+        console.error(`[VMManager] Master unreachable, registration of ${vm.name} queued: ${sent.error}`);
       }
     } catch (error) {
-      console.error(`[VMManager] Master registration error:`, error);
+      console.error(`[VMManager] Master registration error:`, error instanceof Error ? error.message : error);
     }
   }
 
@@ -124,18 +483,18 @@ export class VMManager extends EventEmitter {
     if (!vm) return;
 
     try {
-      await fetch(`${MOLTBOT_MASTER_URL}/vps/heartbeat`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      // Queued heartbeats for a VM collapse into the latest one
+      await this.outbox.send({
+        op: 'vpsHeartbeat',
+        payload: {
           id: vm.id,
           status: vm.status === 'working' ? 'busy' : 'online',
           currentTask: vm.currentTask,
-        }),
-      });
+        },
+      }, { coalesceKey: `heartbeat:${vm.id}` });
     } catch (error) {
       // Silently fail - heartbeat is best-effort
-      console.error(`[VMManager] Heartbeat error for ${vmId}:`, error);
+      console.error(`[VMManager] Heartbeat error for ${vmId}:`, error instanceof Error ? error.message : error);
     }
   }
 
@@ -170,243 +529,532 @@ export class VMManager extends EventEmitter {
   }
 
   /**
-   * Start polling for delegated tasks from Master
+   * Periodically hand queued jobs to idle VMs and, when enabled, pull
+   * delegated tasks from Master into the queue
    */
-  startTaskPolling(vmId: string): void {
-    if (!this.enableMasterRegistration) return;
-    if (this.taskPollTimers.has(vmId)) return; // Already polling
+  private startJobDispatcher(): void {
+    this.jobTimer = setInterval(() => this.dispatchJobs(), JOB_DISPATCH_INTERVAL_MS);
+    this.jobTimer.unref();
+
+    if (JOBS_UPSTREAM && this.enableMasterRegistration) {
+      this.upstreamTimer = setInterval(() => {
+        this.syncUpstreamJobs().catch((error) => console.error('[VMManager] Upstream job sync failed:', error));
+      }, TASK_POLL_INTERVAL_MS);
+      this.upstreamTimer.unref();
+    }
+  }
 
-    const vm = this.get(vmId);
-    if (!vm?.tags.includes('coding-ready')) {
-      console.log(`[VMManager] VM ${vmId} not ready for task polling (needs bootstrap)`);
-      return;
+  /**
+   * Queue jobs for idle VMs to pull
+   */
+  submitJobs(inputs: JobInput[]): Job[] {
+    const jobs = inputs.map((input) => this.jobs.submit(input));
+    for (const job of jobs) {
+      this.emit('job_queued', { jobId: job.id, kind: job.kind, tag: job.tag, vmId: job.vmId, priority: job.priority });
     }
+    this.dispatchJobs();
+    return jobs;
+  }
 
-    const pollTimer = setInterval(async () => {
-      try {
-        // Check for pending tasks for this VPS
-        const response = await fetch(`${MOLTBOT_MASTER_URL}/vps/tasks/${vmId}`);
-        if (!response.ok) return;
-
-        const data = await response.json() as { tasks: DelegatedTask[] };
-        if (data.tasks && data.tasks.length > 0) {
-          for (const task of data.tasks) {
-            await this.executeDelegatedTask(vmId, task);
-          }
-        }
-      } catch {
-        // Ignore polling errors
-      }
-    }, TASK_POLL_INTERVAL_MS);
+  getJob(jobId: string): Job | undefined {
+    return this.jobs.get(jobId);
+  }
 
-    this.taskPollTimers.set(vmId, pollTimer);
-    console.log(`[VMManager] Started task polling for VM ${vmId}`);
+  listJobs(filter: { status?: JobStatus; tag?: string; vmId?: string } = {}): Job[] {
+    return this.jobs.list(filter);
+  }
+
+  getJobCounts(): Record<JobStatus, number> {
+    return this.jobs.counts();
   }
 
   /**
-   * Stop task polling for a VM
+   * Cancel a queued job, or stop a running one (its command is killed and
+   * an agent task stops before its next step)
    */
-  stopTaskPolling(vmId: string): void {
-    const timer = this.taskPollTimers.get(vmId);
-    if (timer) {
-      clearInterval(timer);
-      this.taskPollTimers.delete(vmId);
+  cancelJob(jobId: string): { job: Job; previousStatus?: JobStatus } {
+    const previousStatus = this.jobs.cancel(jobId);
+    const job = this.jobs.get(jobId)!;
+
+    if (previousStatus) {
+      this.runningJobs.get(jobId)?.controller.abort();
+      this.emit('job_finished', { jobId, vmId: job.assignedVm, status: job.status, attempts: job.attempts });
+      this.reportUpstream(job);
     }
+    return { job, previousStatus };
   }
 
   /**
-   * Execute a delegated task on a VM using Claude Code CLI
+   * Give each idle VM the highest-priority job it may run. A VM runs one
+   * job at a time; unclaimed pool spares don't take jobs.
    */
-  async executeDelegatedTask(vmId: string, task: DelegatedTask): Promise<void> {
-    const entry = this.vms.get(vmId);
-    if (!entry) return;
+  private dispatchJobs(): void {
+    const busy = new Set([...this.runningJobs.values()].map((running) => running.vmId));
 
-    const { computer, meta: vm } = entry;
-    if (!computer?.interface) return;
+    for (const vm of this.getAll()) {
+      if (busy.has(vm.id) || this.pool.isSpare(vm.id) || (vm.status !== 'ready' && vm.status !== 'idle')) continue;
 
-    console.log(`[VMManager] Executing delegated task on VM ${vmId}: ${task.task.slice(0, 50)}...`);
-    vm.status = 'working';
-    vm.currentTask = task.task;
-    this.emit('task_delegated', { vmId, taskId: task.id, task: task.task });
+      const job = this.jobs.next(vm, (candidate) => candidate.kind === 'task' || vm.osType !== 'windows');
+      if (job) {
+        busy.add(vm.id);
+        this.runJob(job.id, vm.id).catch((error) => console.error(`[VMManager] Job ${job.id} failed:`, error));
+      }
+    }
+  }
+
+  /**
+   * Run one attempt of a job and record the outcome
+   */
+  private async runJob(jobId: string, vmId: string): Promise<void> {
+    const controller = new AbortController();
+    this.runningJobs.set(jobId, { vmId, controller });
+    const job = this.jobs.start(jobId, vmId);
+
+    console.error(`[VMManager] Running job ${jobId} on VM ${vmId} (attempt ${job.attempts}/${job.maxAttempts}): ${job.task.slice(0, 50)}...`);
+    this.emit('job_started', { jobId, vmId, kind: job.kind, attempt: job.attempts });
+    this.reportUpstream(job);
 
     try {
-      const iface = computer.interface;
+      const { result, error, retryable } = await this.executeJob(job, vmId, controller.signal);
+      if (result.success) {
+        this.jobs.complete(jobId, result);
+      } else {
+        this.jobs.fail(jobId, error || 'Job failed', result, retryable);
+      }
+    } catch (error) {
+      // Blocked by the safety policy or an approver - running it again won't help
+      const retryable = !taskBlock(error);
+      this.jobs.fail(jobId, redact(error instanceof Error ? error.message : String(error)), undefined, retryable);
+    } finally {
+      this.runningJobs.delete(jobId);
+    }
 
-      // Open terminal
-      await iface.pressKey('ctrl+alt+t');
-      await this.delay(1500);
-
-      // Run Claude with the task
-      const escapedTask = task.task.replace(/'/g, "'\\''");
-      const claudeCmd = `claude -p '${escapedTask}' --yes 2>&1 | tee /tmp/task-${task.id}.log`;
-
-      await iface.typeText(claudeCmd);
-      await iface.pressKey('Return');
-
-      // Let Claude work (this is async - the task will complete in background)
-      // Report that we started the task
-      await fetch(`${MOLTBOT_MASTER_URL}/vps/update`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          taskId: task.id,
-          vpsId: vmId,
-          status: 'in_progress',
-        }),
+    const finished = this.jobs.get(jobId)!;
+    if (finished.status !== 'cancelled') {
+      // A failed attempt with retries left is queued again
+      this.emit('job_finished', {
+        jobId,
+        vmId,
+        status: finished.status,
+        attempts: finished.attempts,
+        retryAt: finished.notBefore,
+        error: finished.error,
       });
+      this.reportUpstream(finished);
+    }
+    this.dispatchJobs();
+  }
 
-      this.emit('task_started', { vmId, taskId: task.id });
-    } catch (error) {
-      console.error(`[VMManager] Failed to execute task on ${vmId}:`, error);
-      vm.status = 'error';
+  /**
+   * Run a job's task on a VM
+   */
+  private async executeJob(
+    job: Job,
+    vmId: string,
+    signal: AbortSignal
+  ): Promise<{ result: JobResult; error?: string; retryable?: boolean }> {
+    const timeoutMs = job.timeoutSeconds ? job.timeoutSeconds * 1000 : undefined;
+
+    if (job.kind === 'task') {
+      const result = await this.executeTask(vmId, job.task, { signal });
+      return {
+        result: { success: result.success, output: redact(result.output), steps: result.steps, durationMs: result.duration },
+        error: result.error && redact(result.error),
+        // Blocked by the safety policy or an approver - running it again won't help
+        retryable: !result.blocked,
+      };
+    }
+
+    const vm = this.get(vmId)!;
+    vm.status = 'working';
+    vm.currentTask = job.task;
+
+    try {
+      // claude jobs keep a log on the VM as well, for debugging after the fact
+      const output = job.kind === 'command'
+        ? await this.runCommand(vmId, job.task, { timeoutMs, signal })
+        : await this.execCommand(
+          vmId,
+          `claude -p ${shellQuote(job.task)} --yes > /tmp/task-${job.id}.log 2>&1; code=$?; cat /tmp/task-${job.id}.log; exit $code`,
+          { timeoutMs: timeoutMs || DELEGATED_TASK_TIMEOUT_MS, signal }
+        );
+
+      const result: JobResult = {
+        success: output.exitCode === 0,
+        exitCode: output.exitCode,
+        output: redact(output.stdout.slice(-JOB_OUTPUT_CHARS)),
+        stderr: redact(output.stderr.slice(-JOB_OUTPUT_CHARS)) || undefined,
+        durationMs: output.durationMs,
+      };
+      const error = output.cancelled ? 'Cancelled' : output.timedOut ? 'Timed out' : `Exit code ${output.exitCode}`;
+      return { result, error: result.success ? undefined : error };
+    } finally {
+      if (vm.status === 'working') vm.status = 'ready';
+      vm.currentTask = undefined;
     }
   }
 
   /**
-   * Bootstrap a Linux VM for coding tasks
-   * Installs Claude Code CLI and plugins via terminal commands
+   * Pull tasks delegated to our coding VMs on Moltbot Master into the local queue
    */
-  async bootstrapForCoding(vmId: string, anthropicApiKey?: string): Promise<{ success: boolean; message: string }> {
+  private async syncUpstreamJobs(): Promise<void> {
+    for (const vm of this.getByTag('coding-ready')) {
+      try {
+        const tasks = await this.master.getVpsTasks(vm.id);
+        const fresh = tasks.filter((task) => !this.jobs.findByUpstreamId(task.id));
+        if (fresh.length === 0) continue;
+
+        console.error(`[VMManager] Queued ${fresh.length} delegated task(s) for VM ${vm.id}`);
+        this.submitJobs(fresh.map((task) => ({
+          kind: 'claude' as const,
+          task: task.task,
+          vmId: vm.id,
+          priority: task.priority as JobInput['priority'],
+          // Master decides whether to hand the task out again
+          maxAttempts: 1,
+          upstreamId: task.id,
+        })));
+      } catch {
+        // Ignore polling errors
+      }
+    }
+  }
+
+  /**
+   * Tell Master how a job pulled from it is going
+   */
+  private reportUpstream(job: Job): void {
+    if (!job.upstreamId || job.status === 'queued') return;
+
+    const status = job.status === 'running' ? 'in_progress' : job.status;
+    this.outbox.send({
+      op: 'updateTask',
+      payload: {
+        taskId: job.upstreamId,
+        vpsId: job.assignedVm || job.vmId,
+        status,
+        exitCode: job.result?.exitCode,
+        output: job.result?.output,
+        durationMs: job.result?.durationMs,
+        error: job.error,
+      },
+    }, {
+      idempotencyKey: `task:${job.upstreamId}:${status}:${job.attempts}`,
+      coalesceKey: `task:${job.upstreamId}`,
+    }).catch((error) => console.error(`[VMManager] Master rejected update for task ${job.upstreamId}:`, error.message));
+  }
+
+  /**
+   * Apply a provisioning recipe to a VM, one step at a time. Stops at the
+   * first failed step; verification checks all run so each one is reported.
+   */
+  async provision(
+    vmId: string,
+    recipeName: string,
+    variables: Record<string, string> = {},
+    secretValues: Record<string, string> = {}
+  ): Promise<ProvisionResult> {
     const entry = this.vms.get(vmId);
     if (!entry) {
       throw new Error(`VM ${vmId} not found`);
     }
 
-    const { computer, meta: vm } = entry;
+    for (const [name, value] of Object.entries(secretValues)) {
+      registerSecretValue(name, value);
+    }
 
-    if (!computer || !computer.interface) {
-      throw new Error(`VM ${vmId} interface not ready`);
+    const { meta: vm } = entry;
+    const { recipe, steps, env } = planRecipe(loadRecipe(recipeName), {
+      osType: vm.osType,
+      vmId,
+      vmName: vm.name,
+      masterUrl: this.master.url,
+      variables,
+      resolveSecret: (name) => secretValues[name] ?? this.secrets.require(name),
+    });
+
+    const results: ProvisionStep[] = steps.map((step) => ({
+      id: step.id,
+      name: step.name,
+      description: step.check ? 'check' : undefined,
+      status: 'pending',
+    }));
+
+    console.error(`[VMManager] Provisioning VM ${vmId} with recipe "${recipe.name}" (${steps.length} steps)...`);
+    vm.status = 'working';
+    this.emit('vm_status', { vmId, status: 'provisioning' });
+    this.emit('provision_started', { vmId, recipe: recipe.name, steps: results });
+
+    let failed: ProvisionStep | undefined;
+    for (const [index, step] of steps.entries()) {
+      // After a failure only the remaining checks still run
+      if (failed && !step.check) continue;
+
+      const result = results[index];
+      result.status = 'in_progress';
+      result.startedAt = new Date().toISOString();
+      vm.currentTask = step.name;
+      this.emit('provision_step', { vmId, recipe: recipe.name, step: result });
+
+      try {
+        const output = await this.execCommand(vmId, step.command, {
+          env,
+          timeoutMs: step.timeoutMs || PROVISION_STEP_TIMEOUT_MS,
+        });
+        result.exitCode = output.exitCode;
+        if (output.exitCode !== 0) {
+          const detail = (output.stderr || output.stdout).trim().slice(-500);
+          result.status = 'error';
+          result.error = `${output.timedOut ? 'Timed out' : `Exit code ${output.exitCode}`}${detail ? `: ${detail}` : ''}`;
+        } else {
+          result.status = 'completed';
+        }
+      } catch (error) {
+        result.status = 'error';
+        result.error = error instanceof Error ? error.message : String(error);
+      }
+
+      result.completedAt = new Date().toISOString();
+      failed = failed || (result.status === 'error' ? result : undefined);
+      this.emit('provision_step', { vmId, recipe: recipe.name, step: result });
     }
 
-    if (vm.osType !== 'linux') {
-      return { success: false, message: 'Bootstrap currently only supports Linux VMs' };
+    vm.currentTask = undefined;
+    const success = !failed;
+    if (success) {
+      vm.status = 'ready';
+      for (const tag of recipe.tags || []) {
+        if (!vm.tags.includes(tag)) vm.tags.push(tag);
+      }
+      vm.recipes = [...new Set([...(vm.recipes || []), recipe.name])];
+      this.persist(vmId);
+      // Re-register so Master sees the capabilities the recipe added
+      if (recipe.tags?.length) await this.registerWithMaster(vm);
+    } else {
+      vm.status = 'error';
     }
 
-    const apiKey = anthropicApiKey || process.env.ANTHROPIC_API_KEY;
-    if (!apiKey) {
-      return { success: false, message: 'ANTHROPIC_API_KEY required for bootstrap' };
+    const message = success
+      ? `VM provisioned with recipe "${recipe.name}"`
+      : `Provisioning failed at "${failed!.name}": ${failed!.error}`;
+    console.error(`[VMManager] ${message} (${vmId})`);
+    this.emit('provision_complete', { vmId, recipe: recipe.name, success, message });
+
+    return { vmId, recipe: recipe.name, success, message, steps: results };
+  }
+
+  /**
+   * Write secrets from the secret store to the VM's secrets file, passing the
+   * values through the command channel's environment
+   */
+  async pushSecrets(vmId: string, names: string[]): Promise<{ pushed: string[]; file: string }> {
+    const vm = this.get(vmId);
+    if (!vm) {
+      throw new Error(`VM ${vmId} not found`);
     }
 
-    console.log(`[VMManager] Bootstrapping VM ${vmId} for coding...`);
-    vm.status = 'working';
-    vm.currentTask = 'Installing Claude Code';
-    this.emit('vm_status', { vmId, status: 'bootstrapping' });
+    const env: Record<string, string> = {};
+    for (const name of names) {
+      env[secretEnvName(name)] = this.secrets.require(name);
+    }
 
-    const iface = computer.interface;
+    const result = await this.execCommand(vmId, secretsPushScript(names, vm.osType), { env });
+    if (result.exitCode !== 0) {
+      throw new Error(`Failed to push secrets (exit code ${result.exitCode}): ${redact(result.stderr.trim().slice(-500))}`);
+    }
 
-    try {
-      // Open terminal
-      await iface.pressKey('ctrl+alt+t');
-      await this.delay(2000);
-
-      // Install Node.js and Claude Code
-      const setupCommands = [
-        // Install Node.js if not present
-        'curl -fsSL https://deb.nodesource.com/setup_20.x | sudo -E bash - && sudo apt-get install -y nodejs',
-        // Install Claude Code
-        'npm install -g @anthropic-ai/claude-code@latest || npm install -g claude-code@latest',
-        // Set API key
-        `echo "export ANTHROPIC_API_KEY=${apiKey}" >> ~/.bashrc`,
-        `export ANTHROPIC_API_KEY=${apiKey}`,
-        // Create config
-        'mkdir -p ~/.config/claude && echo \'{"model":"claude-sonnet-4-20250514"}\' > ~/.config/claude/config.json',
-        // Configure git
-        `git config --global user.name "Moltbot VPS ${vmId.slice(0, 8)}"`,
-        `git config --global user.email "moltbot-${vmId.slice(0, 8)}@swarm.local"`,
-      ];
-
-      for (const cmd of setupCommands) {
-        await iface.typeText(cmd);
-        await iface.pressKey('Return');
-        await this.delay(3000); // Wait for command to complete
+    this.emit('secrets_pushed', { vmId, names });
+    return { pushed: names.map(secretEnvName), file: GUEST_SECRETS_FILE };
+  }
+
+  /**
+   * Secret names in the store and the vault cache
+   */
+  listSecrets(): ReturnType<SecretStore['list']> {
+    return this.secrets.list();
+  }
+
+  /**
+   * Write a browser storage state to a plain JSON file on the VM (by default
+   * ~/.strawberry/browser-profiles/<name>.json), where a browser automation
+   * tool on the guest can load it. The cookies are sessions, so like secrets
+   * they travel in the command environment (see command-runner.ts), never in
+   * a command line, in base64 chunks small enough for one variable.
+   */
+  async pushBrowserProfile(vmId: string, name: string, state: StorageState, guestPath?: string): Promise<{ file: string; bytes: number }> {
+    const file = guestPath || `${GUEST_PROFILES_DIR}/${name}.json`;
+    const target = shellPath(file);
+    const json = JSON.stringify(state, null, 2);
+    const encoded = Buffer.from(json).toString('base64');
+
+    const chunks: string[] = [];
+    for (let i = 0; i < encoded.length; i += PROFILE_CHUNK_CHARS) {
+      chunks.push(encoded.slice(i, i + PROFILE_CHUNK_CHARS));
+    }
+
+    for (const [index, chunk] of chunks.entries()) {
+      // printf is a shell builtin, so the chunk doesn't reach a process's argv either
+      const command =
+        index === 0
+          ? `umask 077 && mkdir -p "$(dirname ${target})" && printf %s "$PROFILE_CHUNK" > ${target}.b64`
+          : `printf %s "$PROFILE_CHUNK" >> ${target}.b64`;
+      const result = await this.execCommand(vmId, command, { env: { PROFILE_CHUNK: chunk } });
+      if (result.exitCode !== 0) {
+        throw new Error(`Failed to copy browser profile to ${file} (exit code ${result.exitCode}): ${result.stderr.trim().slice(-500)}`);
       }
+    }
 
-      // Register with Master
-      const registerCmd = `curl -s -X POST "${MOLTBOT_MASTER_URL}/vps/register" -H "Content-Type: application/json" -d '{"id":"${vmId}","name":"VPS-${vmId.slice(0, 8)}","endpoint":"trycua","capabilities":["claude-code","git","coding"]}'`;
-      await iface.typeText(registerCmd);
-      await iface.pressKey('Return');
-      await this.delay(2000);
+    const result = await this.execCommand(
+      vmId,
+      `base64 -d < ${target}.b64 > ${target}.tmp && mv ${target}.tmp ${target} && chmod 600 ${target}; status=$?; rm -f ${target}.b64; exit $status`
+    );
+    if (result.exitCode !== 0) {
+      throw new Error(`Failed to write browser profile ${file} (exit code ${result.exitCode}): ${result.stderr.trim().slice(-500)}`);
+    }
 
-      // Close terminal
-      await iface.pressKey('ctrl+d');
+    this.emit('browser_profile_pushed', { vmId, name, file });
+    return { file, bytes: Buffer.byteLength(json) };
+  }
 
-      vm.status = 'ready';
-      vm.currentTask = undefined;
-      vm.tags.push('claude-code', 'coding-ready');
+  /**
+   * Read a storage state file (e.g. saved by Playwright) off the VM, in
+   * chunks small enough for the command output buffer
+   */
+  async pullBrowserProfile(vmId: string, guestPath: string): Promise<StorageState> {
+    const target = shellPath(guestPath);
+    const parts: Buffer[] = [];
+
+    // The read pipeline below succeeds (and returns nothing) for a missing file
+    const exists = await this.execCommand(vmId, `test -f ${target}`);
+    if (exists.exitCode !== 0) {
+      throw new Error(`${guestPath} not found on ${vmId}`);
+    }
 
-      console.log(`[VMManager] VM ${vmId} bootstrapped for coding`);
-      this.emit('vm_bootstrapped', { vmId });
+    for (let offset = 0; ; offset += PROFILE_CHUNK_BYTES) {
+      const result = await this.execCommand(vmId, `tail -c +${offset + 1} ${target} | head -c ${PROFILE_CHUNK_BYTES} | base64`);
+      if (result.exitCode !== 0) {
+        throw new Error(`Failed to read ${guestPath} (exit code ${result.exitCode}): ${result.stderr.trim().slice(-500)}`);
+      }
+      const part = Buffer.from(result.stdout.replace(/\s+/g, ''), 'base64');
+      parts.push(part);
+      if (part.length < PROFILE_CHUNK_BYTES) break;
+    }
 
-      return { success: true, message: 'VM bootstrapped with Claude Code CLI' };
+    let data: unknown;
+    try {
+      data = JSON.parse(Buffer.concat(parts).toString('utf8'));
     } catch (error) {
-      vm.status = 'error';
-      return { success: false, message: `Bootstrap failed: ${error}` };
+      throw new Error(`${guestPath} on ${vmId} is not valid JSON: ${error instanceof Error ? error.message : error}`);
     }
+    return parseStorageState(data, `${guestPath} on ${vmId}`);
   }
 
   /**
-   * Map our OSType to TryCua's OSType enum
+   * Bootstrap a VM for coding tasks with the claude-code recipe (Claude Code
+   * CLI, git identity, Moltbot Master registration)
    */
-  private mapOSType(osType: OSType): CuaOSType {
-    switch (osType) {
-      case 'windows':
-        return CuaOSType.WINDOWS;
-      case 'linux':
-        return CuaOSType.LINUX;
-      case 'macos':
-      default:
-        return CuaOSType.MACOS;
+  async bootstrapForCoding(vmId: string, anthropicApiKey?: string, recipeName: string = 'claude-code'): Promise<ProvisionResult> {
+    const result = await this.provision(vmId, recipeName, {}, anthropicApiKey ? { ANTHROPIC_API_KEY: anthropicApiKey } : {});
+    if (result.success) {
+      this.emit('vm_bootstrapped', { vmId });
     }
+    return result;
   }
 
   /**
-   * Provision a VM via TryCua Cloud API
-   * This creates the actual cloud VM before we can connect to it
+   * Spawn a VM, handing out a ready warm-pool spare when one matches the
+   * request, otherwise booting a new one via the configured provider
    */
-  private async provisionVM(osType: OSType, region: string = 'north-america', size: VMSize = 'small'): Promise<VMProvisionResponse> {
-    const response = await fetch(`${API_BASE}/v1/vms`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        os: osType,
-        configuration: size || 'small',
-        region: region,
-      }),
-    });
+  async spawn(config: VMConfig): Promise<VM> {
+    const startedAt = Date.now();
+    const providerName = config.provider || this.defaultProvider;
+    const size: VMSize = config.size || 'small';
+
+    // Snapshots have their own disk, so they never come from the pool
+    if (!config.fromSnapshot) {
+      const spare = this.claimSpare(config);
+      if (spare) {
+        this.pool.recordHit(Date.now() - startedAt);
+        return spare;
+      }
+    }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Failed to provision VM: ${response.status} - ${errorText}`);
+    if (this.pool.isEnabled()) {
+      this.pool.recordMiss();
     }
+    await this.evictSpares(providerName, size);
 
-    return await response.json() as VMProvisionResponse;
+    const vm = await this.create(config);
+    if (this.pool.isEnabled()) {
+      this.pool.recordColdSpawn(Date.now() - startedAt);
+    }
+    return vm;
   }
 
   /**
-   * Delete a VM via TryCua Cloud API
+   * Take a ready spare matching the request out of the pool and give it the
+   * request's tags and limits
    */
-  private async deleteVM(cloudName: string): Promise<void> {
-    const response = await fetch(`${API_BASE}/v1/vms/${cloudName}`, {
-      method: 'DELETE',
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-      },
-    });
+  private claimSpare(config: VMConfig): VM | undefined {
+    const vmId = this.pool.claim(
+      config.provider || this.defaultProvider,
+      config.osType || 'windows',
+      config.size || 'small',
+      config.recipe,
+      (id) => this.get(id)?.status === 'ready'
+    );
+    const vm = vmId ? this.get(vmId) : undefined;
+    if (!vm) return undefined;
+
+    vm.tags = [...new Set([...vm.tags, ...(config.tags || [])])];
+    vm.idleTimeoutMinutes = config.idleTimeoutMinutes ?? DEFAULT_IDLE_TIMEOUT_MINUTES;
+    vm.maxLifetimeMinutes = config.maxLifetimeMinutes ?? DEFAULT_MAX_LIFETIME_MINUTES;
+    vm.claimedAt = new Date();
+    vm.lastActivity = vm.claimedAt;
+    this.persist(vm.id);
+
+    console.error(`[VMManager] Handed out warm spare ${vm.name} (${vm.id}) for "${config.name}"`);
+    this.emit('pool_claimed', { vmId: vm.id, name: config.name });
+    this.refillPool().catch((error) => console.error('[VMManager] Pool refill failed:', error));
+    return vm;
+  }
 
-    if (!response.ok && response.status !== 404) {
-      console.error(`[VMManager] Failed to delete VM ${cloudName}: ${response.status}`);
+  /**
+   * Stop ready spares, oldest first, until there is room for a new VM
+   * under the VM limit and the hourly budget
+   */
+  private async evictSpares(providerName: VMProviderName, size: VMSize): Promise<void> {
+    const full = () =>
+      this.vms.size >= this.maxVms ||
+      (this.hourlyBudget !== undefined && this.getHourlyCost() + this.hourlyCost({ provider: providerName, size }) > this.hourlyBudget);
+
+    for (const vmId of this.pool.readySpares()) {
+      if (!full()) break;
+      console.error(`[VMManager] Stopping warm spare ${vmId} to make room`);
+      this.pool.recordEviction(vmId);
+      await this.stop(vmId);
     }
   }
 
   /**
-   * Spawn a new VM via TryCua Cloud
+   * Boot a new VM via the provider. With poolTarget the VM is started as a
+   * warm-pool spare and is stopped again if it fails.
    */
-  async spawn(config: VMConfig): Promise<VM> {
-    if (!this.apiKey) {
-      throw new Error('CUA_API_KEY not set. Get your API key at https://cua.ai');
+  private async create(config: VMConfig, poolTarget?: PoolTarget): Promise<VM> {
+    const snapshot = config.fromSnapshot ? this.registry.getSnapshot(config.fromSnapshot) : undefined;
+    if (config.fromSnapshot && !snapshot) {
+      throw new Error(`Snapshot ${config.fromSnapshot} not found`);
+    }
+    if (snapshot && config.provider && config.provider !== snapshot.provider) {
+      throw new Error(`Snapshot ${snapshot.name} lives on ${snapshot.provider}, not ${config.provider}`);
+    }
+
+    const providerName = snapshot?.provider || config.provider || this.defaultProvider;
+    const provider = this.getProvider(providerName);
+
+    const configError = provider.configurationError();
+    if (configError) {
+      throw new Error(configError);
     }
 
     if (this.vms.size >= this.maxVms) {
@@ -414,58 +1062,78 @@ export class VMManager extends EventEmitter {
     }
 
     const id = uuidv4();
-    const osType = config.osType || 'windows'; // Default to Windows
+    const osType = snapshot?.osType || config.osType || 'windows'; // Default to Windows
     const size: VMSize = config.size || 'small';
     const resources = VM_SIZE_SPECS[size];
 
+    if (this.hourlyBudget !== undefined) {
+      const projected = this.getHourlyCost() + this.hourlyCost({ provider: providerName, size });
+      if (projected > this.hourlyBudget) {
+        throw new Error(
+          `Spawning a ${size} VM would raise the hourly cost to $${projected.toFixed(2)}, over the $${this.hourlyBudget.toFixed(2)} budget`
+        );
+      }
+    }
+
     const vm: VM = {
       id,
       name: config.name,
       osType,
       status: 'spawning',
-      tags: config.tags || [],
+      tags: [...new Set([...(config.tags || []), ...(snapshot?.tags || [])])],
       size,
       resources,
       region: config.region,
+      provider: providerName,
+      idleTimeoutMinutes: config.idleTimeoutMinutes ?? DEFAULT_IDLE_TIMEOUT_MINUTES,
+      maxLifetimeMinutes: config.maxLifetimeMinutes ?? DEFAULT_MAX_LIFETIME_MINUTES,
+      snapshotId: snapshot?.id,
       createdAt: new Date(),
     };
 
     this.vms.set(id, { computer: null as any, meta: vm });
+    if (poolTarget) this.pool.add(id, poolTarget);
     this.emit('vm_created', { vmId: id, name: config.name });
 
     try {
-      // Step 1: Provision VM via API
-      console.log(`[VMManager] Provisioning ${osType} VM...`);
+      // Step 1: Provision VM via the provider
+      console.error(`[VMManager] Provisioning ${osType} VM via ${providerName}${snapshot ? ` from snapshot ${snapshot.name}` : ''}...`);
       vm.status = 'setting_up';
       this.emit('vm_status', { vmId: id, status: 'setting_up' });
 
-      const provision = await this.provisionVM(osType, config.region || 'north-america', size);
-      console.log(`[VMManager] VM provisioned: ${provision.name} at ${provision.host}`);
+      const provision = await provider.provision({
+        osType,
+        region: config.region || 'north-america',
+        size,
+        snapshot: snapshot?.ref,
+      });
+      console.error(`[VMManager] VM provisioned: ${provision.name} at ${provision.host}`);
+
+      // Record the provider name right away so stop() can clean up if we fail below
+      this.vms.set(id, { computer: null as any, meta: vm, cloudName: provision.name });
+      this.persist(id);
 
       // Step 2: Wait for VM's WebSocket to be accessible before connecting
       // Newly provisioned VMs take time to boot and start the WebSocket server
-      console.log(`[VMManager] Waiting for VM to be fully ready...`);
-      await this.waitForVMReady(provision.host, 180); // Wait up to 3 minutes
-
-      // Step 3: Connect to the provisioned VM using SDK
-      const computer = new Computer({
-        name: provision.name, // Use the cloud-assigned name
-        osType: this.mapOSType(osType),
-        apiKey: this.apiKey,
-      });
+      console.error(`[VMManager] Waiting for VM to be fully ready...`);
+      await this.waitForVMReady(provision.wsUrl, provision.wsHeaders, 180); // Wait up to 3 minutes
 
-      console.log(`[VMManager] Connecting to VM at ${provision.host}...`);
-      await computer.run();
+      // Step 3: Connect to the provisioned VM
+      console.error(`[VMManager] Connecting to VM at ${provision.host}...`);
+      const computer = await provider.connect(provision, osType);
 
-      // Update our stored reference with cloud name for cleanup
+      // Update our stored reference with provider name for cleanup
       this.vms.set(id, { computer, meta: vm, cloudName: provision.name });
 
       // Update VM with actual host info
       vm.name = provision.name;
+      vm.host = provision.host;
       vm.status = 'ready';
+      vm.lastActivity = new Date();
+      this.persist(id);
       this.emit('vm_ready', { vmId: id });
 
-      console.log(`[VMManager] VM "${provision.name}" (${osType}) is ready`);
+      console.error(`[VMManager] VM "${provision.name}" (${osType}) is ready`);
 
       // Register with Moltbot Master and start heartbeat
       await this.registerWithMaster(vm);
@@ -475,24 +1143,196 @@ export class VMManager extends EventEmitter {
     } catch (error) {
       vm.status = 'error';
       this.emit('vm_error', { vmId: id, error: String(error) });
+      if (poolTarget) {
+        this.pool.markFailed(id);
+        await this.stop(id).catch((stopError) => console.error(`[VMManager] Failed to clean up spare ${id}:`, stopError));
+      }
       throw error;
     }
   }
 
+  /**
+   * Start keeping the warm pool filled (called once the registry has been reconciled)
+   */
+  startPool(): void {
+    if (this.poolTimer) return;
+    this.poolTimer = setInterval(() => {
+      this.refillPool().catch((error) => console.error('[VMManager] Pool refill failed:', error));
+    }, POOL_REFILL_INTERVAL_MS);
+    this.poolTimer.unref();
+
+    if (this.pool.isEnabled()) {
+      const targets = this.pool.getConfig().targets.map((t) => `${t.osType}:${t.size}=${t.min}`).join(', ');
+      console.error(`[VMManager] Warm pool enabled (${targets}, max ${this.pool.getConfig().maxTotal})`);
+    }
+    this.refillPool().catch((error) => console.error('[VMManager] Pool refill failed:', error));
+  }
+
+  /**
+   * Change the warm pool's targets or maximum. Spares nobody wants any more
+   * are stopped and missing ones are started in the background.
+   */
+  async configurePool(config: Partial<WarmPoolConfig>): Promise<WarmPoolStatus> {
+    this.pool.configure(config);
+    await this.refillPool();
+    return this.pool.status();
+  }
+
+  /**
+   * Stop surplus spares and start new ones for every target below its
+   * minimum, within the VM limit and the hourly budget. Spares warm up in
+   * the background; this returns once they have been started.
+   */
+  async refillPool(): Promise<void> {
+    if (this.trimmingPool) return;
+    this.trimmingPool = true;
+    try {
+      for (const vmId of this.pool.surplus()) {
+        console.error(`[VMManager] Stopping surplus warm spare ${vmId}`);
+        this.pool.remove(vmId);
+        await this.stop(vmId);
+      }
+    } finally {
+      this.trimmingPool = false;
+    }
+
+    for (const target of this.pool.deficits()) {
+      const provider = target.provider || this.defaultProvider;
+      if (this.vms.size >= this.maxVms || this.getProvider(provider).configurationError()) break;
+      if (this.hourlyBudget !== undefined &&
+          this.getHourlyCost() + this.hourlyCost({ provider, size: target.size }) > this.hourlyBudget) {
+        continue;
+      }
+      // create() registers the spare before its first await, so the next
+      // deficits() call already counts it
+      this.warmSpare(target).catch((error) =>
+        console.error(`[VMManager] Warm spare for ${target.osType}:${target.size} failed:`, error instanceof Error ? error.message : error)
+      );
+    }
+  }
+
+  /**
+   * Boot one spare and apply the target's recipe
+   */
+  private async warmSpare(target: PoolTarget): Promise<void> {
+    const vm = await this.create(
+      {
+        name: `pool-${target.osType}-${target.size}`,
+        osType: target.osType,
+        size: target.size,
+        provider: target.provider,
+      },
+      target
+    );
+
+    if (target.recipe) {
+      const result = await this.provision(vm.id, target.recipe).catch((error) => ({
+        success: false,
+        message: error instanceof Error ? error.message : String(error),
+      }));
+      if (!result.success) {
+        this.pool.markFailed(vm.id);
+        await this.stop(vm.id);
+        throw new Error(result.message);
+      }
+    }
+
+    // Claimed or stopped while it was warming up
+    if (!this.pool.isSpare(vm.id)) return;
+    this.pool.markReady(vm.id);
+    this.emit('pool_spare_ready', { vmId: vm.id, osType: vm.osType, size: vm.size, recipe: target.recipe });
+  }
+
+  /**
+   * Capture a VM's disk as a snapshot that new VMs can be spawned from
+   */
+  async snapshot(vmId: string, name?: string): Promise<SnapshotRecord> {
+    const entry = this.vms.get(vmId);
+    if (!entry) {
+      throw new Error(`VM ${vmId} not found`);
+    }
+
+    const { meta: vm, cloudName } = entry;
+    const provider = this.getProvider(vm.provider);
+    if (!provider.snapshot || !cloudName) {
+      throw new Error(`The ${vm.provider} provider does not support snapshots (docker and qemu do)`);
+    }
+
+    const id = uuidv4();
+    const snapshotName = name || `${vm.name}-${new Date().toISOString().slice(0, 16).replace(/[-:T]/g, '')}`;
+    if (this.registry.getSnapshot(snapshotName)) {
+      throw new Error(`A snapshot named ${snapshotName} already exists`);
+    }
+
+    console.error(`[VMManager] Snapshotting VM ${vmId} as "${snapshotName}"...`);
+    const previousStatus = vm.status;
+    vm.status = 'working';
+    vm.currentTask = 'Taking snapshot';
+
+    let ref: string;
+    try {
+      ref = await provider.snapshot(cloudName, id);
+    } finally {
+      vm.status = previousStatus;
+      vm.currentTask = undefined;
+    }
+
+    const record: SnapshotRecord = {
+      id,
+      name: snapshotName,
+      provider: vm.provider,
+      ref,
+      osType: vm.osType,
+      size: vm.size,
+      tags: [...vm.tags],
+      sourceVmId: vm.id,
+      sourceVmName: vm.name,
+      createdAt: new Date().toISOString(),
+    };
+    this.registry.upsertSnapshot(record);
+    this.emit('vm_snapshot', { vmId, snapshotId: id, name: snapshotName });
+
+    return record;
+  }
+
+  /**
+   * All snapshots, newest first
+   */
+  listSnapshots(): SnapshotRecord[] {
+    return this.registry.getSnapshots();
+  }
+
+  /**
+   * Delete a snapshot and its provider-side image
+   */
+  async deleteSnapshot(idOrName: string): Promise<SnapshotRecord> {
+    const snapshot = this.registry.getSnapshot(idOrName);
+    if (!snapshot) {
+      throw new Error(`Snapshot ${idOrName} not found`);
+    }
+
+    await this.getProvider(snapshot.provider).deleteSnapshot?.(snapshot.ref);
+    this.registry.removeSnapshot(snapshot.id);
+    return snapshot;
+  }
+
   /**
    * Wait for VM's WebSocket server to be ready by testing TCP connectivity
    */
-  private async waitForVMReady(host: string, timeoutSeconds: number = 180): Promise<void> {
+  private async waitForVMReady(
+    wsUrl: string,
+    headers: Record<string, string> = {},
+    timeoutSeconds: number = 180
+  ): Promise<void> {
     const startTime = Date.now();
-    const wsUrl = `wss://${host}:8443/ws`;
 
     while (Date.now() - startTime < timeoutSeconds * 1000) {
       try {
         // Try to establish a WebSocket connection briefly
-        const connected = await this.testWebSocketConnection(wsUrl, 5000);
+        const connected = await this.testWebSocketConnection(wsUrl, headers, 5000);
         if (connected) {
           const elapsed = Math.floor((Date.now() - startTime) / 1000);
-          console.log(`[VMManager] VM WebSocket is ready (${elapsed}s)`);
+          console.error(`[VMManager] VM WebSocket is ready (${elapsed}s)`);
           return;
         }
       } catch {
@@ -501,7 +1341,7 @@ export class VMManager extends EventEmitter {
 
       // Wait before retrying
       const elapsed = Math.floor((Date.now() - startTime) / 1000);
-      console.log(`[VMManager] Waiting for VM WebSocket... (${elapsed}s)`);
+      console.error(`[VMManager] Waiting for VM WebSocket... (${elapsed}s)`);
       await new Promise(resolve => setTimeout(resolve, 5000));
     }
 
@@ -511,13 +1351,11 @@ export class VMManager extends EventEmitter {
   /**
    * Test if WebSocket connection can be established
    */
-  private testWebSocketConnection(url: string, timeout: number): Promise<boolean> {
+  private testWebSocketConnection(url: string, headers: Record<string, string>, timeout: number): Promise<boolean> {
     return new Promise((resolve) => {
-      // Add auth headers for cloud connection
+      // Provider supplies auth headers (e.g. X-API-Key for the cloud)
       const ws = new WebSocket(url, {
-        headers: {
-          'X-API-Key': this.apiKey,
-        },
+        headers,
         handshakeTimeout: timeout,
       });
 
@@ -555,11 +1393,20 @@ export class VMManager extends EventEmitter {
       throw new Error(`VM ${vmId} interface not ready`);
     }
 
+    // Throws PolicyViolationError/ApprovalDeniedError - the VM is fine, so don't mark it as errored
+    await this.checkAction(vmId, this.toPolicyAction(action), this.describeAction(action));
+
     vm.lastActivity = new Date();
 
     try {
       const iface = computer.interface;
 
+      // Keep the screen as it was before the action for the session bundle
+      const recording = this.recorder.isRecording(vmId);
+      const beforeB64 = recording
+        ? (await resizeScreenshot(await iface.screenshot())).toString('base64')
+        : undefined;
+
       switch (action.type) {
         case 'click':
           if (action.button === 'right') {
@@ -619,6 +1466,10 @@ export class VMManager extends EventEmitter {
       vm.screenshotB64 = imageB64;
       vm.lastAction = screenshot.lastAction;
 
+      if (recording) {
+        this.recorder.record(vmId, action, beforeB64, imageB64);
+      }
+
       this.emit('screenshot', screenshot);
       return screenshot;
     } catch (error) {
@@ -627,6 +1478,134 @@ export class VMManager extends EventEmitter {
     }
   }
 
+  /**
+   * Run a shell command on a VM (run_command tool). Subject to the safety
+   * policy and approval rules, unlike the internal execCommand.
+   */
+  async runCommand(vmId: string, command: string, options: CommandOptions = {}): Promise<CommandResult> {
+    if (!this.vms.has(vmId)) {
+      throw new Error(`VM ${vmId} not found`);
+    }
+
+    await this.checkAction(vmId, { kind: 'command', text: command }, `run \`${command.slice(0, 80)}\``);
+    return this.execCommand(vmId, command, options);
+  }
+
+  /**
+   * Run a shell command on a VM through the computer-server, falling back to
+   * SSH when the command channel fails and SSH is configured
+   */
+  private async execCommand(vmId: string, command: string, options: CommandOptions = {}): Promise<CommandResult> {
+    const entry = this.vms.get(vmId);
+    if (!entry) {
+      throw new Error(`VM ${vmId} not found`);
+    }
+
+    const { computer, meta: vm } = entry;
+    if (vm.osType === 'windows') {
+      throw new Error('Running commands is only supported on Linux and macOS VMs');
+    }
+
+    vm.lastActivity = new Date();
+    const transport = options.transport || 'auto';
+
+    if (transport !== 'ssh') {
+      if (!computer?.interface) {
+        throw new Error(`VM ${vmId} interface not ready`);
+      }
+      try {
+        return await runViaComputerServer(computer.interface, command, options);
+      } catch (error) {
+        if (transport === 'computer-server' || !sshConfig() || !vm.host) throw error;
+        console.error(`[VMManager] Command channel failed on ${vmId}, falling back to SSH:`, error);
+      }
+    }
+
+    if (!vm.host) {
+      throw new Error(`VM ${vmId} has no known host for SSH`);
+    }
+    return runViaSsh(vm.host, command, options);
+  }
+
+  /**
+   * Start recording computer actions on a VM into a session bundle
+   */
+  startRecording(vmId: string, name?: string): SessionManifest {
+    const vm = this.get(vmId);
+    if (!vm) {
+      throw new Error(`VM ${vmId} not found`);
+    }
+    return this.recorder.start(vm, name);
+  }
+
+  /**
+   * Stop recording on a VM
+   */
+  stopRecording(vmId: string): SessionManifest | undefined {
+    return this.recorder.stop(vmId);
+  }
+
+  /**
+   * All recorded sessions, newest first
+   */
+  listSessions(): SessionManifest[] {
+    return this.recorder.list();
+  }
+
+  /**
+   * Re-execute a recorded session on a VM, optionally comparing each step's
+   * screenshot against the recording
+   */
+  async replaySession(sessionId: string, vmId: string, options: ReplayOptions = {}): Promise<ReplayResult> {
+    const session = this.recorder.load(sessionId);
+    const threshold = options.diffThreshold ?? DEFAULT_REPLAY_DIFF_THRESHOLD;
+    const delayMs = options.delayMs ?? DEFAULT_REPLAY_DELAY_MS;
+    const startTime = Date.now();
+    const steps: ReplayStepResult[] = [];
+    let mismatches = 0;
+
+    for (const recorded of session.steps) {
+      const result: ReplayStepResult = {
+        index: recorded.index,
+        action: this.describeAction(recorded.action),
+      };
+      steps.push(result);
+
+      try {
+        const screenshot = await this.executeAction(vmId, recorded.action);
+
+        if (options.checkpoints && recorded.after && screenshot.imageB64) {
+          const expected = this.recorder.readScreenshot(sessionId, recorded.after);
+          result.diff = await diffScreenshots(expected, Buffer.from(screenshot.imageB64, 'base64'));
+          result.passed = result.diff <= threshold;
+        }
+      } catch (error) {
+        result.error = String(error);
+        result.passed = false;
+      }
+
+      this.emit('replay_step', { vmId, sessionId, ...result });
+
+      if (result.passed === false) {
+        mismatches++;
+        if (result.error || options.stopOnMismatch) break;
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+
+    return {
+      sessionId,
+      vmId,
+      success: mismatches === 0 && steps.length === session.steps.length,
+      stepsRun: steps.length,
+      totalSteps: session.steps.length,
+      mismatches,
+      steps,
+      duration: Date.now() - startTime,
+    };
+  }
+
   /**
    * Parse a task to extract browser-related actions
    */
@@ -662,10 +1641,11 @@ export class VMManager extends EventEmitter {
 
   /**
    * Execute a task on a VM (high-level task description)
-   * This uses the computer's interface to perform the task step by step
-   * Supports automatic Chrome launching and navigation
+   * With ANTHROPIC_API_KEY set, this runs the computer-use agent loop
+   * (screenshot → action) until the agent reports completion.
+   * Otherwise falls back to automatic browser launching and navigation.
    */
-  async executeTask(vmId: string, task: string): Promise<TaskResult> {
+  async executeTask(vmId: string, task: string, options: TaskOptions = {}): Promise<TaskResult> {
     const entry = this.vms.get(vmId);
     if (!entry) {
       throw new Error(`VM ${vmId} not found`);
@@ -690,6 +1670,11 @@ export class VMManager extends EventEmitter {
     try {
       const iface = computer.interface;
 
+      const agent = this.getAgent();
+      if (agent) {
+        return await this.executeAgentTask(vmId, vm, iface, agent, task, options, startTime, screenshots);
+      }
+
       // Parse the task to see if we can automate it
       const parsed = this.parseBrowserTask(task);
 
@@ -708,7 +1693,7 @@ export class VMManager extends EventEmitter {
       if (parsed.action !== 'none') {
         // Open browser if needed (Firefox preferred, fallback to Chrome)
         if (parsed.action === 'open_browser' || parsed.action === 'navigate' || parsed.action === 'search') {
-          console.log(`[VMManager] Opening Firefox on VM ${vmId}...`);
+          console.error(`[VMManager] Opening Firefox on VM ${vmId}...`);
 
           // For Linux: Open terminal and launch Firefox
           if (vm.osType === 'linux') {
@@ -759,7 +1744,7 @@ export class VMManager extends EventEmitter {
 
         // Navigate to URL if specified
         if (parsed.action === 'navigate' && parsed.url) {
-          console.log(`[VMManager] Navigating to ${parsed.url}...`);
+          console.error(`[VMManager] Navigating to ${parsed.url}...`);
 
           // Focus address bar and navigate
           await iface.pressKey('ctrl+l');
@@ -785,7 +1770,7 @@ export class VMManager extends EventEmitter {
 
         // Search if specified
         if (parsed.action === 'search' && parsed.query) {
-          console.log(`[VMManager] Searching for "${parsed.query}"...`);
+          console.error(`[VMManager] Searching for "${parsed.query}"...`);
 
           // Go to address bar and search
           await iface.pressKey('ctrl+l');
@@ -829,7 +1814,12 @@ export class VMManager extends EventEmitter {
       this.emit('task_complete', { vmId, result });
       return result;
     } catch (error) {
-      vm.status = 'error';
+      // A cancelled task, or an action blocked by the policy or an approver,
+      // leaves the VM usable
+      const cancelled = options.signal?.aborted === true;
+      const blocked = taskBlock(error);
+      vm.status = cancelled || blocked ? 'idle' : 'error';
+      if (cancelled || blocked) vm.currentTask = undefined;
 
       const result: TaskResult = {
         vmId,
@@ -838,7 +1828,9 @@ export class VMManager extends EventEmitter {
         output: '',
         screenshots,
         duration: Date.now() - startTime,
-        error: String(error),
+        verdict: cancelled ? 'cancelled' : blocked ? 'blocked' : undefined,
+        error: cancelled ? TASK_CANCELLED_ERROR : error instanceof Error ? error.message : String(error),
+        blocked,
       };
 
       this.emit('task_failed', { vmId, result });
@@ -846,6 +1838,193 @@ export class VMManager extends EventEmitter {
     }
   }
 
+  /**
+   * Run a task through the ComputerUseAgent screenshot → action loop
+   */
+  private async executeAgentTask(
+    vmId: string,
+    vm: VM,
+    iface: ComputerInterface,
+    agent: ComputerUseAgent,
+    task: string,
+    options: TaskOptions,
+    startTime: number,
+    screenshots: Screenshot[]
+  ): Promise<TaskResult> {
+    // Initial capture tells the agent the (resized) display size
+    let current = await this.captureScaledScreenshot(iface);
+    let initialPending = true;
+
+    const getScreenshot = async (): Promise<string> => {
+      // Called before every step, so this is where a cancelled task stops
+      if (options.signal?.aborted) {
+        throw new Error(TASK_CANCELLED_ERROR);
+      }
+      if (initialPending) {
+        initialPending = false;
+      } else {
+        current = await this.captureScaledScreenshot(iface);
+      }
+      return current.imageB64;
+    };
+
+    const outcome = await agent.executeTask(
+      task,
+      getScreenshot,
+      (action) => this.executeAgentAction(vmId, iface, action, current.scale),
+      {
+        maxSteps: options.maxSteps || DEFAULT_AGENT_MAX_STEPS,
+        displaySize: { width: current.width, height: current.height },
+        onStep: (step, action, reasoning) => {
+          const lastAction = action ? this.describeAgentAction(action) : 'thinking';
+
+          // Screenshot the agent looked at when choosing this step
+          screenshots.push({
+            vmId,
+            imageB64: current.imageB64,
+            timestamp: new Date(),
+            reasoning,
+            lastAction: `Step ${step}: ${lastAction}`,
+          });
+
+          vm.screenshotB64 = current.imageB64;
+          vm.reasoning = reasoning;
+          vm.lastAction = lastAction;
+          vm.lastActivity = new Date();
+          this.emit('task_step', { vmId, step, action: lastAction, reasoning });
+        },
+      }
+    );
+
+    // Final state after the last action
+    current = await this.captureScaledScreenshot(iface);
+    const finalReasoning = outcome.reasoning[outcome.reasoning.length - 1] || '';
+    screenshots.push({
+      vmId,
+      imageB64: current.imageB64,
+      timestamp: new Date(),
+      reasoning: finalReasoning,
+      lastAction: 'Final state',
+    });
+
+    const verdict: TaskVerdict = outcome.success
+      ? 'completed'
+      : outcome.error === MAX_STEPS_ERROR ? 'max_steps' : 'error';
+
+    vm.screenshotB64 = current.imageB64;
+    vm.status = 'idle';
+    vm.currentTask = undefined;
+
+    const result: TaskResult = {
+      vmId,
+      task,
+      success: outcome.success,
+      output: outcome.success
+        ? `Task completed in ${outcome.steps} steps. ${finalReasoning}`
+        : `Task not completed after ${outcome.steps} steps (${verdict}). ${finalReasoning}`,
+      screenshots,
+      duration: Date.now() - startTime,
+      steps: outcome.steps,
+      verdict,
+      error: outcome.error,
+    };
+
+    this.emit(outcome.success ? 'task_complete' : 'task_failed', { vmId, result });
+    return result;
+  }
+
+  /**
+   * Capture a resized screenshot along with the factor needed to map
+   * coordinates on it back to the real screen
+   */
+  private async captureScaledScreenshot(
+    iface: ComputerInterface
+  ): Promise<{ imageB64: string; width: number; height: number; scale: number }> {
+    const rawBuffer = await iface.screenshot();
+    const screenshotBuffer = await resizeScreenshot(rawBuffer);
+    const [rawMeta, resizedMeta] = await Promise.all([
+      sharp(rawBuffer).metadata(),
+      sharp(screenshotBuffer).metadata(),
+    ]);
+
+    const width = resizedMeta.width || 1280;
+    const height = resizedMeta.height || 800;
+
+    return {
+      imageB64: screenshotBuffer.toString('base64'),
+      width,
+      height,
+      scale: rawMeta.width ? rawMeta.width / width : 1,
+    };
+  }
+
+  /**
+   * Perform an agent-chosen action, scaling coordinates to the real screen
+   */
+  private async executeAgentAction(vmId: string, iface: ComputerInterface, action: ComputerUseAction, scale: number): Promise<void> {
+    const x = action.coordinate ? Math.round(action.coordinate[0] * scale) : undefined;
+    const y = action.coordinate ? Math.round(action.coordinate[1] * scale) : undefined;
+
+    // Same guardrails as computer_action, in real screen coordinates
+    const computerAction: ComputerAction = {
+      type: action.type === 'mouse_move' ? 'move'
+        : action.type.endsWith('click') ? 'click'
+        : action.type === 'type' || action.type === 'key' || action.type === 'scroll' ? action.type
+        : 'screenshot',
+      x,
+      y,
+      text: action.text,
+      key: action.text,
+    };
+    await this.checkAction(vmId, this.toPolicyAction(computerAction), this.describeAction(computerAction));
+
+    switch (action.type) {
+      case 'mouse_move':
+        if (x !== undefined && y !== undefined) {
+          await iface.moveCursor(x, y);
+        }
+        break;
+
+      case 'left_click':
+        await iface.leftClick(x, y);
+        break;
+
+      case 'right_click':
+        await iface.rightClick(x, y);
+        break;
+
+      case 'double_click':
+        await iface.doubleClick(x, y);
+        break;
+
+      case 'type':
+        if (action.text) {
+          await iface.typeText(action.text);
+        }
+        break;
+
+      case 'key':
+        if (action.text) {
+          await iface.pressKey(action.text);
+        }
+        break;
+
+      case 'scroll': {
+        const clicks = action.scroll_amount || 3;
+        if (action.scroll_direction === 'up') {
+          await iface.scrollUp(clicks);
+        } else if (action.scroll_direction === 'down') {
+          await iface.scrollDown(clicks);
+        }
+        break;
+      }
+
+      default:
+        // screenshot / cursor_position - the next step captures the screen anyway
+        break;
+    }
+  }
+
   /**
    * Helper to add delay between actions
    */
@@ -903,7 +2082,7 @@ export class VMManager extends EventEmitter {
   }
 
   /**
-   * Stop a VM - disconnects from SDK and deletes the cloud VM
+   * Stop a VM - disconnects and asks the provider to destroy the machine
    */
   async stop(vmId: string): Promise<void> {
     const entry = this.vms.get(vmId);
@@ -911,17 +2090,20 @@ export class VMManager extends EventEmitter {
 
     const { computer, meta: vm, cloudName } = entry;
 
+    this.pool.remove(vmId);
+    for (const job of this.jobs.abandon(vmId, 'VM stopped before the job could run')) {
+      this.emit('job_finished', { jobId: job.id, vmId, status: job.status, attempts: job.attempts, error: job.error });
+      this.reportUpstream(job);
+    }
+
     // Stop heartbeat
     this.stopHeartbeat(vmId);
+    this.recorder.stop(vmId);
 
     // Send offline status to Master
     if (this.enableMasterRegistration) {
       try {
-        await fetch(`${MOLTBOT_MASTER_URL}/vps/heartbeat`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ id: vmId, status: 'offline' }),
-        });
+        await this.outbox.send({ op: 'vpsHeartbeat', payload: { id: vmId, status: 'offline' } }, { coalesceKey: `heartbeat:${vmId}` });
       } catch {
         // Ignore - VM is stopping anyway
       }
@@ -936,14 +2118,15 @@ export class VMManager extends EventEmitter {
       console.error(`[VMManager] Error disconnecting from VM ${vmId}:`, error);
     }
 
-    // Delete cloud VM to release resources
+    // Destroy the machine to release resources
     if (cloudName) {
-      console.log(`[VMManager] Deleting cloud VM ${cloudName}...`);
-      await this.deleteVM(cloudName);
+      console.error(`[VMManager] Deleting ${vm.provider} VM ${cloudName}...`);
+      await this.getProvider(vm.provider).destroy(cloudName);
     }
 
     vm.status = 'stopped';
     this.vms.delete(vmId);
+    this.registry.remove(vmId);
     this.emit('vm_stopped', { vmId });
   }
 
@@ -951,6 +2134,20 @@ export class VMManager extends EventEmitter {
    * Stop all VMs
    */
   async stopAll(): Promise<void> {
+    if (this.reaperTimer) {
+      clearInterval(this.reaperTimer);
+      this.reaperTimer = null;
+    }
+    if (this.poolTimer) {
+      clearInterval(this.poolTimer);
+      this.poolTimer = null;
+    }
+    for (const timer of [this.jobTimer, this.upstreamTimer]) {
+      if (timer) clearInterval(timer);
+    }
+    this.jobTimer = null;
+    this.upstreamTimer = null;
+
     // Clear all heartbeat timers first
     for (const timer of this.heartbeatTimers.values()) {
       clearInterval(timer);
@@ -959,6 +2156,7 @@ export class VMManager extends EventEmitter {
 
     const stopPromises = Array.from(this.vms.keys()).map((id) => this.stop(id));
     await Promise.all(stopPromises);
+    this.outbox.stop();
   }
 
   /**
@@ -986,7 +2184,15 @@ export class VMManager extends EventEmitter {
    * Get VMs by tag
    */
   getByTag(tag: string): VM[] {
-    return this.getAll().filter((vm) => vm.tags.includes(tag));
+    // Unclaimed spares carry their recipe's tags but aren't anyone's to use yet
+    return this.getAll().filter((vm) => vm.tags.includes(tag) && !this.pool.isSpare(vm.id));
+  }
+
+  /**
+   * Whether a VM is an unclaimed warm-pool spare
+   */
+  isSpare(vmId: string): boolean {
+    return this.pool.isSpare(vmId);
   }
 
   /**
@@ -1014,6 +2220,7 @@ export class VMManager extends EventEmitter {
         entry.meta.tags.push(tag);
       }
     }
+    this.persist(vmId);
     return entry.meta;
   }
 
@@ -1025,6 +2232,7 @@ export class VMManager extends EventEmitter {
     if (!entry) return undefined;
 
     entry.meta.tags = entry.meta.tags.filter(t => !tags.includes(t));
+    this.persist(vmId);
     return entry.meta;
   }
 
@@ -1039,6 +2247,10 @@ export class VMManager extends EventEmitter {
     idle: number;
     error: number;
     hasApiKey: boolean;
+    provider: VMProviderName;
+    hourlyCost: number;
+    hourlyBudget?: number;
+    warmPool: WarmPoolStatus;
   } {
     const vms = this.getAll();
     return {
@@ -1049,9 +2261,113 @@ export class VMManager extends EventEmitter {
       idle: vms.filter((vm) => vm.status === 'idle').length,
       error: vms.filter((vm) => vm.status === 'error').length,
       hasApiKey: !!this.apiKey,
+      provider: this.defaultProvider,
+      hourlyCost: this.getHourlyCost(),
+      hourlyBudget: this.hourlyBudget,
+      warmPool: this.pool.status(),
     };
   }
 
+  /**
+   * Describe an agent action for logging
+   */
+  private describeAgentAction(action: ComputerUseAction): string {
+    switch (action.type) {
+      case 'left_click':
+      case 'right_click':
+      case 'double_click':
+      case 'mouse_move':
+        return `${action.type}(${action.coordinate?.[0]}, ${action.coordinate?.[1]})`;
+      case 'type':
+        return this.describeTypedText(action.text);
+      case 'key':
+        return `key(${action.text})`;
+      case 'scroll':
+        return `scroll(${action.scroll_direction}, ${action.scroll_amount})`;
+      default:
+        return action.type;
+    }
+  }
+
+  /**
+   * Apply the safety policy to an action, then hold it for approval in the
+   * TUI if an approval rule matches
+   */
+  private async checkAction(vmId: string, policyAction: PolicyAction, description: string): Promise<void> {
+    this.policy.enforce(policyAction, { target: 'vm', vmId });
+
+    let windowTitle: string | undefined;
+    const rule = await this.policy.approvalRule(policyAction, { target: 'vm', vmId }, async () => {
+      windowTitle = await this.getWindowTitle(vmId);
+      return windowTitle;
+    });
+    if (!rule) return;
+
+    const vm = this.get(vmId);
+    await this.approvals.request({
+      source: 'trycua',
+      // Don't show typed text - the rule may be guarding a password
+      action: `${policyAction.kind === 'type' ? `type ${policyAction.text?.length || 0} characters` : description} on VM ${vm?.name || vmId}`,
+      rule: rule.name,
+      target: 'vm',
+      vmId,
+      details: { windowTitle },
+    });
+  }
+
+  /**
+   * Title of the focused window on a VM, if the guest can tell us
+   */
+  private async getWindowTitle(vmId: string): Promise<string | undefined> {
+    const entry = this.vms.get(vmId);
+    if (!entry?.computer?.interface) return undefined;
+
+    const command = entry.meta.osType === 'linux'
+      ? 'xdotool getactivewindow getwindowname'
+      : entry.meta.osType === 'macos'
+        ? `osascript -e 'tell application "System Events" to get name of front window of (first process whose frontmost is true)'`
+        : undefined;
+    if (!command) return undefined;
+
+    const title = await Promise.race([
+      entry.computer.interface.runCommand(command).then(([stdout]) => stdout.trim()),
+      new Promise<undefined>((resolve) => setTimeout(() => resolve(undefined), WINDOW_TITLE_TIMEOUT_MS)),
+    ]);
+    return title || undefined;
+  }
+
+  /**
+   * Reduce a computer action to what the safety policy checks
+   */
+  private toPolicyAction(action: ComputerAction): PolicyAction {
+    const points: Array<[number, number]> | undefined =
+      action.x !== undefined && action.y !== undefined ? [[action.x, action.y]] : undefined;
+
+    switch (action.type) {
+      case 'click':
+        return { kind: 'click', points };
+      case 'move':
+        return { kind: 'move', points };
+      case 'type':
+        return { kind: 'type', text: action.text };
+      case 'key':
+        return { kind: 'key', keys: action.key };
+      case 'scroll':
+        return { kind: 'scroll', points };
+      default:
+        return { kind: 'screenshot' };
+    }
+  }
+
+  /**
+   * Shortened typed text for action descriptions, with secrets redacted
+   * before cutting so no fragment of one is shown
+   */
+  private describeTypedText(text: string = ''): string {
+    const safe = redact(text);
+    return `type("${safe.slice(0, 20)}${safe.length > 20 ? '...' : ''}")`;
+  }
+
   /**
    * Describe a computer action for logging
    */
@@ -1060,7 +2376,7 @@ export class VMManager extends EventEmitter {
       case 'click':
         return `click(${action.x}, ${action.y}) [${action.button || 'left'}]`;
       case 'type':
-        return `type("${action.text?.slice(0, 20)}${(action.text?.length || 0) > 20 ? '...' : ''}")`;
+        return this.describeTypedText(action.text);
       case 'scroll':
         return `scroll(${action.direction}, ${action.amount})`;
       case 'key':
@@ -0,0 +1,140 @@
+/**
+ * VM Registry
+ *
+ * Persists the VMs spawned by this server under ~/.strawberry so they can be
+ * found again (and cleaned up) after the trycua MCP server restarts. VM
+ * snapshots are kept in the same file.
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { OSType, VMProviderName, VMRegion, VMSize } from './types.js';
+
+const DEFAULT_REGISTRY_FILE = path.join(os.homedir(), '.strawberry', 'vm-registry.json');
+
+export interface VMRegistryRecord {
+  id: string;
+  name: string;
+  /** Provider-side handle used to reconnect or delete the machine */
+  cloudName: string;
+  provider: VMProviderName;
+  osType: OSType;
+  tags: string[];
+  size: VMSize;
+  region?: VMRegion;
+  idleTimeoutMinutes?: number;
+  maxLifetimeMinutes?: number;
+  /** Snapshot the VM was spawned from */
+  snapshotId?: string;
+  createdAt: string;
+}
+
+export interface SnapshotRecord {
+  id: string;
+  name: string;
+  provider: VMProviderName;
+  /** Provider-side reference (image tag, qcow2 path, ...) */
+  ref: string;
+  osType: OSType;
+  size: VMSize;
+  /** Tags given to VMs spawned from the snapshot */
+  tags: string[];
+  sourceVmId: string;
+  sourceVmName: string;
+  createdAt: string;
+}
+
+interface RegistryFile {
+  version: 1;
+  vms: VMRegistryRecord[];
+  snapshots?: SnapshotRecord[];
+}
+
+export class VMRegistry {
+  private filePath: string;
+  private records: Map<string, VMRegistryRecord> = new Map();
+  private snapshots: Map<string, SnapshotRecord> = new Map();
+
+  constructor(filePath: string = process.env.STRAWBERRY_VM_REGISTRY || DEFAULT_REGISTRY_FILE) {
+    this.filePath = filePath;
+    this.load();
+  }
+
+  private load(): void {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8')) as RegistryFile;
+        for (const record of data.vms || []) {
+          this.records.set(record.id, record);
+        }
+        for (const snapshot of data.snapshots || []) {
+          this.snapshots.set(snapshot.id, snapshot);
+        }
+      }
+    } catch (error) {
+      console.error(`[VMRegistry] Failed to read ${this.filePath}:`, error);
+    }
+  }
+
+  /**
+   * Write atomically so a crash mid-write never corrupts the registry
+   */
+  private save(): void {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const data: RegistryFile = { version: 1, vms: this.getAll(), snapshots: this.getSnapshots() };
+      const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      console.error(`[VMRegistry] Failed to write ${this.filePath}:`, error);
+    }
+  }
+
+  get(id: string): VMRegistryRecord | undefined {
+    return this.records.get(id);
+  }
+
+  getAll(): VMRegistryRecord[] {
+    return Array.from(this.records.values());
+  }
+
+  upsert(record: VMRegistryRecord): void {
+    this.records.set(record.id, { ...record, tags: [...record.tags] });
+    this.save();
+  }
+
+  remove(id: string): void {
+    if (this.records.delete(id)) {
+      this.save();
+    }
+  }
+
+  /**
+   * Find a snapshot by id or name
+   */
+  getSnapshot(idOrName: string): SnapshotRecord | undefined {
+    return this.snapshots.get(idOrName) || this.getSnapshots().find((snapshot) => snapshot.name === idOrName);
+  }
+
+  /**
+   * All snapshots, newest first
+   */
+  getSnapshots(): SnapshotRecord[] {
+    return Array.from(this.snapshots.values()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  upsertSnapshot(snapshot: SnapshotRecord): void {
+    this.snapshots.set(snapshot.id, { ...snapshot, tags: [...snapshot.tags] });
+    this.save();
+  }
+
+  removeSnapshot(id: string): void {
+    if (this.snapshots.delete(id)) {
+      this.save();
+    }
+  }
+}
+
+export default VMRegistry;
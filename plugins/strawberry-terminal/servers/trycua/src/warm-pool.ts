@@ -0,0 +1,358 @@
+/**
+ * Warm Pool
+ *
+ * Bookkeeping for spare VMs that VMManager keeps booted (and optionally
+ * provisioned with a recipe) so spawn_vm can hand one out immediately.
+ * Targets come from STRAWBERRY_VM_POOL, e.g. "linux:small=2,windows:medium=1"
+ * ("linux=2" means medium, spawn_vm's default size), or from the configure_pool tool:
+ *
+ *   STRAWBERRY_VM_POOL_MAX      most spares kept at once (default: sum of the minimums)
+ *   STRAWBERRY_VM_POOL_RECIPE   recipe applied to every spare before it counts as ready
+ *
+ * This class only tracks spares and metrics; VMManager spawns and stops them.
+ */
+
+import { OSType, VMProviderName, VMSize } from './types.js';
+
+const OS_TYPES: OSType[] = ['linux', 'macos', 'windows'];
+const VM_SIZES: VMSize[] = ['small', 'medium', 'large'];
+const RETRY_BASE_MS = 30000;
+const RETRY_MAX_MS = 15 * 60 * 1000;
+
+export interface PoolTarget {
+  osType: OSType;
+  size: VMSize;
+  /** Minimum number of idle spares to keep */
+  min: number;
+  /** Defaults to the server's provider */
+  provider?: VMProviderName;
+  /** Recipe applied before a spare is handed out */
+  recipe?: string;
+}
+
+export interface WarmPoolConfig {
+  targets: PoolTarget[];
+  /** Most spares kept across all targets */
+  maxTotal: number;
+}
+
+interface Spare {
+  key: string;
+  provider: VMProviderName;
+  osType: OSType;
+  size: VMSize;
+  recipe?: string;
+  /** Set once the spare is booted and provisioned */
+  readyAt?: number;
+  startedAt: number;
+}
+
+export interface PoolTargetStatus extends PoolTarget {
+  provider: VMProviderName;
+  ready: number;
+  warming: number;
+  consecutiveFailures: number;
+  retryAt?: string;
+}
+
+export interface WarmPoolStatus {
+  enabled: boolean;
+  maxTotal: number;
+  spares: number;
+  targets: PoolTargetStatus[];
+  metrics: {
+    /** spawn_vm calls served from the pool */
+    hits: number;
+    /** spawn_vm calls that had to boot a new VM */
+    misses: number;
+    hitRate?: number;
+    avgClaimMs?: number;
+    avgColdSpawnMs?: number;
+    /** Time from starting a spare to it being ready */
+    avgWarmupMs?: number;
+    refillsStarted: number;
+    refillsFailed: number;
+    /** Spares stopped to make room for a VM the pool couldn't serve */
+    evicted: number;
+  };
+}
+
+/**
+ * Parse "linux:small=2,windows=1" into pool targets
+ */
+export function parsePoolSpec(spec: string, recipe?: string): PoolTarget[] {
+  return spec
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const match = part.match(/^(\w+)(?::(\w+))?=(\d+)$/);
+      const osType = match?.[1] as OSType;
+      const size = (match?.[2] || 'medium') as VMSize;
+      if (!match || !OS_TYPES.includes(osType) || !VM_SIZES.includes(size)) {
+        throw new Error(`Invalid pool target "${part}" (expected <os>[:<size>]=<count>, e.g. linux:medium=2)`);
+      }
+      return { osType, size, min: parseInt(match[3], 10), recipe };
+    });
+}
+
+/**
+ * Pool configuration from the environment (no targets when unset)
+ */
+export function loadPoolConfig(): WarmPoolConfig {
+  let targets: PoolTarget[] = [];
+  try {
+    targets = parsePoolSpec(process.env.STRAWBERRY_VM_POOL || '', process.env.STRAWBERRY_VM_POOL_RECIPE || undefined);
+  } catch (error) {
+    console.error(`[WarmPool] Ignoring STRAWBERRY_VM_POOL: ${error instanceof Error ? error.message : error}`);
+  }
+
+  const max = parseInt(process.env.STRAWBERRY_VM_POOL_MAX || '', 10);
+  return { targets, maxTotal: max >= 0 ? max : targets.reduce((sum, target) => sum + target.min, 0) };
+}
+
+/**
+ * Average of a list of durations, or undefined when empty
+ */
+function average(values: number[]): number | undefined {
+  return values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : undefined;
+}
+
+export class WarmPool {
+  private config: WarmPoolConfig;
+  private defaultProvider: VMProviderName;
+  private spares: Map<string, Spare> = new Map();
+  private failures: Map<string, { count: number; retryAt: number }> = new Map();
+  private hits = 0;
+  private misses = 0;
+  private refillsStarted = 0;
+  private refillsFailed = 0;
+  private evicted = 0;
+  // Rolling windows so the averages follow recent behaviour
+  private claimMs: number[] = [];
+  private coldSpawnMs: number[] = [];
+  private warmupMs: number[] = [];
+
+  constructor(defaultProvider: VMProviderName, config: WarmPoolConfig = loadPoolConfig()) {
+    this.defaultProvider = defaultProvider;
+    this.config = config;
+  }
+
+  getConfig(): WarmPoolConfig {
+    return this.config;
+  }
+
+  /**
+   * Replace the targets and/or the maximum. Existing spares are kept; ones
+   * no target wants any more are returned by surplus().
+   */
+  configure(config: Partial<WarmPoolConfig>): WarmPoolConfig {
+    const targets = config.targets ?? this.config.targets;
+    const maxTotal = config.maxTotal ?? (config.targets
+      ? targets.reduce((sum, target) => sum + target.min, 0)
+      : this.config.maxTotal);
+    this.config = { targets, maxTotal };
+    this.failures.clear();
+    return this.config;
+  }
+
+  isEnabled(): boolean {
+    return this.config.maxTotal > 0 && this.config.targets.some((target) => target.min > 0);
+  }
+
+  isSpare(vmId: string): boolean {
+    return this.spares.has(vmId);
+  }
+
+  /**
+   * Record a spare being started for a target
+   */
+  add(vmId: string, target: PoolTarget): void {
+    const provider = target.provider || this.defaultProvider;
+    this.spares.set(vmId, {
+      key: this.key(provider, target.osType, target.size),
+      provider,
+      osType: target.osType,
+      size: target.size,
+      recipe: target.recipe,
+      startedAt: Date.now(),
+    });
+    this.refillsStarted++;
+  }
+
+  /**
+   * Mark a spare as ready to hand out
+   */
+  markReady(vmId: string): void {
+    const spare = this.spares.get(vmId);
+    if (!spare) return;
+    spare.readyAt = Date.now();
+    this.push(this.warmupMs, spare.readyAt - spare.startedAt);
+    this.failures.delete(spare.key);
+  }
+
+  /**
+   * Record a spare that failed to start or provision, backing off its target
+   */
+  markFailed(vmId: string): void {
+    const spare = this.spares.get(vmId);
+    if (!spare) return;
+    this.spares.delete(vmId);
+    this.refillsFailed++;
+
+    const count = (this.failures.get(spare.key)?.count || 0) + 1;
+    const delay = Math.min(RETRY_BASE_MS * 2 ** (count - 1), RETRY_MAX_MS);
+    this.failures.set(spare.key, { count, retryAt: Date.now() + delay });
+  }
+
+  /**
+   * Forget a VM (claimed, stopped or reaped)
+   */
+  remove(vmId: string): void {
+    this.spares.delete(vmId);
+  }
+
+  /**
+   * Take the oldest ready spare matching a spawn request out of the pool,
+   * preferring one already provisioned with the requested recipe
+   */
+  claim(
+    provider: VMProviderName,
+    osType: OSType,
+    size: VMSize,
+    recipe?: string,
+    usable: (vmId: string) => boolean = () => true
+  ): string | undefined {
+    const key = this.key(provider, osType, size);
+    const candidates = [...this.spares.entries()]
+      .filter(([vmId, spare]) => spare.key === key && spare.readyAt !== undefined && usable(vmId))
+      .sort(([, a], [, b]) =>
+        Number(b.recipe === recipe && recipe !== undefined) - Number(a.recipe === recipe && recipe !== undefined) ||
+        a.readyAt! - b.readyAt!
+      );
+
+    const vmId = candidates[0]?.[0];
+    if (vmId) this.spares.delete(vmId);
+    return vmId;
+  }
+
+  recordHit(claimMs: number): void {
+    this.hits++;
+    this.push(this.claimMs, claimMs);
+  }
+
+  recordMiss(): void {
+    this.misses++;
+  }
+
+  recordColdSpawn(spawnMs: number): void {
+    this.push(this.coldSpawnMs, spawnMs);
+  }
+
+  recordEviction(vmId: string): void {
+    this.spares.delete(vmId);
+    this.evicted++;
+  }
+
+  /**
+   * Spares to start now: the shortfall of each target, within the pool
+   * maximum and skipping targets that are backing off after failures
+   */
+  deficits(): PoolTarget[] {
+    const now = Date.now();
+    let room = this.config.maxTotal - this.spares.size;
+    const wanted: PoolTarget[] = [];
+
+    for (const target of this.config.targets) {
+      const key = this.key(target.provider || this.defaultProvider, target.osType, target.size);
+      const failure = this.failures.get(key);
+      if (failure && failure.retryAt > now) continue;
+
+      const have = [...this.spares.values()].filter((spare) => spare.key === key).length;
+      for (let i = have; i < target.min && room > 0; i++, room--) {
+        wanted.push(target);
+      }
+    }
+    return wanted;
+  }
+
+  /**
+   * Ready spares beyond their target's minimum, with no target at all, or
+   * over the pool maximum
+   */
+  surplus(): string[] {
+    const kept: string[] = [];
+    const surplus: string[] = [];
+    const counts = new Map<string, number>();
+
+    for (const vmId of this.readySpares()) {
+      const spare = this.spares.get(vmId)!;
+      const target = this.config.targets.find((t) => this.key(t.provider || this.defaultProvider, t.osType, t.size) === spare.key);
+      const count = counts.get(spare.key) || 0;
+      if (count < (target?.min || 0) && kept.length < this.config.maxTotal) {
+        counts.set(spare.key, count + 1);
+        kept.push(vmId);
+      } else {
+        surplus.push(vmId);
+      }
+    }
+    return surplus;
+  }
+
+  /**
+   * Ready spares, oldest first - candidates to stop when room is needed
+   */
+  readySpares(): string[] {
+    return [...this.spares.entries()]
+      .filter(([, spare]) => spare.readyAt !== undefined)
+      .sort(([, a], [, b]) => a.readyAt! - b.readyAt!)
+      .map(([vmId]) => vmId);
+  }
+
+  status(): WarmPoolStatus {
+    const spares = [...this.spares.values()];
+    const total = this.hits + this.misses;
+
+    return {
+      enabled: this.isEnabled(),
+      maxTotal: this.config.maxTotal,
+      spares: spares.length,
+      targets: this.config.targets.map((target) => {
+        const provider = target.provider || this.defaultProvider;
+        const key = this.key(provider, target.osType, target.size);
+        const matching = spares.filter((spare) => spare.key === key);
+        const failure = this.failures.get(key);
+        return {
+          ...target,
+          provider,
+          ready: matching.filter((spare) => spare.readyAt !== undefined).length,
+          warming: matching.filter((spare) => spare.readyAt === undefined).length,
+          consecutiveFailures: failure?.count || 0,
+          retryAt: failure && failure.retryAt > Date.now() ? new Date(failure.retryAt).toISOString() : undefined,
+        };
+      }),
+      metrics: {
+        hits: this.hits,
+        misses: this.misses,
+        hitRate: total > 0 ? Math.round((this.hits / total) * 100) / 100 : undefined,
+        avgClaimMs: average(this.claimMs),
+        avgColdSpawnMs: average(this.coldSpawnMs),
+        avgWarmupMs: average(this.warmupMs),
+        refillsStarted: this.refillsStarted,
+        refillsFailed: this.refillsFailed,
+        evicted: this.evicted,
+      },
+    };
+  }
+
+  private key(provider: VMProviderName, osType: OSType, size: VMSize): string {
+    return `${provider}/${osType}/${size}`;
+  }
+
+  private push(window: number[], value: number): void {
+    window.push(value);
+    if (window.length > 50) window.shift();
+  }
+}
+
+export default WarmPool;